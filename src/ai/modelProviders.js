@@ -0,0 +1,793 @@
+// src/ai/modelProviders.js - Pluggable model providers for the AI Orchestrator
+//
+// Every provider exposes the same surface:
+//   availability()                      -> 'available' | 'downloadable' | 'unavailable'
+//   initialize()                        -> true when the provider can take prompts
+//   prompt(text, { maxLength })         -> string
+//   promptStructured(text, schema)      -> JSON string that satisfies `schema`
+//   summarize(text, { context, type, format, length }) -> string
+//   promptStreaming(text, { maxLength, signal })        -> async iterable of text deltas
+//   summarizeStreaming(text, { context, ..., signal })  -> async iterable of text deltas
+//   countTokens(text)                   -> number
+//   healthCheck()                       -> { healthy, recovered, ... }
+//   destroy()
+//
+// structured responses are returned as JSON strings (not objects) so callers
+// keep the same parsing path they used with the raw Prompt API.
+
+const MODEL_PROVIDER_IDS = {
+  GEMINI_NANO: 'gemini-nano',
+  RULE_BASED: 'rule-based',
+  OPENAI_COMPATIBLE: 'openai-compatible'
+};
+
+const DEFAULT_LOCAL_ENDPOINT = 'http://localhost:11434/v1';
+const DEFAULT_LOCAL_MODEL = 'llama3.2';
+const CHARS_PER_TOKEN = 4;
+
+const SUMMARY_LENGTH_CHARS = {
+  short: 300,
+  medium: 600,
+  long: 1200
+};
+
+/**
+ * Base class - shared defaults and the interface contract
+ */
+class ModelProvider {
+  constructor(config = {}) {
+    this.config = config;
+    this.id = 'base';
+    this.displayName = 'Base Provider';
+    this.capabilities = { prompt: false, structured: false, summarize: false };
+  }
+
+  async availability() {
+    return 'unavailable';
+  }
+
+  async initialize() {
+    return false;
+  }
+
+  async prompt(text, options = {}) {
+    throw new Error(`${this.displayName} does not support prompt()`);
+  }
+
+  async promptStructured(text, schema, options = {}) {
+    throw new Error(`${this.displayName} does not support promptStructured()`);
+  }
+
+  async summarize(text, options = {}) {
+    throw new Error(`${this.displayName} does not support summarize()`);
+  }
+
+  /**
+   * Providers without native streaming yield the whole response at once.
+   * `options.signal` aborts before or after the underlying call.
+   */
+  async *promptStreaming(text, options = {}) {
+    options.signal?.throwIfAborted();
+    const result = await this.prompt(text, options);
+    options.signal?.throwIfAborted();
+    yield result;
+  }
+
+  async *summarizeStreaming(text, options = {}) {
+    options.signal?.throwIfAborted();
+    const result = await this.summarize(text, options);
+    options.signal?.throwIfAborted();
+    yield result;
+  }
+
+  async countTokens(text) {
+    return Math.ceil(String(text || '').length / CHARS_PER_TOKEN);
+  }
+
+  async healthCheck() {
+    return { healthy: this.capabilities.prompt, recovered: false };
+  }
+
+  getUsage() {
+    return { inputQuota: null, inputUsage: null };
+  }
+
+  async destroy() {}
+
+  /**
+   * 🔧 Strip markdown fences some models wrap JSON in
+   */
+  stripCodeFences(text) {
+    return String(text || '')
+      .trim()
+      .replace(/^```(?:json)?\s*/i, '')
+      .replace(/\s*```$/, '')
+      .trim();
+  }
+
+  truncate(text, maxLength) {
+    const str = String(text || '');
+    if (!maxLength || str.length <= maxLength) return str;
+    const cut = str.substring(0, maxLength);
+    const lastStop = Math.max(cut.lastIndexOf('. '), cut.lastIndexOf('! '), cut.lastIndexOf('? '));
+    return lastStop > maxLength * 0.5 ? cut.substring(0, lastStop + 1) : cut.trim();
+  }
+}
+
+// ==================== GEMINI NANO ====================
+
+/**
+ * Chrome built-in AI (Prompt API + Summarizer API)
+ */
+class GeminiNanoProvider extends ModelProvider {
+  constructor(config = {}) {
+    super(config);
+    this.id = MODEL_PROVIDER_IDS.GEMINI_NANO;
+    this.displayName = 'Gemini Nano';
+    this.session = null;
+    this.summarizers = new Map(); // 'type|format|length' -> Summarizer
+  }
+
+  async availability() {
+    if (!('LanguageModel' in self)) return 'unavailable';
+    try {
+      return await LanguageModel.availability();
+    } catch (e) {
+      return 'unavailable';
+    }
+  }
+
+  async initialize() {
+    // 1. Initialize LanguageModel (Prompt API)
+    if ('LanguageModel' in self) {
+      try {
+        const availability = await LanguageModel.availability();
+        if (availability === 'unavailable') {
+          console.warn('⚠️ [GeminiNano] Language Model unavailable on this device');
+        } else {
+          this.session = await LanguageModel.create({
+            expectedInputs: [
+              { type: "text", languages: ["en"] }
+            ],
+            expectedOutputs: [
+              { type: "text", languages: ["en"] }
+            ]
+          });
+        }
+      } catch (e) {
+        console.error('❌ [GeminiNano] Failed to initialize Language Model:', e.message);
+        this.session = null;
+      }
+    } else {
+      console.warn('⚠️ [GeminiNano] LanguageModel API not available in Service Worker');
+    }
+
+    // 2. Initialize the default Summarizer; other shapes are created lazily
+    this.capabilities.summarize = false;
+    if ('Summarizer' in self) {
+      try {
+        const availability = await Summarizer.availability();
+        if (availability !== 'unavailable') {
+          await this.getSummarizer({ type: 'key-points', format: 'plain-text', length: 'short' });
+          this.capabilities.summarize = true;
+        }
+      } catch (e) {
+        // Summarizer.create can require user activation in a service worker
+        console.warn('⚠️ [GeminiNano] Summarizer unavailable, will use LanguageModel fallback:', e.message);
+      }
+    }
+
+    this.capabilities.prompt = !!this.session;
+    this.capabilities.structured = !!this.session;
+    return this.capabilities.prompt;
+  }
+
+  async getSummarizer({ type = 'key-points', format = 'plain-text', length = 'short' } = {}) {
+    const key = `${type}|${format}|${length}`;
+    if (!this.summarizers.has(key)) {
+      const summarizer = await Summarizer.create({
+        type,
+        format,
+        length,
+        expectedInputLanguages: ['en'],
+        outputLanguage: 'en'
+      });
+      this.summarizers.set(key, summarizer);
+    }
+    return this.summarizers.get(key);
+  }
+
+  async prompt(text, options = {}) {
+    if (!this.session) throw new Error('LanguageModel session not available');
+    if (options.maxLength) {
+      return this.session.prompt(text, {
+        responseConstraint: { type: "string", maxLength: options.maxLength },
+        omitResponseConstraintInput: true
+      });
+    }
+    return this.session.prompt(text);
+  }
+
+  async promptStructured(text, schema, options = {}) {
+    if (!this.session) throw new Error('LanguageModel session not available');
+    return this.session.prompt(text, {
+      responseConstraint: schema,
+      omitResponseConstraintInput: true
+    });
+  }
+
+  async summarize(text, options = {}) {
+    if (!this.capabilities.summarize) throw new Error('Summarizer API not available');
+    const summarizer = await this.getSummarizer(options);
+    return summarizer.summarize(text, options.context ? { context: options.context } : {});
+  }
+
+  async *promptStreaming(text, options = {}) {
+    if (!this.session) throw new Error('LanguageModel session not available');
+    const streamOptions = { signal: options.signal };
+    if (options.maxLength) {
+      streamOptions.responseConstraint = { type: "string", maxLength: options.maxLength };
+      streamOptions.omitResponseConstraintInput = true;
+    }
+    yield* this.readDeltas(this.session.promptStreaming(text, streamOptions));
+  }
+
+  async *summarizeStreaming(text, options = {}) {
+    if (!this.capabilities.summarize) throw new Error('Summarizer API not available');
+    const summarizer = await this.getSummarizer(options);
+    const streamOptions = { signal: options.signal };
+    if (options.context) streamOptions.context = options.context;
+    yield* this.readDeltas(summarizer.summarizeStreaming(text, streamOptions));
+  }
+
+  /**
+   * 🔧 Read a Prompt/Summarizer ReadableStream as deltas. Older Chrome builds
+   * emitted the whole response so far on every read, newer ones only the
+   * new text; both come out as deltas here. The mode is decided once, from
+   * the first two non-empty reads, and holds for the rest of the stream.
+   */
+  async *readDeltas(stream) {
+    const reader = stream.getReader();
+    let received = '';
+    let cumulative = null;
+    try {
+      while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        const chunk = String(value ?? '');
+        if (!chunk) continue;
+        if (cumulative === null && received) {
+          cumulative = chunk.length > received.length && chunk.startsWith(received);
+        }
+        const delta = cumulative ? chunk.slice(received.length) : chunk;
+        received = cumulative ? chunk : received + delta;
+        if (delta) yield delta;
+      }
+    } finally {
+      reader.releaseLock();
+    }
+  }
+
+  async countTokens(text) {
+    if (this.session?.measureInputUsage) {
+      try {
+        return await this.session.measureInputUsage(text);
+      } catch (e) { /* fall through to estimate */ }
+    }
+    return super.countTokens(text);
+  }
+
+  async healthCheck() {
+    if (!this.session) {
+      await this.initialize();
+      return { healthy: !!this.session, recovered: true };
+    }
+
+    const testResponse = await this.session.prompt("Say 'OK'", {
+      responseConstraint: { type: "string" },
+      omitResponseConstraintInput: true
+    }).catch(() => null);
+
+    if (!testResponse || testResponse.includes('OK') === false) {
+      console.warn('⚠️ [GeminiNano] Session unhealthy, attempting recovery...');
+      await this.destroy();
+      await this.initialize();
+      return { healthy: !!this.session, recovered: true };
+    }
+
+    return { healthy: true, recovered: false, ...this.getUsage() };
+  }
+
+  getUsage() {
+    return {
+      inputQuota: this.session?.inputQuota ?? null,
+      inputUsage: this.session?.inputUsage ?? null
+    };
+  }
+
+  async destroy() {
+    if (this.session?.destroy) {
+      await Promise.resolve(this.session.destroy()).catch(() => {});
+    }
+    for (const summarizer of this.summarizers.values()) {
+      if (summarizer?.destroy) {
+        await Promise.resolve(summarizer.destroy()).catch(() => {});
+      }
+    }
+    this.session = null;
+    this.summarizers.clear();
+    this.capabilities = { prompt: false, structured: false, summarize: false };
+  }
+}
+
+// ==================== RULE-BASED (DETERMINISTIC) ====================
+
+const RULE_STOP_WORDS = new Set([
+  'the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with',
+  'by', 'is', 'are', 'was', 'were', 'be', 'been', 'this', 'that', 'these', 'those',
+  'it', 'its', 'as', 'from', 'has', 'have', 'had', 'not', 'no', 'can', 'will', 'you',
+  'your', 'we', 'our', 'they', 'their', 'he', 'she', 'his', 'her', 'them', 'than',
+  'then', 'so', 'if', 'into', 'about', 'which', 'who', 'what', 'when', 'where', 'how'
+]);
+
+/**
+ * No model at all: extractive summaries and keyword-ranked schema filling.
+ * Same input always gives the same output, so the STP/LTP pipeline can be
+ * exercised end to end on machines without Gemini Nano.
+ *
+ * config.enumKeywords maps enum values (topics, intents) to keyword seeds.
+ */
+class RuleBasedProvider extends ModelProvider {
+  constructor(config = {}) {
+    super(config);
+    this.id = MODEL_PROVIDER_IDS.RULE_BASED;
+    this.displayName = 'Rule-based (offline)';
+    this.enumKeywords = config.enumKeywords || {};
+  }
+
+  // The topic taxonomy is user-editable, so seeds can change at runtime
+  setEnumKeywords(enumKeywords) {
+    this.enumKeywords = enumKeywords || {};
+  }
+
+  async availability() {
+    return 'available';
+  }
+
+  async initialize() {
+    this.capabilities = { prompt: true, structured: true, summarize: true };
+    return true;
+  }
+
+  async prompt(text, options = {}) {
+    return this.extractiveSummary(text, options.maxLength || SUMMARY_LENGTH_CHARS.medium);
+  }
+
+  async promptStructured(text, schema, options = {}) {
+    return JSON.stringify(this.buildValue(schema, String(text || '')));
+  }
+
+  async summarize(text, options = {}) {
+    const maxLength = options.type === 'headline'
+      ? 100
+      : (SUMMARY_LENGTH_CHARS[options.length] || SUMMARY_LENGTH_CHARS.short);
+
+    if (options.type === 'headline') {
+      const [first] = this.rankSentences(text, 1);
+      return this.truncate(first || '', maxLength);
+    }
+
+    const summary = this.extractiveSummary(text, maxLength);
+    if (options.type === 'key-points') {
+      return this.splitSentences(summary).map(s => `- ${s}`).join('\n');
+    }
+    return summary;
+  }
+
+  // ---------------- text helpers ----------------
+
+  tokenize(text) {
+    return String(text || '')
+      .toLowerCase()
+      .replace(/[^a-z0-9\s-]/g, ' ')
+      .split(/\s+/)
+      .filter(w => w.length > 2 && !RULE_STOP_WORDS.has(w));
+  }
+
+  splitSentences(text) {
+    return String(text || '')
+      .replace(/\s+/g, ' ')
+      .split(/(?<=[.!?])\s+/)
+      .map(s => s.trim())
+      .filter(s => s.length > 20);
+  }
+
+  /**
+   * Score sentences by summed term frequency and return the top `count`
+   * in their original order
+   */
+  rankSentences(text, count) {
+    const sentences = this.splitSentences(text);
+    if (sentences.length === 0) return [];
+
+    const freq = {};
+    this.tokenize(text).forEach(w => { freq[w] = (freq[w] || 0) + 1; });
+
+    return sentences
+      .map((sentence, index) => {
+        const words = this.tokenize(sentence);
+        const score = words.reduce((sum, w) => sum + (freq[w] || 0), 0) / Math.max(words.length, 1);
+        return { sentence, index, score };
+      })
+      .sort((a, b) => b.score - a.score || a.index - b.index)
+      .slice(0, count)
+      .sort((a, b) => a.index - b.index)
+      .map(s => s.sentence);
+  }
+
+  extractiveSummary(text, maxLength) {
+    const ranked = this.rankSentences(text, 8);
+    let summary = '';
+    for (const sentence of ranked) {
+      if ((summary + ' ' + sentence).trim().length > maxLength) break;
+      summary = (summary + ' ' + sentence).trim();
+    }
+    return summary || this.truncate(String(text || '').replace(/\s+/g, ' ').trim(), maxLength);
+  }
+
+  /**
+   * Rank enum values by keyword hits. Prompts usually list every allowed
+   * value once, so the lowest count is treated as the baseline.
+   */
+  rankEnum(values, text) {
+    const lower = text.toLowerCase();
+    const countOf = (needle) => {
+      if (!needle) return 0;
+      const escaped = needle.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      return (lower.match(new RegExp(`\\b${escaped}\\b`, 'g')) || []).length;
+    };
+
+    const raw = values.map((value, index) => {
+      const needles = new Set([String(value), ...(this.enumKeywords[value] || [])].map(n => n.toLowerCase()));
+      const score = [...needles].reduce((sum, needle) => sum + countOf(needle), 0);
+      return { value, index, score };
+    });
+
+    const baseline = Math.min(...raw.map(r => r.score));
+    return raw
+      .map(r => ({ ...r, score: r.score - baseline }))
+      .sort((a, b) => b.score - a.score || a.index - b.index);
+  }
+
+  pickFallbackEnum(values) {
+    return values.includes('Unknown') ? 'Unknown' : values[0];
+  }
+
+  buildValue(schema, text) {
+    if (!schema || typeof schema !== 'object') return null;
+
+    if (Array.isArray(schema.enum)) {
+      const [best] = this.rankEnum(schema.enum, text);
+      return best && best.score > 0 ? best.value : this.pickFallbackEnum(schema.enum);
+    }
+
+    switch (schema.type) {
+      case 'object': {
+        const result = {};
+        for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+          result[key] = this.buildValue(propSchema, text);
+        }
+        return result;
+      }
+      case 'array':
+        return this.buildArray(schema, text);
+      case 'number':
+      case 'integer': {
+        const min = schema.minimum ?? 0;
+        const max = schema.maximum ?? 1;
+        const mid = min + (max - min) / 2;
+        return schema.type === 'integer' ? Math.round(mid) : mid;
+      }
+      case 'boolean':
+        return false;
+      case 'string':
+      default:
+        return this.extractiveSummary(text, schema.maxLength || 200);
+    }
+  }
+
+  buildArray(schema, text) {
+    const items = schema.items || {};
+    const minItems = schema.minItems || 1;
+    const maxItems = schema.maxItems || 3;
+
+    // Array of enum strings: top-ranked distinct values
+    if (Array.isArray(items.enum)) {
+      const ranked = this.rankEnum(items.enum, text).filter(r => r.score > 0);
+      const picked = ranked.slice(0, maxItems).map(r => r.value);
+      while (picked.length < minItems) {
+        const next = items.enum.find(v => !picked.includes(v));
+        if (!next) break;
+        picked.push(next);
+      }
+      return picked;
+    }
+
+    // Array of objects keyed by an enum (e.g. { topic, weight }): one item per
+    // top-ranked value, numeric fields carry that value's share of the score
+    if (items.type === 'object' && items.properties) {
+      const enumKey = Object.keys(items.properties).find(k => Array.isArray(items.properties[k].enum));
+      if (enumKey) {
+        const values = items.properties[enumKey].enum;
+        let ranked = this.rankEnum(values, text).filter(r => r.score > 0).slice(0, maxItems);
+        if (ranked.length === 0) {
+          ranked = [{ value: this.pickFallbackEnum(values), score: 1 }];
+        }
+        const total = ranked.reduce((sum, r) => sum + r.score, 0) || 1;
+        return ranked.slice(0, Math.max(minItems, ranked.length)).map(r => {
+          const item = {};
+          for (const [key, propSchema] of Object.entries(items.properties)) {
+            if (key === enumKey) item[key] = r.value;
+            else if (propSchema.type === 'number') item[key] = Math.round((r.score / total) * 100) / 100;
+            else item[key] = this.buildValue(propSchema, text);
+          }
+          return item;
+        });
+      }
+    }
+
+    // Array of strings: top sentences
+    if (items.type === 'string') {
+      return this.rankSentences(text, maxItems)
+        .map(s => this.truncate(s, items.maxLength || 150));
+    }
+
+    return Array.from({ length: minItems }, () => this.buildValue(items, text));
+  }
+}
+
+// ==================== OPENAI-COMPATIBLE (LOCALHOST HTTP) ====================
+
+/**
+ * 🔧 True for http(s) URLs on localhost or a loopback address.
+ */
+function isLoopbackModelEndpoint(endpoint) {
+  try {
+    const { protocol, hostname } = new URL(endpoint);
+    return /^https?:$/.test(protocol) && ['localhost', '127.0.0.1', '[::1]', '::1'].includes(hostname);
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Any server speaking the OpenAI chat completions API (Ollama, llama.cpp,
+ * LM Studio, vLLM...). Only loopback endpoints are accepted so page content
+ * never leaves the machine.
+ */
+class OpenAICompatibleProvider extends ModelProvider {
+  constructor(config = {}) {
+    super(config);
+    this.id = MODEL_PROVIDER_IDS.OPENAI_COMPATIBLE;
+    this.displayName = 'Local OpenAI-compatible server';
+    this.endpoint = (config.endpoint || DEFAULT_LOCAL_ENDPOINT).replace(/\/+$/, '');
+    this.model = config.model || DEFAULT_LOCAL_MODEL;
+    this.apiKey = config.apiKey || null;
+    this.timeoutMs = config.timeoutMs || 60000;
+  }
+
+  isLoopbackEndpoint() {
+    return isLoopbackModelEndpoint(this.endpoint);
+  }
+
+  /**
+   * 🔧 Send a request to the local server. The timeout keeps running until
+   * the caller calls `release()`, so streamed bodies stay bounded too.
+   */
+  async open(path, body = null, signal = null) {
+    if (!this.isLoopbackEndpoint()) {
+      throw new Error(`Refusing non-local model endpoint: ${this.endpoint}`);
+    }
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.timeoutMs);
+    const onAbort = () => controller.abort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+    const release = () => {
+      clearTimeout(timeoutId);
+      signal?.removeEventListener('abort', onAbort);
+    };
+
+    try {
+      const headers = { 'Content-Type': 'application/json' };
+      if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+
+      const response = await fetch(`${this.endpoint}${path}`, {
+        method: body ? 'POST' : 'GET',
+        headers,
+        body: body ? JSON.stringify(body) : undefined,
+        signal: controller.signal
+      });
+      if (!response.ok) {
+        throw new Error(`Local model server responded ${response.status}`);
+      }
+      return { response, release };
+    } catch (error) {
+      release();
+      throw error;
+    }
+  }
+
+  async request(path, body = null) {
+    const { response, release } = await this.open(path, body);
+    try {
+      return await response.json();
+    } finally {
+      release();
+    }
+  }
+
+  async availability() {
+    try {
+      const result = await this.request('/models');
+      const models = (result?.data || []).map(m => m.id);
+      return models.length === 0 || models.includes(this.model) ? 'available' : 'downloadable';
+    } catch (e) {
+      return 'unavailable';
+    }
+  }
+
+  async initialize() {
+    const availability = await this.availability();
+    const ready = availability === 'available';
+    this.capabilities = { prompt: ready, structured: ready, summarize: ready };
+    if (!ready) {
+      console.warn(`⚠️ [LocalModel] ${this.endpoint} (${this.model}) is ${availability}`);
+    }
+    return ready;
+  }
+
+  async chat(messages, extra = {}) {
+    const result = await this.request('/chat/completions', {
+      model: this.model,
+      messages,
+      temperature: 0,
+      ...extra
+    });
+    const content = result?.choices?.[0]?.message?.content;
+    if (typeof content !== 'string') {
+      throw new Error('Local model returned no content');
+    }
+    return content;
+  }
+
+  /**
+   * Same request with `stream: true`; yields the server-sent content deltas.
+   */
+  async *chatStreaming(messages, extra = {}, signal = null) {
+    const { response, release } = await this.open('/chat/completions', {
+      model: this.model,
+      messages,
+      temperature: 0,
+      stream: true,
+      ...extra
+    }, signal);
+
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+    try {
+      while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += value;
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        for (const line of lines) {
+          if (!line.startsWith('data:')) continue;
+          const data = line.slice(5).trim();
+          if (data === '[DONE]') return;
+          const delta = JSON.parse(data)?.choices?.[0]?.delta?.content;
+          if (delta) yield delta;
+        }
+      }
+    } finally {
+      reader.releaseLock();
+      release();
+    }
+  }
+
+  maxTokensFor(maxLength) {
+    return maxLength ? { max_tokens: Math.ceil(maxLength / CHARS_PER_TOKEN) } : {};
+  }
+
+  async prompt(text, options = {}) {
+    const content = await this.chat([{ role: 'user', content: text }], this.maxTokensFor(options.maxLength));
+    return this.truncate(content.trim(), options.maxLength);
+  }
+
+  async *promptStreaming(text, options = {}) {
+    yield* this.chatStreaming(
+      [{ role: 'user', content: text }],
+      this.maxTokensFor(options.maxLength),
+      options.signal
+    );
+  }
+
+  async promptStructured(text, schema, options = {}) {
+    const content = await this.chat(
+      [
+        { role: 'system', content: 'Respond only with JSON that matches the provided schema.' },
+        { role: 'user', content: text }
+      ],
+      {
+        // Not strict: our schemas leave properties optional and use
+        // keywords (minimum, maxLength) that strict mode rejects
+        response_format: {
+          type: 'json_schema',
+          json_schema: { name: 'response', schema, strict: false }
+        }
+      }
+    );
+    return this.stripCodeFences(content);
+  }
+
+  async summarize(text, options = {}) {
+    const { prompt, maxLength } = this.buildSummaryPrompt(text, options);
+    return this.prompt(prompt, { maxLength });
+  }
+
+  async *summarizeStreaming(text, options = {}) {
+    const { prompt, maxLength } = this.buildSummaryPrompt(text, options);
+    yield* this.promptStreaming(prompt, { maxLength, signal: options.signal });
+  }
+
+  buildSummaryPrompt(text, options = {}) {
+    const length = options.length || 'short';
+    const style = options.type === 'headline'
+      ? 'a single headline of at most 17 words'
+      : options.type === 'key-points'
+        ? 'a few concise key points, one per line starting with "- "'
+        : 'a concise summary paragraph';
+    const context = options.context ? `Context: ${options.context}\n\n` : '';
+
+    return {
+      prompt: `${context}Write ${style} (${length}) of the following text. Plain text only.\n\n${text}`,
+      maxLength: options.type === 'headline' ? 120 : (SUMMARY_LENGTH_CHARS[length] || SUMMARY_LENGTH_CHARS.short)
+    };
+  }
+
+  async healthCheck() {
+    const ready = await this.initialize();
+    return { healthy: ready, recovered: false };
+  }
+}
+
+// ==================== FACTORY ====================
+
+/**
+ * 🔧 Create a provider by id. Unknown ids fall back to Gemini Nano.
+ */
+function createModelProvider(providerId, config = {}) {
+  switch (providerId) {
+    case MODEL_PROVIDER_IDS.RULE_BASED:
+      return new RuleBasedProvider(config);
+    case MODEL_PROVIDER_IDS.OPENAI_COMPATIBLE:
+      return new OpenAICompatibleProvider(config);
+    case MODEL_PROVIDER_IDS.GEMINI_NANO:
+    default:
+      return new GeminiNanoProvider(config);
+  }
+}
+
+// Make available globally
+if (typeof self !== 'undefined') {
+  self.MODEL_PROVIDER_IDS = MODEL_PROVIDER_IDS;
+  self.createModelProvider = createModelProvider;
+  self.isLoopbackModelEndpoint = isLoopbackModelEndpoint;
+  self.DEFAULT_LOCAL_ENDPOINT = DEFAULT_LOCAL_ENDPOINT;
+  self.DEFAULT_LOCAL_MODEL = DEFAULT_LOCAL_MODEL;
+  self.ModelProvider = ModelProvider;
+  self.GeminiNanoProvider = GeminiNanoProvider;
+  self.RuleBasedProvider = RuleBasedProvider;
+  self.OpenAICompatibleProvider = OpenAICompatibleProvider;
+}
@@ -1,7 +1,17 @@
 // src/background/background.js - Profile-First Production Pipeline
 importScripts(
   '../lib/dexie.min.js',
-  '../storage/databaseService.js'
+  '../storage/topicTaxonomy.js',
+  '../storage/privacyRules.js',
+  '../storage/profileParameters.js',
+  '../storage/topicCorrections.js',
+  '../storage/profileRules.js',
+  '../storage/snapshotLibrary.js',
+  '../storage/snapshotExport.js',
+  '../storage/archiveIndex.js',
+  '../storage/factsEngine.js',
+  '../storage/databaseService.js',
+  '../ai/modelProviders.js'
 );
 
 // ==================== CONSTANTS & CONFIG ====================
@@ -15,7 +25,57 @@ const PRIORITY = {
   BACKGROUND: 4 // Long-term synthesis
 };
 
-// ... (your existing TASK_METHODS, MASTER_TOPIC_BUCKET, SCHEMAS)
+// Crash-safe queue: every orchestrator task is journaled in aiQueue under a
+// lease that the live worker renews. Stale leases are resumed or failed.
+const AI_QUEUE_LEASE_MS = 30000;
+const AI_QUEUE_HEARTBEAT_MS = 10000;
+const AI_QUEUE_MAX_ATTEMPTS = 2;
+
+// Streamed chunk summaries share the queue but run side by side, at most
+// AI_STREAM_CONCURRENCY at once; every other task still runs alone.
+const AI_STREAM_CONCURRENCY = 2;
+const CHUNK_STREAM_PORT = 'cw-chunk-stream';
+
+// Session lifecycle: a session ends after inactivity, a max duration or a
+// browser restart. Closing a session schedules its STP build via an alarm.
+const SESSION_DEFAULTS = {
+  IDLE_MINUTES: 30,
+  MAX_HOURS: 8
+};
+const SESSION_ALARMS = {
+  IDLE_TIMEOUT: 'session-idle-timeout',
+  MAX_DURATION: 'session-max-duration',
+  BUILD_STP_PREFIX: 'session-build-stp:'
+};
+const SESSION_ACTIVITY_WRITE_MS = 60000;
+
+// Tabs paused from the popup; chrome.storage.session keeps them across
+// worker restarts and forgets them when the browser closes.
+const PAUSED_TABS_STORAGE_KEY = 'privacy:pausedTabs';
+
+// Profiles assigned to windows from the popup (windowId -> profileId). Window
+// ids do not survive a browser restart, so neither do the assignments.
+const WINDOW_PROFILES_STORAGE_KEY = 'profiles:windows';
+
+// Rule-driven switches: a rule has to keep matching for the dwell time, and
+// a profile stays active at least the hold time after any switch, so tabbing
+// through pages of different profiles does not rotate the session each time.
+const PROFILE_RULE_DWELL_MS = 20 * 1000;
+const PROFILE_RULE_HOLD_MS = 5 * 60 * 1000;
+
+// First-run onboarding. Bookmarks/history sent for topic inference are
+// classified and counted, never stored.
+const ONBOARDING_PAGE = 'src/onboarding/onboarding.html';
+const ONBOARDING_MAX_BOOTSTRAP_ITEMS = 2000;
+
+// Overlay chat, one conversation per tab (chrome.storage.session key
+// PAGE_CHAT_STORAGE_PREFIX + tabId). Navigating to another page starts over.
+const PAGE_CHAT_STORAGE_PREFIX = 'pageChat:';
+const PAGE_CHAT_MAX_TURNS = 20;
+const PAGE_CHAT_PROMPT_TURNS = 4; // earlier turns the model sees
+const PAGE_CHAT_SOURCE_CHARS = 1200; // page text per excerpt in the prompt
+
+// ... (your existing TASK_METHODS, SCHEMAS)
 const TASK_METHODS = {
   'SEARCH_ENRICHMENT': 'processSearchEnrichment',
   'PAGE_ANALYSIS': 'processPageAnalysis',
@@ -24,112 +84,143 @@ const TASK_METHODS = {
   'HIGHLIGHT_EXTRACTION': 'processHighlightExtraction',
   'TOPIC_INFERENCE': 'processTopicInference',
   'PROFILE_SUMMARY_GENERATION': 'processProfileSummaryGeneration',
+  'ENTITY_EXTRACTION': 'processEntityExtraction',
 
   'SUMMARIZE_CHUNK_WITH_PROFILE': 'processProfileAwareChunkSummarization',
   'GENERATE_FINAL_INSIGHT': 'processFinalInsightGeneration',
-  'GENERATE_SUMMARY_OF_SUMMARIES': 'processSummaryOfSummaries'
+  'GENERATE_SUMMARY_OF_SUMMARIES': 'processSummaryOfSummaries',
+  'CHAT_WITH_PAGE': 'processPageChat',
+  'ASK_ARCHIVE': 'processArchiveQuestion'
 };
 
-const MASTER_TOPIC_BUCKET = {
-  TECHNOLOGY: "Technology",
-  FINANCE: "Finance", 
-  ECOMMERCE: "E-commerce",
-  HEALTH: "Health",
-  SCIENCE: "Science",
-  EDUCATION: "Education",
-  TRAVEL: "Travel",
-  ARTS: "Arts",
-  ENTERTAINMENT: "Entertainment",
-  SPORTS: "Sports",
-  NEWS: "News",
-  BUSINESS: "Business",
-  LIFESTYLE: "Lifestyle",
-  FOOD: "Food",
-  AUTOMOTIVE: "Automotive",
-  REAL_ESTATE: "Real Estate",
-  ENVIRONMENT: "Environment",
-  POLITICS: "Politics",
-  CAREER: "Career",
-  PARENTING: "Parenting",
-  GAMING: "Gaming",
-  FASHION: "Fashion",
-  UNKNOWN: "Unknown"
+// Topics come from the user-editable taxonomy (src/storage/topicTaxonomy.js);
+// the orchestrator regenerates these schemas whenever it changes.
+
+// Keyword seeds the rule-based provider uses to rank search intents when no
+// model is available. Topic seeds come from the taxonomy.
+const RULE_BASED_INTENT_KEYWORDS = {
+  "transactional": ["buy", "price", "cheap", "deal", "order", "discount", "coupon"],
+  "instructional": ["how to", "tutorial", "guide", "steps", "install", "fix"],
+  "navigational": ["login", "sign in", "official site", "homepage", "www"],
+  "informational": ["what is", "why", "who", "meaning", "definition", "history"]
 };
 
-const TOPIC_DOMAIN_ENUM = Object.values(MASTER_TOPIC_BUCKET);
+function buildTopicDomainsSchema(topicEnum, maxItems) {
+  return {
+    type: "array",
+    items: {
+      type: "object",
+      properties: {
+        topic: { type: "string", enum: topicEnum },
+        weight: { type: "number", minimum: 0.0, maximum: 1.0 }
+      },
+      required: ["topic", "weight"],
+      additionalProperties: false
+    },
+    minItems: 1,
+    maxItems
+  };
+}
 
 // Enhanced search analysis schema with weighted topics
-const SEARCH_ANALYSIS_SCHEMA = {
-  type: "object",
-  properties: {
-    intentType: {
-      type: "string",
-      enum: ["informational", "transactional", "instructional", "navigational"]
-    },
-    topicDomains: {
-      type: "array",
-      items: {
-        type: "object",
-        properties: {
-          topic: { type: "string", enum: TOPIC_DOMAIN_ENUM },
-          weight: { type: "number", minimum: 0.0, maximum: 1.0 }
-        },
-        required: ["topic", "weight"],
-        additionalProperties: false
+function buildSearchAnalysisSchema(topicEnum) {
+  return {
+    type: "object",
+    properties: {
+      intentType: {
+        type: "string",
+        enum: ["informational", "transactional", "instructional", "navigational"]
       },
-      minItems: 1,
-      maxItems: 2
+      topicDomains: buildTopicDomainsSchema(topicEnum, 2),
+      confidence: { 
+        type: "number", 
+        minimum: 0.0, 
+        maximum: 1.0 
+      },
+      specificity: { 
+        type: "number", 
+        minimum: 0.0, 
+        maximum: 1.0 
+      }
     },
-    confidence: { 
-      type: "number", 
-      minimum: 0.0, 
-      maximum: 1.0 
+    required: ["intentType", "topicDomains", "confidence", "specificity"],
+    additionalProperties: false
+  };
+}
+
+function buildTopicInferenceSchema(topicEnum) {
+  return {
+    type: "object",
+    properties: {
+      topicDomains: buildTopicDomainsSchema(topicEnum, 3)
     },
-    specificity: { 
-      type: "number", 
-      minimum: 0.0, 
-      maximum: 1.0 
-    }
-  },
-  required: ["intentType", "topicDomains", "confidence", "specificity"],
-  additionalProperties: false
-};
+    required: ["topicDomains"],
+    additionalProperties: false
+  };
+}
 
-const TOPIC_INFERENCE_SCHEMA = {
+function buildPageAnalysisSchema(topicEnum) {
+  return {
+    type: "object",
+    properties: {
+      relevanceScore: { type: "number", minimum: 0.0, maximum: 1.0 },
+      keyTopics: { 
+        type: "array", 
+        items: { type: "string", enum: topicEnum },
+        minItems: 1,
+        maxItems: 3
+      },
+      contentType: { 
+        type: "string", 
+        enum: ["educational", "news", "technical", "commercial", "general"] 
+      },
+      confidence: { type: "number", minimum: 0.0, maximum: 1.0 }
+    },
+    required: ["relevanceScore", "keyTopics", "contentType", "confidence"],
+    additionalProperties: false
+  };
+}
+
+
+// Knowledge graph entity extraction
+const ENTITY_TYPES = ["person", "organization", "concept", "product"];
+
+const ENTITY_EXTRACTION_SCHEMA = {
   type: "object",
   properties: {
-    topicDomains: {
+    entities: {
       type: "array",
       items: {
         type: "object",
         properties: {
-          topic: { type: "string", enum: TOPIC_DOMAIN_ENUM },
-          weight: { type: "number", minimum: 0.0, maximum: 1.0 }
+          name: { type: "string", maxLength: 60 },
+          type: { type: "string", enum: ENTITY_TYPES },
+          salience: { type: "number", minimum: 0.0, maximum: 1.0 }
         },
-        required: ["topic", "weight"],
+        required: ["name", "type", "salience"],
         additionalProperties: false
       },
-      minItems: 1,
-      maxItems: 3
+      minItems: 0,
+      maxItems: 8
     }
   },
-  required: ["topicDomains"],
+  required: ["entities"],
   additionalProperties: false
 };
 
-const PAGE_ANALYSIS_SCHEMA = {
+// Overlay chat and archive answers; citations are source numbers from the prompt
+const CITED_ANSWER_SCHEMA = {
   type: "object",
   properties: {
-    relevanceScore: { type: "number" },
-    keyTopics: { 
-      type: "array", 
-      items: { type: "string", enum: TOPIC_DOMAIN_ENUM },
-      minItems: 1,
+    answer: { type: "string", maxLength: 800 },
+    citations: {
+      type: "array",
+      items: { type: "integer", minimum: 1 },
+      minItems: 0,
       maxItems: 3
-    },
-    contentType: { type: "string" }
+    }
   },
-  required: ["relevanceScore", "keyTopics", "contentType"],
+  required: ["answer", "citations"],
   additionalProperties: false
 };
 
@@ -143,24 +234,26 @@ class AIOrchestrator {
   // ...
   constructor(dbService) {
     this.dbService = dbService;
-    this.languageModel = null;
-    this.summarizer = null;
-    this.summarizerAvailable = false;
+    this.model = null;           // Active ModelProvider (see src/ai/modelProviders.js)
+    this.modelProviderId = null;
     this.profileSummary = null;
     this.logLevel = 'info';
 
     // CONCURRENCY STATE
     this.taskQueue = [];
     this.isProcessing = false;
+    this.activeStreams = 0;
     this.lastHeartbeat = new Date().toISOString();
     this.currentPriority = 'idle';
 
-    // Store master topic bucket references
-    this.MASTER_TOPIC_BUCKET = MASTER_TOPIC_BUCKET;
-    this.TOPIC_DOMAIN_ENUM = TOPIC_DOMAIN_ENUM;
-    this.SEARCH_ANALYSIS_SCHEMA = SEARCH_ANALYSIS_SCHEMA;
-    this.TOPIC_INFERENCE_SCHEMA = TOPIC_INFERENCE_SCHEMA;
-    this.PAGE_ANALYSIS_SCHEMA = PAGE_ANALYSIS_SCHEMA;
+    // PERSISTENT QUEUE STATE
+    this.workerId = `worker-${Date.now()}-${Math.random().toString(36).slice(2, 9)}`;
+    this.leaseHeartbeatInterval = null;
+
+    // TOPIC TAXONOMY STATE (defaults until the stored taxonomy loads)
+    this.topicIndex = null;
+    this.TOPIC_DOMAIN_ENUM = [];
+    this.applyTopicTaxonomy(flattenTopicTaxonomy(DEFAULT_TOPIC_TAXONOMY));
 
     this.init();
   }
@@ -178,114 +271,151 @@ class AIOrchestrator {
 
   async init() {
     this.log('🔮 AI Orchestrator initialization started in Service Worker', 'info');
-    await this.initializeNano();
+    await this.loadTopicTaxonomy();
+    await this.initializeModelProvider();
     await this.loadUserProfileSummary();
+    // Only one service worker is ever alive, so anything leased by another
+    // worker id was orphaned when the previous instance was suspended.
+    await this.recoverJournaledTasks({ reclaimForeign: true });
+    this.startLeaseHeartbeat();
     this.log('🔮 AI Orchestrator initialized in Service Worker', 'info');
   }
 
-  // ==================== UPDATED NANO INITIALIZATION ====================
-async initializeNano() {
-  this.log('Initializing Gemini Nano APIs in Service Worker...', 'info');
-
-  // 1. Initialize LanguageModel (Prompt API)
-  if ('LanguageModel' in self) {
+  // ==================== TOPIC TAXONOMY ====================
+  /**
+   * 🗂️ Load the stored taxonomy and regenerate the topic enum and schemas.
+   */
+  async loadTopicTaxonomy() {
     try {
-      const availability = await LanguageModel.availability();
-      this.log(`LanguageModel availability: ${availability}`, 'debug');
-      
-      if (availability === 'unavailable') {
-        this.log('Language Model unavailable on this device', 'warn');
-      } else {
-        this.languageModel = await LanguageModel.create({
-          expectedInputs: [
-            { type: "text", languages: ["en"] }
-          ],
-          expectedOutputs: [
-            { type: "text", languages: ["en"] }
-          ]
-        });
-        
-        if (this.languageModel) {
-          this.log('✅ Language Model session created in Service Worker', 'info');
-        }
+      const rows = this.dbService ? await this.dbService.getTopicTaxonomy() : [];
+      if (rows.length > 0) {
+        this.applyTopicTaxonomy(rows);
       }
-    } catch (e) {
-      this.log(`❌ Failed to initialize Language Model: ${e.message}`, 'error');
+      this.model?.setEnumKeywords?.(this.getEnumKeywords());
+      this.log(`Topic taxonomy loaded (${this.topicIndex.rows.length} topics)`, 'info');
+    } catch (error) {
+      this.log('Failed to load topic taxonomy, keeping current one', 'warn', { error: error.message });
     }
-  } else {
-    this.log('LanguageModel API not available in Service Worker', 'warn');
   }
 
-  // 2. Initialize Summarizer API - FIXED VERSION
-  if ('Summarizer' in self) {
+  applyTopicTaxonomy(rows) {
+    this.topicIndex = createTopicIndex(rows);
+    this.TOPIC_DOMAIN_ENUM = buildTopicEnum(this.topicIndex);
+    this.SEARCH_ANALYSIS_SCHEMA = buildSearchAnalysisSchema(this.TOPIC_DOMAIN_ENUM);
+    this.TOPIC_INFERENCE_SCHEMA = buildTopicInferenceSchema(this.TOPIC_DOMAIN_ENUM);
+    this.PAGE_ANALYSIS_SCHEMA = buildPageAnalysisSchema(this.TOPIC_DOMAIN_ENUM);
+  }
+
+  getEnumKeywords() {
+    return { ...buildTopicKeywordMap(this.topicIndex), ...RULE_BASED_INTENT_KEYWORDS };
+  }
+
+  /**
+   * Topic list for prompts, with subtopics nested under their parent:
+   * "Technology (Programming Languages, Cloud & DevOps), Finance, ..."
+   */
+  getTopicPromptList() {
+    const describe = (row) => {
+      const children = this.topicIndex.childrenOf.get(row.topicId);
+      return children.length > 0
+        ? `${row.name} (${children.map(describe).join(', ')})`
+        : row.name;
+    };
+    return [...this.topicIndex.roots.map(describe), UNKNOWN_TOPIC].join(', ');
+  }
+
+  /**
+   * ✏️ The user's reclassifications (see topicCorrections.js) as few-shot
+   * prompt lines, or '' when there are none or examples are turned off.
+   * @param {'url'|'search'} targetType
+   */
+  async getCorrectionExamplesPrompt(targetType) {
     try {
-      const availability = await Summarizer.availability();
-      this.log(`Summarizer availability: ${availability}`, 'debug');
-      
-      if (availability === 'unavailable') {
-        this.log('Summarizer API unavailable on this device', 'warn');
-        this.summarizerAvailable = false;
+      const examples = this.dbService ? await this.dbService.getCorrectionExamples(targetType) : [];
+      if (examples.length === 0) return '';
+      return `The user corrected these earlier ${targetType === 'url' ? 'pages' : 'searches'}. Classify similar ones the same way:\n` +
+        examples.map(line => `- ${line}`).join('\n');
+    } catch (error) {
+      this.log('Failed to load correction examples', 'warn', { error: error.message });
+      return '';
+    }
+  }
+
+  /**
+   * Keyword fallback over the taxonomy. Returns { topicName: hits } for
+   * topics whose name, aliases or keywords appear in the text.
+   */
+  scoreTopicsByKeywords(text) {
+    const lower = (text || '').toLowerCase();
+    const scores = {};
+    Object.entries(buildTopicKeywordMap(this.topicIndex)).forEach(([topic, keywords]) => {
+      const hits = [topic, ...keywords].filter(keyword => keyword && lower.includes(keyword.toLowerCase())).length;
+      if (hits > 0) scores[topic] = hits;
+    });
+    return scores;
+  }
+
+  // ==================== MODEL PROVIDER INITIALIZATION ====================
+  /**
+   * 🔧 Build the provider selected in settings (Gemini Nano by default).
+   * Providers live in src/ai/modelProviders.js.
+   */
+  async initializeModelProvider() {
+    const settings = await this.getModelProviderSettings();
+    this.log(`Initializing model provider: ${settings.provider}`, 'info');
+
+    if (this.model) {
+      await this.model.destroy().catch(() => {});
+      this.model = null;
+    }
+
+    const provider = createModelProvider(settings.provider, {
+      endpoint: settings.endpoint,
+      model: settings.model,
+      enumKeywords: this.getEnumKeywords()
+    });
+
+    try {
+      const ready = await provider.initialize();
+      if (ready) {
+        this.model = provider;
+        this.log(`✅ ${provider.displayName} ready`, 'info', provider.capabilities);
       } else {
-        // For service worker context, try to create summarizer directly
-        // Don't check userActivation in service worker
-        try {
-          this.summarizer = await Summarizer.create({
-            type: 'key-points',
-            format: 'plain-text',
-            length: 'short',
-            expectedInputLanguages: ['en'],
-            outputLanguage: 'en'
-          });
-          this.summarizerAvailable = true;
-          this.log('✅ Summarizer API initialized in Service Worker', 'info');
-        } catch (createError) {
-          // If creation fails due to user activation, mark as unavailable
-          if (createError.message.includes('user activation') || 
-              createError.message.includes('activation')) {
-            this.log('Summarizer requires user activation - will use LanguageModel fallback', 'warn');
-            this.summarizerAvailable = false;
-          } else {
-            throw createError;
-          }
-        }
+        this.log(`${provider.displayName} unavailable, AI tasks will be rejected`, 'warn');
       }
     } catch (e) {
-      this.log(`Summarizer API initialization failed: ${e.message}`, 'error');
-      this.summarizerAvailable = false;
+      this.log(`❌ Failed to initialize ${provider.displayName}: ${e.message}`, 'error');
     }
-  } else {
-    this.log('Summarizer API not available in Service Worker', 'warn');
-    this.summarizerAvailable = false;
+
+    this.modelProviderId = provider.id;
+    return !!this.model;
+  }
+
+  async getModelProviderSettings() {
+    const read = async (key, fallback) => {
+      const value = this.dbService ? await this.dbService.getSystemState(key) : null;
+      return value === null || value === undefined ? fallback : value;
+    };
+
+    return {
+      provider: await read('settings:modelProvider', MODEL_PROVIDER_IDS.GEMINI_NANO),
+      endpoint: await read('settings:localModelEndpoint', null),
+      model: await read('settings:localModelName', null)
+    };
   }
-}
 
   async checkAndRecoverSession() {
     try {
-      if (!this.languageModel) {
-        await this.initializeNano();
-        return { healthy: !!this.languageModel, recovered: true };
+      if (!this.model) {
+        await this.initializeModelProvider();
+        return { healthy: !!this.model, recovered: true };
       }
 
-      const testResponse = await this.languageModel.prompt("Say 'OK'", {
-        responseConstraint: { type: "string" },
-        omitResponseConstraintInput: true
-      }).catch(() => null);
-
-      if (!testResponse || testResponse.includes('OK') === false) {
-        this.log('Session unhealthy, attempting recovery...', 'warn');
-        if (this.languageModel.destroy) {
-          await this.languageModel.destroy().catch(() => {});
-        }
-        await this.initializeNano();
-        return { healthy: !!this.languageModel, recovered: true };
+      const health = await this.model.healthCheck();
+      if (!health.healthy) {
+        this.log('Model provider unhealthy', 'warn', { provider: this.modelProviderId });
       }
-
-      return { 
-        healthy: true, 
-        recovered: false,
-        inputQuota: this.languageModel.inputQuota,
-        inputUsage: this.languageModel.inputUsage
-      };
+      return health;
     } catch (error) {
       this.log('Session recovery failed', 'error', { error: error.message });
       return { healthy: false, recovered: false, error: error.message };
@@ -294,36 +424,18 @@ async initializeNano() {
 
   // ==================== TASK SCHEDULING SYSTEM ====================
   async scheduleAITask(taskData) {
-    if (!this.languageModel) {
+    if (!this.model) {
       this.log('Language Model not available, task rejected', 'error');
       return { success: false, error: 'Language Model not available' };
     }
 
     try {
-      const methodName = TASK_METHODS[taskData.type];
-      if (!methodName || !this[methodName]) {
+      const taskFunction = this.createTaskFunction(taskData);
+      if (!taskFunction) {
         this.log(`Unknown task type or method: ${taskData.type}`, 'error');
         return { success: false, error: `Unknown task type: ${taskData.type}` };
       }
 
-      const taskFunction = async () => {
-        try {
-          this.log(`Executing AI task: ${taskData.type}`, 'debug', { taskId: taskData.id });
-          const payload = {
-            ...taskData.data,
-            taskId: taskData.id
-          }
-          const result = await this[methodName](taskData.data || taskData);
-          return { success: true, result };
-        } catch (error) {
-          this.log(`Task execution failed: ${taskData.type}`, 'error', { 
-            taskId: taskData.id, 
-            error: error.message 
-          });
-          return { success: false, error: error.message };
-        }
-      };
-
       const priority = taskData.priority || PRIORITY.MEDIUM;
       return await this.addToQueue(taskFunction, priority, taskData);
 
@@ -335,23 +447,51 @@ async initializeNano() {
     }
   }
 
+  /**
+   * 🔧 Build the executable closure for a task. Kept separate from
+   * scheduleAITask so journaled tasks can be rebuilt after a restart.
+   */
+  createTaskFunction(taskData) {
+    const methodName = TASK_METHODS[taskData.type];
+    if (!methodName || !this[methodName]) {
+      return null;
+    }
+
+    return async () => {
+      try {
+        this.log(`Executing AI task: ${taskData.type}`, 'debug', { taskId: taskData.id });
+        const result = await this[methodName](taskData.data || taskData);
+        return { success: true, result };
+      } catch (error) {
+        this.log(`Task execution failed: ${taskData.type}`, 'error', { 
+          taskId: taskData.id, 
+          error: error.message 
+        });
+        return { success: false, error: error.message };
+      }
+    };
+  }
+
 async addToQueue(taskFunction, priority, taskData) {
+  const journalId = await this.journalTask(taskData, priority);
+
   return new Promise((resolve) => {
-    const task = {
+    this.enqueueTask({
       priority: priority,
-      execute: async () => {
-        const result = await taskFunction();
-        // Remove resolve call from here - we'll handle it in processQueue
-        return result;
-      },
+      execute: taskFunction,
       id: taskData.id || crypto.randomUUID(),
       type: taskData.type || 'unknown',
       timestamp: Date.now(),
       tabId: taskData.tabId,
       callback: taskData.callback,
+      journalId: journalId,
+      recovered: false,
       resolve: resolve // ✅ Store the resolve function
-    };
+    });
+  });
+}
 
+  enqueueTask(task) {
     this.taskQueue.push(task);
     this.taskQueue.sort((a, b) => {
       if (a.priority !== b.priority) {
@@ -363,13 +503,230 @@ async addToQueue(taskFunction, priority, taskData) {
     this.log(`Task added to queue`, 'debug', { 
       taskId: task.id, 
       type: task.type, 
-      priority,
+      priority: task.priority,
+      journalId: task.journalId,
       queueSize: this.taskQueue.length 
     });
     
     this.processQueue();
-  });
-}
+  }
+
+  // ==================== STREAMING TASKS ====================
+
+  /**
+   * 🌊 Queue a streamed chunk summary. Streams are not journaled: their port
+   * dies with the worker, and ContentHub re-requests unfinished chunks.
+   * Aborting `signal` drops the task if it has not started yet; `onStart`
+   * fires when it leaves the queue.
+   */
+  scheduleStreamingTask(taskData, { signal, onDelta, onStart }) {
+    return new Promise((resolve) => {
+      const task = {
+        priority: taskData.priority || PRIORITY.HIGH,
+        execute: async () => {
+          try {
+            onStart?.();
+            const result = await this.processStreamingChunkSummarization(taskData.data, { signal, onDelta });
+            return { success: true, result };
+          } catch (error) {
+            return { success: false, error: error.message };
+          }
+        },
+        id: taskData.id || crypto.randomUUID(),
+        type: 'STREAM_CHUNK_SUMMARY',
+        timestamp: Date.now(),
+        tabId: taskData.tabId,
+        streaming: true,
+        journalId: null,
+        recovered: false,
+        resolve: resolve
+      };
+
+      signal?.addEventListener('abort', () => {
+        const queuedIndex = this.taskQueue.indexOf(task);
+        if (queuedIndex === -1) return;
+        this.taskQueue.splice(queuedIndex, 1);
+        resolve({ success: false, data: null, error: 'Cancelled', taskId: task.id, taskType: task.type });
+      }, { once: true });
+
+      this.enqueueTask(task);
+    });
+  }
+
+  async runStreamingTask(task) {
+    this.activeStreams++;
+    this.currentPriority = `P${task.priority}-${task.type}`;
+    this.lastHeartbeat = new Date().toISOString();
+
+    const result = await task.execute();
+    task.resolve({
+      success: result.success === true,
+      data: result.result ?? null,
+      error: result.error || null,
+      taskId: task.id,
+      taskType: task.type
+    });
+
+    this.activeStreams--;
+    this.currentPriority = this.taskQueue.length > 0 ? `waiting-${this.taskQueue[0].type}` : 'idle';
+    this.lastHeartbeat = new Date().toISOString();
+    this.processQueue();
+  }
+
+  // ==================== PERSISTENT QUEUE (aiQueue JOURNAL) ====================
+
+  /**
+   * 🔧 Journal a task in aiQueue under this worker's lease. Scheduler tasks
+   * already have a row (queueTaskId), so we lease that instead of adding one.
+   */
+  async journalTask(taskData, priority) {
+    if (!this.dbService) return null;
+
+    try {
+      const queueTaskId = taskData.data?.queueTaskId;
+      if (queueTaskId != null) {
+        const leased = await this.dbService.acquireAITaskLease(queueTaskId, this.workerId, AI_QUEUE_LEASE_MS);
+        if (leased) return queueTaskId;
+      }
+
+      return await this.dbService.addToAIQueue({
+        type: taskData.type,
+        priority: priority,
+        data: taskData.data ?? null,
+        taskId: taskData.id || null,
+        tabId: taskData.tabId ?? null,
+        origin: 'orchestrator',
+        status: 'queued',
+        leaseOwner: this.workerId,
+        leaseMs: AI_QUEUE_LEASE_MS
+      });
+    } catch (error) {
+      this.log('Failed to journal task, keeping it in memory only', 'warn', {
+        type: taskData.type,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * 🔧 Settle the journal row and, for recovered tasks whose original
+   * sendResponse died with the old worker, push the result to the tab.
+   */
+  async settleJournaledTask(task, responseData) {
+    if (task.journalId != null && this.dbService) {
+      await this.dbService.settleAITask(task.journalId, responseData, { maxAttempts: AI_QUEUE_MAX_ATTEMPTS });
+    }
+    if (task.recovered) {
+      await this.notifyTaskResult(task.tabId, responseData);
+    }
+  }
+
+  async notifyTaskResult(tabId, responseData) {
+    if (tabId == null) return;
+
+    try {
+      // Same envelope handleMessage would have sent back to the tab
+      await chrome.tabs.sendMessage(tabId, {
+        type: 'AI_TASK_RESULT',
+        taskId: responseData.taskId,
+        response: { success: true, data: responseData }
+      });
+    } catch (error) {
+      // Tab closed or navigated away; nothing is waiting for the result
+      this.log('Could not deliver recovered task result', 'warn', {
+        tabId,
+        taskId: responseData.taskId,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * 🔧 Reclaim journaled tasks left behind by a dead worker. Tasks that never
+   * started are resumed; tasks that were running are retried until they hit
+   * AI_QUEUE_MAX_ATTEMPTS and then failed. Either way the tab hears back.
+   */
+  async recoverJournaledTasks({ reclaimForeign = false } = {}) {
+    if (!this.dbService) return 0;
+
+    const rows = await this.dbService.reclaimStaleAITasks(this.workerId, {
+      leaseMs: AI_QUEUE_LEASE_MS,
+      maxAttempts: AI_QUEUE_MAX_ATTEMPTS,
+      reclaimForeign
+    });
+
+    for (const row of rows) {
+      const taskData = {
+        type: row.type,
+        id: row.taskId || `recovered-${row.id}`,
+        data: row.data,
+        priority: row.priority,
+        tabId: row.tabId
+      };
+
+      let failure = null;
+      if (row.previousStatus === 'running' && (row.attempts || 0) >= AI_QUEUE_MAX_ATTEMPTS) {
+        failure = `Task interrupted ${row.attempts} times, giving up`;
+      } else if (!this.model) {
+        failure = 'Language Model not available';
+      }
+
+      const taskFunction = failure ? null : this.createTaskFunction(taskData);
+      if (!failure && !taskFunction) {
+        failure = `Unknown task type: ${row.type}`;
+      }
+
+      if (failure) {
+        await this.dbService.failAITask(row.id, failure);
+        await this.notifyTaskResult(row.tabId, {
+          success: false,
+          data: null,
+          error: failure,
+          taskId: taskData.id,
+          taskType: row.type
+        });
+        continue;
+      }
+
+      this.log('Resuming journaled task', 'info', {
+        journalId: row.id,
+        type: row.type,
+        previousStatus: row.previousStatus,
+        attempts: row.attempts || 0
+      });
+
+      this.enqueueTask({
+        priority: row.priority || PRIORITY.MEDIUM,
+        execute: taskFunction,
+        id: taskData.id,
+        type: row.type,
+        timestamp: new Date(row.createdAt).getTime() || Date.now(),
+        tabId: row.tabId,
+        callback: row.tabId != null,
+        journalId: row.id,
+        recovered: true,
+        resolve: null
+      });
+    }
+
+    return rows.length;
+  }
+
+  startLeaseHeartbeat() {
+    if (this.leaseHeartbeatInterval) {
+      clearInterval(this.leaseHeartbeatInterval);
+    }
+
+    this.leaseHeartbeatInterval = setInterval(async () => {
+      try {
+        await this.dbService.renewAITaskLeases(this.workerId, AI_QUEUE_LEASE_MS);
+        await this.recoverJournaledTasks();
+      } catch (error) {
+        this.log('Lease heartbeat failed', 'warn', { error: error.message });
+      }
+    }, AI_QUEUE_HEARTBEAT_MS);
+  }
 async processQueue() {
   const health = await this.checkSessionHealth(); 
   if (!health.healthy) {
@@ -382,6 +739,16 @@ async processQueue() {
     return;
   }
 
+  if (this.taskQueue[0].streaming) {
+    if (this.activeStreams >= AI_STREAM_CONCURRENCY) return;
+    this.runStreamingTask(this.taskQueue.shift());
+    this.processQueue();
+    return;
+  }
+
+  // Exclusive tasks wait for running streams to drain
+  if (this.activeStreams > 0) return;
+
   this.isProcessing = true;
   const task = this.taskQueue.shift();
   
@@ -393,6 +760,10 @@ async processQueue() {
     type: task.type, 
     priority: task.priority 
   });
+
+  if (task.journalId != null && this.dbService) {
+    await this.dbService.markAITaskRunning(task.journalId, this.workerId, AI_QUEUE_LEASE_MS);
+  }
   
   let responseData;
   try {
@@ -449,6 +820,8 @@ async processQueue() {
     task.resolve(responseData);
   }
 
+  await this.settleJournaledTask(task, responseData);
+
   this.isProcessing = false;
   this.currentPriority = this.taskQueue.length > 0 ? `waiting-${this.taskQueue[0].type}` : 'idle';
   this.lastHeartbeat = new Date().toISOString();
@@ -491,7 +864,7 @@ async processQueue() {
       let title = '';
 
       // Try native Summarizer API first with profile context
-      if (this.summarizerAvailable && this.summarizer) {
+      if (this.model?.capabilities.summarize) {
         this.log('Using Summarizer API with profile context', 'info');
         
         try {
@@ -503,7 +876,7 @@ async processQueue() {
           );
           
           // Generate summary using Summarizer API
-          summary = await this.summarizer.summarize(text, {
+          summary = await this.model.summarize(text, {
             context: profileContext,
             ...this.getSummarizerConfig(profileFocusStyle)
           });
@@ -584,6 +957,91 @@ async processQueue() {
   }
   
 
+  /**
+   * 🌊 STREAMED PROFILE-AWARE CHUNK SUMMARIZATION
+   * Same prompts as processProfileAwareChunkSummarization, but summary text
+   * is handed to `onDelta` as the model produces it. The cleaned summary and
+   * title are returned once the stream ends.
+   */
+  async processStreamingChunkSummarization(taskData, { signal, onDelta }) {
+    const {
+      text,
+      chunkId,
+      profileSummary = '',
+      profileTopics,
+      profileConfidence,
+      profileFocusStyle
+    } = taskData || {};
+
+    if (!text || typeof text !== 'string') {
+      throw new Error('Invalid text for chunk summarization');
+    }
+    if (!this.model) {
+      throw new Error('Language Model not available');
+    }
+
+    this.log('🌊 Streaming profile-aware chunk summarization', 'info', { chunkId });
+
+    let summary = '';
+    let title = '';
+    const emit = (delta) => {
+      signal?.throwIfAborted();
+      summary += delta;
+      onDelta(delta);
+    };
+
+    let streamed = false;
+    if (this.model.capabilities.summarize) {
+      try {
+        const profileContext = this.buildProfileContext(
+          profileSummary,
+          profileTopics,
+          profileConfidence,
+          profileFocusStyle
+        );
+        for await (const delta of this.model.summarizeStreaming(text, {
+          context: profileContext,
+          ...this.getSummarizerConfig(profileFocusStyle),
+          signal
+        })) {
+          emit(delta);
+        }
+        title = await this.generateChunkTitleWithSummarizer(text);
+        streamed = true;
+      } catch (summarizerError) {
+        // Text already on the card cannot be taken back, so only retry clean starts
+        if (signal?.aborted || summary) throw summarizerError;
+        this.log('Streaming Summarizer failed, falling back to LanguageModel', 'warn', {
+          error: summarizerError.message
+        });
+      }
+    }
+
+    if (!streamed) {
+      const prompt = this.buildProfileAwareSummaryPrompt(text, profileSummary, profileTopics, profileFocusStyle);
+      for await (const delta of this.model.promptStreaming(prompt, { maxLength: 400, signal })) {
+        emit(delta);
+      }
+      const sentences = summary.split(/[.!?]+/).filter(s => s.trim().length > 0);
+      title = this.generateChunkTitle(sentences[0] || summary.substring(0, 60), profileTopics);
+    }
+
+    summary = this.cleanSummarizerOutput(summary, { format: 'plain-text', length: 'short' });
+    title = this.cleanTitle(title);
+
+    this.log('✅ Streamed chunk summarization completed', 'info', {
+      chunkId,
+      summaryLength: summary.length
+    });
+
+    return {
+      summary: summary,
+      title: title,
+      chunkId: chunkId,
+      profileAware: true
+    };
+  }
+
   /**
    * 🆕 GENERATE SUMMARY OF SUMMARIES
    */
@@ -612,7 +1070,7 @@ async processQueue() {
 
       let comprehensiveSummary = '';
 
-      if (this.summarizerAvailable && this.summarizer) {
+      if (this.model?.capabilities.summarize) {
         this.log('Using Summarizer API for summary of summaries', 'info');
         
         try {
@@ -623,7 +1081,7 @@ async processQueue() {
           );
 
           // Use longer format for comprehensive summary
-          comprehensiveSummary = await this.summarizer.summarize(combinedSummaries, {
+          comprehensiveSummary = await this.model.summarize(combinedSummaries, {
             context: profileContext,
             type: 'key-points',
             format: 'plain-text',
@@ -721,14 +1179,15 @@ getSummarizerConfig(focusStyle) {
   /**
    * 🔧 Build profile context string for AI
    */
-  buildProfileContext(profileSummary, profileTopics, profileConfidence, profileFocusStyle) {
-    let context = `User Profile: ${profileSummary.substring(0, 600)}`;
+  buildProfileContext(profileSummary, profileTopics, profileConfidence, profileFocusStyle,
+    task = "Summarize the following content with a focus on the user's interests. Highlight relevant aspects, but retain key context for completeness.") {
+    let context = `User Profile: ${(profileSummary || '').substring(0, 600)}`;
     
     
     
     
     
-    context += `\n\nTask: Summarize the following content with a focus on the user's interests. Highlight relevant aspects, but retain key context for completeness.`;
+    context += `\n\nTask: ${task}`;
     
     return context;
   }
@@ -767,13 +1226,9 @@ getSummarizerConfig(focusStyle) {
   }
 
   /**
-   * 🚀 Fallback profile-aware summarization using LanguageModel
+   * 🔧 Prompt for profile-aware chunk summaries when no Summarizer is available
    */
-  async fallbackProfileAwareSummarization(text, profileSummary, profileTopics, profileFocusStyle) {
-    if (!this.languageModel) {
-      throw new Error('LanguageModel unavailable for fallback');
-    }
-
+  buildProfileAwareSummaryPrompt(text, profileSummary, profileTopics, profileFocusStyle) {
     const focusGuidance = this.getFocusStyleGuidance(profileFocusStyle);
     const topicsString = profileTopics && profileTopics.length > 0 
       ? profileTopics.join(', ') 
@@ -799,11 +1254,21 @@ CRITICAL INSTRUCTIONS:
 Return ONLY the summary text, no labels or explanations.
 `;
 
+    return prompt;
+  }
+
+  /**
+   * 🚀 Fallback profile-aware summarization using LanguageModel
+   */
+  async fallbackProfileAwareSummarization(text, profileSummary, profileTopics, profileFocusStyle) {
+    if (!this.model) {
+      throw new Error('LanguageModel unavailable for fallback');
+    }
+
+    const prompt = this.buildProfileAwareSummaryPrompt(text, profileSummary, profileTopics, profileFocusStyle);
+
     try {
-      const summary = await this.languageModel.prompt(prompt, {
-        responseConstraint: { type: "string", maxLength: 400 },
-        omitResponseConstraintInput: true
-      });
+      const summary = await this.model.prompt(prompt, { maxLength: 400 });
 
       const cleaned = this.cleanSummarizerOutput(summary, { format: 'plain-text' });
       
@@ -900,7 +1365,7 @@ async processFinalInsightGeneration(taskData) {
         throw new Error('comprehensiveSummary is required but was not provided');
       }
 
-      if (!this.languageModel) {
+      if (!this.model) {
         throw new Error('LanguageModel not available for final insight');
       }
 
@@ -913,30 +1378,27 @@ async processFinalInsightGeneration(taskData) {
         chunkScores
       );
 
-      const response = await this.languageModel.prompt(prompt, {
-        responseConstraint: {
-          type: "object",
-          properties: {
-            headline: { type: "string", maxLength: 120 },
-            subheading: { type: "string", maxLength: 120 },
-            bullets: { 
-              type: "array", 
-              items: { type: "string", maxLength: 250 },
-              minItems: 3,
-              maxItems: 3
-            },
-            cta: { type: "string", maxLength: 120 },
-            bulletSources: {
-              type: "array",
-              items: { type: "number" },
-              minItems: 3,
-              maxItems: 3
-            }
+      const response = await this.model.promptStructured(prompt, {
+        type: "object",
+        properties: {
+          headline: { type: "string", maxLength: 120 },
+          subheading: { type: "string", maxLength: 120 },
+          bullets: { 
+            type: "array", 
+            items: { type: "string", maxLength: 250 },
+            minItems: 3,
+            maxItems: 3
           },
-          required: ["headline", "subheading", "bullets", "cta"],
-          additionalProperties: false
+          cta: { type: "string", maxLength: 120 },
+          bulletSources: {
+            type: "array",
+            items: { type: "number" },
+            minItems: 3,
+            maxItems: 3
+          }
         },
-        omitResponseConstraintInput: true
+        required: ["headline", "subheading", "bullets", "cta"],
+        additionalProperties: false
       });
 
       // 🌟 LOG RAW RESPONSE
@@ -1154,6 +1616,264 @@ Return ONLY valid JSON, no explanations.
     };
   }
 
+  // ==================== 💬 PAGE CHAT ====================
+
+  /**
+   * 💬 Answer a follow-up question about the page in the overlay, grounded
+   * in the chunks the pipeline extracted. The tab's earlier turns give the
+   * model context; the new turn is stored with them.
+   * @param {{ question, url, tabId, chunks: Array<{ chunkId, title, summary, source }>, profileSummary, profileTopics, profileConfidence, profileFocusStyle }} taskData
+   */
+  async processPageChat(taskData) {
+    const { question, url, tabId, chunks = [] } = taskData;
+    if (!question || typeof question !== 'string') {
+      throw new Error('A question is required');
+    }
+
+    const chat = await this.backgroundService.getPageChat(tabId, url);
+    let reply = null;
+
+    // The rule-based provider would only echo the prompt back
+    if (this.model && this.modelProviderId !== MODEL_PROVIDER_IDS.RULE_BASED && chunks.length > 0) {
+      try {
+        const prompt = this.buildPageChatPrompt(question, chunks, chat.turns, taskData);
+        const response = await this.model.promptStructured(prompt, CITED_ANSWER_SCHEMA);
+        reply = this.validatePageChatReply(JSON.parse(this.model.stripCodeFences(response)), question, chunks);
+      } catch (error) {
+        this.log('Page chat failed, answering from the page text', 'warn', { error: error.message });
+      }
+    }
+    if (!reply) reply = this.localPageChatAnswer(question, chunks);
+
+    const turn = await this.backgroundService.appendPageChat(tabId, url, {
+      question: question.trim().substring(0, 500),
+      ...reply,
+      timestamp: new Date().toISOString()
+    });
+
+    this.log('💬 Page chat answered', 'info', { method: turn.method, citations: turn.citations.length });
+    return {
+      type: 'CHAT_WITH_PAGE',
+      success: true,
+      data: turn
+    };
+  }
+
+  buildPageChatPrompt(question, chunks, turns, { profileSummary, profileTopics, profileConfidence, profileFocusStyle }) {
+    const profileContext = this.buildProfileContext(
+      profileSummary,
+      profileTopics,
+      profileConfidence,
+      profileFocusStyle,
+      "Answer the user's questions about the page they are reading. Where it fits, relate the answer to the user's interests."
+    );
+    const excerpts = chunks.map((chunk, index) => `[${index + 1}] ${chunk.title || 'Untitled'}
+Summary: ${chunk.summary || ''}
+Page text: ${(chunk.source || '').substring(0, PAGE_CHAT_SOURCE_CHARS)}`).join('\n\n');
+    const history = turns.slice(-PAGE_CHAT_PROMPT_TURNS)
+      .map(turn => `User: ${turn.question}\nAssistant: ${turn.answer}`)
+      .join('\n');
+
+    return `
+${profileContext}
+
+PAGE EXCERPTS:
+${excerpts}
+${history ? `\nCONVERSATION SO FAR:\n${history}\n` : ''}
+QUESTION: ${question}
+
+INSTRUCTIONS:
+1. Answer in 2-4 sentences using ONLY the page excerpts above
+2. Cite the excerpts you used by number in square brackets, e.g. [2]
+3. If the excerpts do not answer the question, say so instead of guessing
+
+Return a JSON object with "answer" (the answer text) and "citations" (the excerpt numbers you used).
+`;
+  }
+
+  /**
+   * 🔧 Keep citations that point at real excerpts and attach a DOM hint
+   * for each.
+   */
+  validatePageChatReply(parsed, question, chunks) {
+    const { answer, cited } = this.parseCitedAnswer(parsed, chunks.length);
+    return {
+      answer,
+      citations: cited.map(n => this.buildPageChatCitation(n, chunks[n - 1], `${question} ${answer}`)),
+      method: 'model'
+    };
+  }
+
+  /**
+   * 🔧 A model answer and the source numbers it cites, from the citations
+   * array or from [n] markers in the text. Numbers outside 1..sourceCount
+   * are dropped along with their markers, which would link nowhere.
+   * @returns {{ answer: string, cited: number[] }}
+   */
+  parseCitedAnswer(parsed, sourceCount) {
+    const answer = typeof parsed?.answer === 'string' ? parsed.answer.trim().substring(0, 800) : '';
+    if (!answer) throw new Error('Empty answer');
+
+    const numbers = [
+      ...(Array.isArray(parsed.citations) ? parsed.citations : []),
+      ...[...answer.matchAll(/\[(\d+)\]/g)].map(match => match[1])
+    ].map(Number);
+    const cited = [...new Set(numbers)].filter(n => Number.isInteger(n) && n >= 1 && n <= sourceCount).slice(0, 3);
+
+    return {
+      answer: answer.replace(/\s*\[(\d+)\]/g, (marker, n) => (cited.includes(Number(n)) ? marker : '')),
+      cited
+    };
+  }
+
+  buildPageChatCitation(number, chunk, text) {
+    const sentence = this.findPageChatSentence(chunk.source || chunk.summary || '', text);
+    return {
+      number,
+      chunkId: chunk.chunkId,
+      title: chunk.title || `Excerpt ${number}`,
+      domHint: sentence ? this.generateDomHint(sentence) : null
+    };
+  }
+
+  // The sentence of `source` sharing the most words with `text`
+  findPageChatSentence(source, text) {
+    const words = new Set(this.getPageChatTerms(text));
+    let best = null;
+    let bestScore = 0;
+    for (const sentence of source.split(/(?<=[.!?])\s+|\n+/)) {
+      const score = this.getPageChatTerms(sentence).filter(word => words.has(word)).length;
+      if (score > bestScore) {
+        best = sentence.trim();
+        bestScore = score;
+      }
+    }
+    return best;
+  }
+
+  getPageChatTerms(text) {
+    return (text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(word => word.length > 3);
+  }
+
+  /**
+   * 🔄 Fallback answer: the page sentences that best match the question.
+   */
+  localPageChatAnswer(question, chunks) {
+    const terms = new Set(this.getPageChatTerms(question));
+    const ranked = chunks.flatMap((chunk, index) =>
+      (chunk.source || chunk.summary || '').split(/(?<=[.!?])\s+|\n+/).map(sentence => ({
+        sentence: sentence.trim(),
+        number: index + 1,
+        score: this.getPageChatTerms(sentence).filter(word => terms.has(word)).length
+      }))
+    )
+      .filter(item => item.score > 0 && item.sentence.length >= 20)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, 2);
+
+    if (ranked.length === 0) {
+      return { answer: "I couldn't find anything about that on this page.", citations: [], method: 'extractive' };
+    }
+
+    const numbers = [...new Set(ranked.map(item => item.number))];
+    return {
+      answer: ranked.map(item => `${item.sentence.substring(0, 300)} [${item.number}]`).join(' '),
+      citations: numbers.map(n => ({
+        ...this.buildPageChatCitation(n, chunks[n - 1], question),
+        domHint: this.generateDomHint(ranked.find(item => item.number === n).sentence)
+      })),
+      method: 'extractive'
+    };
+  }
+
+  // ==================== 🔎 ARCHIVE Q&A ====================
+
+  /**
+   * 🔎 Answer a question from pages the user has read. `sources` come from
+   * DatabaseService.searchArchive(); citations point at their URLs.
+   * @param {{ question, sources: Array<{ number, url, title, domain, timestamp, sourceTypes, passages: string[] }>, profileSummary, profileTopics, profileConfidence, profileFocusStyle }} taskData
+   */
+  async processArchiveQuestion(taskData) {
+    const { question, sources = [] } = taskData;
+    if (!question || typeof question !== 'string') {
+      throw new Error('A question is required');
+    }
+
+    let reply = null;
+    if (this.model && this.modelProviderId !== MODEL_PROVIDER_IDS.RULE_BASED && sources.length > 0) {
+      try {
+        const prompt = this.buildArchivePrompt(question, sources, taskData);
+        const response = await this.model.promptStructured(prompt, CITED_ANSWER_SCHEMA);
+        reply = { ...this.parseCitedAnswer(JSON.parse(this.model.stripCodeFences(response)), sources.length), method: 'model' };
+      } catch (error) {
+        this.log('Archive answer failed, quoting the best passages', 'warn', { error: error.message });
+      }
+    }
+    if (!reply) reply = this.localArchiveAnswer(question, sources);
+
+    this.log('🔎 Archive question answered', 'info', { method: reply.method, sources: sources.length });
+    return {
+      type: 'ASK_ARCHIVE',
+      success: true,
+      data: {
+        question,
+        answer: reply.answer,
+        method: reply.method,
+        citations: reply.cited.map(n => {
+          const { number, url, title, domain, timestamp } = sources[n - 1];
+          return { number, url, title, domain, timestamp };
+        }),
+        sources: sources.map(({ number, url, title, domain, timestamp, sourceTypes }) => ({ number, url, title, domain, timestamp, sourceTypes }))
+      }
+    };
+  }
+
+  buildArchivePrompt(question, sources, { profileSummary, profileTopics, profileConfidence, profileFocusStyle }) {
+    const profileContext = this.buildProfileContext(
+      profileSummary,
+      profileTopics,
+      profileConfidence,
+      profileFocusStyle,
+      "Answer the user's question from pages they have read before, relating it to their interests where it fits."
+    );
+    const pages = sources.map(source => `[${source.number}] ${source.title} (${source.url}, read ${String(source.timestamp || '').slice(0, 10)})
+${source.passages.join('\n')}`).join('\n\n');
+
+    return `
+${profileContext}
+
+PAGES THE USER READ:
+${pages}
+
+QUESTION: ${question}
+
+INSTRUCTIONS:
+1. Answer in 2-5 sentences using ONLY the pages above
+2. Cite the pages you used by number in square brackets, e.g. [2]
+3. If the pages do not answer the question, say so instead of guessing
+
+Return a JSON object with "answer" (the answer text) and "citations" (the page numbers you used).
+`;
+  }
+
+  /**
+   * 🔄 Fallback answer: the best matching sentence from each of the top two pages.
+   */
+  localArchiveAnswer(question, sources) {
+    if (sources.length === 0) {
+      return { answer: "Nothing you've read matches that question yet.", cited: [], method: 'extractive' };
+    }
+    const picked = sources.slice(0, 2).map(source => ({
+      number: source.number,
+      sentence: this.findPageChatSentence(source.passages.join('\n'), question) || source.passages[0]
+    }));
+    return {
+      answer: picked.map(({ number, sentence }) => `${sentence.substring(0, 300)} [${number}]`).join(' '),
+      cited: picked.map(({ number }) => number),
+      method: 'extractive'
+    };
+  }
+
 
   // ==================== 🔧 ENHANCED SUMMARIZER HELPER METHODS ====================
 
@@ -1161,21 +1881,15 @@ Return ONLY valid JSON, no explanations.
    * 🔧 Generate chunk title using Summarizer API headline type
    */
   async generateChunkTitleWithSummarizer(text, profileContext) {
-    if (!this.summarizerAvailable || !this.summarizer) {
+    if (!this.model?.capabilities.summarize) {
       return this.generateChunkTitleFallback(text);
     }
 console.log(`title generation `);
     try {
-      // Create a dedicated headline summarizer for title generation
-      const headlineSummarizer = await Summarizer.create({
+      const title = await this.model.summarize(text, {
         type: 'headline',
         format: 'plain-text',
         length: 'medium', // 17 words max
-        expectedInputLanguages: ['en'],
-        outputLanguage: 'en'
-      });
-
-      const title = await headlineSummarizer.summarize(text, {
         context: profileContext
       });
 
@@ -1217,7 +1931,7 @@ Return a well-structured summary that flows naturally.
    * 🔧 Fallback for summary of summaries using LanguageModel
    */
   async fallbackSummaryOfSummaries(combinedSummaries, profileSummary, profileTopics, profileFocusStyle) {
-    if (!this.languageModel) {
+    if (!this.model) {
       throw new Error('LanguageModel unavailable for fallback');
     }
 
@@ -1249,10 +1963,7 @@ Return ONLY the synthesized summary text.
 `;
 
     try {
-      const summary = await this.languageModel.prompt(prompt, {
-        responseConstraint: { type: "string", maxLength: 1500 },
-        omitResponseConstraintInput: true
-      });
+      const summary = await this.model.prompt(prompt, { maxLength: 1500 });
 
       return this.cleanSummarizerOutput(summary, { format: 'plain-text', length: 'long' });
     } catch (error) {
@@ -1346,6 +2057,104 @@ Return ONLY the synthesized summary text.
     }
   }
 
+  /**
+   * 🕸️ Extract people, organisations, concepts and products from a content
+   * sample and record them in the knowledge graph.
+   * taskData: { sourceType, sourceId, url, sessionId, label, text }
+   */
+  async processEntityExtraction(taskData) {
+    this.log('Processing entity extraction', 'info', {
+      sourceType: taskData.sourceType,
+      sourceId: taskData.sourceId
+    });
+
+    let entities = [];
+    let method = 'model';
+
+    // The rule-based provider fills schemas with extractive text, which is
+    // useless as entity names, so it goes straight to the heuristic.
+    if (this.model && this.modelProviderId !== MODEL_PROVIDER_IDS.RULE_BASED) {
+      const prompt = `
+        Extract the named entities from the following content.
+
+        Content:
+        ${taskData.text.substring(0, 3000)}
+
+        Return a JSON object with an "entities" array of up to 8 objects, each with:
+        - "name": the entity's canonical name as written (e.g. "Kubernetes", "Ada Lovelace")
+        - "type": one of ${ENTITY_TYPES.join(', ')}
+        - "salience": number between 0.0 and 1.0 for how central the entity is to the content
+
+        IMPORTANT:
+        - Only include specific, named things; skip generic nouns like "software" or "people"
+        - Use "concept" for named ideas, technologies, methods and fields
+
+        Only output valid JSON without any additional text.
+      `;
+
+      try {
+        const response = await this.model.promptStructured(prompt, ENTITY_EXTRACTION_SCHEMA);
+        const result = JSON.parse(this.model.stripCodeFences(response));
+        entities = (result.entities || []).filter(entity =>
+          entity &&
+          typeof entity.name === 'string' &&
+          entity.name.trim().length >= 2 &&
+          ENTITY_TYPES.includes(entity.type)
+        );
+      } catch (error) {
+        this.log('Entity extraction failed, using heuristic', 'warn', { error: error.message });
+        entities = null;
+      }
+    }
+
+    if (!this.model || this.modelProviderId === MODEL_PROVIDER_IDS.RULE_BASED || entities === null) {
+      entities = this.extractEntitiesHeuristically(taskData.text);
+      method = 'heuristic';
+    }
+
+    const result = await this.dbService.recordEntityMentions(entities, {
+      targetType: taskData.sourceType,
+      targetId: taskData.sourceId,
+      label: taskData.label,
+      url: taskData.url,
+      sessionId: taskData.sessionId
+    });
+
+    this.log('Entity extraction completed', 'info', { method, recorded: result.recorded });
+    return { success: true, method, entities };
+  }
+
+  /**
+   * Fallback extractor: capitalised phrases that recur in the text.
+   * Organisation suffixes are typed; everything else is a concept.
+   */
+  extractEntitiesHeuristically(text) {
+    const counts = new Map();
+    const phrasePattern = /\b[A-Z][a-zA-Z0-9+#-]*(?:[ \t]+(?:of[ \t]+)?[A-Z][a-zA-Z0-9+#-]*){0,3}/g;
+    const ignore = new Set(['The', 'This', 'That', 'These', 'Those', 'A', 'An', 'In', 'On', 'It', 'We', 'You', 'I', 'If', 'And', 'But', 'For', 'With', 'How', 'What', 'Why', 'When']);
+
+    for (const match of (text || '').matchAll(phrasePattern)) {
+      // Drop a leading sentence word ("The Kubernetes scheduler" -> "Kubernetes")
+      const words = match[0].trim().split(/\s+/);
+      while (words.length > 0 && ignore.has(words[0])) words.shift();
+      const phrase = words.join(' ');
+      if (phrase.length < 3) continue;
+      counts.set(phrase, (counts.get(phrase) || 0) + 1);
+    }
+
+    const ranked = [...counts.entries()]
+      .filter(([, count]) => count >= 2)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 8);
+    const top = ranked[0]?.[1] || 1;
+
+    return ranked.map(([name, count]) => ({
+      name,
+      type: /\b(Inc|Corp|Corporation|Ltd|LLC|Foundation|University|Institute|Agency)\.?$/.test(name) ? 'organization' : 'concept',
+      salience: Math.round((count / top) * 100) / 100
+    }));
+  }
+
   async processPageAnalysis(taskData) {
     this.log('Processing page analysis task', 'info');
     
@@ -1394,7 +2203,7 @@ Return ONLY the synthesized summary text.
 
       let highlights = [];
 
-      if (this.languageModel) {
+      if (this.model) {
         highlights = await this.aiHighlightExtraction(source, pageAnalysis);
       }
 
@@ -1459,13 +2268,13 @@ Return ONLY the synthesized summary text.
 
       let summarizerOutput = '';
 
-      if (this.summarizerAvailable && this.summarizer) {
+      if (this.model?.capabilities.summarize) {
         this.log('Using native Summarizer API', 'info');
         
         try {
           const context = profileHint ? `Profile: ${profileHint.substring(0, 300)}` : '';
           
-          summarizerOutput = await this.summarizer.summarize(input, {
+          summarizerOutput = await this.model.summarize(input, {
             context: context,
             type: options.type || 'key-points',
             format: options.format || 'plain-text',
@@ -1494,7 +2303,7 @@ Return ONLY the synthesized summary text.
         success: true,
         data: {
           summarizerOutput: summarizerOutput,
-          usedFallback: !(this.summarizerAvailable && this.summarizer)
+          usedFallback: !(this.model?.capabilities.summarize)
         }
       };
 
@@ -1536,7 +2345,7 @@ Return ONLY the synthesized summary text.
         throw new Error('Invalid prompt for API call: ' + typeof prompt);
       }
 
-      if (!this.languageModel) {
+      if (!this.model) {
         throw new Error('LanguageModel unavailable for prompt API call');
       }
 
@@ -1549,24 +2358,21 @@ No surrounding commentary, no code fences.
 ${prompt.substring(0, 4000)}
 `;
 
-      const response = await this.languageModel.prompt(enhancedPrompt, {
-        responseConstraint: {
-          type: "object",
-          properties: {
-            headline: { type: "string", maxLength: 120 },
-            subheading: { type: "string", maxLength: 120 },
-            bullets: { 
-              type: "array", 
-              items: { type: "string", maxLength: 120 },
-              minItems: 3,
-              maxItems: 3
-            },
-            cta: { type: "string", maxLength: 120 }
+      const response = await this.model.promptStructured(enhancedPrompt, {
+        type: "object",
+        properties: {
+          headline: { type: "string", maxLength: 120 },
+          subheading: { type: "string", maxLength: 120 },
+          bullets: { 
+            type: "array", 
+            items: { type: "string", maxLength: 120 },
+            minItems: 3,
+            maxItems: 3
           },
-          required: ["headline", "subheading", "bullets", "cta"],
-          additionalProperties: false
+          cta: { type: "string", maxLength: 120 }
         },
-        omitResponseConstraintInput: true
+        required: ["headline", "subheading", "bullets", "cta"],
+        additionalProperties: false
       });
 
       let parsedResponse;
@@ -1624,37 +2430,38 @@ ${prompt.substring(0, 4000)}
       contentLength: taskData.contentSample?.length 
     });
      
-    let topicDomains = [{ topic: this.MASTER_TOPIC_BUCKET.UNKNOWN, weight: 1.0 }];
+    let topicDomains = [{ topic: UNKNOWN_TOPIC, weight: 1.0 }];
     let success = false;
 
     try {
-      if (!this.languageModel) {
+      if (!this.model) {
         throw new Error('Language Model unavailable');
       }
 
+      const examples = await this.getCorrectionExamplesPrompt('url');
       const prompt = `
         Analyze the following content sample and determine the main topic domains with their relative importance.
         
+        Page URL: ${taskData.url || taskData.domain || 'unknown'}
         Content Sample:
         ${taskData.contentSample.substring(0, 3000)}
         
         Return a JSON object with "topicDomains" array containing 1-3 objects, each with:
-        - "topic": exact topic name from this predefined list: ${this.TOPIC_DOMAIN_ENUM.join(', ')}
+        - "topic": exact topic name from this predefined list (subtopics in parentheses): ${this.getTopicPromptList()}
         - "weight": number between 0.0 and 1.0 indicating relative importance
+        ${examples}
         
         IMPORTANT:
         - Choose 1-3 most relevant topics from the predefined list
+        - Prefer the most specific subtopic that fits; use the parent topic only when no subtopic does
         - Weights must be between 0.0 and 1.0, and the sum of all weights must equal 1.0
         - Only include topics that are actually present in the content
-        - If the content doesn't clearly match any topic, use "${this.MASTER_TOPIC_BUCKET.UNKNOWN}" with weight 1.0
+        - If the content doesn't clearly match any topic, use "${UNKNOWN_TOPIC}" with weight 1.0
         
         Only output valid JSON without any additional text.
       `;
 
-      const response = await this.languageModel.prompt(prompt, {
-        responseConstraint: this.TOPIC_INFERENCE_SCHEMA,
-        omitResponseConstraintInput: true
-      });
+      const response = await this.model.promptStructured(prompt, this.TOPIC_INFERENCE_SCHEMA);
 
       let result;
       try {
@@ -1683,7 +2490,7 @@ ${prompt.substring(0, 4000)}
         error: error.message,
         recordId: taskData.recordId 
       });
-      topicDomains = [{ topic: this.MASTER_TOPIC_BUCKET.UNKNOWN, weight: 1.0 }];
+      topicDomains = [{ topic: UNKNOWN_TOPIC, weight: 1.0 }];
       success = false;
     }
 
@@ -1719,7 +2526,7 @@ ${prompt.substring(0, 4000)}
     this.log('Starting sequential profile summary generation', 'info');
     
     try {
-        if (!this.languageModel) {
+        if (!this.model) {
             throw new Error('Language Model not available for summary generation');
         }
 
@@ -1831,7 +2638,7 @@ ${prompt.substring(0, 4000)}
   }
 
   async fallbackSummarizerCall(input, profileHint, options) {
-    if (!this.languageModel) {
+    if (!this.model) {
       throw new Error('LanguageModel unavailable for fallback summarization');
     }
 
@@ -1848,10 +2655,7 @@ ${prompt.substring(0, 4000)}
     Return only the summary text, no explanations or labels.
     `;
 
-    const response = await this.languageModel.prompt(prompt, {
-      responseConstraint: { type: "string", maxLength: 800 },
-      omitResponseConstraintInput: true
-    });
+    const response = await this.model.prompt(prompt, { maxLength: 800 });
 
     return this.cleanSummarizerOutput(response, options);
   }
@@ -1957,10 +2761,7 @@ ${prompt.substring(0, 4000)}
     `;
 
     try {
-      const response = await this.languageModel.prompt(prompt, {
-        responseConstraint: { type: "string", maxLength: 500 },
-        omitResponseConstraintInput: true
-      });
+      const response = await this.model.prompt(prompt, { maxLength: 500 });
       return response.trim();
     } catch (error) {
       this.log('LTP summary generation failed, using fallback', 'warn');
@@ -1993,10 +2794,7 @@ ${prompt.substring(0, 4000)}
     `;
 
     try {
-      const response = await this.languageModel.prompt(prompt, {
-        responseConstraint: { type: "string", maxLength: 300 },
-        omitResponseConstraintInput: true
-      });
+      const response = await this.model.prompt(prompt, { maxLength: 300 });
       return response.trim();
     } catch (error) {
       this.log('STP summary generation failed, using fallback', 'warn');
@@ -2026,10 +2824,7 @@ ${prompt.substring(0, 4000)}
     `;
 
     try {
-      const response = await this.languageModel.prompt(prompt, {
-        responseConstraint: { type: "string", maxLength: 600 },
-        omitResponseConstraintInput: true
-      });
+      const response = await this.model.prompt(prompt, { maxLength: 600 });
       return response.trim();
     } catch (error) {
       this.log('Combined summary generation failed, using fallback', 'warn');
@@ -2047,25 +2842,30 @@ ${prompt.substring(0, 4000)}
 
   validateAndNormalizeTopicWeights(topicDomains) {
     if (!Array.isArray(topicDomains) || topicDomains.length === 0) {
-      return [{ topic: this.MASTER_TOPIC_BUCKET.UNKNOWN, weight: 1.0 }];
+      return [{ topic: UNKNOWN_TOPIC, weight: 1.0 }];
     }
 
-    const validTopics = topicDomains
+    // Aliases and case variants resolve to the canonical taxonomy name;
+    // duplicates after resolution are merged.
+    const merged = new Map();
+    topicDomains
       .filter(item => 
         item && 
         typeof item === 'object' &&
         typeof item.topic === 'string' &&
-        this.TOPIC_DOMAIN_ENUM.includes(item.topic) &&
         typeof item.weight === 'number' &&
         !isNaN(item.weight)
       )
-      .map(item => ({
-        topic: item.topic,
-        weight: Math.max(0, item.weight)
-      }));
+      .forEach(item => {
+        const row = resolveTopic(this.topicIndex, item.topic);
+        const topic = row ? row.name : (item.topic === UNKNOWN_TOPIC ? UNKNOWN_TOPIC : null);
+        if (!topic) return;
+        merged.set(topic, (merged.get(topic) || 0) + Math.max(0, item.weight));
+      });
+    const validTopics = [...merged].map(([topic, weight]) => ({ topic, weight }));
 
     if (validTopics.length === 0) {
-      return [{ topic: this.MASTER_TOPIC_BUCKET.UNKNOWN, weight: 1.0 }];
+      return [{ topic: UNKNOWN_TOPIC, weight: 1.0 }];
     }
 
     const totalWeight = validTopics.reduce((sum, item) => sum + item.weight, 0);
@@ -2148,7 +2948,7 @@ ${prompt.substring(0, 4000)}
   }
 
   async analyzeSearchQuery(query) {
-    if (!this.languageModel) {
+    if (!this.model) {
       this.log('Language Model not available for search analysis', 'warn');
       return { success: true, data: this.fallbackSearchAnalysis(query) };
     }
@@ -2160,6 +2960,7 @@ ${prompt.substring(0, 4000)}
 
     const trimmedQuery = query.trim();
     this.log('Starting search query enrichment with weighted topic domains', 'info', { query: trimmedQuery });
+    const examples = await this.getCorrectionExamplesPrompt('search');
 
     const promptText = `
       Analyze the search query: "${trimmedQuery}"
@@ -2169,9 +2970,11 @@ ${prompt.substring(0, 4000)}
       - topicDomains: array of 1-2 objects, each with "topic" (from predefined list) and "weight" (0.0-1.0)
       - confidence: number between 0.0 and 1.0 indicating confidence in the analysis
       - specificity: number between 0.0 and 1.0 indicating how specific the query is
+      ${examples}
       
       IMPORTANT: 
-      - For topicDomains, choose 1-2 most relevant topics from this list: ${this.TOPIC_DOMAIN_ENUM.join(', ')}
+      - For topicDomains, choose 1-2 most relevant topics from this list (subtopics in parentheses): ${this.getTopicPromptList()}
+      - Prefer the most specific subtopic that fits the query
       - Weights must be between 0.0 and 1.0, and the sum of all weights must equal 1.0
       - Only include topics that are actually relevant to the query
       
@@ -2179,10 +2982,7 @@ ${prompt.substring(0, 4000)}
     `;
 
     try {
-      const response = await this.languageModel.prompt(promptText, {
-        responseConstraint: this.SEARCH_ANALYSIS_SCHEMA,
-        omitResponseConstraintInput: true
-      });
+      const response = await this.model.promptStructured(promptText, this.SEARCH_ANALYSIS_SCHEMA);
 
       let analysis;
       try {
@@ -2234,7 +3034,7 @@ ${prompt.substring(0, 4000)}
     
     const profileSummary = await this.getProfileSummary();
     
-    if (!this.languageModel) {
+    if (!this.model) {
       this.log('Using fallback analysis (LanguageModel unavailable)', 'warn');
       return this.fallbackPageAnalysis(contentData);
     }
@@ -2253,7 +3053,7 @@ ${prompt.substring(0, 4000)}
     
     Return a JSON object with:
     - relevanceScore: number between 0.0 and 1.0
-    - keyTopics: array of 1-3 topic domains from: ${this.TOPIC_DOMAIN_ENUM.join(', ')}
+    - keyTopics: array of 1-3 topic domains (most specific that fits) from: ${this.getTopicPromptList()}
     - contentType: "educational", "news", "technical", "commercial", or "general"
     - confidence: number between 0.0 and 1.0 indicating analysis confidence
 
@@ -2261,28 +3061,7 @@ ${prompt.substring(0, 4000)}
     `;
 
     try {
-      const response = await this.languageModel.prompt(userTaskPrompt, {
-        responseConstraint: {
-          type: "object",
-          properties: {
-            relevanceScore: { type: "number", minimum: 0.0, maximum: 1.0 },
-            keyTopics: { 
-              type: "array", 
-              items: { type: "string", enum: this.TOPIC_DOMAIN_ENUM },
-              minItems: 1,
-              maxItems: 3
-            },
-            contentType: { 
-              type: "string", 
-              enum: ["educational", "news", "technical", "commercial", "general"] 
-            },
-            confidence: { type: "number", minimum: 0.0, maximum: 1.0 }
-          },
-          required: ["relevanceScore", "keyTopics", "contentType", "confidence"],
-          additionalProperties: false
-        },
-        omitResponseConstraintInput: true
-      });
+      const response = await this.model.promptStructured(userTaskPrompt, this.PAGE_ANALYSIS_SCHEMA);
 
       const analysis = typeof response === 'string' ? JSON.parse(response) : response;
       
@@ -2320,16 +3099,14 @@ ${prompt.substring(0, 4000)}
 
   fallbackPageAnalysis(contentData) {
     const keywords = contentData?.keywords || [];
+    const keyTopics = Object.entries(this.scoreTopicsByKeywords(keywords.join(' ')))
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 3)
+      .map(([topic]) => topic);
     
     return {
       relevanceScore: 0.4,
-      keyTopics: keywords.slice(0, 3).map(kw => {
-        if (!kw) return this.MASTER_TOPIC_BUCKET.UNKNOWN;
-        if (kw.includes('tech') || kw.includes('computer')) return this.MASTER_TOPIC_BUCKET.TECHNOLOGY;
-        if (kw.includes('health') || kw.includes('medical')) return this.MASTER_TOPIC_BUCKET.HEALTH;
-        if (kw.includes('business') || kw.includes('finance')) return this.MASTER_TOPIC_BUCKET.BUSINESS;
-        return this.MASTER_TOPIC_BUCKET.UNKNOWN;
-      }).filter(topic => topic !== this.MASTER_TOPIC_BUCKET.UNKNOWN).slice(0, 3) || [this.MASTER_TOPIC_BUCKET.UNKNOWN],
+      keyTopics: keyTopics.length > 0 ? keyTopics : [UNKNOWN_TOPIC],
       contentType: contentData?.isEducational ? 'informational' : 'other',
       modelUsed: 'fallback'
     };
@@ -2339,43 +3116,21 @@ ${prompt.substring(0, 4000)}
     const queryLower = query.toLowerCase();
     let intentType = 'informational';
     
-    const topicKeywords = {
-      [this.MASTER_TOPIC_BUCKET.TECHNOLOGY]: ['tech', 'computer', 'software', 'ai', 'programming', 'code', 'app', 'digital'],
-      [this.MASTER_TOPIC_BUCKET.FINANCE]: ['finance', 'money', 'invest', 'stock', 'bank', 'loan', 'credit'],
-      [this.MASTER_TOPIC_BUCKET.HEALTH]: ['health', 'medical', 'doctor', 'fitness', 'diet', 'exercise', 'medicine'],
-      [this.MASTER_TOPIC_BUCKET.SCIENCE]: ['science', 'research', 'study', 'scientific', 'physics', 'chemistry'],
-      [this.MASTER_TOPIC_BUCKET.EDUCATION]: ['education', 'school', 'learn', 'course', 'university', 'student'],
-      [this.MASTER_TOPIC_BUCKET.NEWS]: ['news', 'update', 'breaking', 'headline', 'current'],
-      [this.MASTER_TOPIC_BUCKET.SPORTS]: ['sports', 'game', 'team', 'player', 'score', 'match'],
-      [this.MASTER_TOPIC_BUCKET.ENTERTAINMENT]: ['movie', 'music', 'celebrity', 'film', 'show', 'entertainment'],
-      [this.MASTER_TOPIC_BUCKET.BUSINESS]: ['business', 'company', 'corporate', 'enterprise', 'startup'],
-      [this.MASTER_TOPIC_BUCKET.TRAVEL]: ['travel', 'trip', 'vacation', 'hotel', 'flight', 'destination']
-    };
-
-    const topicScores = {};
-    for (const [topic, keywords] of Object.entries(topicKeywords)) {
-      let score = 0;
-      keywords.forEach(keyword => {
-        if (queryLower.includes(keyword)) {
-          score += 1;
-        }
-      });
-      if (score > 0) {
-        topicScores[topic] = score;
-      }
-    }
+    const topicScores = this.scoreTopicsByKeywords(queryLower);
     
     let topicDomains;
     if (Object.keys(topicScores).length > 0) {
-      const totalScore = Object.values(topicScores).reduce((sum, score) => sum + score, 0);
-      topicDomains = Object.entries(topicScores)
-        .slice(0, 2)
+      const topTopics = Object.entries(topicScores)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 2);
+      const totalScore = topTopics.reduce((sum, [, score]) => sum + score, 0);
+      topicDomains = topTopics
         .map(([topic, score]) => ({
           topic,
           weight: parseFloat((score / totalScore).toFixed(3))
         }));
     } else {
-      topicDomains = [{ topic: this.MASTER_TOPIC_BUCKET.UNKNOWN, weight: 1.0 }];
+      topicDomains = [{ topic: UNKNOWN_TOPIC, weight: 1.0 }];
     }
 
     if (queryLower.includes('buy') || queryLower.includes('price')) intentType = 'transactional';
@@ -2439,14 +3194,11 @@ ${prompt.substring(0, 4000)}
     const profileSummary = await this.getProfileSummary();
     const prompt = ` Profile Context: ${profileSummary.combinedSummary?.substring(0, 300) || "General user"} ${pageAnalysis.summaryCache?.summarizer ? `Content Summary: ${pageAnalysis.summaryCache.summarizer.substring(0, 500)}` : ''} ${pageAnalysis ? `Content Topics: ${pageAnalysis.keyTopics?.join(', ')}` : ''} Source Content: ${source.substring(0, 4000)} Task: Extract 3-5 most important sentences or phrases for highlighting. Focus on sentences that: 1. Contain key insights or main points 2. Are relevant to the user profile 3. Are self-contained and understandable out of context 4. Are between 20-150 characters long Return as a JSON array of strings. Only include the array, no other text. `;
     try {
-      const response = await this.languageModel.prompt(prompt, {
-        responseConstraint: { 
-          type: "array", 
-          items: { type: "string", minLength: 20, maxLength: 150 }, 
-          minItems: 3, 
-          maxItems: 5 
-        },
-        omitResponseConstraintInput: true
+      const response = await this.model.promptStructured(prompt, {
+        type: "array", 
+        items: { type: "string", minLength: 20, maxLength: 150 }, 
+        minItems: 3, 
+        maxItems: 5 
       });
       
       let highlights;
@@ -2560,14 +3312,17 @@ ${prompt.substring(0, 4000)}
     const timeSinceLastHeartbeat = now - lastHeartbeat;
     
     return {
-      modelAvailable: !!this.languageModel,
-      isProcessing: this.isProcessing,
+      modelAvailable: !!this.model,
+      modelProvider: this.modelProviderId,
+      isProcessing: this.isProcessing || this.activeStreams > 0,
+      activeStreams: this.activeStreams,
       queueSize: this.taskQueue.length,
+      workerId: this.workerId,
       priorityWorkingOn: this.currentPriority,
       lastHeartbeat: this.lastHeartbeat,
-      estimatedFreeInMs: this.isProcessing ? 30000 : 0,
+      estimatedFreeInMs: this.isProcessing || this.activeStreams > 0 ? 30000 : 0,
       acceptsBackgroundTasks: !this.hasHighPriorityPending() && this.taskQueue.length < 10,
-      modelDetails: MODEL_NAME
+      modelDetails: this.model?.displayName || MODEL_NAME
     };
   }
 
@@ -2588,8 +3343,28 @@ class BackgroundService {
     this.newTabIds = new Set();
     this.aiSchedulerInterval = null;
     this.schedulerIntervalMs = 30000;
-
-    this.init().catch(err => {
+    this.sessionClosed = false;
+    this.lastActivityWrite = 0;
+    this.sessionProfileId = null; // Profile the open session is recorded under
+
+    // NAMED PROFILES (see listProfiles(); reloaded whenever they change)
+    this.profileState = { profiles: [], activeProfileId: null, manual: false };
+    this.profileSwitchQueue = Promise.resolve();
+    this.pendingProfileMatch = null; // { profileId, since } waiting out the dwell
+    this.profileRulesTimer = null;
+    this.lastProfileSwitchAt = 0;
+
+    // PRIVACY STATE (defaults until the stored settings load)
+    this.privacySettings = normalizePrivacySettings(DEFAULT_PRIVACY_SETTINGS);
+    this.privacyMatcher = compilePrivacyRules(this.privacySettings);
+    this.pausedTabs = new Set();
+
+    // Alarm/idle listeners must be registered synchronously so they can wake
+    // a suspended worker; the handlers wait for init before doing anything.
+    this.setupSessionLifecycleListeners();
+    this.setupOnboardingListener();
+
+    this.ready = this.init().catch(err => {
       console.error('[Background] init failed:', err);
     });
   }
@@ -2597,6 +3372,8 @@ class BackgroundService {
   async init() {
     await this.initializeDatabase();
     await this.initializeDefaultSettings(); // <-- ADD THIS
+    await this.loadPrivacySettings();
+    await this.loadProfiles();
     this.aiOrchestrator = new AIOrchestrator(this.dbService);
     this.aiOrchestrator.backgroundService = this;
     await this.initializeSession();
@@ -2628,7 +3405,12 @@ class BackgroundService {
       const defaults = {
         'settings:profileSyncEnabled': true,
         'settings:aiEnabled': true,
-        'settings:orbTheme': false // false = default theme, true = alt theme
+        'settings:orbTheme': false, // false = default theme, true = alt theme
+        'settings:modelProvider': MODEL_PROVIDER_IDS.GEMINI_NANO,
+        'settings:localModelEndpoint': 'http://localhost:11434/v1',
+        'settings:localModelName': 'llama3.2',
+        'settings:sessionIdleMinutes': SESSION_DEFAULTS.IDLE_MINUTES,
+        'settings:sessionMaxHours': SESSION_DEFAULTS.MAX_HOURS
       };
       
       for (const [key, value] of Object.entries(defaults)) {
@@ -2658,23 +3440,217 @@ class BackgroundService {
     }
   }
 
+  // ==================== SESSION LIFECYCLE ====================
+
+  setupSessionLifecycleListeners() {
+    chrome.alarms.onAlarm.addListener((alarm) => {
+      this.handleAlarm(alarm).catch(error => this.log('Alarm handling failed', 'error', error));
+    });
+    chrome.idle.onStateChanged.addListener((state) => {
+      this.handleIdleStateChange(state).catch(error => this.log('Idle handling failed', 'error', error));
+    });
+  }
+
+  // Registered synchronously too: onInstalled fires before init() finishes
+  setupOnboardingListener() {
+    chrome.runtime.onInstalled.addListener((details) => {
+      if (details.reason !== chrome.runtime.OnInstalledReason.INSTALL) return;
+      chrome.tabs.create({ url: chrome.runtime.getURL(ONBOARDING_PAGE), active: true })
+        .catch(error => this.log('Failed to open onboarding', 'error', error));
+    });
+  }
+
+  async getSessionSettings() {
+    const idleMinutes = await this.dbService.getSystemState('settings:sessionIdleMinutes');
+    const maxHours = await this.dbService.getSystemState('settings:sessionMaxHours');
+    return {
+      idleMs: (Number(idleMinutes) || SESSION_DEFAULTS.IDLE_MINUTES) * 60000,
+      maxMs: (Number(maxHours) || SESSION_DEFAULTS.MAX_HOURS) * 3600000
+    };
+  }
+
+  /**
+   * Resume the active session if it is still valid, otherwise close it and
+   * start a new one. Runs on every worker boot.
+   */
   async initializeSession() {
     if (!this.dbService) {
       throw new Error('Database service not initialized');
     }
 
-    this.sessionStartTime = new Date().toISOString(); // <-- ADD THIS
+    const settings = await this.getSessionSettings();
+    chrome.idle.setDetectionInterval(Math.max(15, Math.round(settings.idleMs / 1000)));
+
+    // chrome.storage.session is wiped when the browser exits, so a missing
+    // marker means this is the first worker since the browser started.
+    const { sessionBootMarker } = await chrome.storage.session.get('sessionBootMarker');
+    const browserRestarted = !sessionBootMarker;
+    await chrome.storage.session.set({ sessionBootMarker: Date.now() });
+
+    const current = await this.dbService.getCurrentSession();
+    if (current) {
+      const endReason = browserRestarted
+        ? 'browser-restart'
+        : this.getSessionExpiryReason(current, settings);
+
+      if (!endReason) {
+        this.sessionId = current.sessionId;
+        this.sessionStartTime = current.startTime;
+        this.sessionProfileId = current.profileId || DEFAULT_PROFILE_ID;
+        this.sessionClosed = false;
+        await this.scheduleMaxDurationAlarm(current.startTime, settings);
+        console.log('♻️ Browser session resumed:', this.sessionId);
+        return;
+      }
+
+      await this.closeSession(current, endReason, settings);
+    }
+
+    await this.startNewSession(settings);
+  }
+
+  getSessionExpiryReason(session, settings, now = Date.now()) {
+    const lastActivity = new Date(session.lastActivityAt || session.startTime).getTime();
+    if (now - lastActivity >= settings.idleMs) return 'idle';
+    if (now - new Date(session.startTime).getTime() >= settings.maxMs) return 'max-duration';
+    return null;
+  }
+
+  async startNewSession(settings = null) {
+    settings = settings || await this.getSessionSettings();
+
+    // The rules may want another profile by now (hours, focused window)
+    const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true }).catch(() => []);
+    const match = await this.matchProfileForTab(tab || null);
+    if (match && match.profileId !== this.dbService.activeProfileId) {
+      await this.dbService.setActiveProfile(match.profileId, { manual: false });
+      await this.loadProfiles();
+    }
+
+    this.sessionStartTime = new Date().toISOString();
     this.sessionId = `session-${Date.now()}-${Math.random().toString(36).slice(2, 9)}`;
+    this.sessionProfileId = this.dbService.activeProfileId;
+    this.sessionClosed = false;
+    this.lastActivityWrite = Date.now();
 
     await this.dbService.saveSession({
       sessionId: this.sessionId,
-      startTime: this.sessionStartTime, // <-- USE IT HERE
+      startTime: this.sessionStartTime,
       endTime: null,
-      isActive: true,
+      endReason: null,
+      isActive: 1,
+      lastActivityAt: this.sessionStartTime,
+      profileId: this.sessionProfileId,
       tabIds: []
     });
 
-    console.log('🆕 Browser session started:', this.sessionId);
+    await this.scheduleMaxDurationAlarm(this.sessionStartTime, settings);
+    console.log('🆕 Browser session started:', this.sessionId, 'profile:', this.sessionProfileId);
+  }
+
+  /**
+   * Close a session and schedule its STP build. Unless told otherwise, idle
+   * and restart closes end the session at the last recorded activity, not
+   * when we noticed.
+   */
+  async closeSession(session, endReason, settings = null, endTime = null) {
+    settings = settings || await this.getSessionSettings();
+
+    if (!endTime) {
+      endTime = endReason === 'max-duration'
+        ? new Date(Math.min(Date.now(), new Date(session.startTime).getTime() + settings.maxMs)).toISOString()
+        : session.lastActivityAt || session.startTime;
+    }
+
+    const closed = await this.dbService.closeSession(session.sessionId, { endTime, endReason });
+
+    if (session.sessionId === this.sessionId) {
+      this.sessionClosed = true;
+      await chrome.alarms.clear(SESSION_ALARMS.MAX_DURATION);
+      await chrome.alarms.clear(SESSION_ALARMS.IDLE_TIMEOUT);
+    }
+
+    if (closed) {
+      // Alarms survive worker suspension, so the STP still gets built if we
+      // are killed right after closing
+      await chrome.alarms.create(`${SESSION_ALARMS.BUILD_STP_PREFIX}${session.sessionId}`, {
+        when: Date.now() + 1000
+      });
+    }
+    return closed;
+  }
+
+  async scheduleMaxDurationAlarm(startTime, settings) {
+    await chrome.alarms.create(SESSION_ALARMS.MAX_DURATION, {
+      when: Math.max(Date.now() + 1000, new Date(startTime).getTime() + settings.maxMs)
+    });
+  }
+
+  /**
+   * Called for explicit user activity (searches, clicks, idle -> active).
+   * Opens a new session if the previous one was closed.
+   */
+  async recordSessionActivity() {
+    if (this.sessionClosed) {
+      await this.startNewSession();
+      return;
+    }
+
+    const now = Date.now();
+    if (now - this.lastActivityWrite < SESSION_ACTIVITY_WRITE_MS) return;
+    this.lastActivityWrite = now;
+    await this.dbService.touchSession(this.sessionId, new Date(now).toISOString());
+  }
+
+  async handleIdleStateChange(state) {
+    await this.ready;
+    if (!this.dbService) return;
+
+    if (state === 'active') {
+      await chrome.alarms.clear(SESSION_ALARMS.IDLE_TIMEOUT);
+      await this.recordSessionActivity();
+      return;
+    }
+
+    if (this.sessionClosed) return;
+    const settings = await this.getSessionSettings();
+
+    if (state === 'idle') {
+      // 'idle' only fires after a full detection interval without input
+      const session = await this.dbService.getSession(this.sessionId);
+      if (session) {
+        await this.closeSession(session, 'idle', settings, new Date(Date.now() - settings.idleMs).toISOString());
+      }
+      return;
+    }
+
+    // 'locked' fires immediately; give the user the full idle window
+    await chrome.alarms.create(SESSION_ALARMS.IDLE_TIMEOUT, { when: Date.now() + settings.idleMs });
+  }
+
+  async handleAlarm(alarm) {
+    await this.ready;
+    if (!this.dbService) return;
+
+    if (alarm.name === SESSION_ALARMS.IDLE_TIMEOUT || alarm.name === SESSION_ALARMS.MAX_DURATION) {
+      const session = await this.dbService.getCurrentSession();
+      if (!session) return;
+
+      if (alarm.name === SESSION_ALARMS.IDLE_TIMEOUT) {
+        const settings = await this.getSessionSettings();
+        const lockedAt = new Date(alarm.scheduledTime - settings.idleMs).toISOString();
+        await this.closeSession(session, 'idle', settings, lockedAt);
+      } else {
+        await this.closeSession(session, 'max-duration');
+      }
+      return;
+    }
+
+    if (alarm.name.startsWith(SESSION_ALARMS.BUILD_STP_PREFIX)) {
+      const sessionId = alarm.name.slice(SESSION_ALARMS.BUILD_STP_PREFIX.length);
+      console.log('⏰ Building STP for closed session:', sessionId);
+      await this.dbService.finalizeSession(sessionId);
+    }
   }
 
   setupMessageHandlers() {
@@ -2682,23 +3658,438 @@ class BackgroundService {
       this.handleMessage(request, sender, sendResponse);
       return true;
     });
+
+    chrome.runtime.onConnect.addListener((port) => {
+      if (port.name === CHUNK_STREAM_PORT) {
+        this.handleChunkStreamPort(port);
+      }
+    });
+  }
+
+  /**
+   * 🌊 One port per overlay run. ContentHub posts SUMMARIZE_CHUNK per chunk
+   * and gets CHUNK_STARTED once its task leaves the queue, CHUNK_DELTA
+   * messages while the model writes, then CHUNK_DONE or CHUNK_ERROR. CANCEL
+   * (optionally for one chunkId) or a disconnect (overlay closed, tab gone)
+   * aborts queued and running chunks of this port.
+   */
+  handleChunkStreamPort(port) {
+    const controllers = new Map(); // chunkId -> AbortController
+    let connected = true;
+
+    const post = (message) => {
+      if (!connected) return;
+      try {
+        port.postMessage(message);
+      } catch (error) {
+        connected = false;
+      }
+    };
+    const cancelAll = () => {
+      controllers.forEach(controller => controller.abort());
+      controllers.clear();
+    };
+
+    port.onMessage.addListener(async (message) => {
+      if (message?.type === 'CANCEL') {
+        if (message.chunkId != null) {
+          controllers.get(message.chunkId)?.abort();
+        } else {
+          cancelAll();
+        }
+        return;
+      }
+      if (message?.type !== 'SUMMARIZE_CHUNK' || !this.aiOrchestrator) return;
+
+      const chunkId = message.data?.chunkId;
+      const controller = new AbortController();
+      controllers.set(chunkId, controller);
+
+      const result = await this.aiOrchestrator.scheduleStreamingTask({
+        id: message.taskId,
+        data: message.data,
+        tabId: port.sender?.tab?.id,
+        priority: PRIORITY.HIGH
+      }, {
+        signal: controller.signal,
+        onStart: () => post({ type: 'CHUNK_STARTED', chunkId }),
+        onDelta: (delta) => post({ type: 'CHUNK_DELTA', chunkId, delta })
+      });
+
+      controllers.delete(chunkId);
+      if (result.success) {
+        post({ type: 'CHUNK_DONE', chunkId, data: result.data });
+      } else {
+        post({ type: 'CHUNK_ERROR', chunkId, error: result.error, cancelled: controller.signal.aborted });
+      }
+    });
+
+    port.onDisconnect.addListener(() => {
+      connected = false;
+      cancelAll();
+    });
+  }
+
+  // <-- ADD THIS ENTIRE METHOD -->
+  async notifyAllTabs(messageType) {
+    try {
+      const tabs = await chrome.tabs.query({});
+      for (const tab of tabs) {
+        // Check tab.id and avoid sending messages to restricted pages
+        if (tab.id && tab.url && !tab.url.startsWith('chrome://') && !tab.url.startsWith('devtools://') && !tab.url.includes('chrome.google.com')) {
+          chrome.tabs.sendMessage(tab.id, { type: messageType }).catch(e => {
+            // This error is expected if a content script isn't injected
+          });
+        }
+      }
+    } catch (error) {
+      this.log('Failed to notify all tabs', 'error', error);
+    }
+  }
+
+  /**
+   * 🗂️ Regenerate AI schemas and refresh content-script heuristics after
+   * the taxonomy is edited.
+   */
+  // An import can change settings, the taxonomy and the profile at once, so
+  // everything derived from them is reloaded.
+  async handleDataImported() {
+    await this.aiOrchestrator?.initializeModelProvider();
+    await this.loadPrivacySettings();
+    await this.loadProfiles();
+    await this.handleTopicTaxonomyChanged();
+  }
+
+  // Chunk ranking weights for ContentHub, from the profile parameters
+  getChunkWeights() {
+    const params = this.dbService.profileParameters;
+    return {
+      profile: params.chunkProfileWeight,
+      structure: params.chunkStructureWeight,
+      position: params.chunkPositionWeight
+    };
+  }
+
+  // ==================== NAMED PROFILES ====================
+
+  async loadProfiles() {
+    try {
+      this.profileState = await this.dbService.listProfiles();
+    } catch (error) {
+      this.log('Failed to load profiles', 'warn', { error: error.message });
+    }
+    return this.profileState;
+  }
+
+  async getWindowProfiles() {
+    const stored = await chrome.storage.session.get(WINDOW_PROFILES_STORAGE_KEY);
+    return stored[WINDOW_PROFILES_STORAGE_KEY] || {};
+  }
+
+  /**
+   * 👤 The profile the rules pick for a tab, or null to keep the current
+   * one. Nothing is picked while the user's own choice is in force, and
+   * pages that are not tracked never switch profiles.
+   */
+  async matchProfileForTab(tab) {
+    if (this.profileState.manual || this.profileState.profiles.length < 2) return null;
+    const url = /^https?:/.test(tab?.url || '') ? tab.url : null;
+    if (url && this.getTrackingExclusion(url, tab.id)) return null;
+    return matchProfileRules(
+      this.profileState.profiles,
+      { url, windowId: tab?.windowId ?? null, date: new Date() },
+      await this.getWindowProfiles()
+    );
+  }
+
+  /**
+   * Run profile changes one at a time. Manual and rule-driven switches share
+   * the queue, so a rule evaluated just before a manual switch cannot land
+   * after it. Resolves or rejects with `work`; the queue itself keeps going.
+   */
+  enqueueProfileSwitch(work) {
+    const run = this.profileSwitchQueue.then(work);
+    this.profileSwitchQueue = run.catch(error => this.log('Profile switch failed', 'warn', { error: error.message }));
+    return run;
+  }
+
+  // Tab events arrive in bursts; switches run one at a time so a burst
+  // rotates the session at most once. `immediate` skips the dwell and hold,
+  // for when the user just handed selection back to the rules.
+  queueProfileRules(tabId, { immediate = false } = {}) {
+    return this.enqueueProfileSwitch(async () => {
+      await this.ready;
+      if (!this.dbService) return;
+      const tab = await chrome.tabs.get(tabId).catch(() => null);
+      if (!tab?.active) return;
+      // Background windows still load pages; only the one in use decides
+      const win = await chrome.windows.get(tab.windowId).catch(() => null);
+      if (!win?.focused) return;
+      const match = await this.matchProfileForTab(tab);
+      if (!match || match.profileId === this.dbService.activeProfileId) {
+        this.pendingProfileMatch = null;
+        return;
+      }
+
+      // A window the user assigned in the popup is a choice, not a guess
+      if (!immediate && match.reason !== 'window') {
+        const now = Date.now();
+        if (this.pendingProfileMatch?.profileId !== match.profileId) {
+          this.pendingProfileMatch = { profileId: match.profileId, since: now };
+        }
+        const dueAt = Math.max(this.pendingProfileMatch.since + PROFILE_RULE_DWELL_MS, this.lastProfileSwitchAt + PROFILE_RULE_HOLD_MS);
+        if (now < dueAt) {
+          this.scheduleProfileRulesCheck(dueAt - now);
+          return;
+        }
+      }
+      console.log('👤 Profile rule matched:', match);
+      await this.switchProfile(match.profileId, { manual: false });
+    });
+  }
+
+  // Look at the rules again once a pending match has waited long enough
+  scheduleProfileRulesCheck(delayMs) {
+    clearTimeout(this.profileRulesTimer);
+    this.profileRulesTimer = setTimeout(async () => {
+      const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true }).catch(() => []);
+      if (tab) this.queueProfileRules(tab.id).catch(() => {});
+    }, delayMs);
+  }
+
+  /**
+   * 👤 Make a profile active. A session belongs to exactly one profile, so
+   * an open session under another profile is closed and a new one started.
+   * Callers outside the rules go through enqueueProfileSwitch.
+   */
+  async switchProfile(profileId, { manual = true } = {}) {
+    this.pendingProfileMatch = null;
+    this.lastProfileSwitchAt = Date.now();
+    const result = await this.dbService.setActiveProfile(profileId, { manual });
+    await this.loadProfiles();
+
+    if (!this.sessionClosed && this.sessionProfileId !== profileId) {
+      const session = await this.dbService.getSession(this.sessionId);
+      if (session) await this.closeSession(session, 'profile-switch', null, new Date().toISOString());
+      await this.startNewSession();
+    }
+    return { ...result, ...this.profileState };
+  }
+
+  /**
+   * Hand profile selection back to the rules and apply them to the page the
+   * user is on.
+   */
+  async resumeProfileRules() {
+    await this.enqueueProfileSwitch(async () => {
+      await this.dbService.setActiveProfile(this.dbService.activeProfileId, { manual: false });
+      await this.loadProfiles();
+    });
+    const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true }).catch(() => []);
+    if (tab) await this.queueProfileRules(tab.id, { immediate: true });
+    return this.profileState;
+  }
+
+  /**
+   * Record everything in a window under one profile until it closes, or
+   * clear the assignment with profileId null.
+   */
+  async setWindowProfile(windowId, profileId) {
+    if (windowId == null) throw new Error('windowId is required');
+    if (profileId && !this.profileState.profiles.some(profile => profile.profileId === profileId)) {
+      throw new Error(`Unknown profile: ${profileId}`);
+    }
+    const windows = await this.getWindowProfiles();
+    if (profileId) windows[windowId] = profileId;
+    else delete windows[windowId];
+    await chrome.storage.session.set({ [WINDOW_PROFILES_STORAGE_KEY]: windows });
+
+    const [tab] = await chrome.tabs.query({ active: true, windowId }).catch(() => []);
+    if (tab) await this.queueProfileRules(tab.id);
+    return { windowId, profileId: windows[windowId] || null, ...this.profileState };
+  }
+
+  async deleteProfile(profileId) {
+    // Deleting the active profile switches back to the default one
+    await this.enqueueProfileSwitch(() => this.dbService.deleteNamedProfile(profileId));
+    // The open session (if it was this profile's) now belongs to the default one
+    if (this.sessionProfileId === profileId) this.sessionProfileId = DEFAULT_PROFILE_ID;
+
+    const windows = await this.getWindowProfiles();
+    Object.keys(windows).forEach(windowId => {
+      if (windows[windowId] === profileId) delete windows[windowId];
+    });
+    await chrome.storage.session.set({ [WINDOW_PROFILES_STORAGE_KEY]: windows });
+    return this.loadProfiles();
+  }
+
+  async getProfiles(windowId = null) {
+    const windows = await this.getWindowProfiles();
+    return {
+      ...this.profileState,
+      sessionProfileId: this.sessionClosed ? null : this.sessionProfileId,
+      windowProfileId: windowId != null ? windows[windowId] || null : null
+    };
+  }
+
+  // ==================== ONBOARDING ====================
+
+  /**
+   * 🌱 Infer starting topics from bookmark/history titles and URLs using the
+   * taxonomy keywords. Excluded sites are skipped and only per-topic counts
+   * leave this function.
+   * @param {Array<{title: string, url: string}>} items
+   */
+  async inferBootstrapTopics(items) {
+    if (!this.aiOrchestrator.topicIndex) await this.aiOrchestrator.loadTopicTaxonomy();
+
+    const counts = {};
+    let excluded = 0;
+    let matched = 0;
+    const considered = (Array.isArray(items) ? items : []).slice(0, ONBOARDING_MAX_BOOTSTRAP_ITEMS);
+    considered.forEach(item => {
+      let host = '';
+      try {
+        host = new URL(item.url).hostname;
+      } catch (error) {
+        return;
+      }
+      if (this.getTrackingExclusion(item.url)) {
+        excluded++;
+        return;
+      }
+
+      // Only the best-matching topics count, so one keyword-heavy title
+      // doesn't vote for half the taxonomy
+      const scores = this.aiOrchestrator.scoreTopicsByKeywords(`${item.title || ''} ${host}`);
+      const best = Math.max(0, ...Object.values(scores));
+      if (best === 0) return;
+      matched++;
+      Object.entries(scores).forEach(([topic, hits]) => {
+        if (hits === best) counts[topic] = (counts[topic] || 0) + 1;
+      });
+    });
+
+    return {
+      topics: Object.entries(counts)
+        .map(([topic, count]) => ({ topic, count }))
+        .sort((a, b) => b.count - a.count),
+      considered: considered.length,
+      excluded,
+      matched
+    };
+  }
+
+  // ==================== PRIVACY EXCLUSIONS ====================
+
+  async loadPrivacySettings() {
+    try {
+      const stored = await this.dbService.getSystemState('settings:privacy');
+      this.privacySettings = normalizePrivacySettings(stored || DEFAULT_PRIVACY_SETTINGS);
+      this.privacyMatcher = compilePrivacyRules(this.privacySettings);
+
+      const session = await chrome.storage.session.get(PAUSED_TABS_STORAGE_KEY);
+      this.pausedTabs = new Set(session[PAUSED_TABS_STORAGE_KEY] || []);
+    } catch (error) {
+      this.log('Failed to load privacy settings, using defaults', 'warn', { error: error.message });
+    }
+  }
+
+  /**
+   * 🛡️ Validate and store exclusion settings. Invalid rules are rejected as a
+   * whole so the dashboard can show what was wrong.
+   */
+  async savePrivacySettings(settings) {
+    const normalized = {
+      categories: normalizePrivacySettings(settings).categories,
+      rules: (Array.isArray(settings?.rules) ? settings.rules : []).map(normalizePrivacyRule)
+    };
+    await this.dbService.setSystemState('settings:privacy', normalized);
+    this.privacySettings = normalized;
+    this.privacyMatcher = compilePrivacyRules(normalized);
+    await this.notifyAllTabs('SETTINGS_UPDATED');
+    return this.getPrivacySettings();
+  }
+
+  getPrivacySettings() {
+    return {
+      ...this.privacySettings,
+      categoryLabels: Object.fromEntries(
+        Object.entries(SENSITIVE_CATEGORIES).map(([key, category]) => [key, category.label])
+      )
+    };
+  }
+
+  async setTabPaused(tabId, paused) {
+    if (tabId == null) throw new Error('tabId is required');
+    if (paused) {
+      this.pausedTabs.add(tabId);
+    } else {
+      this.pausedTabs.delete(tabId);
+    }
+    await chrome.storage.session.set({ [PAUSED_TABS_STORAGE_KEY]: [...this.pausedTabs] });
+
+    try {
+      await chrome.tabs.sendMessage(tabId, { type: 'SETTINGS_UPDATED' });
+    } catch (error) {
+      // No content script in that tab (chrome:// page, still loading)
+    }
+    return { tabId, paused: this.pausedTabs.has(tabId) };
+  }
+
+  /**
+   * 🛡️ Why this URL or tab must not be tracked, or null. Every write path for
+   * behavior, searches and clicks checks this before storing anything.
+   */
+  getTrackingExclusion(url, tabId = null) {
+    if (tabId != null && this.pausedTabs.has(tabId)) {
+      return { source: 'paused', label: 'Tracking paused in this tab' };
+    }
+    return url ? matchPrivacyExclusion(url, this.privacyMatcher) : null;
+  }
+
+  getTrackingStatus(url, tabId = null) {
+    const exclusion = this.getTrackingExclusion(url, tabId);
+    return {
+      allowed: !exclusion,
+      paused: tabId != null && this.pausedTabs.has(tabId),
+      exclusion
+    };
+  }
+
+  // ==================== 💬 PAGE CHAT STATE ====================
+
+  /**
+   * The tab's overlay conversation, if it is about the same page (by
+   * canonical URL); otherwise an empty one.
+   * @returns {{ url: string, turns: Array<{ question, answer, citations, method, timestamp }> }}
+   */
+  async getPageChat(tabId, url) {
+    const pageUrl = canonicalizeSnapshotUrl(url || '') || url || '';
+    if (tabId == null) return { url: pageUrl, turns: [] };
+    const key = `${PAGE_CHAT_STORAGE_PREFIX}${tabId}`;
+    const stored = (await chrome.storage.session.get(key))[key];
+    return stored?.url === pageUrl ? stored : { url: pageUrl, turns: [] };
+  }
+
+  async appendPageChat(tabId, url, turn) {
+    if (tabId == null) return turn;
+    const chat = await this.getPageChat(tabId, url);
+    chat.turns = [...chat.turns, turn].slice(-PAGE_CHAT_MAX_TURNS);
+    await chrome.storage.session.set({ [`${PAGE_CHAT_STORAGE_PREFIX}${tabId}`]: chat });
+    return turn;
   }
 
-  // <-- ADD THIS ENTIRE METHOD -->
-  async notifyAllTabs(messageType) {
-    try {
-      const tabs = await chrome.tabs.query({});
-      for (const tab of tabs) {
-        // Check tab.id and avoid sending messages to restricted pages
-        if (tab.id && tab.url && !tab.url.startsWith('chrome://') && !tab.url.startsWith('devtools://') && !tab.url.includes('chrome.google.com')) {
-          chrome.tabs.sendMessage(tab.id, { type: messageType }).catch(e => {
-            // This error is expected if a content script isn't injected
-          });
-        }
-      }
-    } catch (error) {
-      this.log('Failed to notify all tabs', 'error', error);
-    }
+  async clearPageChat(tabId) {
+    if (tabId == null) return;
+    await chrome.storage.session.remove(`${PAGE_CHAT_STORAGE_PREFIX}${tabId}`);
+  }
+
+  async handleTopicTaxonomyChanged() {
+    await this.aiOrchestrator?.loadTopicTaxonomy();
+    // Corrections are compiled against the taxonomy (renames, moved subtrees)
+    await this.dbService.loadTopicCorrections();
+    await this.notifyAllTabs('TOPIC_TAXONOMY_UPDATED');
   }
 
   async handleMessage(request, sender, sendResponse) {
@@ -2725,11 +4116,80 @@ class BackgroundService {
           response.data = {
             profileSyncEnabled: await this.dbService.getSystemState('settings:profileSyncEnabled'),
             aiEnabled: await this.dbService.getSystemState('settings:aiEnabled'),
-            orbTheme: await this.dbService.getSystemState('settings:orbTheme')
+            orbTheme: await this.dbService.getSystemState('settings:orbTheme'),
+            modelProvider: await this.dbService.getSystemState('settings:modelProvider'),
+            localModelEndpoint: await this.dbService.getSystemState('settings:localModelEndpoint'),
+            localModelName: await this.dbService.getSystemState('settings:localModelName'),
+            localModelDefaults: { endpoint: DEFAULT_LOCAL_ENDPOINT, model: DEFAULT_LOCAL_MODEL },
+            chunkWeights: this.getChunkWeights()
           };
           response.success = true;
           break;
           
+        case 'GET_TRACKING_STATUS': // Sent by environmentCheck.js and popup.js
+          response.data = this.getTrackingStatus(
+            request.url || sender.tab?.url || null,
+            request.tabId ?? sender.tab?.id ?? null
+          );
+          response.success = true;
+          break;
+
+        case 'SET_TAB_PAUSED': // Sent by popup.js
+          response.data = await this.setTabPaused(request.tabId, request.paused === true);
+          response.success = true;
+          break;
+
+        case 'GET_PRIVACY_SETTINGS': // Sent by dashboard.js
+          response.data = this.getPrivacySettings();
+          response.success = true;
+          break;
+
+        case 'SAVE_PRIVACY_SETTINGS': // Sent by dashboard.js
+          response.data = await this.savePrivacySettings(request.settings);
+          response.success = true;
+          break;
+
+        case 'TEST_PRIVACY_URL': // Sent by dashboard.js
+          response.data = { exclusion: this.getTrackingExclusion(request.url) };
+          response.success = true;
+          break;
+
+        case 'GET_PROFILE_PARAMETERS': // Sent by dashboard.js
+          response.data = this.dbService.getProfileParameters();
+          response.success = true;
+          break;
+
+        case 'SAVE_PROFILE_PARAMETERS': // Sent by dashboard.js
+          response.data = await this.dbService.saveProfileParameters(request.parameters);
+          await this.notifyAllTabs('SETTINGS_UPDATED'); // ContentHub picks up new chunk weights
+          response.success = true;
+          break;
+
+        case 'GET_ONBOARDING_STATE': // Sent by onboarding.js and dashboard.js
+          response.data = await this.dbService.getOnboardingState();
+          response.success = true;
+          break;
+
+        case 'BOOTSTRAP_TOPICS': // Sent by onboarding.js
+          response.data = await this.inferBootstrapTopics(request.items);
+          response.success = true;
+          break;
+
+        case 'SAVE_ONBOARDING': // Sent by onboarding.js
+          response.data = await this.dbService.saveOnboarding(request.answers);
+          response.success = true;
+          break;
+
+        case 'SKIP_ONBOARDING': // Sent by onboarding.js
+          response.data = await this.dbService.skipOnboarding();
+          response.success = true;
+          break;
+
+        case 'REMOVE_LTP_PRIOR': // Sent by dashboard.js
+          response.data = await this.dbService.removeLTPPrior();
+          response.success = true;
+          break;
+
         case 'TOGGLE_TRACKING': // Sent by popup.js
           await this.dbService.setSystemState('settings:profileSyncEnabled', request.enabled);
           await this.notifyAllTabs('SETTINGS_UPDATED'); // Notify content scripts
@@ -2751,6 +4211,138 @@ class BackgroundService {
           response.success = true;
           break;
 
+        case 'SET_MODEL_PROVIDER': // Sent by popup.js
+          if (!Object.values(MODEL_PROVIDER_IDS).includes(request.provider)) {
+            response.error = `Unknown model provider: ${request.provider}`;
+            break;
+          }
+          // An empty endpoint or model goes back to the default
+          if (request.endpoint && !isLoopbackModelEndpoint(request.endpoint)) {
+            response.error = `The local server must run on this machine (localhost): ${request.endpoint}`;
+            break;
+          }
+          await this.dbService.setSystemState('settings:modelProvider', request.provider);
+          if (request.endpoint !== undefined) {
+            await this.dbService.setSystemState('settings:localModelEndpoint', String(request.endpoint || '').trim() || null);
+          }
+          if (request.model !== undefined) {
+            await this.dbService.setSystemState('settings:localModelName', String(request.model || '').trim() || null);
+          }
+          response.data = {
+            provider: request.provider,
+            ready: await this.aiOrchestrator.initializeModelProvider()
+          };
+          response.success = true;
+          break;
+
+        case 'GET_KNOWLEDGE_GRAPH': // Sent by dashboard.js
+          response.data = await this.dbService.getKnowledgeGraphEntities(request.entityType || null, {
+            query: request.query || '',
+            limit: request.limit || 50,
+            offset: request.offset || 0
+          });
+          response.success = true;
+          break;
+
+        case 'GET_KNOWLEDGE_ENTITY': // Sent by dashboard.js
+          response.data = await this.dbService.getKnowledgeGraphEntity(request.entityId);
+          response.success = true;
+          break;
+
+        case 'GET_ENTITIES_FOR_TARGET':
+          response.data = await this.dbService.getEntitiesForTarget(request.targetType, request.targetId);
+          response.success = true;
+          break;
+
+        case 'DELETE_KNOWLEDGE_ENTITY': // Sent by dashboard.js
+          response.data = await this.dbService.deleteKnowledgeGraphEntity(request.entityId);
+          response.success = true;
+          break;
+
+        case 'GET_TOPIC_TAXONOMY': // Sent by dashboard.js and contentHub.js
+          response.data = await this.dbService.getTopicTaxonomy();
+          response.success = true;
+          break;
+
+        case 'SAVE_TOPIC': // Sent by dashboard.js
+          response.data = await this.dbService.saveTopic(request.topic);
+          await this.handleTopicTaxonomyChanged();
+          response.success = true;
+          break;
+
+        case 'DELETE_TOPIC': // Sent by dashboard.js
+          response.data = await this.dbService.deleteTopic(request.topicId);
+          await this.handleTopicTaxonomyChanged();
+          response.success = true;
+          break;
+
+        case 'RESET_TOPIC_TAXONOMY': // Sent by dashboard.js
+          response.data = await this.dbService.resetTopicTaxonomy();
+          await this.handleTopicTaxonomyChanged();
+          response.success = true;
+          break;
+
+        case 'GET_TOPIC_CORRECTIONS': // Sent by dashboard.js
+          response.data = await this.dbService.getTopicCorrections();
+          response.success = true;
+          break;
+
+        case 'MUTE_TOPIC': // Sent by dashboard.js
+          response.data = await this.dbService.muteTopic(request.topic, request.muted !== false);
+          response.success = true;
+          break;
+
+        case 'BOOST_TOPIC': // Sent by dashboard.js
+          response.data = await this.dbService.boostTopic(request.topic, request.boost);
+          response.success = true;
+          break;
+
+        case 'RECLASSIFY_TARGET': // Sent by dashboard.js
+          response.data = await this.dbService.reclassifyTarget(request);
+          response.success = true;
+          break;
+
+        case 'REMOVE_RECLASSIFICATION': // Sent by dashboard.js
+          response.data = await this.dbService.removeReclassification(request.targetType, request.target);
+          response.success = true;
+          break;
+
+        case 'SET_CORRECTION_EXAMPLES': // Sent by dashboard.js
+          response.data = await this.dbService.setCorrectionExamples(request.enabled);
+          response.success = true;
+          break;
+
+        case 'GET_PROFILES': // Sent by popup.js and dashboard.js
+          response.data = await this.getProfiles(request.windowId ?? null);
+          response.success = true;
+          break;
+
+        case 'SAVE_PROFILE': // Sent by dashboard.js
+          response.data = await this.dbService.saveNamedProfile(request.profile);
+          await this.loadProfiles();
+          response.success = true;
+          break;
+
+        case 'DELETE_PROFILE': // Sent by dashboard.js
+          response.data = await this.deleteProfile(request.profileId);
+          response.success = true;
+          break;
+
+        case 'SWITCH_PROFILE': // Sent by popup.js and dashboard.js
+          response.data = await this.enqueueProfileSwitch(() => this.switchProfile(request.profileId, { manual: true }));
+          response.success = true;
+          break;
+
+        case 'RESUME_PROFILE_RULES': // Sent by popup.js
+          response.data = await this.resumeProfileRules();
+          response.success = true;
+          break;
+
+        case 'SET_WINDOW_PROFILE': // Sent by popup.js
+          response.data = await this.setWindowProfile(request.windowId, request.profileId || null);
+          response.success = true;
+          break;
+
         // ===================================
         // <-- END OF ADDED/REPLACED CASES -->
         // ===================================
@@ -2802,7 +4394,7 @@ class BackgroundService {
         case 'SUMMARIZE_CHUNK_WITH_PROFILE':
           const profileChunkTask = {
             type: 'SUMMARIZE_CHUNK_WITH_PROFILE',
-            id: `chunk-${Date.now()}`,
+            id: request.taskId || `chunk-${Date.now()}`,
             data: request.data,
             priority: PRIORITY.HIGH,
             tabId: sender.tab?.id,
@@ -2815,7 +4407,7 @@ class BackgroundService {
         case 'GENERATE_FINAL_INSIGHT':
           const insightTask = {
             type: 'GENERATE_FINAL_INSIGHT',
-            id: `insight-${Date.now()}`,
+            id: request.taskId || `insight-${Date.now()}`,
             data: request.data,
             priority: PRIORITY.HIGH,
             tabId: sender.tab?.id,
@@ -2825,6 +4417,32 @@ class BackgroundService {
           response.success = true;
           break;
 
+        case 'CHAT_WITH_PAGE': // Sent by contentHub.js
+          response.data = await this.handleAITaskRequest({
+            type: 'CHAT_WITH_PAGE',
+            id: request.taskId || `chat-${Date.now()}`,
+            data: { ...request.data, tabId: sender.tab?.id ?? null },
+            priority: PRIORITY.HIGH,
+            callback: true
+          }, sender.tab?.id);
+          response.success = true;
+          break;
+
+        case 'ASK_ARCHIVE': // Sent by dashboard.js
+          response.data = await this.askArchive(request.question);
+          response.success = true;
+          break;
+
+        case 'GET_PAGE_CHAT': // Sent by contentHub.js
+          response.data = await this.getPageChat(sender.tab?.id ?? null, request.url);
+          response.success = true;
+          break;
+
+        case 'CLEAR_PAGE_CHAT': // Sent by contentHub.js
+          await this.clearPageChat(sender.tab?.id ?? null);
+          response.success = true;
+          break;
+
         // ... (all your other existing cases for GET_STATS, SAVE_SNAPSHOT, etc.)
         // ... (these do not need to change)
         
@@ -2858,22 +4476,140 @@ class BackgroundService {
             break;
 
         case 'GET_FACTS':
-            // Placeholder: You'll need to implement getFacts in dbService
-            response.data = []; // await dbService.getFacts(request.view);
+            response.data = await this.dbService.getFacts(request.view, request.limit);
             response.success=true;
             break;
         
         case 'GENERATE_NEW_FACTS':
-            // Placeholder
-            response.data = { success: true };
+            response.data = await this.dbService.generateFacts(request.view);
             response.success=true;
             break;
 
+        case 'PIN_FACT':
+            response.data = await this.dbService.setFactPinned(request.factId, request.pinned);
+            response.success = true;
+            break;
+
+        case 'DELETE_FACT':
+            response.data = await this.dbService.deleteFact(request.factId);
+            response.success = true;
+            break;
+
+        // Forgetting: delete raw data and replay STPs/LTP without it
+        case 'FORGET_SEARCH':
+            response.data = await this.dbService.forgetSearch(request.searchId);
+            response.success = true;
+            break;
+
+        case 'FORGET_URL':
+            response.data = await this.dbService.forgetUrl(request.url);
+            response.success = true;
+            break;
+
+        case 'FORGET_DOMAIN':
+            response.data = await this.dbService.forgetDomain(request.domain);
+            response.success = true;
+            break;
+
+        case 'FORGET_RANGE':
+            response.data = await this.dbService.forgetDateRange(request.from, request.to);
+            response.success = true;
+            break;
+
+        // LTP rebuild: replay the STP archive, review the diff, then keep or drop it
+        case 'REBUILD_LTP':
+            response.data = await this.dbService.rebuildLTP({ recomputeSTPs: !!request.recomputeSTPs });
+            response.success = true;
+            break;
+
+        case 'GET_LTP_REBUILD':
+            response.data = await this.dbService.getPendingLTPRebuild();
+            response.success = true;
+            break;
+
+        case 'ACCEPT_LTP_REBUILD':
+            response.data = await this.dbService.acceptLTPRebuild();
+            response.success = true;
+            break;
+
+        case 'DISCARD_LTP_REBUILD':
+            response.data = await this.dbService.discardLTPRebuild();
+            response.success = true;
+            break;
+
+        case 'GET_PROFILE_TIMELINE': // Sent by dashboard.js
+            response.data = await this.dbService.getProfileTimeline({
+              zoom: request.zoom,
+              from: request.from,
+              to: request.to
+            });
+            response.success = true;
+            break;
+
+        case 'GET_SESSION_DETAIL': // Sent by dashboard.js
+            response.data = await this.dbService.getSessionDetail(request.sessionId);
+            response.success = true;
+            break;
+
+        case 'EXPLAIN_TOPIC': // Sent by dashboard.js
+            response.data = await this.dbService.explainTopic(request.topic, request.view);
+            response.success = true;
+            break;
+
+        case 'EXPORT_DATA': // Sent by dashboard.js
+            response.data = await this.dbService.exportData();
+            response.success = true;
+            break;
+
+        case 'IMPORT_DATA': // Sent by dashboard.js
+            response.data = await this.dbService.importData(request.data, { mode: request.mode || 'merge' });
+            await this.handleDataImported();
+            response.success = true;
+            break;
+
         case 'SAVE_SNAPSHOT':
-            response.data = await this.saveSnapshot(request.data, sender.tab?.id);
+            response.data = await this.saveSnapshot(request.data, sender.tab);
             response.success = true;
             break;
 
+        case 'GET_CACHED_SNAPSHOT': // Sent by contentHub.js
+          response.data = await this.getCachedSnapshot(request, sender.tab);
+          response.success = true;
+          break;
+
+        case 'EXPORT_SNAPSHOTS': // Sent by dashboard.js and contentHub.js
+          response.data = await this.exportSnapshots(request);
+          response.success = true;
+          break;
+
+        case 'QUERY_SNAPSHOTS': // Sent by dashboard.js
+          response.data = await this.dbService.querySnapshots(request.query || {});
+          response.success = true;
+          break;
+
+        case 'GET_SNAPSHOT': // Sent by dashboard.js
+          response.data = this.withSnapshotSourceUrls(await this.dbService.getSnapshot(request.snapshotId));
+          response.success = true;
+          break;
+
+        case 'GET_SNAPSHOT_FACETS': // Sent by dashboard.js
+          response.data = await this.dbService.getSnapshotFacets();
+          response.success = true;
+          break;
+
+        case 'UPDATE_SNAPSHOT_LABELS': // Sent by dashboard.js
+          response.data = await this.dbService.updateSnapshotLabels(request.snapshotId, {
+            tags: request.tags,
+            collections: request.collections
+          });
+          response.success = true;
+          break;
+
+        case 'RENAME_SNAPSHOT_LABEL': // Sent by dashboard.js
+          response.data = await this.dbService.renameSnapshotLabel(request.kind, request.from, request.to || '');
+          response.success = true;
+          break;
+
         // This case is from your loadDomainEngagement, which is now changed
         // You can leave it or remove it.
         case 'GET_DOMAIN_METRICS':
@@ -2882,6 +4618,7 @@ class BackgroundService {
             break;
 
         case 'SAVE_SEARCH_BASIC':
+          await this.recordSessionActivity();
           response.data = await this.saveSearchBasic(request.data, sender.tab?.id);
           response.success = true;
           break;
@@ -2892,13 +4629,14 @@ class BackgroundService {
           break;
 
         case 'TRACK_RESULT_CLICK':
+          await this.recordSessionActivity();
           response.data = await this.saveResultClick(request.data, sender.tab?.id);
           response.success = true;
           break;
 
         case 'SAVE_BEHAVIOR_DATA':
           try {
-            const result = await this.saveBehaviorData(request.data);
+            const result = await this.saveBehaviorData(request.data, sender.tab?.id);
             response.data = result;
             response.success = result.success;
             if (!result.success) {
@@ -2928,7 +4666,7 @@ class BackgroundService {
         case 'GENERATE_SUMMARY_OF_SUMMARIES': // ADD THIS CASE
         const summaryTask = {
           type: 'GENERATE_SUMMARY_OF_SUMMARIES',
-          id: `summary-summaries-${Date.now()}`,
+          id: request.taskId || `summary-summaries-${Date.now()}`,
           data: request.data,
           priority: PRIORITY.HIGH,
           tabId: sender.tab?.id,
@@ -3039,38 +4777,183 @@ class BackgroundService {
       return { success: false, error: error.message };
     }
   }
-async saveSnapshot(snapshotData, tabId = null) {
+async saveSnapshot(snapshotData, tab = null) {
   try {
     if (!this.dbService) {
       throw new Error('Database service not available');
     }
 
+    const url = snapshotData.url || tab?.url || '';
+    const exclusion = this.getTrackingExclusion(url, tab?.id ?? null);
+    if (exclusion) {
+      console.log('🛡️ Snapshot not saved:', exclusion.label);
+      return { success: false, excluded: true, error: exclusion.label };
+    }
+
+    const insight = snapshotData.insight || {};
+    const chunks = (Array.isArray(snapshotData.chunks) ? snapshotData.chunks : []).map(chunk => ({
+      chunkId: chunk.chunkId,
+      title: String(chunk.title || ''),
+      text: String(chunk.text || ''),
+      score: Number(chunk.score) || 0,
+      anchor: normalizeTextAnchor(chunk.anchor),
+      sourceQuote: chunk.sourceQuote ? String(chunk.sourceQuote).slice(0, 200) : null
+    }));
+    const title = snapshotData.title || tab?.title || '';
+
+    // Library topics: the taxonomy topics best matched by the page's title and results
+    if (!this.aiOrchestrator.topicIndex) await this.aiOrchestrator.loadTopicTaxonomy();
+    const topics = Object.entries(this.aiOrchestrator.scoreTopicsByKeywords(
+      [title, snapshotData.summary, insight.headline, ...chunks.map(chunk => chunk.title)].filter(Boolean).join(' ')
+    ))
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 3)
+      .map(([topic]) => topic);
+
     const snapshotRecord = {
       snapshotId: `snapshot-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
       sessionId: this.sessionId,
       timestamp: new Date().toISOString(),
-      url: snapshotData.url || window.location.href,
+      url,
+      canonicalUrl: canonicalizeSnapshotUrl(url, snapshotData.canonicalHref),
+      contentHash: snapshotData.contentHash || null,
+      // The version the result was personalized for, falling back to the current one
+      profileVersion: snapshotData.profileVersion || (await this.getUserProfileForContent()).profileVersion,
+      title,
       summary: snapshotData.summary || '',
-      insights: Array.isArray(snapshotData.insights) ? snapshotData.insights : [],
-      tabId: tabId,
+      headline: insight.headline || '',
+      subheading: insight.subheading || '',
+      insights: Array.isArray(insight.bullets) ? insight.bullets
+        : Array.isArray(snapshotData.insights) ? snapshotData.insights : [],
+      // Parallel to insights: the passage each one came from, or null
+      insightAnchors: (Array.isArray(snapshotData.insightAnchors) ? snapshotData.insightAnchors : []).map(normalizeTextAnchor),
+      cta: snapshotData.cta || null,
+      chunks,
+      topics,
+      tabId: tab?.id ?? null,
       priority: 'high'
     };
 
     const result = await this.dbService.saveSnapshot(snapshotRecord);
+    if (!result.success) throw new Error(result.error);
     
     console.log('✅ Snapshot saved:', {
       snapshotId: snapshotRecord.snapshotId,
       url: snapshotRecord.url,
       summaryLength: snapshotRecord.summary?.length,
-      insightsCount: snapshotRecord.insights.length
+      insightsCount: snapshotRecord.insights.length,
+      chunksCount: chunks.length
     });
 
-    return { success: true, snapshotId: snapshotRecord.snapshotId };
+    return { success: true, snapshotId: result.snapshotId, replaced: result.replaced };
   } catch (error) {
     console.error('❌ Failed to save snapshot:', error);
     return { success: false, error: error.message };
   }
 }
+
+  /**
+   * 📦 Render snapshots for download. One format of one snapshot (or one
+   * JSON-LD graph) comes back as text; anything else is a zip, base64 encoded.
+   * @param {{ snapshotIds?: string[], query?: object, formats: string[], zip?: boolean }} options
+   * @returns {{ filename, mimeType, count, text?: string, base64?: string }}
+   */
+  async exportSnapshots({ snapshotIds = null, query = {}, formats = [], zip = false }) {
+    const selected = (Array.isArray(formats) ? formats : []).filter(format => SNAPSHOT_EXPORT_FORMATS[format]);
+    if (selected.length === 0) throw new Error('Pick at least one export format');
+
+    const snapshots = await this.dbService.getSnapshotsForExport({ snapshotIds, query });
+    if (snapshots.length === 0) throw new Error('No snapshots to export');
+
+    const [format] = selected;
+    const single = !zip && selected.length === 1 && (snapshots.length === 1 || format === 'jsonld');
+    if (single) {
+      const { extension, mimeType } = SNAPSHOT_EXPORT_FORMATS[format];
+      const text = format === 'markdown' ? renderSnapshotMarkdown(snapshots[0])
+        : format === 'html' ? renderSnapshotHtml(snapshots[0])
+        : renderSnapshotJsonLd(snapshots);
+      const name = snapshots.length === 1 ? getSnapshotExportSlug(snapshots[0]) : `crucible-snapshots-${new Date().toISOString().slice(0, 10)}`;
+      return { filename: `${name}.${extension}`, mimeType, count: snapshots.length, text };
+    }
+
+    const archive = createZipArchive(buildSnapshotExportFiles(snapshots, selected));
+    console.log(`📦 Exported ${snapshots.length} snapshot(s) as ${selected.join(', ')} (${Math.ceil(archive.length / 1024)} KB)`);
+    return {
+      filename: `crucible-snapshots-${new Date().toISOString().slice(0, 10)}.zip`,
+      mimeType: 'application/zip',
+      count: snapshots.length,
+      base64: encodeBase64(archive)
+    };
+  }
+
+  /**
+   * Text fragment links from a snapshot's insights and chunks back to the
+   * passages they came from, for the dashboard's detail view.
+   */
+  withSnapshotSourceUrls(snapshot) {
+    if (!snapshot) return null;
+    return {
+      ...snapshot,
+      insightUrls: (snapshot.insights || []).map((_, i) => getTextAnchorUrl(snapshot.url, snapshot.insightAnchors?.[i])),
+      chunks: (snapshot.chunks || []).map(chunk => ({ ...chunk, sourceUrl: getTextAnchorUrl(snapshot.url, chunk.anchor) }))
+    };
+  }
+
+  /**
+   * 🔎 Retrieve the archive pages for a question, then have the model answer
+   * from them. With nothing relevant in the archive the model is not asked.
+   * @returns {{ question, answer, method, citations, sources }}
+   */
+  async askArchive(question) {
+    const text = String(question || '').trim().substring(0, 500);
+    if (!text) throw new Error('Ask a question first');
+
+    const { sources } = await this.dbService.searchArchive(text);
+    if (sources.length === 0) {
+      return { question: text, answer: "Nothing you've read matches that question yet.", method: 'none', citations: [], sources: [] };
+    }
+
+    const profile = await this.getUserProfileForContent();
+    const result = await this.handleAITaskRequest({
+      type: 'ASK_ARCHIVE',
+      id: `archive-${Date.now()}`,
+      data: {
+        question: text,
+        sources,
+        profileSummary: profile.summary,
+        profileTopics: profile.topics,
+        profileConfidence: profile.confidence,
+        profileFocusStyle: profile.focusStyle
+      },
+      priority: PRIORITY.HIGH
+    }, null);
+
+    const answer = result?.data?.data;
+    if (!result?.success || !answer) throw new Error(result?.error || 'The question could not be answered');
+    return answer;
+  }
+
+  /**
+   * 📸 The stored overlay result for a page, if it can be shown instead of
+   * running the pipeline again: same canonical URL, content within the
+   * fingerprint tolerance, and the same profile version.
+   * @returns {{ state: 'fresh'|'missing'|'content-changed'|'profile-changed'|'excluded', snapshot? }}
+   */
+  async getCachedSnapshot({ url, canonicalHref = null, contentHash = null }, tab = null) {
+    const pageUrl = url || tab?.url || '';
+    if (this.getTrackingExclusion(pageUrl, tab?.id ?? null)) return { state: 'excluded' };
+
+    const snapshot = await this.dbService.getSnapshotByCanonicalUrl(canonicalizeSnapshotUrl(pageUrl, canonicalHref));
+    if (!snapshot) return { state: 'missing' };
+
+    const { profileVersion } = await this.getUserProfileForContent();
+    const state = getSnapshotCacheState(snapshot, { contentHash, profileVersion });
+    console.log(`📸 Snapshot cache ${state === 'fresh' ? 'hit' : `miss (${state})`}:`, snapshot.canonicalUrl);
+    if (state !== 'fresh') return { state };
+
+    const { terms, ...result } = snapshot;
+    return { state, snapshot: result };
+  }
   async getUserProfileForContent() {
     try {
       const profile = await this.dbService.getProfile();
@@ -3078,32 +4961,39 @@ async saveSnapshot(snapshotData, tabId = null) {
       const profileSummary = profile.profileSummary || {};
       
       const topics = [];
+      const topicWeights = [];
       if (ltp.topic_cumulative) {
+        const scoreOf = data => (typeof data === 'object' ? data.rawScore : data) || 0;
         const topicEntries = Object.entries(ltp.topic_cumulative)
-          .sort((a, b) => {
-            const aScore = typeof a[1] === 'object' ? a[1].rawScore : a[1];
-            const bScore = typeof b[1] === 'object' ? b[1].rawScore : b[1];
-            return bScore - aScore;
-          })
-          .slice(0, 5);
+          .filter(([topic]) => topic !== UNKNOWN_TOPIC)
+          .sort((a, b) => scoreOf(b[1]) - scoreOf(a[1]))
+          .slice(0, 8);
+        const total = topicEntries.reduce((sum, [, data]) => sum + scoreOf(data), 0) || 1;
         
-        topicEntries.forEach(([topic, data]) => {
-          topics.push(topic);
+        topicEntries.forEach(([topic, data], i) => {
+          if (i < 5) topics.push(topic);
+          // Normalised weights for ContentHub's chunk ranking
+          topicWeights.push({ topic, weight: scoreOf(data) / total });
         });
       }
       
+      const focusStyle = ltp.ewma_focus > 0.7 ? 'focused' :
+                         ltp.ewma_focus < 0.3 ? 'exploratory' : 'balanced';
       return {
         summary: profileSummary.combinedSummary || 'General user',
         topics: topics,
+        topicWeights: topicWeights,
         confidence: ltp.confidence || 0,
-        focusStyle: ltp.ewma_focus > 0.7 ? 'focused' : 
-                     ltp.ewma_focus < 0.3 ? 'exploratory' : 'balanced'
+        focusStyle,
+        // Overlay results are cached per profile version (see getCachedSnapshot)
+        profileVersion: getSnapshotProfileVersion({ profileId: this.dbService.activeProfileId, topics, focusStyle })
       };
     } catch (error) {
       console.error('Failed to get user profile:', error);
       return {
         summary: 'General user',
         topics: [],
+        topicWeights: [],
         confidence: 0,
         focusStyle: 'balanced'
       };
@@ -3152,6 +5042,10 @@ async saveSnapshot(snapshotData, tabId = null) {
     chrome.tabs.onRemoved.addListener((tabId) => {
       this.activeTabs.delete(tabId);
       this.newTabIds.delete(tabId);
+      if (this.pausedTabs.delete(tabId)) {
+        chrome.storage.session.set({ [PAUSED_TABS_STORAGE_KEY]: [...this.pausedTabs] }).catch(() => {});
+      }
+      this.clearPageChat(tabId).catch(() => {});
     });
 
     chrome.tabs.onActivated.addListener((activeInfo) => {
@@ -3161,6 +5055,7 @@ async saveSnapshot(snapshotData, tabId = null) {
         tab.status = 'active';
         this.activeTabs.set(activeInfo.tabId, tab);
       }
+      this.queueProfileRules(activeInfo.tabId);
     });
 
     chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
@@ -3172,6 +5067,20 @@ async saveSnapshot(snapshotData, tabId = null) {
         existingTab.updated = true;
         this.activeTabs.set(tabId, existingTab);
       }
+      if (changeInfo.url) this.queueProfileRules(tabId);
+    });
+
+    chrome.windows.onFocusChanged.addListener(async (windowId) => {
+      if (windowId === chrome.windows.WINDOW_ID_NONE) return;
+      const [tab] = await chrome.tabs.query({ active: true, windowId }).catch(() => []);
+      if (tab) this.queueProfileRules(tab.id);
+    });
+
+    chrome.windows.onRemoved.addListener(async (windowId) => {
+      const windows = await this.getWindowProfiles();
+      if (windows[windowId] === undefined) return;
+      delete windows[windowId];
+      await chrome.storage.session.set({ [WINDOW_PROFILES_STORAGE_KEY]: windows });
     });
   }
 
@@ -3372,6 +5281,12 @@ async saveSnapshot(snapshotData, tabId = null) {
   async saveSearchBasic(searchData, senderTabId = null) {
     if (!this.dbService) throw new Error('Database service not available');
 
+    const exclusion = this.getTrackingExclusion(searchData.url, senderTabId);
+    if (exclusion) {
+      console.log('🛡️ Search not stored:', exclusion.label);
+      return { searchId: null, excluded: true };
+    }
+
     const searchRecord = {
       searchId: searchData.searchId || `search-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`,
       query: searchData.query,
@@ -3439,7 +5354,7 @@ async saveSnapshot(snapshotData, tabId = null) {
       query: clickData.query,
       resultUrl: clickData.resultUrl,
       tabId: clickData.tabId || senderTabId || 'unknown-tab',
-      sessionId: clickData.sessionId || this.sessionId
+      sessionId: this.sessionId
     };
 
     if (!essentialData.query) {
@@ -3449,12 +5364,19 @@ async saveSnapshot(snapshotData, tabId = null) {
       throw new Error('Result URL is required');
     }
 
+    // Clicking through to an excluded site must not record that visit either
+    const exclusion = this.getTrackingExclusion(essentialData.resultUrl, senderTabId);
+    if (exclusion) {
+      console.log('🛡️ Result click not stored:', exclusion.label);
+      return { success: true, excluded: true };
+    }
+
     console.log('🎯 Processing click - essential data only:', essentialData);
 
     return await this.dbService.saveResultClick(essentialData);
   }
 
-  async saveBehaviorData(behaviorData) {
+  async saveBehaviorData(behaviorData, senderTabId = null) {
     if (!this.dbService) throw new Error('Database service not available');
 
     try {
@@ -3482,6 +5404,27 @@ async saveSnapshot(snapshotData, tabId = null) {
         throw new Error('Missing engagement data');
       }
 
+      // Content scripts already stand down on excluded pages; this catches
+      // saves that were in flight when a rule or tab pause took effect.
+      const exclusion = this.getTrackingExclusion(behaviorData.url, senderTabId);
+      if (exclusion) {
+        console.log('🛡️ Behavior data not stored:', exclusion.label);
+        return { success: true, excluded: true };
+      }
+
+      // Periodic saves keep arriving from idle tabs; they must not reopen a
+      // session that idle detection closed.
+      if (this.sessionClosed) {
+        throw new Error('No active session');
+      }
+
+      // The worker owns the session; tabs may still hold an id from before
+      // the last session boundary.
+      if (behaviorData.sessionId !== this.sessionId) {
+        behaviorData = { ...behaviorData, sessionId: this.sessionId };
+      }
+      await this.recordSessionActivity();
+
       const existingRecord = await this.getExistingBehaviorRecord(
         behaviorData.sessionId, 
         behaviorData.tabId, 
@@ -65,6 +65,8 @@ class ContentHub {
     this.isDrawerOpen = false;
     this.totalChunksToProcess = 0;
     this.isMainViewSummary = true; // This now controls both panels
+    this.isChatOpen = false; // Chat card replaces the insight card
+    this.isChatting = false; // A question is waiting for its answer
     
     // 🌟 NEW: Loading status
     this.loadingStatusInterval = null;
@@ -76,6 +78,11 @@ class ContentHub {
       'Warming up AI cores...',
       'Generating initial summaries...'
     ];
+    // AI tasks awaiting a result pushed by a revived service worker
+    this.pendingAITasks = new Map();
+    // Current runPipeline() run: { cancelled, cancellation, cancel, stream }
+    this.pipelineRun = null;
+
     // Pipeline Data
     this.chunks = [];
     this.chunkSummaries = [];
@@ -83,6 +90,10 @@ class ContentHub {
     this.personalizedInsight = null;
     this.userProfile = null;
     this.insightChunkMap = new Map();
+    this.insightAnchors = []; // text-quote anchor of each insight's supporting passage, or null
+    this.pagePassages = []; // every extracted sentence with its anchor
+    this.vectorizer = new TextVectorizer();
+    this.topicLexicon = null; // built from HEURISTIC_TOPICS until the taxonomy loads
     this.cta_text = null;
     // 🌟 REVISED: For the Insight card CTA
     
@@ -95,12 +106,11 @@ class ContentHub {
       MAX_CHUNKS: 5,
       SAFE_SUMMARY_CHARS: 500,
       MIN_BLOCK_LENGTH: 60,
-      MIN_WORD_COUNT: 10,
-      MAX_LINK_DENSITY: 0.4,
       PROFILE_WEIGHT: 0.7,
       STRUCTURE_WEIGHT: 0.2,
  
       POSITION_WEIGHT: 0.1,
+      CHUNK_STREAM_IDLE_MS: 45000, // no delta for this long once started -> one-shot fallback
       SUMMARY_PAUSE_MS: 3000 // Shortened for a snappier demo
     };
     this.STOP_WORDS = new Set([
@@ -109,14 +119,15 @@ class ContentHub {
       'their', 'them', 'we', 'our', 'us', 'you', 'your', 'he', 'his', 'him', 'she', 'her',
       'what', 'which', 'who', 'when', 'where', 'why', 'how', 'all', 'any', 'some', 'many'
     ]);
+    // Fallback until the user's taxonomy arrives (see loadTopicTaxonomy)
     this.HEURISTIC_TOPICS = {
-      AUTOMOTIVE: ['car', 'auto', 'motor', 'vehicle', 'ev', 'tesla', 'rolls-royce', 'dealership', 'truck'],
-      TECHNOLOGY: ['ai', 'tech', 'software', 'app', 'code', 'semiconductor', 'gadget', 'cloud', 'gemini', 'chip'],
-      FINANCE: ['stock', 'market', 'invest', 'loan', 'bank', 'earnings', 'gdp', 'fed', 'portfolio'],
-      NEWS: ['breaking', 'report', 'update', 'latest', 'today', 'bbc', 'cnn', 'news'],
-      SCIENCE: ['lab', 'study', 'research', 'biology', 'physics', 'astronomy', 'quantum', 'experiment'],
-      BUSINESS: ['business', 'corp', 'ceo', 'strategy', 'acquisition', 'merger', 'product'],
-      LIFESTYLE: ['style', 'fashion', 'health', 'food', 
+      Automotive: ['car', 'auto', 'motor', 'vehicle', 'ev', 'tesla', 'rolls-royce', 'dealership', 'truck'],
+      Technology: ['ai', 'tech', 'software', 'app', 'code', 'semiconductor', 'gadget', 'cloud', 'gemini', 'chip'],
+      Finance: ['stock', 'market', 'invest', 'loan', 'bank', 'earnings', 'gdp', 'fed', 'portfolio'],
+      News: ['breaking', 'report', 'update', 'latest', 'today', 'bbc', 'cnn', 'news'],
+      Science: ['lab', 'study', 'research', 'biology', 'physics', 'astronomy', 'quantum', 'experiment'],
+      Business: ['business', 'corp', 'ceo', 'strategy', 'acquisition', 'merger', 'product'],
+      Lifestyle: ['style', 'fashion', 'health', 'food', 
 'travel', 'home', 'diet'],
     };
 
@@ -127,6 +138,7 @@ class ContentHub {
     console.log('🎯 Content Hub initializing (Crucible Vortex v12.6)...');
     await this.initializeSession();
     await this.loadUserProfile();
+    await this.loadTopicTaxonomy();
     this.injectOrbUI();
     // 🌟 REMOVED: this.injectCtaCard();
     this.setupMessageHandlers();
@@ -209,6 +221,63 @@ class ContentHub {
     }
   }
 
+  /**
+   * 🗂️ Build HEURISTIC_TOPICS from the user's topic taxonomy. Subtopics are
+   * listed before their parents so the more specific topic wins a tie.
+   */
+  async loadTopicTaxonomy() {
+    const response = await this.sendToBackground({ type: 'GET_TOPIC_TAXONOMY' }, 3000);
+    if (!response?.success || !Array.isArray(response.data) || response.data.length === 0) {
+      return;
+    }
+    const heuristicTopics = {};
+    [...response.data]
+      .sort((a, b) => b.level - a.level)
+      .forEach(topic => {
+        heuristicTopics[topic.name] = [...(topic.aliases || []), ...(topic.keywords || [])]
+          .map(keyword => keyword.toLowerCase());
+      });
+    this.HEURISTIC_TOPICS = heuristicTopics;
+    this.topicLexicon = this.buildTopicLexicon(response.data);
+  }
+
+  /**
+   * 📚 Topic lexicon for semantic chunk ranking: name -> weighted terms.
+   * A topic's own name, aliases and keywords count fully; its subtopics'
+   * terms count half, so "Technology" also matches Kubernetes prose.
+   * Without taxonomy rows the lexicon falls back to HEURISTIC_TOPICS.
+   */
+  buildTopicLexicon(rows) {
+    const lexicon = new Map();
+    if (!rows) {
+      Object.entries(this.HEURISTIC_TOPICS).forEach(([name, keywords]) => {
+        lexicon.set(name.toLowerCase(), [
+          { text: name, weight: 2 },
+          ...keywords.map(keyword => ({ text: keyword, weight: 1 }))
+        ]);
+      });
+      return lexicon;
+    }
+
+    const ownTerms = topic => [
+      ...(topic.aliases || []).map(text => ({ text, weight: 1 })),
+      ...(topic.keywords || []).map(text => ({ text, weight: 1 }))
+    ];
+    const byId = new Map(rows.map(topic => [topic.topicId, topic]));
+    rows.forEach(topic => {
+      const terms = [{ text: topic.name, weight: 2 }, ...ownTerms(topic)];
+      rows.forEach(other => {
+        for (let parent = byId.get(other.parentId); parent; parent = byId.get(parent.parentId)) {
+          if (parent.topicId !== topic.topicId) continue;
+          terms.push({ text: other.name, weight: 1 }, ...ownTerms(other).map(term => ({ ...term, weight: 0.5 })));
+          break;
+        }
+      });
+      [topic.name, ...(topic.aliases || [])].forEach(label => lexicon.set(label.toLowerCase(), terms));
+    });
+    return lexicon;
+  }
+
   // ==================== ORB & CTA UI ====================
   /**
    * 🌟 MODIFIED: Fixed HTML typo and bound `this` for event listener.
@@ -570,6 +639,20 @@ injectStyles() {
         height: 40px; /* Ensure circular background */
         font-family: 'Segoe UI Emoji', 'Apple Color Emoji', sans-serif; /* Force emoji font */
       }
+      .cw-icon-btn[hidden] { display: none; }
+      #cw-chat-toggle.active { background: var(--cw-highlight); }
+      .cw-export { position: relative; }
+      .cw-export-menu {
+        position: absolute; top: 44px; right: 0; z-index: 20;
+        display: none; flex-direction: column; min-width: 150px; padding: 6px;
+        background: var(--cw-bg-secondary); border: 1px solid var(--cw-border); border-radius: 12px;
+      }
+      .cw-export-menu.visible { display: flex; }
+      .cw-export-menu button {
+        background: none; border: none; color: var(--cw-text); text-align: left;
+        padding: 8px 10px; border-radius: 8px; cursor: pointer; font-size: 13px;
+      }
+      .cw-export-menu button:hover { background: color-mix(in srgb, var(--cw-accent) 15%, transparent); }
       .cw-icon-btn:hover {
         color: var(--cw-text);
         opacity: 1;
@@ -705,6 +788,14 @@ injectStyles() {
         line-height: 1.5; height: 105px; overflow: hidden;
         mask-image: linear-gradient(to bottom, black 80%, transparent 100%);
       }
+      .cw-floating-chunk.streaming p::after {
+        content: '▍';
+        color: var(--cw-accent);
+        animation: caret-blink 1s steps(1) infinite;
+      }
+      @keyframes caret-blink {
+        50% { opacity: 0; }
+      }
      .cw-chunk-slot-1 { top: 15%; left: 10%; transition-delay: 0s;
      }
       .cw-chunk-slot-2 { top: 20%; left: 65%; transition-delay: 0.1s;
@@ -876,6 +967,83 @@ injectStyles() {
         transform: scale(1.02);
         box-shadow: 0 5px 15px rgba(0,0,0,0.1);
       }
+      .cw-insight-bullet.has-anchor { cursor: pointer; }
+      .cw-insight-bullet.has-anchor::after {
+        content: '↧'; margin-left: 6px; color: var(--cw-accent); font-size: 13px;
+      }
+      .cw-modal-source {
+        align-self: flex-start; margin-top: 12px; padding: 6px 12px; border-radius: 8px;
+        border: 1px solid var(--cw-accent); background: transparent;
+        color: var(--cw-accent); font-size: 13px; cursor: pointer;
+      }
+      .cw-modal-source[hidden] { display: none; }
+
+      /* Page Chat */
+      .cw-chat-card { display: none; }
+      .cw-panel-right.chat-open .cw-insight-card { display: none; }
+      .cw-panel-right.chat-open .cw-chat-card {
+        display: flex; flex-direction: column; flex: 1; min-height: 0;
+        background: var(--cw-bg-secondary);
+        border: 1px solid var(--cw-border);
+        border-radius: 16px; padding: 24px;
+        box-shadow: 0 10px 40px rgba(0,0,0,0.15);
+      }
+      .cw-chat-header {
+        display: flex; align-items: center; justify-content: space-between;
+        margin-bottom: 12px; flex-shrink: 0;
+      }
+      .cw-chat-header h3 { margin: 0; color: var(--cw-accent); font-weight: 600; font-size: 20px; }
+      .cw-chat-clear {
+        background: none; border: 1px solid var(--cw-border); border-radius: 8px;
+        color: var(--cw-text-muted); font-size: 12px; padding: 4px 10px; cursor: pointer;
+      }
+      .cw-chat-log {
+        flex: 1; min-height: 0; overflow-y: auto;
+        display: flex; flex-direction: column; gap: 10px; padding-right: 5px;
+      }
+      .cw-chat-empty { color: var(--cw-text-muted); font-size: 14px; margin: 0; }
+      .cw-chat-msg {
+        max-width: 90%; padding: 10px 14px; border-radius: 12px;
+        font-size: 14px; line-height: 1.5; overflow-wrap: break-word;
+      }
+      .cw-chat-msg.user {
+        align-self: flex-end; color: var(--cw-text);
+        background: var(--cw-highlight);
+      }
+      .cw-chat-msg.assistant {
+        align-self: flex-start; color: var(--cw-text);
+        background: color-mix(in srgb, var(--cw-bg) 50%, transparent);
+        border-left: 3px solid var(--cw-accent);
+      }
+      .cw-chat-msg.pending { color: var(--cw-text-muted); font-style: italic; }
+      .cw-chat-sources { display: flex; flex-wrap: wrap; gap: 6px; margin-top: 8px; }
+      .cw-chat-cite {
+        background: none; border: 1px solid var(--cw-accent); border-radius: 8px;
+        color: var(--cw-accent); font-size: 12px; padding: 2px 8px; cursor: pointer;
+      }
+      .cw-chat-cite:hover { background: var(--cw-highlight); }
+      .cw-chat-form { display: flex; gap: 8px; margin-top: 12px; flex-shrink: 0; }
+      .cw-chat-form input {
+        flex: 1; min-width: 0; padding: 10px 12px; border-radius: 8px;
+        border: 1px solid var(--cw-border); background: var(--cw-bg);
+        color: var(--cw-text); font-size: 14px;
+      }
+      .cw-chat-form button {
+        padding: 10px 16px; border-radius: 8px; border: 1px solid var(--cw-accent);
+        background: var(--cw-accent); color: var(--cw-bg); font-weight: 600; cursor: pointer;
+      }
+      .cw-chat-form button:disabled { opacity: 0.5; cursor: default; }
+      /* Source highlight on the page itself, outside the overlay */
+      ::highlight(cw-passage) {
+        background-color: rgba(0, 212, 255, 0.35);
+        color: inherit;
+      }
+      .cw-source-flash {
+        outline: 3px solid var(--cw-accent) !important;
+        outline-offset: 4px;
+        background-color: var(--cw-highlight-dark) !important;
+        transition: outline-color 0.3s ease, background-color 0.3s ease;
+      }
 
       /* Insight CTA Button */
       .cw-insight-cta {
@@ -1276,6 +1444,25 @@ overlayContent.innerHTML = `
         </div>
         <div class="cw-header-controls">
         
+          <div class="cw-export">
+            <button class="cw-icon-btn" id="cw-export" title="Export this result" hidden>
+              ⬇️
+            </button>
+            <div class="cw-export-menu" id="cw-export-menu">
+              <button data-format="markdown">Markdown (.md)</button>
+              <button data-format="html">Web page (.html)</button>
+              <button data-format="jsonld">JSON-LD (.jsonld)</button>
+            </div>
+          </div>
+
+          <button class="cw-icon-btn" id="cw-chat-toggle" title="Ask about this page" hidden>
+            💬
+          </button>
+
+          <button class="cw-icon-btn" id="cw-rerun" title="Analyse again" hidden>
+            ♻️
+          </button>
+
           <button class="cw-icon-btn" id="cw-swap-view" title="Swap Panels">
             🔄
           </button>
@@ -1328,6 +1515,7 @@ overlayContent.innerHTML = `
               <h3 id="cw-modal-title"></h3>
  
               <div class="cw-modal-text" id="cw-modal-text"></div>
+              <button class="cw-modal-source" id="cw-modal-source" hidden>↧ Show on the page</button>
             </div>
           </div>
 
@@ -1341,6 +1529,15 @@ overlayContent.innerHTML = `
     this.overlay.querySelector('#cw-close-overlay').addEventListener('click', this.hideOverlay.bind(this));
     this.overlay.querySelector('#cw-theme-toggle').addEventListener('click', this.toggleTheme.bind(this));
     this.overlay.querySelector('#cw-swap-view').addEventListener('click', this.swapMainView.bind(this));
+    this.overlay.querySelector('#cw-rerun').addEventListener('click', this.rerunPipeline.bind(this));
+    this.overlay.querySelector('#cw-chat-toggle').addEventListener('click', this.toggleChat.bind(this));
+    this.overlay.querySelector('#cw-export').addEventListener('click', () => {
+      this.overlay.querySelector('#cw-export-menu').classList.toggle('visible');
+    });
+    this.overlay.querySelector('#cw-export-menu').addEventListener('click', (e) => {
+      const format = e.target.closest('[data-format]')?.dataset.format;
+      if (format) this.exportSnapshot(format);
+    });
     this.overlay.querySelector('#cw-drawer-handle').addEventListener('click', this.toggleDrawer.bind(this));
     
     this.overlay.querySelector('#cw-chunk-modal').addEventListener('click', (e) => {
@@ -1348,6 +1545,13 @@ overlayContent.innerHTML = `
         this.closeChunkModal();
       }
     });
+    this.overlay.querySelector('#cw-modal-source').addEventListener('click', (e) => {
+      const summary = this.chunkSummaries.find(s => s.chunkId == e.currentTarget.dataset.chunkId);
+      if (summary?.anchor) {
+        this.closeChunkModal();
+        this.showPassage(summary.anchor);
+      }
+    });
 
     // 🌟 MODIFIED: Set initial drawer icon with emoji
     this.overlay.querySelector('#cw-drawer-handle').innerHTML = `⋮`;
@@ -1377,6 +1581,8 @@ overlayContent.innerHTML = `
     this.overlay.querySelector('.cw-overlay').classList.remove('visible');
     this.isOverlayVisible = false;
     document.body.style.overflow = '';
+    // Closing mid-run cancels it; the next orb click starts over
+    if (this.isProcessing) this.cancelPipeline();
   }
 
   toggleOverlay() {
@@ -1464,7 +1670,7 @@ overlayContent.innerHTML = `
     
     const statusEl = this.overlay?.querySelector('#cw-vortex-status'); // Safety check
     if (statusEl) {
-      statusEl.textContent = `Processing Chunk ${count} / ${total}...`;
+      statusEl.textContent = `Summarized ${count} / ${total} chunks...`;
     }
   }
 
@@ -1475,7 +1681,7 @@ overlayContent.innerHTML = `
     if (!container || !vortex) return;
     
     const card = document.createElement('div');
-    card.className = `cw-floating-chunk cw-chunk-slot-${(index % 5) + 1}`;
+    card.className = `cw-floating-chunk cw-chunk-slot-${(index % 5) + 1}${summary.text ? '' : ' streaming'}`;
     card.dataset.chunkId = summary.chunkId;
     card.innerHTML = `
       <h4>${this.escapeHTML(summary.title)}</h4>
@@ -1501,6 +1707,20 @@ overlayContent.innerHTML = `
       card.classList.add('visible');
     }, 50 * index);
   }
+
+  // STAGE 1: Fill a floating chunk in as its summary streams
+  updateFloatingChunk(chunkId, { title, text, done = false }) {
+    const card = this.overlay?.querySelector(`.cw-floating-chunk[data-chunk-id="${chunkId}"]`);
+    if (!card) return;
+
+    if (title) card.querySelector('h4').textContent = title;
+    if (text !== undefined) {
+      const body = card.querySelector('p');
+      body.textContent = text;
+      body.scrollTop = body.scrollHeight; // keep the newest tokens in view
+    }
+    card.classList.toggle('streaming', !done);
+  }
   
   // Slower transition
 // Slower transition
@@ -1560,17 +1780,8 @@ overlayContent.innerHTML = `
     summaryCard.classList.add('shifting');
     // 3. Wait for shift to be part-way
     await this.sleep(300);
-    // 4. Hide center summary, show final layout
-    mainContent.classList.add('visible');
-    // 5. Render final panels (default view)
-    panelLeft.innerHTML = this.getSummaryPanelHTML();
-    drawer.innerHTML = this.getChunksPanelHTML(true);
-    // true = isForDrawer
-    this.renderInsightsPanel(panelRight); // This now renders the CTA as well
-    
-    // 6. Add click/hover handlers
-    this.addChunkClickListeners();
-    this.addInsightHoverListeners();
+    // 4-6. Hide center summary, show final layout
+    this.renderFinalPanels();
     
     // 7. Wait for comet to finish
     await this.sleep(2000);
@@ -1582,6 +1793,70 @@ overlayContent.innerHTML = `
     this.overlay.querySelector('#cw-drawer-handle').classList.add('visible');
   }
 
+  // Final layout: summary (or chunks) in the main panel, insights beside it
+  renderFinalPanels() {
+    const mainContent = this.overlay.querySelector('#cw-main-content');
+    mainContent.classList.add('visible');
+    // Render final panels (default view)
+    this.overlay.querySelector('#cw-panel-left').innerHTML = this.getSummaryPanelHTML();
+    this.overlay.querySelector('#cw-drawer').innerHTML = this.getChunksPanelHTML(true);
+    // true = isForDrawer
+    this.renderInsightsPanel(this.overlay.querySelector('#cw-panel-right')); // This now renders the CTA as well
+    this.renderChatPanel(this.overlay.querySelector('#cw-panel-right'));
+
+    // Add click/hover handlers
+    this.addChunkClickListeners();
+    this.addInsightHoverListeners();
+  }
+
+  // Show a saved result straight away, without the processing animation
+  async showCachedSnapshot(snapshot) {
+    if (!this.overlay) return;
+    this.chunkSummaries = (snapshot.chunks || []).map(chunk => ({
+      ...chunk,
+      // Same content, same chunking: page text for chat and citations
+      sourceChunk: this.chunks.find(source => source.id === chunk.chunkId),
+      profileAware: true
+    }));
+    this.comprehensiveSummary = snapshot.summary || 'No summary available.';
+    this.personalizedInsight = snapshot.headline || snapshot.insights?.length
+      ? { headline: snapshot.headline, subheading: snapshot.subheading, bullets: snapshot.insights || [] }
+      : null;
+    this.cta_text = snapshot.cta || null;
+    // Anchors saved with the snapshot win; snapshots from before anchors
+    // were recorded get them matched on the live page
+    this.anchorChunkSummaries();
+    this.mapInsightsToChunks();
+    (snapshot.insightAnchors || []).forEach((anchor, index) => {
+      if (anchor) this.insightAnchors[index] = anchor;
+    });
+
+    this.stopLoadingMessages();
+    ['#cw-processing-vortex', '#cw-chunk-popups-container', '#cw-summary-center', '#cw-comet-sky']
+      .forEach(selector => this.overlay.querySelector(selector)?.remove());
+    this.renderFinalPanels();
+    this.overlay.querySelector('#cw-drawer-handle').classList.add('visible');
+
+    this.showExportButton(snapshot.snapshotId);
+    const rerun = this.overlay.querySelector('#cw-rerun');
+    rerun.hidden = false;
+    rerun.title = `Saved result from ${new Date(snapshot.timestamp).toLocaleString()}. Click to analyse the page again.`;
+    console.log('📸 [Snapshot] Served saved result:', snapshot.snapshotId);
+  }
+
+  // Drop the saved result and run the whole pipeline again
+  async rerunPipeline() {
+    if (this.isProcessing) return;
+    this.resetPipeline();
+    this.hasProcessed = false;
+    this.skipSnapshotCache = true;
+    try {
+      await this.handleOrbClick();
+    } finally {
+      this.skipSnapshotCache = false;
+    }
+  }
+
 // Helper to get Summary Panel HTML
   getSummaryPanelHTML(isForDrawer = false) {
     const id = isForDrawer ?
@@ -1662,7 +1937,7 @@ overlayContent.innerHTML = `
         <p class="cw-insight-subheading">${this.escapeHTML(this.personalizedInsight.subheading)}</p>
         <ul class="cw-insight-bullets">
           ${(this.personalizedInsight.bullets || []).map((bullet, idx) => `
-            <li class="cw-insight-bullet" data-insight-index="${idx}">
+            <li class="cw-insight-bullet${this.insightAnchors[idx] ? ' has-anchor' : ''}" data-insight-index="${idx}"${this.insightAnchors[idx] ? ' title="Show on the page"' : ''}>
               ${this.escapeHTML(bullet)}
             
             </li>
@@ -1671,6 +1946,11 @@ overlayContent.innerHTML = `
         ${ctaButtonHTML} 
       </div>
     `;
+    // Clicking an insight jumps to the passage that supports it
+    targetContainer.querySelector('.cw-insight-card').addEventListener('click', (e) => {
+      const bullet = e.target.closest('.cw-insight-bullet.has-anchor');
+      if (bullet) this.showPassage(this.insightAnchors[bullet.dataset.insightIndex]);
+    });
     // Set the href for the CTA button after rendering
     if (this.cta_text) {
       const ctaButton = targetContainer.querySelector('#cw-insight-cta');
@@ -1681,6 +1961,194 @@ overlayContent.innerHTML = `
     }
   }
   
+  // ==================== 💬 PAGE CHAT ====================
+  // Follow-up questions answered from the extracted chunks. The background
+  // keeps the conversation per tab, so it survives closing the overlay.
+  renderChatPanel(targetContainer) {
+    targetContainer.classList.toggle('chat-open', this.isChatOpen);
+    targetContainer.insertAdjacentHTML('beforeend', `
+      <div class="cw-chat-card" id="cw-chat-card">
+        <div class="cw-chat-header">
+          <h3>Ask This Page</h3>
+          <button class="cw-chat-clear" id="cw-chat-clear" title="Start a new conversation">New chat</button>
+        </div>
+        <div class="cw-chat-log" id="cw-chat-log"></div>
+        <form class="cw-chat-form" id="cw-chat-form">
+          <input id="cw-chat-input" type="text" maxlength="500" autocomplete="off" placeholder="Ask a follow-up question...">
+          <button type="submit" id="cw-chat-send">Ask</button>
+        </form>
+      </div>
+    `);
+
+    targetContainer.querySelector('#cw-chat-form').addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.askPage();
+    });
+    targetContainer.querySelector('#cw-chat-clear').addEventListener('click', this.clearPageChat.bind(this));
+    targetContainer.querySelector('#cw-chat-log').addEventListener('click', (e) => {
+      const cite = e.target.closest('.cw-chat-cite');
+      if (cite) this.showChatSource(cite.dataset.chunkId, cite.dataset.domHint);
+    });
+
+    this.overlay.querySelector('#cw-chat-toggle').hidden = false;
+    this.loadPageChat();
+  }
+
+  toggleChat() {
+    if (!this.overlay) return;
+    this.isChatOpen = !this.isChatOpen;
+    this.overlay.querySelector('#cw-panel-right').classList.toggle('chat-open', this.isChatOpen);
+    this.overlay.querySelector('#cw-chat-toggle').classList.toggle('active', this.isChatOpen);
+    if (this.isChatOpen) this.overlay.querySelector('#cw-chat-input')?.focus();
+  }
+
+  async loadPageChat() {
+    const response = await this.sendToBackground({ type: 'GET_PAGE_CHAT', url: window.location.href }, 3000);
+    const log = this.overlay?.querySelector('#cw-chat-log');
+    if (!log) return;
+    const turns = response?.data?.turns || [];
+    log.innerHTML = turns.length === 0
+      ? '<p class="cw-chat-empty">Ask anything about this page. Answers cite the chunks they come from.</p>'
+      : turns.map(turn => this.getChatTurnHTML(turn)).join('');
+    log.scrollTop = log.scrollHeight;
+  }
+
+  getChatTurnHTML(turn) {
+    const citations = turn.citations || [];
+    const cite = (citation) => `<button class="cw-chat-cite" data-chunk-id="${citation.chunkId}" data-dom-hint="${this.escapeHTML(citation.domHint || '')}" title="Show on the page">`;
+    // [n] markers become links to the cited chunk
+    const answer = this.escapeHTML(turn.answer).replace(/\[(\d+)\]/g, (marker, number) => {
+      const citation = citations.find(c => c.number === Number(number));
+      return citation ? `${cite(citation)}${number}</button>` : marker;
+    });
+    const sources = citations.length > 0
+      ? `<div class="cw-chat-sources">${citations.map(c => `${cite(c)}[${c.number}] ${this.escapeHTML(c.title)}</button>`).join('')}</div>`
+      : '';
+    return `
+      <div class="cw-chat-msg user">${this.escapeHTML(turn.question)}</div>
+      <div class="cw-chat-msg assistant">${answer}${sources}</div>
+    `;
+  }
+
+  async askPage() {
+    const input = this.overlay?.querySelector('#cw-chat-input');
+    const question = input?.value.trim();
+    if (!question || this.isChatting) return;
+
+    const log = this.overlay.querySelector('#cw-chat-log');
+    const sendBtn = this.overlay.querySelector('#cw-chat-send');
+    log.querySelector('.cw-chat-empty')?.remove();
+    log.insertAdjacentHTML('beforeend', `
+      <div class="cw-chat-msg user">${this.escapeHTML(question)}</div>
+      <div class="cw-chat-msg assistant pending">Reading the page...</div>
+    `);
+    log.scrollTop = log.scrollHeight;
+    input.value = '';
+    this.isChatting = true;
+    sendBtn.disabled = true;
+
+    try {
+      const response = await this.sendAITaskToBackground({
+        type: 'CHAT_WITH_PAGE',
+        data: {
+          question,
+          url: window.location.href,
+          // Excerpt numbers in the answer follow this order
+          chunks: this.chunkSummaries.map(summary => ({
+            chunkId: summary.chunkId,
+            title: summary.title,
+            summary: summary.text,
+            source: summary.sourceChunk?.text || ''
+          })),
+          profileSummary: this.userProfile?.summary,
+          profileTopics: this.userProfile?.topics,
+          profileConfidence: this.userProfile?.confidence,
+          profileFocusStyle: this.userProfile?.focusStyle
+        }
+      }, 45000);
+      if (!response?.success) throw new Error(response?.error || 'Chat failed');
+      const turn = this.parseAIResponse(response, 'page-chat');
+      if (!turn.answer) throw new Error(response?.data?.error || 'No answer');
+      log.querySelector('.pending')?.remove();
+      log.lastElementChild?.remove(); // the question is re-rendered with its answer
+      log.insertAdjacentHTML('beforeend', this.getChatTurnHTML(turn));
+    } catch (error) {
+      console.warn('⚠️ [Chat] Question failed:', error);
+      const pending = log.querySelector('.pending');
+      if (pending) pending.textContent = 'Could not answer that right now. Please try again.';
+      pending?.classList.remove('pending');
+    } finally {
+      this.isChatting = false;
+      sendBtn.disabled = false;
+      log.scrollTop = log.scrollHeight;
+    }
+  }
+
+  async clearPageChat() {
+    await this.sendToBackground({ type: 'CLEAR_PAGE_CHAT' }, 3000);
+    await this.loadPageChat();
+  }
+
+  /**
+   * Close the overlay and scroll to where a cited chunk came from: the
+   * chunk's element that contains the citation's DOM hint words, or its
+   * first element.
+   */
+  showChatSource(chunkId, domHint) {
+    const summary = this.chunkSummaries.find(s => s.chunkId == chunkId);
+    const elements = (summary?.sourceChunk?.blocks || [])
+      .flatMap(block => block.elements || [])
+      .filter(element => element?.isConnected);
+    if (elements.length === 0) {
+      console.warn('⚠️ [Chat] Source no longer on the page for chunk', chunkId);
+      return;
+    }
+
+    const words = (domHint || '').toLowerCase().split(/\s+/).filter(Boolean);
+    const target = elements.find(element => {
+      const text = element.textContent.toLowerCase();
+      return words.length > 0 && words.every(word => text.includes(word));
+    }) || elements[0];
+
+    this.hideOverlay();
+    target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    target.classList.add('cw-source-flash');
+    setTimeout(() => target.classList.remove('cw-source-flash'), 2500);
+  }
+
+  /**
+   * Close the overlay, then scroll to and highlight a passage on the page.
+   * The anchor is resolved against the page as it is now, so anchors saved
+   * with a snapshot on an earlier visit work too.
+   * @returns {boolean} whether the passage is still on the page
+   */
+  showPassage(anchor) {
+    const index = new TextQuoteIndex(document.body);
+    const match = index.locate(anchor);
+    const range = match && index.toRange(match.start, match.end);
+    if (!range) {
+      console.warn('⚠️ [Anchors] Passage no longer on the page:', anchor?.exact?.slice(0, 60));
+      return false;
+    }
+
+    const container = range.commonAncestorContainer;
+    const target = container.nodeType === Node.ELEMENT_NODE ? container : container.parentElement;
+    this.hideOverlay();
+    target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+
+    // The Custom Highlight API marks just the passage; without it the
+    // element around it flashes, as for chat citations
+    clearTimeout(this.passageHighlightTimer);
+    if (window.CSS?.highlights && typeof Highlight === 'function') {
+      CSS.highlights.set('cw-passage', new Highlight(range));
+      this.passageHighlightTimer = setTimeout(() => CSS.highlights.delete('cw-passage'), 4000);
+    } else {
+      target.classList.add('cw-source-flash');
+      this.passageHighlightTimer = setTimeout(() => target.classList.remove('cw-source-flash'), 2500);
+    }
+    return true;
+  }
+
   // Chunk Modal Logic
   addChunkClickListeners() {
     this.overlay?.querySelectorAll('.cw-panel-chunk, .cw-drawer-chunk').forEach(el => {
@@ -1707,6 +2175,9 @@ overlayContent.innerHTML = `
     // 🌟 FIXED: Use the summary title and summary text
     this.overlay.querySelector('#cw-modal-title').textContent = `${this.escapeHTML(chunkSummary.title)}`;
     this.overlay.querySelector('#cw-modal-text').innerHTML = this.formatFullChunkText(chunkSummary.text);
+    const sourceBtn = this.overlay.querySelector('#cw-modal-source');
+    sourceBtn.hidden = !chunkSummary.anchor;
+    sourceBtn.dataset.chunkId = chunkSummary.chunkId;
     
     this.overlay.querySelector('#cw-chunk-modal').classList.add('visible');
   }
@@ -1771,10 +2242,29 @@ overlayContent.innerHTML = `
 
   // ==================== 🚀 REVISED PIPELINE ====================
  async runPipeline() {
+    const run = this.startPipelineRun();
     try {
       // Step 1 & 2
       const blocks = this.extractContentBlocks();
+      this.contentHash = this.fingerprintContent(blocks);
+
+      // The profile may have moved on since the page loaded
+      await this.untilCancelled(run, this.loadUserProfile());
+      if (run.cancelled) return;
+
+      // Chunked up front: a saved result still needs the page text to chat
       this.chunks = this.chunkContent(blocks);
+
+      // A saved result for this page and profile skips the AI work entirely
+      if (!this.skipSnapshotCache) {
+        const cached = await this.untilCancelled(run, this.findCachedSnapshot());
+        if (run.cancelled) return;
+        if (cached) {
+          await this.showCachedSnapshot(cached);
+          return;
+        }
+      }
+
       const sortedChunks = [...this.chunks].sort((a, b) => b.score - a.score);
       const topChunks = sortedChunks.slice(0, this.CONFIG.MAX_CHUNKS);
       topChunks.sort((a, b) => a.id - b.id);
@@ -1783,59 +2273,243 @@ overlayContent.innerHTML = `
       // Step 3
       console.log('⚡ [Pipeline] Processing chunks...');
       this.stopLoadingMessages();
-      let index = 0;
-      for (const chunk of topChunks) {
-        await this.processChunkWithProfile(chunk, ++index);
-      }
+      await this.untilCancelled(run, this.summarizeChunks(topChunks, run));
+      if (run.cancelled) return;
       
       // STAGE 2
       console.log('📚 [Pipeline] Generating summary...');
       const summaryPromise = this.generateSummaryOfSummaries();
       // Longer wait for chunks to be visible
-      await Promise.all([summaryPromise, this.sleep(2000)]);
+      await this.untilCancelled(run, Promise.all([summaryPromise, this.sleep(2000)]));
+      if (run.cancelled) return;
       await this.transitionToSummaryView();
       
       // STAGE 3
       console.log('✨ [Pipeline] Generating insights...');
       const insightPromise = this.generatePersonalizedInsight();
       const timerPromise = this.sleep(this.CONFIG.SUMMARY_PAUSE_MS);
-      await Promise.all([insightPromise, timerPromise]);
+      await this.untilCancelled(run, Promise.all([insightPromise, timerPromise]));
+      if (run.cancelled) return;
       
+      this.anchorChunkSummaries();
       this.mapInsightsToChunks();
       
       await this.transitionToFinalView();
       console.log('🎉 [Pipeline] Complete!');
+      await this.saveSnapshot();
     } catch (error) {
       console.error('❌ [Pipeline] Failed:', error);
       this.showError(error.message);
     } finally {
+      this.pipelineRun = null;
       this.isProcessing = false;
-      this.hasProcessed = true;
+      this.hasProcessed = !run.cancelled;
       this.stopOrbSpin();
-      this.blastOrbWave();
       this.stopLoadingMessages();
-      // Ensure this stops
-      this.overlay?.querySelector('.cw-overlay')?.classList.remove('is-processing-pipeline');
+      if (run.cancelled) {
+        console.log('🛑 [Pipeline] Cancelled');
+        this.resetPipeline();
+      } else {
+        this.blastOrbWave();
+        // Ensure this stops
+        this.overlay?.querySelector('.cw-overlay')?.classList.remove('is-processing-pipeline');
+      }
     }
   }
 
-  async processChunkWithProfile(chunk, index) {
-    // ... (unchanged)
-    this.updateVortexStatus(index, this.totalChunksToProcess);
+  startPipelineRun() {
+    const run = { cancelled: false, stream: null };
+    run.cancellation = new Promise(resolve => { run.cancel = resolve; });
+    this.pipelineRun = run;
+    return run;
+  }
+
+  // Abort a run in progress: queued and streaming chunks stop in the
+  // background as soon as the port goes away. Requests already sent keep
+  // going, but their results are dropped.
+  cancelPipeline() {
+    const run = this.pipelineRun;
+    if (!run) return;
+    run.cancelled = true;
+    this.closeChunkStream(run, true);
+    run.cancel();
+  }
+
+  untilCancelled(run, promise) {
+    return Promise.race([promise, run.cancellation]);
+  }
+
+  // Drop the half-built overlay so the next orb click starts from scratch
+  resetPipeline() {
+    this.overlay?.remove();
+    this.overlay = null;
+    this.isDrawerOpen = false;
+    this.isMainViewSummary = true;
+    this.isChatOpen = false;
+    this.chunkSummaries = [];
+    this.comprehensiveSummary = null;
+    this.personalizedInsight = null;
+    this.insightChunkMap.clear();
+    this.insightAnchors = [];
+    this.cta_text = null;
+    this.snapshotId = null;
+  }
+
+  // ==================== ⚡ STREAMED CHUNK SUMMARIES ====================
+  /**
+   * Summarize chunks in parallel over one port. Cards are placed up front and
+   * fill in token by token; the background queue decides how many run at once.
+   * Chunks the stream cannot finish (worker restart, stall) fall back to the
+   * one-shot SUMMARIZE_CHUNK_WITH_PROFILE task.
+   */
+  async summarizeChunks(chunks, run) {
+    let completed = 0;
+    run.stream = this.openChunkStream();
+    this.updateVortexStatus(0, chunks.length);
+    chunks.forEach((chunk, index) => {
+      this.renderFloatingChunk({ chunkId: chunk.id, title: `Chunk ${chunk.id + 1}`, text: '' }, index);
+    });
+
+    try {
+      const summaries = await Promise.all(chunks.map(async (chunk) => {
+        let summary = await this.streamChunkSummary(run.stream, chunk);
+        if (!summary && !run.cancelled) {
+          summary = await this.requestChunkSummary(chunk);
+        }
+        if (!summary || run.cancelled) return null;
+
+        this.updateFloatingChunk(chunk.id, { title: summary.title, text: summary.text, done: true });
+        this.updateVortexStatus(++completed, chunks.length);
+        return summary;
+      }));
+      // Promise.all keeps page order whatever order the chunks finished in
+      if (!run.cancelled) this.chunkSummaries = summaries.filter(Boolean);
+    } finally {
+      this.closeChunkStream(run, false);
+    }
+  }
+
+  openChunkStream() {
+    try {
+      if (!chrome.runtime?.id) return null;
+      const stream = {
+        port: chrome.runtime.connect({ name: 'cw-chunk-stream' }),
+        handlers: new Map(), // chunkId -> message handler
+        closed: false
+      };
+      stream.port.onMessage.addListener((message) => {
+        stream.handlers.get(message?.chunkId)?.(message);
+      });
+      stream.port.onDisconnect.addListener(() => {
+        // Worker restarted or went away; pending chunks use the fallback
+        void chrome.runtime.lastError;
+        stream.closed = true;
+        stream.handlers.forEach(handler => handler({ type: 'CHUNK_ERROR', error: 'Stream disconnected' }));
+      });
+      return stream;
+    } catch (error) {
+      console.warn('⚠️ [Streaming] Could not open chunk stream:', error);
+      return null;
+    }
+  }
+
+  closeChunkStream(run, cancel) {
+    const stream = run.stream;
+    if (!stream || stream.closed) return;
+
+    stream.closed = true;
+    try {
+      if (cancel) stream.port.postMessage({ type: 'CANCEL' });
+      stream.port.disconnect();
+    } catch (error) {
+      // Port already gone
+    }
+    // disconnect() does not fire our own onDisconnect, so settle waiters here
+    stream.handlers.forEach(handler => handler({ type: 'CHUNK_ERROR', error: 'Cancelled' }));
+  }
+
+  /**
+   * Resolves with the chunk summary, or null when the stream failed and the
+   * caller should fall back.
+   */
+  streamChunkSummary(stream, chunk) {
+    if (!stream || stream.closed) return Promise.resolve(null);
+
+    return new Promise((resolve) => {
+      let text = '';
+      let idleTimer = null;
+      const finish = (summary) => {
+        clearTimeout(idleTimer);
+        stream.handlers.delete(chunk.id);
+        resolve(summary);
+      };
+      const armIdleTimer = () => {
+        clearTimeout(idleTimer);
+        idleTimer = setTimeout(() => {
+          console.warn(`⚠️ [Streaming] Chunk ${chunk.id} stalled, falling back`);
+          try {
+            stream.port.postMessage({ type: 'CANCEL', chunkId: chunk.id });
+          } catch (error) {
+            // Port already gone
+          }
+          finish(null);
+        }, this.CONFIG.CHUNK_STREAM_IDLE_MS);
+      };
+
+      // Armed once the task starts: time spent queued behind other chunks
+      // is not a stall
+      stream.handlers.set(chunk.id, (message) => {
+        if (message.type === 'CHUNK_STARTED') {
+          armIdleTimer();
+        } else if (message.type === 'CHUNK_DELTA') {
+          text += message.delta;
+          this.updateFloatingChunk(chunk.id, { text });
+          armIdleTimer();
+        } else if (message.type === 'CHUNK_DONE') {
+          const resultData = message.data || {};
+          finish({
+            chunkId: chunk.id,
+            title: resultData.title || `Chunk ${chunk.id + 1}`,
+            text: resultData.summary || text || chunk.text.substring(0, 120) + '...',
+            score: chunk.score,
+            sourceChunk: chunk,
+            profileAware: !!resultData.profileAware
+          });
+        } else if (message.type === 'CHUNK_ERROR') {
+          if (!message.cancelled) {
+            console.warn(`⚠️ [Streaming] Chunk ${chunk.id} failed:`, message.error);
+          }
+          finish(null);
+        }
+      });
+
+      stream.port.postMessage({
+        type: 'SUMMARIZE_CHUNK',
+        taskId: `stream-chunk-${chunk.id}-${Date.now()}`,
+        data: this.buildChunkTaskData(chunk)
+      });
+    });
+  }
+
+  buildChunkTaskData(chunk) {
+    return {
+      text: chunk.text.substring(0, this.CONFIG.CHUNK_MAX),
+      chunkId: chunk.id,
+      score: chunk.score,
+      profileSummary: this.userProfile?.summary,
+      profileTopics: this.userProfile?.topics,
+      profileConfidence: this.userProfile?.confidence,
+      profileFocusStyle: this.userProfile?.focusStyle
+    };
+  }
+
+  // One-shot chunk summary, used when streaming is unavailable
+  async requestChunkSummary(chunk) {
     let summary;
     try {
-      const response = await this.sendToBackground({
+      const response = await this.sendAITaskToBackground({
         type: 'SUMMARIZE_CHUNK_WITH_PROFILE',
-        data: {
-          text: chunk.text.substring(0, this.CONFIG.CHUNK_MAX),
-          chunkId: chunk.id,
-          score: chunk.score,
-          profileSummary: this.userProfile?.summary,
-          profileTopics: this.userProfile?.topics,
-          profileConfidence: this.userProfile?.confidence,
-  
-          profileFocusStyle: this.userProfile?.focusStyle
-        }
+        data: this.buildChunkTaskData(chunk)
       }, 45000);
       if (!response?.success) throw new Error(response?.error || 'AI task failed');
       const resultData = this.parseAIResponse(response, `chunk ${chunk.id}`);
@@ -1860,14 +2534,13 @@ overlayContent.innerHTML = `
         profileAware: false
       };
     }
-    
-    this.chunkSummaries.push(summary);
-    this.renderFloatingChunk(summary, index - 1);
+
+    return summary;
   }
 
   async generateSummaryOfSummaries() {
     try {
-      const response = await this.sendToBackground({
+      const response = await this.sendAITaskToBackground({
         type: 'GENERATE_SUMMARY_OF_SUMMARIES',
         data: { 
           chunkSummaries: this.chunkSummaries,
@@ -1892,7 +2565,7 @@ overlayContent.innerHTML = `
       if (!this.comprehensiveSummary) throw new Error('No summary available');
       const pageDomain = await this.getWebPageDomain();
       const contentDomain = await this.getWebpageContentDomain();
-      const response = await this.sendToBackground({
+      const response = await this.sendAITaskToBackground({
         type: 'GENERATE_FINAL_INSIGHT',
         data: {
           comprehensiveSummary: this.comprehensiveSummary,
@@ -1919,6 +2592,102 @@ null; // Store the CTA
     }
   }
 
+  // ==================== 📸 SNAPSHOT CACHE ====================
+  /**
+   * 64-bit simhash of the page's three-word shingles, as 16 hex digits.
+   * Small edits flip few bits, so the background can tell a tweaked page
+   * from a rewritten one (see getContentFingerprintDistance).
+   */
+  fingerprintContent(blocks) {
+    const words = blocks.map(block => block.text).join(' ').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+    const shingles = words.length < 3 ? [words.join(' ')] : words.slice(2).map((_, i) => words.slice(i, i + 3).join(' '));
+    const hash = (text, seed) => {
+      let h = seed;
+      for (let i = 0; i < text.length; i++) h = Math.imul(h ^ text.charCodeAt(i), 0x01000193);
+      // murmur3 finalizer; FNV alone mixes its low bits poorly
+      h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+      h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+      return (h ^ (h >>> 16)) >>> 0;
+    };
+
+    const counts = new Array(64).fill(0);
+    shingles.forEach(shingle => {
+      [hash(shingle, 0x811c9dc5), hash(shingle, 0x9e3779b9)].forEach((value, half) => {
+        for (let bit = 0; bit < 32; bit++) counts[half * 32 + bit] += (value >>> bit) & 1 ? 1 : -1;
+      });
+    });
+    const toHex = offset => (counts.slice(offset, offset + 32)
+      .reduce((value, count, bit) => (count > 0 ? value | (1 << bit) : value), 0) >>> 0)
+      .toString(16).padStart(8, '0');
+    return toHex(0) + toHex(32);
+  }
+
+  showExportButton(snapshotId) {
+    this.snapshotId = snapshotId;
+    const button = this.overlay?.querySelector('#cw-export');
+    if (button) button.hidden = false;
+  }
+
+  // Download this page's snapshot in one format, straight from the page
+  async exportSnapshot(format) {
+    this.overlay?.querySelector('#cw-export-menu').classList.remove('visible');
+    if (!this.snapshotId) return;
+    const response = await this.sendToBackground({ type: 'EXPORT_SNAPSHOTS', snapshotIds: [this.snapshotId], formats: [format] }, 10000);
+    if (!response?.success) {
+      console.warn('⚠️ [Snapshot] Export failed:', response?.error);
+      return;
+    }
+    const { filename, mimeType, text } = response.data;
+    const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  getCanonicalHref() {
+    return document.querySelector('link[rel="canonical"]')?.href || null;
+  }
+
+  async findCachedSnapshot() {
+    const response = await this.sendToBackground({
+      type: 'GET_CACHED_SNAPSHOT',
+      url: window.location.href,
+      canonicalHref: this.getCanonicalHref(),
+      contentHash: this.contentHash
+    }, 3000);
+    if (response?.data?.state && response.data.state !== 'fresh') {
+      console.log(`📸 [Snapshot] No saved result to reuse (${response.data.state})`);
+    }
+    return response?.data?.snapshot || null;
+  }
+
+  // Keep the finished result in the dashboard's snapshot library
+  async saveSnapshot() {
+    const response = await this.sendToBackground({
+      type: 'SAVE_SNAPSHOT',
+      data: {
+        url: window.location.href,
+        canonicalHref: this.getCanonicalHref(),
+        contentHash: this.contentHash,
+        profileVersion: this.userProfile?.profileVersion || null,
+        title: document.title || '',
+        summary: this.comprehensiveSummary || '',
+        insight: this.personalizedInsight,
+        cta: this.cta_text,
+        chunks: this.chunkSummaries.map(({ chunkId, title, text, score, anchor }) => ({ chunkId, title, text, score, anchor })),
+        insightAnchors: this.insightAnchors
+      }
+    });
+    if (response?.data?.success) {
+      this.showExportButton(response.data.snapshotId);
+      console.log('📸 [Snapshot] Saved to library:', response.data.snapshotId);
+    } else {
+      console.warn('⚠️ [Snapshot] Not saved:', response?.data?.error || response?.error);
+    }
+  }
+
   showError(message) {
     // ... (unchanged)
     this.stopLoadingMessages();
@@ -1936,132 +2705,48 @@ null; // Store the CTA
     this.stopOrbSpin();
   }
 
-  // ==================== (Unchanged Core Logic) ====================
-  // ... (extractContentBlocks, isValidContentElement, etc...)
-  // ================================================================
-
   // ==================== 🚀 PRODUCTION CONTENT EXTRACTION ====================
+  // Main-content detection lives in src/utils/contentExtractor.js so the
+  // overlay and BehaviorMonitor's topic samples read the same article body.
   extractContentBlocks() {
-    console.log('🔍 [Extraction] Starting multi-strategy content extraction...');
-    const contentCandidates = [
-      { selector: 'article', priority: 10 },
-      { selector: 'main', priority: 9 },
-      { selector: '[role="main"]', priority: 8 },
-      { selector: '.post-content, .article-content, .entry-content, .content-body', priority: 7 },
-      { selector: '#content, #main-content, #article', priority: 6 },
-      { selector: 'body', priority: 1 }
-    ];
-    let mainContent = null;
-    for (const candidate of contentCandidates) {
-      const element = document.querySelector(candidate.selector);
-      if (element && this.hasSubstantialContent(element)) {
-        mainContent = element;
-        break;
-      }
-    }
-    if (!mainContent) mainContent = document.body;
-    const contentSelectors = [
-      'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'li', 'blockquote',
-      '.paragraph', '.text-block', '.content-block',
-      '.article-body p', '.post-body p',
-      'div.content', 'div.text', 'div.paragraph',
-      'div[class*="content"]', 'div[class*="text"]', 'div[class*="paragraph"]' // ✅ FIXED: Was [class**="paragraph"]
-    ].join(',');
-    const candidates = Array.from(mainContent.querySelectorAll(contentSelectors))
-      .filter(el => this.isValidContentElement(el));
-    const blocks = this.groupContentBlocks(candidates);
+    console.log('🔍 [Extraction] Starting density-based content extraction...');
+    const extraction = new ContentExtractor().extract(document);
+    console.log(`🔍 [Extraction] Strategy: ${extraction.strategy}${extraction.rule ? ` (${extraction.rule})` : ''}, ${extraction.wordCount} words`);
+    // Each sentence gets a text-quote anchor, so insights and chunk
+    // summaries can point at the exact passage they came from
+    const textIndex = new TextQuoteIndex(document.body);
+    extraction.blocks.forEach(item => { item.passages = textIndex.passagesOf(item.element); });
+    this.pagePassages = extraction.blocks.flatMap(item => item.passages);
+    const blocks = this.groupContentBlocks(extraction.blocks);
     console.log(`✅ [Extraction] Created ${blocks.length} content blocks`);
     return blocks;
   }
-  hasSubstantialContent(element) {
-    if (!element) return false;
-    const text = element.textContent.trim();
-    const wordCount = text.split(/\s+/).length;
-    return wordCount >= 100;
-  }
-  isValidContentElement(el) {
-    if (!el || !el.textContent) return false;
-    if (el.closest('.cw-overlay-container, .cw-orb, #chromeworld-orb')) return false; // Hardened selector
-    const style = window.getComputedStyle(el);
-    if (style.display === 'none' || style.visibility === 'hidden') return false;
-    const text = el.textContent.replace(/[\s\u200B-\u200D\uFEFF]+/g, ' ').trim();
-    const wordCount = text.split(/\s+/).filter(w => w.length > 0).length;
-    if (text.length < this.CONFIG.MIN_BLOCK_LENGTH || wordCount < this.CONFIG.MIN_WORD_COUNT) return false;
-    if (this.isBoilerplateContainer(el)) return false;
-    if (this.isCodeBlock(el)) return false;
-    if (this.hasHighLinkDensity(el, text)) return false;
-    if (this.isLowQualityText(text)) return false;
-    return true;
-  }
-  isBoilerplateContainer(el) {
-    const boilerplateSelectors = [
-      'nav', 'header', 'footer', 'aside', '.sidebar', '.menu', '.navigation',
-      '.ad', '.advertisement', '.sponsor', '.social', '.share', '.sharing',
-      '.comments', '.comment-section', '.related', '.recommendations',
-      '.breadcrumb', '.pagination', '.popup', '.modal', '.overlay',
-      '.cookie', '.banner', '[class*="nav"]', '[class*="menu"]',
-      '[id*="nav"]', '[id*="menu"]'
-    ];
-    return boilerplateSelectors.some(selector => el.closest(selector));
-  }
-  isCodeBlock(el) {
-    const tag = el.tagName.toLowerCase();
-    if (['pre', 'code', 'kbd', 'samp'].includes(tag)) return true;
-    const codeClasses = ['code', 'highlight', 'syntax', 'snippet'];
-    const className = el.className.toLowerCase();
-    return codeClasses.some(cls => className.includes(cls));
-  }
-  hasHighLinkDensity(el, text) {
-    const links = el.querySelectorAll('a');
-    if (links.length === 0) return false;
-    let linkTextLength = 0;
-    links.forEach(link => { linkTextLength += link.textContent.trim().length; });
-    const linkDensity = text.length > 0 ? linkTextLength / text.length : 0;
-    return linkDensity > this.CONFIG.MAX_LINK_DENSITY;
-  }
-  isLowQualityText(text) {
-    const lowQualityPatterns = [
-      /^©|copyright|all rights reserved/i, /^follow us|subscribe|newsletter/i,
-      /^click here|read more|learn more$/i, /^tags:|category:|posted in/i,
-      /^share on|tweet this/i, /^\d+\s*(comments?|shares?|likes?)$/i,
-      /^cookie|privacy policy|terms of service/i
-    ];
-    return lowQualityPatterns.some(pattern => pattern.test(text.trim()));
-  }
-  groupContentBlocks(candidates) {
+  // Consecutive paragraphs are merged (up to ~1000 chars) under the heading
+  // that precedes them. Lists, tables, quotes and code stay whole so their
+  // structure survives chunking.
+  groupContentBlocks(extracted) {
     const blocks = [];
-    let currentBlock = { text: '', elements: [], tag: null, charCount: 0, type: 'paragraph' };
-    for (let i = 0; i < candidates.length; i++) {
-      const el = candidates[i];
-      const text = el.textContent.trim();
-      const tag = el.tagName.toLowerCase();
-      const blockType = this.determineBlockType(el, tag);
-      const shouldStartNew = this.shouldStartNewBlock(currentBlock, blockType, tag, text.length);
-      if (shouldStartNew && currentBlock.text.length > 0) {
-        blocks.push({ ...currentBlock });
-        currentBlock = { text: '', elements: [], tag: null, charCount: 0, type: 'paragraph' };
-      }
-      currentBlock.elements.push(el);
-      currentBlock.text += (currentBlock.text ? '\n\n' : '') + text;
+    let currentBlock = null;
+    for (const item of extracted) {
+      if (this.shouldStartNewBlock(currentBlock, item)) {
+        if (currentBlock) blocks.push(currentBlock);
+        currentBlock = { text: '', elements: [], passages: [], tag: item.tag, charCount: 0, type: item.type };
+      }
+      currentBlock.elements.push(item.element);
+      currentBlock.passages.push(...(item.passages || []));
+      currentBlock.text += (currentBlock.text ? '\n\n' : '') + item.text;
       currentBlock.charCount = currentBlock.text.length;
-      currentBlock.tag = currentBlock.tag || tag;
-      currentBlock.type = blockType;
     }
-    if (currentBlock.text.length > 0) blocks.push(currentBlock);
-    return blocks.filter(block => block.charCount >= this.CONFIG.MIN_BLOCK_LENGTH);
-  }
-  determineBlockType(el, tag) {
-    if (/^h[1-6]$/.test(tag)) return 'heading';
-    if (tag === 'blockquote') return 'quote';
-    if (tag === 'li' || el.closest('ul, ol')) return 'list';
-    if (tag === 'pre' || tag === 'code') return 'code';
-    return 'paragraph';
-  }
-  shouldStartNewBlock(currentBlock, newBlockType, newTag, newLength) {
-    if (newBlockType === 'heading') return true;
-    if (currentBlock.type !== newBlockType) return true;
+    if (currentBlock) blocks.push(currentBlock);
+    return blocks.filter(block => block.charCount >= this.CONFIG.MIN_BLOCK_LENGTH || !['paragraph', 'heading'].includes(block.type));
+  }
+  shouldStartNewBlock(currentBlock, item) {
+    if (!currentBlock || item.type === 'heading') return true;
     if (currentBlock.charCount > 1000) return true;
-    return false;
+    // A heading keeps the first thing that follows it, whatever its type
+    if (currentBlock.type === 'heading' && currentBlock.elements.length === 1) return false;
+    if (item.type !== 'paragraph') return true;
+    return currentBlock.type !== 'paragraph' && currentBlock.type !== 'heading';
   }
   // ==================== 🎯 PROFILE-FIRST CHUNKING ====================
   chunkContent(blocks) {
@@ -2104,8 +2789,9 @@ null; // Store the CTA
     
     // Store original chunks *before* scoring
     this.chunks = chunksWithOverlap;
+    const relevance = this.computeProfileRelevance(chunksWithOverlap);
     return chunksWithOverlap.map((chunk, index) => {
-      chunk.score = this.scoreChunkWithProfile(chunk, index);
+      chunk.score = this.scoreChunkWithProfile(chunk, index, relevance?.[index]);
       return chunk;
     });
   }
@@ -2162,22 +2848,52 @@ null; // Store the CTA
     return substring;
   }
   // ==================== 🎯 PROFILE-WEIGHTED SCORING ====================
-  scoreChunkWithProfile(chunk, index) {
-    const text = chunk.text.toLowerCase();
+  /**
+   * 🧭 TF-IDF similarity of every chunk to the user's weighted LTP topics.
+   * Chunk vectors are cached per URL by the vectoriser. Each topic is
+   * vectorised from its lexicon terms. A chunk's relevance is its
+   * weight-averaged cosine similarity, scaled so the page's best chunk is 1.
+   * Returns null when there is no profile to rank against.
+   */
+  computeProfileRelevance(chunks) {
+    const profileTopics = this.userProfile?.topicWeights?.length
+      ? this.userProfile.topicWeights
+      : (this.userProfile?.topics || []).map((topic, i, all) => ({ topic, weight: 1 / all.length }));
+    if (profileTopics.length === 0 || chunks.length === 0) return null;
+
+    if (!this.topicLexicon) this.topicLexicon = this.buildTopicLexicon(null);
+    const { idf, vectors, cached } = this.vectorizer.indexDocuments(
+      window.location.href,
+      chunks.map(chunk => chunk.text)
+    );
+    const topicVectors = profileTopics.map(({ topic, weight }) => ({
+      topic,
+      weight,
+      vector: this.vectorizer.vectorizeTerms(
+        this.topicLexicon.get(topic.toLowerCase()) || [{ text: topic, weight: 2 }],
+        idf
+      )
+    }));
+    const totalWeight = topicVectors.reduce((sum, t) => sum + t.weight, 0) || 1;
+
+    const similarities = vectors.map(vector => {
+      const perTopic = topicVectors.map(t => ({ topic: t.topic, weight: t.weight, similarity: this.vectorizer.similarity(vector, t.vector) }));
+      return {
+        similarity: perTopic.reduce((sum, t) => sum + t.weight * t.similarity, 0) / totalWeight,
+        topics: perTopic.filter(t => t.similarity > 0.05).sort((a, b) => b.similarity - a.similarity).map(t => t.topic)
+      };
+    });
+
+    const best = Math.max(...similarities.map(s => s.similarity));
+    console.log(`🧭 [Ranking] Profile similarity computed for ${chunks.length} chunks (best ${best.toFixed(3)}${cached ? ', cached vectors' : ''})`);
+    return similarities.map(s => ({ ...s, relevance: best > 0 ? s.similarity / best : 0 }));
+  }
+  scoreChunkWithProfile(chunk, index, relevance) {
     let profileScore = 0, structureScore = 0, positionScore = 0;
-    if (this.userProfile?.topics && this.userProfile.topics.length > 0) {
-      let topicMatches = 0, topicDepth = 0;
-      for (const topic of this.userProfile.topics) {
-        const topicLower = topic.toLowerCase();
-        const occurrences = (text.match(new RegExp(this.escapeRegExp(topicLower), 'g')) || []).length;
-        if (occurrences > 0) {
-          topicMatches++;
-          topicDepth += Math.min(occurrences * 0.1, 0.3);
-        }
-      }
-      const matchRatio = this.userProfile.topics.length > 0 ?
-      topicMatches / this.userProfile.topics.length : 0;
-      profileScore = (matchRatio * 0.5) + topicDepth;
+    if (relevance) {
+      profileScore = relevance.relevance;
+      chunk.profileSimilarity = relevance.similarity;
+      chunk.matchedTopics = relevance.topics;
     } else {
       profileScore = 0.3;
     }
@@ -2185,49 +2901,89 @@ null; // Store the CTA
     if (chunk.semanticBoundary) structureScore += 0.05;
     if (chunk.charCount > 1000) structureScore += 0.05;
     positionScore = Math.max(0, 0.1 - (index * 0.01));
-    const totalScore = (profileScore * this.CONFIG.PROFILE_WEIGHT) + (structureScore * this.CONFIG.STRUCTURE_WEIGHT) + (positionScore * this.CONFIG.POSITION_WEIGHT);
+    // User-tuned weights arrive with the settings (see environmentCheck.js)
+    const weights = window.chromeworldSettings?.chunkWeights || {
+      profile: this.CONFIG.PROFILE_WEIGHT,
+      structure: this.CONFIG.STRUCTURE_WEIGHT,
+      position: this.CONFIG.POSITION_WEIGHT
+    };
+    const totalScore = (profileScore * weights.profile) + (structureScore * weights.structure) + (positionScore * weights.position);
     const finalScore = Math.min(1.0, totalScore);
     return finalScore;
   }
   
-  // ==================== 🌟 HEURISTIC MAPPING ====================
+  // ==================== 🌟 SOURCE ANCHORS ====================
+  // Insights and chunk summaries are matched to the page sentence that
+  // supports them best. The sentence's text-quote anchor (recorded in
+  // extractContentBlocks) is what clicking an insight scrolls to, and it is
+  // saved with the snapshot.
+
+  /**
+   * Sentences a chunk was built from. Chunks cut out of one long block have
+   * no blocks of their own, so they take the page sentences in their text.
+   */
+  getChunkPassages(chunk) {
+    const own = (chunk?.blocks || []).flatMap(block => block.passages || []);
+    if (own.length > 0 || !chunk?.text) return own;
+    return this.pagePassages.filter(passage => chunk.text.includes(passage.text));
+  }
+
+  /**
+   * 🔧 The passage sharing the most distinct keywords with `text`. A
+   * trailing "s" is ignored, so "cluster" matches "clusters".
+   * @returns {{ text, anchor, score }|null}
+   */
+  findSupportingPassage(text, passages) {
+    const stem = word => word.replace(/s$/, '');
+    const keywords = [...new Set(this.getKeywords(text || '').map(stem))];
+    let best = null;
+    for (const passage of passages) {
+      const words = new Set(this.getKeywords(passage.text).map(stem));
+      const score = keywords.filter(keyword => words.has(keyword)).length;
+      if (score > (best?.score || 0)) best = { ...passage, score };
+    }
+    return best;
+  }
+
+  anchorChunkSummaries() {
+    this.chunkSummaries.forEach(summary => {
+      if (summary.anchor) return;
+      const passages = this.getChunkPassages(summary.sourceChunk);
+      const best = this.findSupportingPassage(summary.text, passages);
+      // A summary that shares little with any one sentence points at the chunk's start
+      summary.anchor = (best?.score >= 2 ? best : passages[0])?.anchor || null;
+    });
+  }
+
   mapInsightsToChunks() {
-    console.log('🗺️ [Mapping] Starting insight-to-chunk mapping...');
+    console.log('🗺️ [Mapping] Starting insight-to-passage mapping...');
     this.insightChunkMap.clear();
+    this.insightAnchors = [];
 
     if (!this.personalizedInsight?.bullets || !this.chunkSummaries) {
       console.warn('⚠️ [Mapping] Missing insights or chunks. Skipping.');
       return;
     }
 
-    // Prepare chunk keywords once
-    const chunkKeywords = this.chunkSummaries.map(summary => ({
-      id: summary.chunkId,
-      keywords: this.getKeywords(summary.text)
+    const chunkPassages = this.chunkSummaries.map(summary => ({
+      chunkId: summary.chunkId,
+      passages: this.getChunkPassages(summary.sourceChunk)
     }));
     this.personalizedInsight.bullets.forEach((bullet, index) => {
-      const insightKeywords = this.getKeywords(bullet);
-      let bestChunkId = -1;
-      let maxScore = 0;
-
-      for (const chunk of chunkKeywords) {
-        const intersection = chunk.keywords.filter(kw => insightKeywords.includes(kw));
-        const score = intersection.length;
-        
-        if (score > maxScore) {
-          maxScore = score;
-   
-           bestChunkId = chunk.id;
-        }
+      let best = null;
+      for (const chunk of chunkPassages) {
+        const passage = this.findSupportingPassage(bullet, chunk.passages);
+        if (passage && passage.score > (best?.score || 0)) best = { ...passage, chunkId: chunk.chunkId };
       }
 
-      // Set a minimum score threshold
-      if (maxScore >= 2) { // Must have at least 2 keyword overlaps
-        this.insightChunkMap.set(index, bestChunkId);
-        console.log(`[Mapping] Mapped insight ${index} -> chunk ${bestChunkId} (Score: ${maxScore})`);
+      // Must share at least 2 keywords with one sentence
+      if (best?.score >= 2) {
+        this.insightChunkMap.set(index, best.chunkId);
+        this.insightAnchors[index] = best.anchor;
+        console.log(`[Mapping] Mapped insight ${index} -> chunk ${best.chunkId} (Score: ${best.score})`);
       } else {
-        console.log(`[Mapping] Skipped insight ${index} (Score: ${maxScore}, Threshold: 
-2)`);
+        this.insightAnchors[index] = null;
+        console.log(`[Mapping] Skipped insight ${index} (Score: ${best?.score || 0}, Threshold: 2)`);
       }
     });
   }
@@ -2288,6 +3044,12 @@ null; // Store the CTA
       chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         // This is just a basic listener. 
         // The main settings listener is now in environmentCheck.js
+        if (request?.type === 'AI_TASK_RESULT') {
+          const resolvePending = this.pendingAITasks.get(request.taskId);
+          if (resolvePending) resolvePending(request.response);
+        } else if (request?.type === 'TOPIC_TAXONOMY_UPDATED') {
+          this.loadTopicTaxonomy();
+        }
         sendResponse({ success: true });
         return true; // Keep channel open for async
       });
@@ -2338,6 +3100,31 @@ null; // Store the CTA
       }
     });
   }
+
+  // Like sendToBackground, but survives the service worker being suspended
+  // mid-task: the revived worker replays its aiQueue journal and pushes the
+  // definitive result back as AI_TASK_RESULT with our taskId.
+  async sendAITaskToBackground(message, timeout = 10000) {
+    const taskId = `${message.type.toLowerCase()}-${Date.now()}-${Math.random().toString(36).slice(2, 9)}`;
+    const deadline = Date.now() + timeout;
+    const pushedResult = new Promise(resolve => this.pendingAITasks.set(taskId, resolve));
+
+    try {
+      const response = await this.sendToBackground({ ...message, taskId }, timeout);
+      const workerWentAway = !response?.success &&
+        /message (port|channel) closed|receiving end does not exist/i.test(response?.error || '');
+      if (!workerWentAway) return response;
+
+      console.warn(`[WARN] Worker restarted during ${message.type}, waiting for recovered result...`);
+      const remaining = Math.max(0, deadline - Date.now());
+      return await Promise.race([
+        pushedResult,
+        this.sleep(remaining).then(() => ({ success: false, error: 'Timeout' }))
+      ]);
+    } finally {
+      this.pendingAITasks.delete(taskId);
+    }
+  }
   
   // ==================== API PARSING ====================
   // ... (unchanged)
@@ -2361,9 +3148,6 @@ null; // Store the CTA
       '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
     })[m]);
   }
-  escapeRegExp(string) {
-    return String(string).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-  }
   
   // Cleans up AI-generated bullet points
   formatFullChunkText(text) {
@@ -12,8 +12,12 @@ document.addEventListener('DOMContentLoaded', async () => {
 });
 
 let currentView = 'ltp';  // Default: Long-term profile
+let topicRoots = [];      // Rolled-up topic tree from GET_DOMAIN_BEHAVIORS
+let topicTrail = [];      // Topics drilled into, root first
+let visibleTopics = [];   // Cards currently shown in the lattice
 
 async function initializeDashboard() {
+  await loadProfileSwitcher();
   await loadOverviewStats();
   await loadDomainEngagement();
   setupTabs();
@@ -44,8 +48,20 @@ function updateThemeIcon(theme) {
 function setupEventListeners() {
   document.getElementById('backToPopup').addEventListener('click', () => window.close());
 
-  const snapshotSearch = document.getElementById('snapshotSearch');
-  if (snapshotSearch) snapshotSearch.addEventListener('input', debounce(loadSnapshots, 300));
+  document.getElementById('snapshotSearch').addEventListener('input', debounce(searchSnapshots, 300));
+  document.getElementById('snapshotSort').addEventListener('change', searchSnapshots);
+  document.getElementById('snapshotFilters').addEventListener('change', searchSnapshots);
+  document.getElementById('snapshotFilters').addEventListener('submit', e => e.preventDefault());
+  document.getElementById('snapshotLabelActions').addEventListener('click', handleSnapshotLabelAction);
+  document.getElementById('snapshotPrev').addEventListener('click', () => pageSnapshots(-1));
+  document.getElementById('snapshotNext').addEventListener('click', () => pageSnapshots(1));
+  document.getElementById('snapshotsList').addEventListener('click', e => {
+    const item = e.target.closest('[data-snapshot-id]');
+    if (item) openSnapshotModal(item.dataset.snapshotId);
+  });
+  document.getElementById('modalLabelsForm').addEventListener('submit', saveSnapshotLabels);
+  document.getElementById('snapshotExportForm').addEventListener('submit', exportSnapshotBundle);
+  document.getElementById('archiveAskForm').addEventListener('submit', askArchive);
 
   document.querySelectorAll('.view-toggle').forEach(btn => {
     btn.addEventListener('click', () => {
@@ -56,7 +72,66 @@ function setupEventListeners() {
     });
   });
 
+  document.getElementById('profileSwitcher').addEventListener('change', switchDashboardProfile);
+  document.getElementById('namedProfileForm').addEventListener('submit', saveNamedProfile);
+  document.getElementById('namedProfileClear').addEventListener('click', () => resetNamedProfileForm());
+  document.getElementById('namedProfileList').addEventListener('click', handleNamedProfileAction);
+
   document.getElementById('generateNewFacts').addEventListener('click', generateNewFacts);
+  document.getElementById('factsList').addEventListener('click', handleFactAction);
+
+  document.getElementById('exportData').addEventListener('click', exportArchive);
+  document.getElementById('importData').addEventListener('click', () => document.getElementById('importFile').click());
+  document.getElementById('importFile').addEventListener('change', importArchive);
+
+  document.getElementById('redoOnboarding').addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('src/onboarding/onboarding.html') });
+  });
+  document.getElementById('removeLtpPrior').addEventListener('click', removeLtpPrior);
+  document.getElementById('rebuildLtp').addEventListener('click', rebuildLtp);
+  document.getElementById('acceptLtpRebuild').addEventListener('click', () => settleLtpRebuild('ACCEPT_LTP_REBUILD'));
+  document.getElementById('discardLtpRebuild').addEventListener('click', () => settleLtpRebuild('DISCARD_LTP_REBUILD'));
+
+  document.getElementById('timelineZoom').addEventListener('click', setTimelineZoom);
+  document.getElementById('timelineCharts').addEventListener('click', selectTimelineBucket);
+  document.getElementById('timelineZoomIn').addEventListener('click', zoomIntoTimelineBucket);
+  document.getElementById('timelineShowAll').addEventListener('click', () => {
+    timeline.from = null;
+    timeline.to = null;
+    loadTimeline();
+  });
+  document.getElementById('timelineSessions').addEventListener('click', showTimelineSession);
+
+  document.getElementById('entityTypeFilter').addEventListener('change', loadEntities);
+  document.getElementById('entitySearch').addEventListener('input', debounce(loadEntities, 300));
+  document.getElementById('entityList').addEventListener('click', e => {
+    const item = e.target.closest('[data-entity-id]');
+    if (item) showEntityDetail(item.dataset.entityId);
+  });
+  document.getElementById('entityDetail').addEventListener('click', handleEntityDetailAction);
+
+  document.getElementById('topicForm').addEventListener('submit', saveTopicForm);
+  document.getElementById('topicFormClear').addEventListener('click', () => resetTopicForm());
+  document.getElementById('resetTaxonomy').addEventListener('click', resetTaxonomy);
+  document.getElementById('taxonomyTree').addEventListener('click', handleTaxonomyAction);
+
+  document.getElementById('modelPresets').addEventListener('click', applyModelPreset);
+  document.getElementById('modelParamsForm').addEventListener('submit', saveModelParameters);
+  document.getElementById('modelParamsForm').addEventListener('input', () => highlightModelPreset(readModelParameters()));
+
+  document.getElementById('privacyCategories').addEventListener('change', togglePrivacyCategory);
+  document.getElementById('privacyRuleForm').addEventListener('submit', addPrivacyRule);
+  document.getElementById('privacyRuleList').addEventListener('change', togglePrivacyRule);
+  document.getElementById('privacyRuleList').addEventListener('click', deletePrivacyRule);
+  document.getElementById('privacyTestForm').addEventListener('submit', testPrivacyUrl);
+
+  document.getElementById('searchesList').addEventListener('click', forgetSearch);
+  document.getElementById('modalForget').addEventListener('click', forgetSnapshotPage);
+  document.getElementById('forgetTargetType').addEventListener('change', e => {
+    document.getElementById('forgetTarget').placeholder = e.target.value === 'url' ? 'https://...' : 'e.g. example.com';
+  });
+  document.getElementById('forgetTargetForm').addEventListener('submit', forgetTarget);
+  document.getElementById('forgetRangeForm').addEventListener('submit', forgetRange);
 
   // NEW: Theme toggle listener
   document.getElementById('themeToggle').addEventListener('click', () => {
@@ -73,6 +148,17 @@ function setupEventListeners() {
   document.getElementById('modalClose').addEventListener('click', hideModal);
   modal.addEventListener('click', hideModal);
   modalContent.addEventListener('click', e => e.stopPropagation());
+
+  const explainDrawer = document.getElementById('topicExplainDrawer');
+  document.getElementById('topicExplainClose').addEventListener('click', hideTopicExplanation);
+  explainDrawer.addEventListener('click', hideTopicExplanation);
+  explainDrawer.querySelector('.explain-drawer').addEventListener('click', e => e.stopPropagation());
+  document.getElementById('topicExplainBody').addEventListener('click', handleExplainItemAction);
+  document.getElementById('topicExplainBody').addEventListener('submit', reclassifyExplainedItem);
+  document.getElementById('topicExplainActions').addEventListener('click', handleTopicExplainAction);
+  document.getElementById('topicExplainActions').addEventListener('change', changeTopicBoost);
+  document.getElementById('topicCorrectionsList').addEventListener('click', undoTopicCorrection);
+  document.getElementById('correctionExamples').addEventListener('change', toggleCorrectionExamples);
 }
 
 /**
@@ -110,6 +196,18 @@ function setupMetricCardFlips() {
 }
 
 
+const tabLoaders = {
+  snapshots: loadSnapshots,
+  searches: loadSearches,
+  facts: loadFacts,
+  profile: () => Promise.all([loadProfile(), loadNamedProfiles(), loadOnboardingPrior(), loadTopicCorrections(), loadLtpRebuild()]),
+  timeline: loadTimeline,
+  graph: loadEntities,
+  taxonomy: loadTaxonomy,
+  privacy: loadPrivacySettings,
+  model: loadModelParameters
+};
+
 function setupTabs() {
   const tabBtns = document.querySelectorAll('.nav-node');
   const tabPanes = document.querySelectorAll('.tab-lattice');
@@ -125,13 +223,7 @@ function setupTabs() {
         behavior: 'smooth',
         block: 'start'
       });
-      const loaders = {
-        snapshots: loadSnapshots,
-        searches: loadSearches,
-        facts: loadFacts,
-        profile: loadProfile
-      };
-      const loader = loaders[tab];
+      const loader = tabLoaders[tab];
       if (loader) loader();
     });
   });
@@ -144,6 +236,7 @@ async function updateDashboardForView() {
     loadDomainEngagement(),
     loadSnapshots(),
     loadSearches(),
+    loadFacts(),
     loadProfile()
   ]);
 }
@@ -172,47 +265,112 @@ async function loadDomainEngagement() {
       limit: 6,
       view: currentView 
     });
-    const container = document.getElementById('topDomainsList');
-    if (!container) return;
 
     updateElement('domainLatticeHeader', `Topic Lattice (${currentView.toUpperCase()})`);
     updateElement('domainListTitle', `Prime Topics (${currentView.toUpperCase()})`);
     updateElement('domainMetricsTitle', `Topic Metrics (${currentView.toUpperCase()})`);
 
-    if (!Array.isArray(topics) || topics.length === 0) {
-      container.innerHTML = getPlaceholderHTML('fas fa-database', 'No Topics Found', 'Start browsing to generate data.');
-      updateElement('avgEngagement', '0%');
-      updateElement('totalDomainTime', 'N/A');
-      updateElement('contentFocus', 'N/A');
-      return;
+    topicRoots = Array.isArray(topics) ? topics : [];
+    // Keep the drill-down position across view switches when the path still exists
+    const trail = [];
+    let level = topicRoots;
+    for (const step of topicTrail) {
+      const match = level.find(t => t.topicId && t.topicId === step.topicId);
+      if (!match) break;
+      trail.push(match);
+      level = match.children || [];
     }
+    topicTrail = trail;
 
-    container.innerHTML = `
-      <div class="domain-grid">
-        ${topics.map((t, index) => `
-          <div class="domain-card ${index === 0 ? 'active' : ''}" 
-               data-index="${index}" 
-               data-topic='${escapeHtml(JSON.stringify(t))}'>
-            <div class="domain-icon">${getTopicIcon(t.topic)}</div>
-            <div class="domain-name">${escapeHtml(t.topic)}</div>
-            <div class="domain-weight">${Math.round(t.weight * 100)}%</div>
-          </div>
-        `).join('')}
-      </div>
-    `;
+    await renderTopicLattice();
+  } catch (error) {
+    console.error('Topic load error:', error);
+  }
+}
 
-    container.querySelectorAll('.domain-card').forEach(card => {
-      card.addEventListener('click', () => {
-        selectDomainCard(card, parseInt(card.dataset.index, 10));
-      });
+/**
+ * Renders the cards for the current drill-down level (roots, or the
+ * children of the last topic in topicTrail).
+ */
+async function renderTopicLattice() {
+  const container = document.getElementById('topDomainsList');
+  if (!container) return;
+
+  renderTopicTrail();
+  const parent = topicTrail[topicTrail.length - 1];
+  visibleTopics = parent ? parent.children || [] : topicRoots;
+
+  if (visibleTopics.length === 0) {
+    container.innerHTML = getPlaceholderHTML('fas fa-database', 'No Topics Found', 'Start browsing to generate data.');
+    updateElement('avgEngagement', '0%');
+    updateElement('totalDomainTime', 'N/A');
+    updateElement('contentFocus', 'N/A');
+    renderSubtopicList(null);
+    return;
+  }
+
+  container.innerHTML = `
+    <div class="domain-grid">
+      ${visibleTopics.map((t, index) => `
+        <div class="domain-card ${index === 0 ? 'active' : ''}" data-index="${index}">
+          <div class="domain-icon">${getTopicIcon(t.topic)}</div>
+          <div class="domain-name">${escapeHtml(t.topic)}</div>
+          <div class="domain-weight">${Math.round(t.weight * 100)}%</div>
+          ${t.children && t.children.length > 0 ? `
+            <div class="domain-drill" data-index="${index}">
+              <i class="fas fa-level-down-alt"></i> ${t.children.length} subtopic${t.children.length === 1 ? '' : 's'}
+            </div>` : ''}
+          <div class="domain-explain" data-index="${index}"><i class="fas fa-question-circle"></i> Why?</div>
+        </div>
+      `).join('')}
+    </div>
+  `;
+
+  container.querySelectorAll('.domain-card').forEach(card => {
+    card.addEventListener('click', () => {
+      selectDomainCard(card, parseInt(card.dataset.index, 10));
+    });
+  });
+  container.querySelectorAll('.domain-drill').forEach(drill => {
+    drill.addEventListener('click', e => {
+      e.stopPropagation();
+      drillIntoTopic(visibleTopics[parseInt(drill.dataset.index, 10)]);
+    });
+  });
+  container.querySelectorAll('.domain-explain').forEach(link => {
+    link.addEventListener('click', e => {
+      e.stopPropagation();
+      openTopicExplanation(visibleTopics[parseInt(link.dataset.index, 10)].topic);
     });
+  });
 
-    if (topics.length > 0) {
-      await updateTopicMetrics(topics[0]);
-    }
-  } catch (error) {
-    console.error('Topic load error:', error);
+  await updateTopicMetrics(visibleTopics[0]);
+}
+
+function renderTopicTrail() {
+  const trailEl = document.getElementById('topicTrail');
+  if (!trailEl) return;
+  if (topicTrail.length === 0) {
+    trailEl.innerHTML = '';
+    return;
   }
+  const crumbs = [{ topic: 'All Topics' }, ...topicTrail];
+  trailEl.innerHTML = crumbs.map((t, depth) => depth === crumbs.length - 1
+    ? `<span class="trail-current">${escapeHtml(t.topic)}</span>`
+    : `<button class="trail-link" data-depth="${depth}">${escapeHtml(t.topic)}</button>`
+  ).join('<i class="fas fa-chevron-right"></i>');
+  trailEl.querySelectorAll('.trail-link').forEach(link => {
+    link.addEventListener('click', () => {
+      topicTrail = topicTrail.slice(0, parseInt(link.dataset.depth, 10));
+      renderTopicLattice();
+    });
+  });
+}
+
+function drillIntoTopic(topic) {
+  if (!topic || !topic.children || topic.children.length === 0) return;
+  topicTrail.push(topic);
+  renderTopicLattice();
 }
 
 function selectDomainCard(cardElement, index) {
@@ -220,8 +378,7 @@ function selectDomainCard(cardElement, index) {
     card.classList.remove('active');
   });
   cardElement.classList.add('active');
-  const topicData = JSON.parse(cardElement.dataset.topic);
-  updateTopicMetrics(topicData);
+  updateTopicMetrics(visibleTopics[index]);
 }
 
 function getTopicIcon(topic) {
@@ -252,79 +409,292 @@ async function updateTopicMetrics(topic) {
     updateElement('totalDomainTime', profile.behavior);
     updateElement('domainMetric3Key', 'Content Pref');
     updateElement('contentFocus', profile.contentStyle);
+    renderSubtopicList(topic);
   } catch (error) {
     console.error('Topic metrics update error:', error);
   }
 }
 
 /**
- * UPDATED: Load snapshots for modal
+ * Breaks the selected topic's weight down into its subtopics. Shares are
+ * relative to the topic; "General" is weight assigned to the topic itself.
+ */
+function renderSubtopicList(topic) {
+  const container = document.getElementById('subtopicList');
+  if (!container) return;
+  const children = topic?.children || [];
+  if (!topic || children.length === 0 || !topic.weight) {
+    container.innerHTML = '';
+    return;
+  }
+
+  const rows = children.map((child, index) => ({ ...child, index }));
+  if (topic.ownWeight > 0) {
+    rows.push({ topic: `General ${topic.topic}`, weight: topic.ownWeight, children: [] });
+  }
+
+  container.innerHTML = `
+    <div class="subtopic-title">Subtopics of ${escapeHtml(topic.topic)}</div>
+    ${rows.map(row => {
+      const share = Math.round((row.weight / topic.weight) * 100);
+      const drillable = row.index !== undefined;
+      return `
+        <div class="subtopic-row ${drillable ? 'drillable' : ''}" ${drillable ? `data-index="${row.index}"` : ''}>
+          <span class="subtopic-name">${escapeHtml(row.topic)}</span>
+          <span class="subtopic-bar"><span style="width: ${share}%"></span></span>
+          <span class="subtopic-share">${share}%</span>
+        </div>
+      `;
+    }).join('')}
+  `;
+
+  container.querySelectorAll('.subtopic-row.drillable').forEach(row => {
+    row.addEventListener('click', () => {
+      // Drill so the clicked subtopic's siblings become the visible cards
+      if (!topicTrail.includes(topic)) topicTrail.push(topic);
+      renderTopicLattice().then(() => {
+        const card = document.querySelector(`.domain-card[data-index="${row.dataset.index}"]`);
+        if (card) selectDomainCard(card, parseInt(row.dataset.index, 10));
+      });
+    });
+  });
+}
+
+let library = { offset: 0, total: 0, limit: 20, snapshot: null };
+
+// Filters come straight from the form; the background validates them
+function readSnapshotQuery() {
+  const value = id => document.getElementById(id)?.value || '';
+  const to = value('snapshotTo');
+  return {
+    query: value('snapshotSearch'),
+    sort: value('snapshotSort') || undefined,
+    collection: value('snapshotCollection'),
+    tag: value('snapshotTag'),
+    topic: value('snapshotTopic'),
+    domain: value('snapshotDomain'),
+    from: value('snapshotFrom'),
+    // Inclusive of the whole last day
+    to: to ? `${to}T23:59:59.999` : '',
+    offset: library.offset,
+    limit: library.limit
+  };
+}
+
+function searchSnapshots() {
+  library.offset = 0;
+  loadSnapshots();
+}
+
+/**
+ * Snapshot library: one page of matching snapshots, newest or best first.
  */
 async function loadSnapshots() {
+  const container = document.getElementById('snapshotsList');
+  if (!container) return;
   try {
-    const snapshots = await sendMessage({ 
-      type: 'GET_SNAPSHOTS', 
-      limit: 20, 
-      view: currentView
-    });
-    const container = document.getElementById('snapshotsList');
-    if (!container) return;
+    const [result] = await Promise.all([
+      sendMessage({ type: 'QUERY_SNAPSHOTS', query: readSnapshotQuery() }),
+      loadSnapshotFacets()
+    ]);
+    library.total = result.total;
+    updateSnapshotPager(result);
 
-    if (!Array.isArray(snapshots) || snapshots.length === 0) {
-      container.innerHTML = getPlaceholderHTML('fas fa-camera-retro', 'Archive empty', 'Initiate captures');
+    if (result.snapshots.length === 0) {
+      const filtered = Object.entries(readSnapshotQuery()).some(([key, value]) => !['offset', 'limit', 'sort'].includes(key) && value);
+      container.innerHTML = filtered
+        ? getPlaceholderHTML('fas fa-search', 'No matching snapshots', 'Try fewer words or clear a filter')
+        : getPlaceholderHTML('fas fa-camera-retro', 'Archive empty', 'Run the orb on a page to capture it');
       return;
     }
 
-    container.innerHTML = snapshots.map(s => {
-      const displayTitle = s.title ? truncateText(escapeHtml(s.title), 60) : '';
-      const displayUrl = escapeHtml(s.domain || s.url || 'No URL');
-      // Store all data in the data-snapshot attribute
-      return `
-      <div class="archive-item" data-snapshot='${escapeHtml(JSON.stringify(s))}'>
-        <div class="archive-url">${displayUrl}</div>
-        ${displayTitle ? `<div class="archive-title">${displayTitle}</div>` : ''}
-        <div class="archive-summary">${truncateText(escapeHtml(s.summary || 'No summary'), 120)}</div>
+    container.innerHTML = result.snapshots.map(s => `
+      <div class="archive-item" data-snapshot-id="${escapeHtml(s.snapshotId)}">
+        <div class="archive-url">${escapeHtml(s.domain || s.url || 'No URL')}</div>
+        ${s.title ? `<div class="archive-title">${escapeHtml(truncateText(s.title, 60))}</div>` : ''}
+        <div class="archive-summary">${escapeHtml(truncateText(s.headline || s.summary || 'No summary', 120))}</div>
+        ${renderSnapshotChips(s)}
         <div class="archive-meta">
-          <span class="view-badge ${currentView}">${currentView.toUpperCase()}</span>
           <span class="archive-date">${formatDate(s.timestamp)}</span>
+          ${s.chunks?.length ? `<span>${s.chunks.length} chunk${s.chunks.length === 1 ? '' : 's'}</span>` : ''}
         </div>
-        <!-- REMOVED: archive-actions div and button -->
       </div>
-    `}).join('');
+    `).join('');
+  } catch (error) {
+    console.error('Snapshots load error:', error);
+    container.innerHTML = getPlaceholderHTML('fas fa-exclamation-triangle', 'Library unavailable', error.message);
+  }
+}
 
-    // Add event listeners (CSP-compliant)
-    container.querySelectorAll('.archive-item').forEach(item => {
-      item.addEventListener('click', () => {
-        const snapshotData = JSON.parse(item.dataset.snapshot);
-        openSnapshotModal(snapshotData);
-      });
-    });
+function renderSnapshotChips(snapshot) {
+  const chips = [
+    ...(snapshot.collections || []).map(label => `<span class="snapshot-chip collection"><i class="fas fa-folder"></i> ${escapeHtml(label)}</span>`),
+    ...(snapshot.tags || []).map(label => `<span class="snapshot-chip">#${escapeHtml(label)}</span>`),
+    ...(snapshot.topics || []).map(label => `<span class="snapshot-chip">${escapeHtml(label)}</span>`)
+  ];
+  return chips.length ? `<div class="snapshot-chips">${chips.join('')}</div>` : '';
+}
+
+/**
+ * Refill the filter dropdowns, keeping the current choices.
+ */
+async function loadSnapshotFacets() {
+  const facets = await sendMessage({ type: 'GET_SNAPSHOT_FACETS' });
+  const fill = (id, items, allLabel) => {
+    const select = document.getElementById(id);
+    const current = select.value;
+    select.innerHTML = `<option value="">${allLabel}</option>` + items.map(({ value, count }) =>
+      `<option value="${escapeHtml(value)}" ${value === current ? 'selected' : ''}>${escapeHtml(value)} (${count})</option>`
+    ).join('');
+  };
+  fill('snapshotCollection', facets.collections, 'All collections');
+  fill('snapshotTag', facets.tags, 'All tags');
+  fill('snapshotTopic', facets.topics, 'All topics');
+  fill('snapshotDomain', facets.domains, 'All domains');
+  document.getElementById('snapshotCollectionNames').innerHTML = facets.collections
+    .map(({ value }) => `<option value="${escapeHtml(value)}">`).join('');
+  updateSnapshotLabelActions();
+}
+
+function updateSnapshotPager({ total, offset, limit, snapshots }) {
+  updateElement('snapshotPageInfo', total === 0 ? '' : `${offset + 1}-${offset + snapshots.length} of ${total}`);
+  document.getElementById('snapshotPrev').disabled = offset === 0;
+  document.getElementById('snapshotNext').disabled = offset + limit >= total;
+}
+
+function pageSnapshots(direction) {
+  library.offset = Math.max(0, library.offset + direction * library.limit);
+  loadSnapshots();
+  document.getElementById('snapshots-tab').scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+// Rename/remove act on the collection or tag picked in the filters
+function getSelectedSnapshotLabel() {
+  const collection = document.getElementById('snapshotCollection').value;
+  if (collection) return { kind: 'collection', label: collection };
+  const tag = document.getElementById('snapshotTag').value;
+  return tag ? { kind: 'tag', label: tag } : null;
+}
+
+function updateSnapshotLabelActions() {
+  document.getElementById('snapshotLabelActions').hidden = !getSelectedSnapshotLabel();
+}
+
+async function handleSnapshotLabelAction(e) {
+  const button = e.target.closest('button[data-action]');
+  const selected = getSelectedSnapshotLabel();
+  if (!button || !selected) return;
+  const { kind, label } = selected;
+
+  let to = '';
+  if (button.dataset.action === 'rename') {
+    to = prompt(`Rename the ${kind} "${label}" to:`, label);
+    if (!to || to.trim() === label) return;
+  } else if (!confirm(`Remove the ${kind} "${label}" from every snapshot? The snapshots themselves are kept.`)) {
+    return;
+  }
 
+  try {
+    const result = await sendMessage({ type: 'RENAME_SNAPSHOT_LABEL', kind, from: label, to });
+    const select = document.getElementById(kind === 'tag' ? 'snapshotTag' : 'snapshotCollection');
+    select.value = '';
+    if (result.to) {
+      // Keep showing the same snapshots under their new label
+      select.innerHTML += `<option value="${escapeHtml(result.to)}"></option>`;
+      select.value = result.to;
+    }
+    searchSnapshots();
   } catch (error) {
-    console.error('Snapshots load error:', error);
+    showError(`Could not update ${kind}: ${error.message}`);
   }
 }
 
+// Opens the page scrolled to the passage, highlighted by the browser
+function getSourceLinkHTML(url) {
+  return url
+    ? ` <a class="snapshot-source" href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer" data-tooltip="Show on the page"><i class="fas fa-crosshairs"></i></a>`
+    : '';
+}
+
 /**
- * NEW: Open snapshot in modal
+ * Snapshot detail: the overlay result as it was saved, plus its labels.
  */
-function openSnapshotModal(data) {
+async function openSnapshotModal(snapshotId) {
+  let data;
+  try {
+    data = await sendMessage({ type: 'GET_SNAPSHOT', snapshotId });
+  } catch (error) {
+    showError(`Could not open snapshot: ${error.message}`);
+    return;
+  }
+  if (!data) {
+    showError('Snapshot not found. It may have been forgotten.');
+    return;
+  }
+  library.snapshot = data;
+
   const modal = document.getElementById('snapshotModal');
   const url = data.url || '#';
-  const displayUrl = data.domain || url;
-  
-  updateElement('modalTitle', data.title || 'No Title');
+
+  updateElement('modalTitle', data.title || data.headline || 'No Title');
   updateElement('modalSummary', data.summary || 'No summary available for this node.');
-  updateElement('modalDate', formatDate(data.timestamp));
-  
+  updateElement('modalDate', `${formatDate(data.timestamp)}${data.domain ? ` · ${data.domain}` : ''}`);
+  document.getElementById('modalTopics').innerHTML = renderSnapshotChips(data);
+
   const urlEl = document.getElementById('modalUrl');
   urlEl.href = url;
-  urlEl.textContent = displayUrl;
+  urlEl.textContent = data.url || 'No URL';
+  document.getElementById('modalForget').dataset.url = data.url || '';
+
+  const bullets = data.insights || [];
+  document.getElementById('modalInsights').innerHTML = (data.headline || bullets.length) ? `
+    <div class="subtopic-title">Key Insights</div>
+    ${data.headline ? `<h3>${escapeHtml(data.headline)}</h3>` : ''}
+    ${data.subheading ? `<p class="key">${escapeHtml(data.subheading)}</p>` : ''}
+    ${bullets.length ? `<ul>${bullets.map((bullet, i) => `<li>${escapeHtml(bullet)}${getSourceLinkHTML(data.insightUrls?.[i])}</li>`).join('')}</ul>` : ''}
+    ${data.cta ? `<a class="evolve-btn" href="https://www.google.com/search?q=${encodeURIComponent(data.cta)}" target="_blank" rel="noopener noreferrer">${escapeHtml(data.cta)} <i class="fas fa-external-link-alt"></i></a>` : ''}
+  ` : '';
+
+  document.getElementById('modalChunks').innerHTML = (data.chunks || []).length ? `
+    <div class="subtopic-title">Extracted Chunks</div>
+    ${data.chunks.map(chunk => `
+      <div class="snapshot-chunk">
+        <h5>${escapeHtml(chunk.title)}${getSourceLinkHTML(chunk.sourceUrl)}</h5>
+        <p>${escapeHtml(chunk.text)}</p>
+      </div>
+    `).join('')}
+  ` : '';
+
+  document.getElementById('modalTags').value = (data.tags || []).join(', ');
+  document.getElementById('modalCollections').value = (data.collections || []).join(', ');
+  updateElement('modalLabelsStatus', '');
 
   modal.style.display = 'flex';
   document.body.style.overflow = 'hidden'; // Prevent background scroll
 }
 
+async function saveSnapshotLabels(e) {
+  e.preventDefault();
+  if (!library.snapshot) return;
+  const split = id => document.getElementById(id).value.split(',').map(value => value.trim()).filter(Boolean);
+  try {
+    const snapshot = await sendMessage({
+      type: 'UPDATE_SNAPSHOT_LABELS',
+      snapshotId: library.snapshot.snapshotId,
+      tags: split('modalTags'),
+      collections: split('modalCollections')
+    });
+    library.snapshot = snapshot;
+    document.getElementById('modalTags').value = snapshot.tags.join(', ');
+    document.getElementById('modalCollections').value = snapshot.collections.join(', ');
+    document.getElementById('modalTopics').innerHTML = renderSnapshotChips(snapshot);
+    updateElement('modalLabelsStatus', 'Labels saved.');
+    loadSnapshots();
+  } catch (error) {
+    updateElement('modalLabelsStatus', error.message);
+  }
+}
+
 
 async function loadSearches() {
   try {
@@ -355,6 +725,7 @@ async function loadSearches() {
           <div class="log-stats">
             <span class="log-intent">${escapeHtml(s.intentType || 'Query')}</span>
             <span class="log-interactions"><i class="fas fa-mouse-pointer"></i> ${clicks} clicks</span>
+            <button class="log-forget" data-search-id="${escapeHtml(s.searchId || '')}" data-tooltip="Forget this search"><i class="fas fa-eraser"></i></button>
           </div>
         </div>
       `;
@@ -364,10 +735,67 @@ async function loadSearches() {
   }
 }
 
+const FACT_EVIDENCE_ICONS = {
+  url: 'fas fa-link',
+  search: 'fas fa-search',
+  session: 'fas fa-history',
+  topic: 'fas fa-project-diagram'
+};
+
 async function loadFacts() {
   const container = document.getElementById('factsList');
-  if (container) {
-    container.innerHTML = getPlaceholderHTML('fas fa-brain', 'Core awakening', 'Insights forthcoming');
+  if (!container) return;
+  try {
+    const facts = await sendMessage({ type: 'GET_FACTS', view: currentView, limit: 12 });
+    if (!facts || facts.length === 0) {
+      container.innerHTML = getPlaceholderHTML('fas fa-brain', 'Core awakening', 'Keep browsing to surface patterns');
+      return;
+    }
+
+    container.innerHTML = facts.map(fact => {
+      const evidence = (fact.evidence || []).map(item => {
+        const icon = FACT_EVIDENCE_ICONS[item.type] || 'fas fa-circle';
+        const label = escapeHtml(truncateText(item.label || item.id || '', 60));
+        return item.type === 'url'
+          ? `<a class="fact-evidence" href="${escapeHtml(item.id)}" target="_blank" rel="noopener"><i class="${icon}"></i> ${label}</a>`
+          : `<span class="fact-evidence"><i class="${icon}"></i> ${label}</span>`;
+      }).join('');
+
+      return `
+        <div class="insight-card ${fact.pinned ? 'pinned' : ''} ${fact.stale ? 'stale' : ''}" data-fact-id="${escapeHtml(fact.factId)}">
+          <div class="fact-actions">
+            <button data-action="pin" data-tooltip="${fact.pinned ? 'Unpin' : 'Pin'}"><i class="fas fa-thumbtack"></i></button>
+            <button data-action="delete" data-tooltip="Delete"><i class="fas fa-trash"></i></button>
+          </div>
+          <div class="insight-text">${escapeHtml(fact.statement)}</div>
+          ${evidence ? `<div class="fact-evidence-list">${evidence}</div>` : ''}
+          <div class="insight-meta">
+            <span>${Math.round((fact.confidence || 0) * 100)}% confidence${fact.stale ? ' · no longer observed' : ''}</span>
+            <span>${formatDate(fact.updatedAt || fact.createdAt)}</span>
+          </div>
+        </div>
+      `;
+    }).join('');
+  } catch (error) {
+    console.error('Facts load error:', error);
+    container.innerHTML = getPlaceholderHTML('fas fa-exclamation-triangle', 'Core unreachable', error.message);
+  }
+}
+
+async function handleFactAction(e) {
+  const button = e.target.closest('button[data-action]');
+  const card = e.target.closest('[data-fact-id]');
+  if (!button || !card) return;
+  const factId = card.dataset.factId;
+  try {
+    if (button.dataset.action === 'pin') {
+      await sendMessage({ type: 'PIN_FACT', factId, pinned: !card.classList.contains('pinned') });
+    } else if (button.dataset.action === 'delete') {
+      await sendMessage({ type: 'DELETE_FACT', factId });
+    }
+    await loadFacts();
+  } catch (error) {
+    showError(`Fact update failed: ${error.message}`);
   }
 }
 
@@ -415,18 +843,1383 @@ async function loadProfile() {
   }
 }
 
-async function generateNewFacts() {
-  const btn = document.getElementById('generateNewFacts');
-  const original = btn.innerHTML;
-  btn.disabled = true;
-  btn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Evolving...';
+// --- Entity Web (knowledge graph) ---
+const ENTITY_TYPE_ICONS = {
+  person: 'fa-user',
+  organization: 'fa-building',
+  concept: 'fa-lightbulb',
+  product: 'fa-box'
+};
+
+async function loadEntities() {
+  const container = document.getElementById('entityList');
+  if (!container) return;
   try {
-    showNotification('Feature upcoming');
+    const entities = await sendMessage({
+      type: 'GET_KNOWLEDGE_GRAPH',
+      entityType: document.getElementById('entityTypeFilter').value || null,
+      query: document.getElementById('entitySearch').value || '',
+      limit: 60
+    });
+
+    if (!Array.isArray(entities) || entities.length === 0) {
+      container.innerHTML = getPlaceholderHTML('fas fa-share-alt', 'No entities yet', 'Entities appear as pages and snapshots are analysed.');
+      return;
+    }
+
+    container.innerHTML = entities.map(entity => `
+      <div class="entity-item" data-entity-id="${escapeHtml(entity.entityId)}">
+        <i class="fas ${ENTITY_TYPE_ICONS[entity.type] || 'fa-circle'}"></i>
+        <span class="entity-name">${escapeHtml(entity.name)}</span>
+        <span class="entity-count">${entity.mentionCount || 0}</span>
+      </div>
+    `).join('');
   } catch (error) {
-    showError('Evolution failed');
-  } finally {
-    btn.disabled = false;
-    btn.innerHTML = original;
+    console.error('Entities load error:', error);
+    container.innerHTML = getPlaceholderHTML('fas fa-exclamation-triangle', 'Graph unavailable', error.message);
+  }
+}
+
+async function showEntityDetail(entityId) {
+  const container = document.getElementById('entityDetail');
+  if (!container) return;
+  try {
+    const detail = await sendMessage({ type: 'GET_KNOWLEDGE_ENTITY', entityId });
+    if (!detail) {
+      container.innerHTML = getPlaceholderHTML('fas fa-question', 'Entity not found', 'It may have been deleted.');
+      return;
+    }
+
+    const { entity, urls, searches, snapshots, related } = detail;
+    updateElement('entityDetailTitle', entity.name);
+    const section = (title, items) => items.length === 0 ? '' : `
+      <div class="entity-section">
+        <div class="subtopic-title">${title}</div>
+        ${items.join('')}
+      </div>
+    `;
+
+    container.innerHTML = `
+      <div class="profile-metrics">
+        <div class="metric-row"><span class="key">Type</span><span class="val">${escapeHtml(entity.type)}</span></div>
+        <div class="metric-row"><span class="key">Mentions</span><span class="val">${entity.mentionCount || 0}</span></div>
+        <div class="metric-row"><span class="key">First Seen</span><span class="val">${formatDate(entity.firstSeen)}</span></div>
+        <div class="metric-row"><span class="key">Last Seen</span><span class="val">${formatDate(entity.lastSeen)}</span></div>
+      </div>
+      ${section('Related', related.length === 0 ? [] : [`<div class="nebula-stream">${related.map(r => `
+        <button class="interest-tag entity-link" data-entity-id="${escapeHtml(r.entityId)}">${escapeHtml(r.name)}</button>
+      `).join('')}</div>`])}
+      ${section('Seen On', urls.map(u => `
+        <a class="entity-ref" href="${escapeHtml(u.url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(truncateText(u.url, 70))}</a>
+      `))}
+      ${section('Searches', searches.map(q => `
+        <div class="entity-ref"><i class="fas fa-search"></i> ${escapeHtml(q.query || q.searchId)}</div>
+      `))}
+      ${section('Snapshots', snapshots.map(sn => `
+        <div class="entity-ref"><i class="fas fa-camera"></i> ${escapeHtml(truncateText(sn.label || sn.snapshotId, 70))}</div>
+      `))}
+      <div class="topic-form-actions">
+        <button class="exit-btn" data-action="delete-entity" data-entity-id="${escapeHtml(entity.entityId)}">
+          <i class="fas fa-trash"></i> Forget Entity
+        </button>
+      </div>
+    `;
+  } catch (error) {
+    console.error('Entity detail error:', error);
+  }
+}
+
+async function handleEntityDetailAction(e) {
+  const link = e.target.closest('.entity-link');
+  if (link) {
+    showEntityDetail(link.dataset.entityId);
+    return;
+  }
+  const button = e.target.closest('[data-action="delete-entity"]');
+  if (!button) return;
+  if (!confirm('Remove this entity and all its links from the knowledge graph?')) return;
+  try {
+    await sendMessage({ type: 'DELETE_KNOWLEDGE_ENTITY', entityId: button.dataset.entityId });
+    updateElement('entityDetailTitle', 'Entity Detail');
+    document.getElementById('entityDetail').innerHTML = getPlaceholderHTML('fas fa-share-alt', 'Entity removed', 'Select another entity.');
+    await loadEntities();
+  } catch (error) {
+    showError(`Entity delete failed: ${error.message}`);
+  }
+}
+
+// --- Topic Atlas (taxonomy editor) ---
+let taxonomyRows = [];
+
+async function loadTaxonomy() {
+  try {
+    taxonomyRows = await sendMessage({ type: 'GET_TOPIC_TAXONOMY' }) || [];
+    renderTaxonomyTree();
+    populateTopicParentSelect();
+  } catch (error) {
+    console.error('Taxonomy load error:', error);
+    const container = document.getElementById('taxonomyTree');
+    if (container) container.innerHTML = getPlaceholderHTML('fas fa-exclamation-triangle', 'Taxonomy unavailable', error.message);
+  }
+}
+
+function renderTaxonomyTree() {
+  const container = document.getElementById('taxonomyTree');
+  if (!container) return;
+  if (taxonomyRows.length === 0) {
+    container.innerHTML = getPlaceholderHTML('fas fa-project-diagram', 'No topics', 'Restore the defaults to start over.');
+    return;
+  }
+
+  const renderBranch = (parentId) => {
+    const branch = taxonomyRows.filter(row => (row.parentId || null) === parentId);
+    if (branch.length === 0) return '';
+    return `<ul class="taxonomy-branch">${branch.map(row => `
+      <li class="taxonomy-node">
+        <div class="taxonomy-row">
+          <span class="taxonomy-name">${escapeHtml(row.name)}</span>
+          ${row.aliases && row.aliases.length ? `<span class="taxonomy-aliases">aka ${escapeHtml(row.aliases.join(', '))}</span>` : ''}
+          <span class="taxonomy-actions">
+            ${row.level < 2 ? `<button data-action="add" data-id="${escapeHtml(row.topicId)}" data-tooltip="Add subtopic"><i class="fas fa-plus"></i></button>` : ''}
+            <button data-action="edit" data-id="${escapeHtml(row.topicId)}" data-tooltip="Edit"><i class="fas fa-pen"></i></button>
+            <button data-action="delete" data-id="${escapeHtml(row.topicId)}" data-tooltip="Delete"><i class="fas fa-trash"></i></button>
+          </span>
+        </div>
+        ${renderBranch(row.topicId)}
+      </li>
+    `).join('')}</ul>`;
+  };
+
+  container.innerHTML = renderBranch(null);
+}
+
+function populateTopicParentSelect(selectedId = '') {
+  const select = document.getElementById('topicParent');
+  if (!select) return;
+  const editingId = document.getElementById('topicId').value;
+  // Subtopics can nest two levels below a root
+  const options = taxonomyRows
+    .filter(row => row.level < 2 && row.topicId !== editingId && !row.topicId.startsWith(`${editingId}/`))
+    .map(row => `<option value="${escapeHtml(row.topicId)}">${'— '.repeat(row.level)}${escapeHtml(row.name)}</option>`);
+  select.innerHTML = `<option value="">(Top-level topic)</option>${options.join('')}`;
+  select.value = selectedId || '';
+}
+
+function resetTopicForm(parentId = '') {
+  document.getElementById('topicId').value = '';
+  document.getElementById('topicName').value = '';
+  document.getElementById('topicAliases').value = '';
+  document.getElementById('topicKeywords').value = '';
+  updateElement('topicFormTitle', 'New Topic');
+  updateElement('topicFormStatus', '');
+  populateTopicParentSelect(parentId);
+}
+
+function handleTaxonomyAction(e) {
+  const button = e.target.closest('button[data-action]');
+  if (!button) return;
+  const row = taxonomyRows.find(r => r.topicId === button.dataset.id);
+  if (!row) return;
+
+  if (button.dataset.action === 'add') {
+    resetTopicForm(row.topicId);
+    document.getElementById('topicName').focus();
+  } else if (button.dataset.action === 'edit') {
+    document.getElementById('topicId').value = row.topicId;
+    document.getElementById('topicName').value = row.name;
+    document.getElementById('topicAliases').value = (row.aliases || []).join(', ');
+    document.getElementById('topicKeywords').value = (row.keywords || []).join(', ');
+    updateElement('topicFormTitle', `Edit ${row.name}`);
+    updateElement('topicFormStatus', '');
+    populateTopicParentSelect(row.parentId || '');
+  } else if (button.dataset.action === 'delete') {
+    deleteTopic(row);
+  }
+}
+
+async function saveTopicForm(e) {
+  e.preventDefault();
+  const splitList = value => value.split(',').map(item => item.trim()).filter(Boolean);
+  const topic = {
+    topicId: document.getElementById('topicId').value || undefined,
+    name: document.getElementById('topicName').value.trim(),
+    parentId: document.getElementById('topicParent').value || null,
+    aliases: splitList(document.getElementById('topicAliases').value),
+    keywords: splitList(document.getElementById('topicKeywords').value)
+  };
+  try {
+    const saved = await sendMessage({ type: 'SAVE_TOPIC', topic });
+    await Promise.all([loadTaxonomy(), loadDomainEngagement()]);
+    resetTopicForm();
+    updateElement('topicFormStatus', `Saved "${saved.name}".`);
+  } catch (error) {
+    updateElement('topicFormStatus', error.message);
+  }
+}
+
+async function deleteTopic(row) {
+  const heir = taxonomyRows.find(other => other.parentId === row.topicId);
+  const message = row.parentId
+    ? 'Its subtopics and past scores move to its parent.'
+    : heir
+      ? `"${heir.name}" takes its place, with the other subtopics and past scores under it.`
+      : 'Its past scores stay listed under its old name.';
+  if (!confirm(`Delete "${row.name}"? ${message}`)) return;
+  try {
+    await sendMessage({ type: 'DELETE_TOPIC', topicId: row.topicId });
+    await Promise.all([loadTaxonomy(), loadDomainEngagement()]);
+    resetTopicForm();
+  } catch (error) {
+    updateElement('topicFormStatus', error.message);
+  }
+}
+
+async function resetTaxonomy() {
+  if (!confirm('Restore the default topic taxonomy? Custom topics will be removed.')) return;
+  try {
+    await sendMessage({ type: 'RESET_TOPIC_TAXONOMY' });
+    await Promise.all([loadTaxonomy(), loadDomainEngagement()]);
+    resetTopicForm();
+  } catch (error) {
+    showError(`Taxonomy reset failed: ${error.message}`);
+  }
+}
+
+// --- Model Tuning (profile parameters) ---
+let modelParameters = null;
+
+async function loadModelParameters() {
+  try {
+    modelParameters = await sendMessage({ type: 'GET_PROFILE_PARAMETERS' });
+    renderModelParameters(modelParameters.values);
+  } catch (error) {
+    console.error('Model parameters load error:', error);
+    updateElement('modelParamsStatus', `Parameters unavailable: ${error.message}`);
+  }
+}
+
+function renderModelParameters(values) {
+  document.querySelectorAll('.model-params').forEach(container => {
+    container.innerHTML = Object.entries(modelParameters.definitions)
+      .filter(([, spec]) => spec.group === container.dataset.group)
+      .map(([key, spec]) => `
+        <label class="model-param">
+          <span class="key">${escapeHtml(spec.label)}</span>
+          <input type="number" class="scan-input" data-param="${key}" min="${spec.min}" max="${spec.max}" step="${spec.step}" value="${values[key]}" required>
+          <span class="model-param-description">${escapeHtml(spec.description)}</span>
+        </label>
+      `).join('');
+  });
+
+  document.getElementById('modelPresets').innerHTML = Object.entries(modelParameters.presets).map(([id, preset]) => `
+    <button type="button" class="exit-btn" data-preset="${id}" data-tooltip="${escapeHtml(preset.description)}">${escapeHtml(preset.label)}</button>
+  `).join('');
+  highlightModelPreset(values);
+}
+
+function readModelParameters() {
+  const values = {};
+  document.querySelectorAll('#modelParamsForm [data-param]').forEach(input => {
+    values[input.dataset.param] = Number(input.value);
+  });
+  return values;
+}
+
+function highlightModelPreset(values) {
+  document.querySelectorAll('#modelPresets [data-preset]').forEach(button => {
+    const preset = modelParameters.presets[button.dataset.preset].values;
+    button.classList.toggle('active', Object.keys(preset).every(key => Math.abs(preset[key] - values[key]) < 1e-9));
+  });
+}
+
+function applyModelPreset(e) {
+  const button = e.target.closest('[data-preset]');
+  if (!button) return;
+  const preset = modelParameters.presets[button.dataset.preset];
+  renderModelParameters(preset.values);
+  updateElement('modelParamsStatus', `${preset.label} preset loaded. Save to use it.`);
+}
+
+async function saveModelParameters(e) {
+  e.preventDefault();
+  try {
+    modelParameters.values = await sendMessage({ type: 'SAVE_PROFILE_PARAMETERS', parameters: readModelParameters() });
+    renderModelParameters(modelParameters.values);
+    updateElement('modelParamsStatus', 'Saved. New sessions use these values. To apply them to past sessions, use Profile Rebuild in the Profile Matrix tab.');
+  } catch (error) {
+    updateElement('modelParamsStatus', error.message);
+  }
+}
+
+// --- Privacy Shield (tracking exclusions) ---
+let privacySettings = null;
+
+async function loadPrivacySettings() {
+  try {
+    privacySettings = await sendMessage({ type: 'GET_PRIVACY_SETTINGS' });
+    renderPrivacySettings();
+  } catch (error) {
+    console.error('Privacy settings load error:', error);
+    const container = document.getElementById('privacyRuleList');
+    if (container) container.innerHTML = getPlaceholderHTML('fas fa-exclamation-triangle', 'Privacy settings unavailable', error.message);
+  }
+}
+
+function renderPrivacySettings() {
+  const categories = document.getElementById('privacyCategories');
+  categories.innerHTML = Object.entries(privacySettings.categoryLabels).map(([key, label]) => `
+    <label class="privacy-row">
+      <input type="checkbox" data-category="${escapeHtml(key)}" ${privacySettings.categories[key] ? 'checked' : ''}>
+      <span>${escapeHtml(label)}</span>
+    </label>
+  `).join('');
+
+  const rules = document.getElementById('privacyRuleList');
+  if (privacySettings.rules.length === 0) {
+    rules.innerHTML = getPlaceholderHTML('fas fa-ban', 'No custom rules', 'Add a domain, glob or regex above.');
+    return;
+  }
+  rules.innerHTML = privacySettings.rules.map(rule => `
+    <div class="privacy-row taxonomy-row ${rule.enabled ? '' : 'disabled'}">
+      <input type="checkbox" data-rule-id="${escapeHtml(rule.ruleId)}" data-tooltip="Enabled" ${rule.enabled ? 'checked' : ''}>
+      <span class="privacy-type">${escapeHtml(rule.type)}</span>
+      <span class="privacy-pattern">${escapeHtml(rule.pattern)}</span>
+      <span class="taxonomy-actions">
+        <button data-action="delete" data-rule-id="${escapeHtml(rule.ruleId)}" data-tooltip="Delete"><i class="fas fa-trash"></i></button>
+      </span>
+    </div>
+  `).join('');
+}
+
+async function savePrivacySettings(changes, statusId = 'privacyRuleStatus') {
+  updateElement(statusId, '');
+  try {
+    privacySettings = await sendMessage({
+      type: 'SAVE_PRIVACY_SETTINGS',
+      settings: { categories: privacySettings.categories, rules: privacySettings.rules, ...changes }
+    });
+    renderPrivacySettings();
+    return true;
+  } catch (error) {
+    updateElement(statusId, error.message);
+    renderPrivacySettings(); // put toggles back the way they are stored
+    return false;
+  }
+}
+
+function togglePrivacyCategory(e) {
+  const key = e.target.dataset.category;
+  if (!key) return;
+  savePrivacySettings({ categories: { ...privacySettings.categories, [key]: e.target.checked } });
+}
+
+async function addPrivacyRule(e) {
+  e.preventDefault();
+  const input = document.getElementById('privacyRulePattern');
+  const rule = { type: document.getElementById('privacyRuleType').value, pattern: input.value.trim() };
+  if (await savePrivacySettings({ rules: [...privacySettings.rules, rule] })) {
+    input.value = '';
+    updateElement('privacyRuleStatus', 'Rule added. Pages it matches are no longer tracked.');
+  }
+}
+
+function togglePrivacyRule(e) {
+  const ruleId = e.target.dataset.ruleId;
+  if (!ruleId) return;
+  savePrivacySettings({
+    rules: privacySettings.rules.map(rule => rule.ruleId === ruleId ? { ...rule, enabled: e.target.checked } : rule)
+  });
+}
+
+function deletePrivacyRule(e) {
+  const button = e.target.closest('button[data-action="delete"]');
+  if (!button) return;
+  savePrivacySettings({ rules: privacySettings.rules.filter(rule => rule.ruleId !== button.dataset.ruleId) });
+}
+
+async function testPrivacyUrl(e) {
+  e.preventDefault();
+  try {
+    const { exclusion } = await sendMessage({ type: 'TEST_PRIVACY_URL', url: document.getElementById('privacyTestUrl').value });
+    updateElement('privacyTestStatus', exclusion ? `Not tracked: ${exclusion.label}` : 'Tracked normally.');
+  } catch (error) {
+    updateElement('privacyTestStatus', error.message);
+  }
+}
+
+// --- Forget History ---
+/**
+ * Send a FORGET_* request after confirmation, then refresh every view that
+ * may have shown the forgotten data.
+ * @returns {Promise<object|null>} the forget result, or null if cancelled
+ */
+async function forgetData(message, description) {
+  if (!confirm(`Forget ${description}? Matching history is deleted and your profile is rebuilt without it. This cannot be undone.`)) return null;
+  const result = await sendMessage(message);
+  const { deleted } = result;
+  updateElement('forgetStatus',
+    `Forgot ${deleted.searches} searches, ${deleted.urlBehaviors} page visits and ${deleted.snapshots} snapshots. ` +
+    `${result.stpsRebuilt + result.stpsRemoved} sessions recomputed.`);
+  await updateDashboardForView();
+  return result;
+}
+
+async function forgetSearch(e) {
+  const button = e.target.closest('.log-forget');
+  if (!button?.dataset.searchId) return;
+  const query = button.closest('.log-item')?.querySelector('.log-query')?.textContent || 'this search';
+  try {
+    await forgetData({ type: 'FORGET_SEARCH', searchId: button.dataset.searchId }, `"${query}"`);
+  } catch (error) {
+    showError(`Forget failed: ${error.message}`);
+  }
+}
+
+async function forgetSnapshotPage(e) {
+  const url = e.currentTarget.dataset.url;
+  if (!url) return;
+  try {
+    if (await forgetData({ type: 'FORGET_URL', url }, url)) hideModal();
+  } catch (error) {
+    showError(`Forget failed: ${error.message}`);
+  }
+}
+
+/**
+ * "Why does Crucible think I like X?" drawer. Lists the searches and pages
+ * behind the topic's current score (see DatabaseService.explainTopic).
+ */
+async function openTopicExplanation(topic) {
+  const drawer = document.getElementById('topicExplainDrawer');
+  const body = document.getElementById('topicExplainBody');
+  drawer.dataset.topic = topic;
+  updateElement('topicExplainTitle', topic);
+  updateElement('topicExplainSubtitle', `Why it is in your ${currentView.toUpperCase()}`);
+  document.getElementById('topicExplainActions').innerHTML = '';
+  body.innerHTML = '<p class="key">Tracing your history...</p>';
+  drawer.style.display = 'flex';
+  document.body.style.overflow = 'hidden';
+
+  try {
+    // Needed for the boost levels and the reclassify picker
+    if (!topicCorrections) topicCorrections = await sendMessage({ type: 'GET_TOPIC_CORRECTIONS' });
+    if (taxonomyRows.length === 0) taxonomyRows = await sendMessage({ type: 'GET_TOPIC_TAXONOMY' }) || [];
+    renderTopicExplanation(await sendMessage({ type: 'EXPLAIN_TOPIC', topic, view: currentView }));
+  } catch (error) {
+    body.innerHTML = `<p class="key">${escapeHtml(error.message)}</p>`;
+  }
+}
+
+function hideTopicExplanation() {
+  document.getElementById('topicExplainDrawer').style.display = 'none';
+  document.body.style.overflow = 'auto';
+}
+
+function renderTopicExplanation(explanation) {
+  const pct = value => `${value >= 10 ? Math.round(value) : value.toFixed(1)}%`;
+  const num = value => Number(value || 0).toFixed(2);
+  const decayNote = decay => explanation.view === 'ltp' ? ` · decay ×${num(decay)}` : '';
+
+  updateElement('topicExplainTitle', explanation.path.join(' › '));
+  const summary = [
+    `${pct(explanation.share * 100)} of your ${explanation.view.toUpperCase()}`,
+    `score ${num(explanation.score)} from ${explanation.sessions.length} session${explanation.sessions.length === 1 ? '' : 's'}`
+  ];
+  if (explanation.includes.length > 1) summary.push(`includes ${explanation.includes.slice(1).join(', ')}`);
+  if (explanation.boost !== 1) summary.push(`boosted ×${explanation.boost}`);
+  if (explanation.muted) summary.push('muted');
+
+  renderTopicCorrectionActions(explanation);
+
+  const topicOptions = getTaxonomyOptions();
+  const itemRow = item => {
+    const targetType = item.type === 'search' ? 'search' : 'url';
+    const target = item.type === 'search' ? item.query : item.url;
+    return `
+      <div class="explain-item">
+        <div class="ltp-diff-row">
+          ${item.type === 'search'
+            ? `<span><i class="fas fa-search"></i> ${escapeHtml(item.query)}</span>`
+            : `<a class="timeline-page" href="${escapeHtml(item.url)}" target="_blank" rel="noopener noreferrer"><i class="fas fa-link"></i> ${escapeHtml(item.url)}</a>`}
+          <span class="ltp-diff-values">${pct(item.percent)}</span>
+          <span>
+            <button class="log-forget" data-action="reclassify" title="Reclassify"><i class="fas fa-tag"></i></button>
+            ${item.type === 'search'
+              ? `<button class="log-forget" data-action="forget" data-search-id="${escapeHtml(item.searchId)}" data-label="${escapeHtml(item.query)}" title="Forget this search"><i class="fas fa-eraser"></i></button>`
+              : `<button class="log-forget" data-action="forget" data-url="${escapeHtml(item.url)}" data-label="${escapeHtml(item.url)}" title="Forget this page"><i class="fas fa-eraser"></i></button>`}
+          </span>
+        </div>
+        <p class="key">${item.type === 'search'
+          ? `Search · AI confidence ${Math.round(item.confidence * 100)}% · specificity ${num(item.specificity)} · ${escapeHtml(item.intentType || 'unknown')} ×${num(item.intentMultiplier)} · topic weight ${num(item.topicWeight)}`
+          : `Page · engagement ${Math.round(item.engagementScore)}/100 · ${item.visits} visit${item.visits === 1 ? '' : 's'} · AI topic weight ${num(item.topicWeight)}`}${decayNote(item.decay)} · ${formatDate(item.at)}
+          <br>Topics: ${escapeHtml(item.topics.join(', ') || 'none')}${item.reclassified ? ' (your correction)' : ''}</p>
+        <form class="explain-reclassify" data-target-type="${targetType}" data-target="${escapeHtml(target)}" hidden>
+          <select name="topic">${topicOptions}</select>
+          <button type="submit" class="exit-btn">Reclassify</button>
+        </form>
+      </div>
+    `;
+  };
+
+  document.getElementById('topicExplainBody').innerHTML = `
+    <p class="key">${escapeHtml(summary.join(' · '))}</p>
+    ${explanation.view === 'ltp' && explanation.decayDays ? `
+      <p class="key">Older sessions count less: scores shrink by about 63% every ${Math.round(explanation.decayDays)} days. ${num(explanation.decayedAway)} of this topic's score has decayed away so far.</p>
+    ` : ''}
+
+    <div class="ltp-diff-heading">Searches &amp; pages (${explanation.itemCount})</div>
+    ${explanation.items.length ? explanation.items.map(itemRow).join('') : '<p class="key">No stored searches or pages point at this topic.</p>'}
+    ${explanation.itemCount > explanation.items.length ? `<p class="key">Showing the top ${explanation.items.length}.</p>` : ''}
+    ${explanation.prior ? `
+      <div class="ltp-diff-row">
+        <span><i class="fas fa-seedling"></i> ${escapeHtml(explanation.prior.label || 'Onboarding answers')}</span>
+        <span class="ltp-diff-values">${pct(explanation.prior.percent)}</span>
+        <span></span>
+      </div>
+    ` : ''}
+    ${explanation.unexplained ? `
+      <div class="ltp-diff-row">
+        <span><i class="fas fa-history"></i> Not traceable to archived sessions</span>
+        <span class="ltp-diff-values">${explanation.unexplained.score > 0 ? pct(explanation.unexplained.percent) : '—'}</span>
+        <span></span>
+      </div>
+      <p class="key">Sessions from before the archive, or model settings changed since. Rebuilding the profile from history removes this.</p>
+    ` : ''}
+
+    <div class="ltp-diff-heading">Sessions (${explanation.sessions.length})</div>
+    ${explanation.sessions.map(session => `
+      <div class="ltp-diff-row">
+        <span>${formatDate(session.at)}${session.dominantTopic ? ` · ${escapeHtml(session.dominantTopic)}` : ''}</span>
+        <span class="ltp-diff-values">${pct(session.percent)}</span>
+        <span class="key">${num(session.rawScore)} × engagement ${num(session.weight)}${decayNote(session.decay)}${session.itemCount ? '' : ' · raw history no longer stored'}</span>
+      </div>
+    `).join('')}
+  `;
+}
+
+/**
+ * Mute and boost controls for the topic in the drawer.
+ */
+function renderTopicCorrectionActions(explanation) {
+  const levels = topicCorrections?.boostLevels || [];
+  document.getElementById('topicExplainActions').innerHTML = `
+    <button type="button" class="exit-btn" data-action="mute" data-muted="${explanation.muted ? '' : '1'}">
+      <i class="fas ${explanation.muted ? 'fa-volume-up' : 'fa-volume-mute'}"></i> ${explanation.muted ? 'Unmute' : 'Mute'} Topic
+    </button>
+    <select id="topicExplainBoost" data-tooltip="Multiply this topic's share of every session in the LTP">
+      <option value="1">No boost</option>
+      ${levels.map(level => `<option value="${level}" ${level === explanation.boost ? 'selected' : ''}>Boost ×${level}</option>`).join('')}
+    </select>
+  `;
+}
+
+/**
+ * Taxonomy as <option>s in tree order, subtopics indented.
+ */
+function getTaxonomyOptions() {
+  const branch = (parentId) => taxonomyRows
+    .filter(row => (row.parentId || null) === parentId)
+    .map(row => `<option value="${escapeHtml(row.name)}">${'— '.repeat(row.level)}${escapeHtml(row.name)}</option>${branch(row.topicId)}`)
+    .join('');
+  return branch(null);
+}
+
+async function applyTopicCorrection(message, status) {
+  const drawer = document.getElementById('topicExplainDrawer');
+  updateElement('topicExplainStatus', status);
+  try {
+    topicCorrections = await sendMessage(message);
+    updateElement('topicExplainStatus', '');
+    await openTopicExplanation(drawer.dataset.topic);
+    await updateDashboardForView();
+  } catch (error) {
+    updateElement('topicExplainStatus', error.message);
+  }
+}
+
+function handleTopicExplainAction(e) {
+  const button = e.target.closest('button[data-action="mute"]');
+  if (!button) return;
+  const muted = button.dataset.muted === '1';
+  applyTopicCorrection(
+    { type: 'MUTE_TOPIC', topic: document.getElementById('topicExplainDrawer').dataset.topic, muted },
+    muted ? 'Muting and replaying your profile...' : 'Unmuting and replaying your profile...');
+}
+
+function changeTopicBoost(e) {
+  if (e.target.id !== 'topicExplainBoost') return;
+  applyTopicCorrection(
+    { type: 'BOOST_TOPIC', topic: document.getElementById('topicExplainDrawer').dataset.topic, boost: Number(e.target.value) },
+    'Replaying your profile with the new boost...');
+}
+
+function reclassifyExplainedItem(e) {
+  e.preventDefault();
+  const form = e.target.closest('.explain-reclassify');
+  if (!form) return;
+  applyTopicCorrection({
+    type: 'RECLASSIFY_TARGET',
+    targetType: form.dataset.targetType,
+    target: form.dataset.target,
+    topics: [form.elements.topic.value]
+  }, 'Reclassifying and rebuilding the affected sessions...');
+}
+
+async function handleExplainItemAction(e) {
+  const button = e.target.closest('.log-forget');
+  if (!button) return;
+  if (button.dataset.action === 'reclassify') {
+    const form = button.closest('.explain-item').querySelector('.explain-reclassify');
+    form.hidden = !form.hidden;
+    return;
+  }
+
+  const message = button.dataset.searchId
+    ? { type: 'FORGET_SEARCH', searchId: button.dataset.searchId }
+    : { type: 'FORGET_URL', url: button.dataset.url };
+  try {
+    if (await forgetData(message, `"${button.dataset.label}"`)) {
+      await openTopicExplanation(document.getElementById('topicExplainDrawer').dataset.topic);
+    }
+  } catch (error) {
+    showError(`Forget failed: ${error.message}`);
+  }
+}
+
+async function forgetTarget(e) {
+  e.preventDefault();
+  const type = document.getElementById('forgetTargetType').value;
+  const input = document.getElementById('forgetTarget');
+  const value = input.value.trim();
+  const message = type === 'url' ? { type: 'FORGET_URL', url: value } : { type: 'FORGET_DOMAIN', domain: value };
+  try {
+    if (await forgetData(message, value)) input.value = '';
+  } catch (error) {
+    updateElement('forgetStatus', error.message);
+  }
+}
+
+async function forgetRange(e) {
+  e.preventDefault();
+  // datetime-local values are local time without a zone; Date parses them as such
+  const from = new Date(document.getElementById('forgetFrom').value);
+  const to = new Date(document.getElementById('forgetTo').value);
+  try {
+    await forgetData(
+      { type: 'FORGET_RANGE', from: from.toISOString(), to: to.toISOString() },
+      `everything from ${from.toLocaleString()} to ${to.toLocaleString()}`
+    );
+  } catch (error) {
+    updateElement('forgetStatus', error.message);
+  }
+}
+
+// --- Onboarding Prior (seeded LTP topics) ---
+async function loadOnboardingPrior() {
+  try {
+    renderOnboardingPrior(await sendMessage({ type: 'GET_ONBOARDING_STATE' }));
+  } catch (error) {
+    console.error('Onboarding prior load error:', error);
+  }
+}
+
+function renderOnboardingPrior(state) {
+  const container = document.getElementById('onboardingPrior');
+  document.getElementById('removeLtpPrior').hidden = !state.prior;
+
+  if (!state.prior) {
+    container.innerHTML = '<p class="key">No onboarding prior. Your profile comes from browsing alone.</p>';
+    updateElement('onboardingPriorStatus', '');
+    return;
+  }
+  if (!state.remaining) {
+    container.innerHTML = '<p class="key">Your onboarding answers have fully faded out.</p>';
+    updateElement('onboardingPriorStatus', '');
+    return;
+  }
+
+  const percent = value => `${Math.round(value * 100)}%`;
+  container.innerHTML = state.remaining.topics.slice(0, 10).map(topic => `
+    <div class="ltp-diff-row" data-tooltip="Started at ${topic.seeded === null ? '—' : topic.seeded.toFixed(2)}, now ${topic.remaining.toFixed(3)}">
+      <span>${escapeHtml(topic.topic)}</span>
+      <span class="ltp-diff-values">${topic.remaining.toFixed(3)}</span>
+      <span class="down">${percent(topic.share)} seeded</span>
+    </div>
+  `).join('');
+  updateElement('onboardingPriorStatus',
+    `${percent(state.remaining.share)} of your topic profile still comes from onboarding, after ${state.sessionsSeen} session${state.sessionsSeen === 1 ? '' : 's'}.`);
+}
+
+async function removeLtpPrior() {
+  if (!confirm('Remove your onboarding answers from the profile? The LTP is replayed from your sessions alone.')) return;
+  updateElement('onboardingPriorStatus', 'Replaying your sessions...');
+  try {
+    await sendMessage({ type: 'REMOVE_LTP_PRIOR' });
+    await loadOnboardingPrior();
+    updateElement('onboardingPriorStatus', 'Onboarding prior removed.');
+    await updateDashboardForView();
+  } catch (error) {
+    updateElement('onboardingPriorStatus', `Remove failed: ${error.message}`);
+  }
+}
+
+// --- Named Profiles (work, personal, research...) ---
+let profileState = null;
+
+async function loadProfileSwitcher() {
+  try {
+    profileState = await sendMessage({ type: 'GET_PROFILES' });
+    renderProfileSwitcher();
+  } catch (error) {
+    console.error('Profiles load error:', error);
+  }
+}
+
+async function loadNamedProfiles() {
+  await loadProfileSwitcher();
+  renderNamedProfiles();
+  if (!document.getElementById('namedProfileHoursFrom').options.length) resetNamedProfileForm();
+}
+
+function renderProfileSwitcher() {
+  const select = document.getElementById('profileSwitcher');
+  select.innerHTML = profileState.profiles.map(profile => `
+    <option value="${escapeHtml(profile.profileId)}">${escapeHtml(profile.name)}</option>
+  `).join('');
+  select.value = profileState.activeProfileId;
+  // Nothing to pick until a second profile exists
+  document.querySelector('.profile-picker').hidden = profileState.profiles.length < 2;
+}
+
+function formatProfileHour(hour) {
+  return `${String(hour).padStart(2, '0')}:00`;
+}
+
+function formatProfileRules(rules) {
+  const parts = [];
+  if (rules.domains.length) parts.push(rules.domains.join(', '));
+  if (rules.hours) parts.push(`${formatProfileHour(rules.hours.from)}-${formatProfileHour(rules.hours.to)}`);
+  return parts.join(' · ') || 'No rules';
+}
+
+function renderNamedProfiles() {
+  const container = document.getElementById('namedProfileList');
+  if (!container || !profileState) return;
+  container.innerHTML = profileState.profiles.map(profile => `
+    <div class="ltp-diff-row" data-tooltip="${profile.sessionsSeen} session${profile.sessionsSeen === 1 ? '' : 's'} in this profile">
+      <span>${profile.profileId === profileState.activeProfileId ? '<i class="fas fa-circle-dot"></i> ' : ''}${escapeHtml(profile.name)}</span>
+      <span class="ltp-diff-values">${escapeHtml(formatProfileRules(profile.rules))}</span>
+      <span class="taxonomy-actions">
+        <button data-action="edit" data-profile-id="${escapeHtml(profile.profileId)}" data-tooltip="Edit"><i class="fas fa-pen"></i></button>
+        ${profile.profileId === 'default' ? '' : `<button data-action="delete" data-profile-id="${escapeHtml(profile.profileId)}" data-tooltip="Delete"><i class="fas fa-trash"></i></button>`}
+      </span>
+    </div>
+  `).join('');
+}
+
+function resetNamedProfileForm(profile = null) {
+  const hourOptions = '<option value="">Any time</option>' + Array.from({ length: 24 }, (_, hour) =>
+    `<option value="${hour}">${formatProfileHour(hour)}</option>`).join('');
+  ['namedProfileHoursFrom', 'namedProfileHoursTo'].forEach(id => {
+    document.getElementById(id).innerHTML = hourOptions;
+  });
+
+  document.getElementById('namedProfileId').value = profile?.profileId || '';
+  document.getElementById('namedProfileName').value = profile?.name || '';
+  document.getElementById('namedProfileDomains').value = (profile?.rules.domains || []).join(', ');
+  document.getElementById('namedProfileHoursFrom').value = profile?.rules.hours ? profile.rules.hours.from : '';
+  document.getElementById('namedProfileHoursTo').value = profile?.rules.hours ? profile.rules.hours.to : '';
+  updateElement('namedProfileSubmit', profile ? 'Save Profile' : 'Add Profile');
+  updateElement('namedProfileStatus', '');
+}
+
+async function saveNamedProfile(e) {
+  e.preventDefault();
+  const from = document.getElementById('namedProfileHoursFrom').value;
+  const to = document.getElementById('namedProfileHoursTo').value;
+  if ((from === '') !== (to === '')) {
+    updateElement('namedProfileStatus', 'Pick both a start and an end hour, or neither.');
+    return;
+  }
+
+  const profileId = document.getElementById('namedProfileId').value || null;
+  try {
+    profileState = await sendMessage({
+      type: 'SAVE_PROFILE',
+      profile: {
+        profileId,
+        name: document.getElementById('namedProfileName').value,
+        rules: {
+          domains: document.getElementById('namedProfileDomains').value.split(',').map(s => s.trim()).filter(Boolean),
+          hours: from === '' ? null : { from: Number(from), to: Number(to) }
+        }
+      }
+    });
+    renderProfileSwitcher();
+    renderNamedProfiles();
+    resetNamedProfileForm();
+    updateElement('namedProfileStatus', profileId ? 'Profile saved.' : 'Profile added. Its rules switch to it, or pick it above.');
+  } catch (error) {
+    updateElement('namedProfileStatus', error.message);
+  }
+}
+
+async function handleNamedProfileAction(e) {
+  const button = e.target.closest('button[data-action]');
+  if (!button) return;
+  const profile = profileState.profiles.find(p => p.profileId === button.dataset.profileId);
+  if (!profile) return;
+
+  if (button.dataset.action === 'edit') {
+    resetNamedProfileForm(profile);
+    document.getElementById('namedProfileName').focus();
+    return;
+  }
+
+  if (!confirm(`Delete the ${profile.name} profile? Its sessions are kept and move to the default profile.`)) return;
+  const wasActive = profile.profileId === profileState.activeProfileId;
+  updateElement('namedProfileStatus', 'Moving its sessions...');
+  try {
+    profileState = await sendMessage({ type: 'DELETE_PROFILE', profileId: profile.profileId });
+    renderProfileSwitcher();
+    renderNamedProfiles();
+    resetNamedProfileForm();
+    updateElement('namedProfileStatus', `${profile.name} deleted.`);
+    if (wasActive) await updateDashboardForView();
+  } catch (error) {
+    updateElement('namedProfileStatus', `Delete failed: ${error.message}`);
+  }
+}
+
+/**
+ * Show another profile everywhere on the dashboard. This is the same switch
+ * as the popup's: new browsing is recorded under it too.
+ */
+async function switchDashboardProfile(e) {
+  const select = e.target;
+  select.disabled = true;
+  try {
+    profileState = await sendMessage({ type: 'SWITCH_PROFILE', profileId: select.value });
+    renderProfileSwitcher();
+    renderNamedProfiles();
+    await updateDashboardForView();
+    const activeTab = document.querySelector('.nav-node.active')?.dataset.tab;
+    if (activeTab !== 'profile' && tabLoaders[activeTab]) await tabLoaders[activeTab]();
+    else await Promise.all([loadOnboardingPrior(), loadLtpRebuild()]);
+  } catch (error) {
+    showError(`Profile switch failed: ${error.message}`);
+    select.value = profileState.activeProfileId;
+  } finally {
+    select.disabled = false;
+  }
+}
+
+// --- Topic Corrections (mutes, boosts, reclassifications) ---
+let topicCorrections = null;
+
+async function loadTopicCorrections() {
+  try {
+    topicCorrections = await sendMessage({ type: 'GET_TOPIC_CORRECTIONS' });
+    renderTopicCorrections();
+  } catch (error) {
+    console.error('Topic corrections load error:', error);
+  }
+}
+
+function renderTopicCorrections() {
+  const container = document.getElementById('topicCorrectionsList');
+  if (!container || !topicCorrections) return;
+  document.getElementById('correctionExamples').checked = topicCorrections.fewShot;
+
+  const rows = [
+    ...topicCorrections.muted.map(topic => ({ kind: 'mute', label: topic, value: 'muted', data: { topic } })),
+    ...Object.entries(topicCorrections.boosted).map(([topic, boost]) => ({ kind: 'boost', label: topic, value: `×${boost}`, data: { topic } })),
+    ...topicCorrections.reclassified.map(item => ({
+      kind: 'reclassify',
+      label: item.target,
+      icon: item.targetType === 'search' ? 'fa-search' : 'fa-link',
+      value: item.topicDomains.map(td => td.topic).join(', '),
+      tooltip: item.previous.length ? `Was ${item.previous.map(td => td.topic).join(', ')}` : '',
+      data: { targetType: item.targetType, target: item.target }
+    }))
+  ];
+
+  if (rows.length === 0) {
+    container.innerHTML = '<p class="key">No corrections. Your profile follows the AI\'s classifications as they are.</p>';
+    return;
+  }
+  container.innerHTML = rows.map(row => `
+    <div class="ltp-diff-row" ${row.tooltip ? `data-tooltip="${escapeHtml(row.tooltip)}"` : ''}>
+      <span>${row.icon ? `<i class="fas ${row.icon}"></i> ` : ''}${escapeHtml(row.label)}</span>
+      <span class="ltp-diff-values">${escapeHtml(row.value)}</span>
+      <button class="log-forget" data-kind="${row.kind}" ${Object.entries(row.data).map(([key, value]) => `data-${key === 'targetType' ? 'target-type' : key}="${escapeHtml(value)}"`).join(' ')} title="Undo"><i class="fas fa-undo"></i></button>
+    </div>
+  `).join('');
+}
+
+async function undoTopicCorrection(e) {
+  const button = e.target.closest('.log-forget[data-kind]');
+  if (!button) return;
+  const { kind, topic, targetType, target } = button.dataset;
+  const message = {
+    mute: { type: 'MUTE_TOPIC', topic, muted: false },
+    boost: { type: 'BOOST_TOPIC', topic, boost: 1 },
+    reclassify: { type: 'REMOVE_RECLASSIFICATION', targetType, target }
+  }[kind];
+
+  updateElement('topicCorrectionsStatus', 'Replaying your profile...');
+  try {
+    topicCorrections = await sendMessage(message);
+    renderTopicCorrections();
+    updateElement('topicCorrectionsStatus', 'Correction removed.');
+    await updateDashboardForView();
+  } catch (error) {
+    updateElement('topicCorrectionsStatus', `Undo failed: ${error.message}`);
+  }
+}
+
+async function toggleCorrectionExamples(e) {
+  try {
+    topicCorrections = await sendMessage({ type: 'SET_CORRECTION_EXAMPLES', enabled: e.target.checked });
+    updateElement('topicCorrectionsStatus', e.target.checked
+      ? 'New pages and searches are classified with your corrections as examples.'
+      : 'Your corrections are no longer shown to the AI.');
+  } catch (error) {
+    e.target.checked = !e.target.checked;
+    updateElement('topicCorrectionsStatus', error.message);
+  }
+}
+
+// --- Profile Rebuild (LTP replay with review) ---
+async function loadLtpRebuild() {
+  try {
+    renderLtpRebuild(await sendMessage({ type: 'GET_LTP_REBUILD' }));
+  } catch (error) {
+    console.error('LTP rebuild load error:', error);
+  }
+}
+
+async function rebuildLtp() {
+  const button = document.getElementById('rebuildLtp');
+  button.disabled = true;
+  updateElement('rebuildStatus', 'Replaying session history...');
+  try {
+    const rebuild = await sendMessage({
+      type: 'REBUILD_LTP',
+      recomputeSTPs: document.getElementById('rebuildRecomputeStps').checked
+    });
+    renderLtpRebuild(rebuild);
+  } catch (error) {
+    updateElement('rebuildStatus', `Rebuild failed: ${error.message}`);
+  } finally {
+    button.disabled = false;
+  }
+}
+
+async function settleLtpRebuild(type) {
+  try {
+    await sendMessage({ type });
+    renderLtpRebuild(null);
+    updateElement('rebuildStatus', type === 'ACCEPT_LTP_REBUILD' ? 'Rebuilt profile saved.' : 'Rebuild discarded. Your profile is unchanged.');
+    if (type === 'ACCEPT_LTP_REBUILD') await updateDashboardForView();
+  } catch (error) {
+    renderLtpRebuild(null);
+    updateElement('rebuildStatus', error.message);
+  }
+}
+
+function renderLtpRebuild(rebuild) {
+  const container = document.getElementById('ltpRebuildDiff');
+  document.getElementById('ltpRebuildActions').hidden = !rebuild;
+  if (!rebuild) {
+    container.innerHTML = '';
+    return;
+  }
+
+  const format = value => value === null ? '—' : Number(value).toFixed(3);
+  const row = ({ key, before, after, delta }) => `
+    <div class="ltp-diff-row">
+      <span>${escapeHtml(key)}</span>
+      <span class="ltp-diff-values">${format(before)} → ${format(after)}</span>
+      <span class="${delta >= 0 ? 'up' : 'down'}">${delta >= 0 ? '+' : ''}${delta.toFixed(3)}</span>
+    </div>
+  `;
+  const topics = rebuild.diff.topics.slice(0, 10);
+
+  container.innerHTML = `
+    <div class="ltp-diff-heading">Profile</div>
+    ${rebuild.diff.metrics.map(row).join('')}
+    <div class="ltp-diff-heading">Topics</div>
+    ${topics.length ? topics.map(row).join('') : '<p class="key">No topic scores change.</p>'}
+    ${rebuild.diff.intents.length ? `<div class="ltp-diff-heading">Intents</div>${rebuild.diff.intents.map(row).join('')}` : ''}
+  `;
+  updateElement('rebuildStatus',
+    `Replayed ${rebuild.stpCount} sessions${rebuild.recomputedCount ? `, ${rebuild.recomputedCount} recomputed from raw history` : ''}. Nothing changes until you keep it.`);
+}
+
+// --- Profile Timeline (STP archive replayed over time) ---
+const TIMELINE_COLORS = ['#00d4ff', '#7c3aed', '#f59e0b', '#10b981', '#ef4444', '#ec4899', '#84cc16', '#64748b'];
+const TIMELINE_CHART = { width: 800, height: 200, left: 40, right: 12, top: 10, bottom: 24 };
+const TIMELINE_FINER_ZOOM = { month: 'week', week: 'day' };
+
+let timeline = { zoom: 'day', from: null, to: null, data: null, selected: null };
+
+async function loadTimeline() {
+  updateElement('timelineStatus', 'Replaying session history...');
+  try {
+    timeline.data = await sendMessage({
+      type: 'GET_PROFILE_TIMELINE',
+      zoom: timeline.zoom,
+      from: timeline.from,
+      to: timeline.to
+    });
+    // Start on the most recent period
+    timeline.selected = timeline.data.buckets.length ? timeline.data.buckets.length - 1 : null;
+    renderTimeline();
+  } catch (error) {
+    updateElement('timelineStatus', `Timeline failed: ${error.message}`);
+  }
+}
+
+function renderTimeline() {
+  const { buckets, topics, sessionCount, seeded } = timeline.data;
+  document.querySelectorAll('#timelineZoom [data-zoom]').forEach(button => {
+    button.classList.toggle('active', button.dataset.zoom === timeline.zoom);
+  });
+  document.getElementById('timelineShowAll').hidden = !timeline.from;
+  renderTimelineSessions();
+
+  if (buckets.length === 0) {
+    ['timelineTopics', 'timelineMetrics', 'timelineIntents'].forEach(id => {
+      document.getElementById(id).innerHTML = getPlaceholderHTML('fa-chart-line', 'No sessions yet', 'The timeline fills in as sessions are finalized.');
+      document.getElementById(`${id}Legend`).innerHTML = '';
+    });
+    updateElement('timelineStatus', '');
+    return;
+  }
+
+  const color = i => TIMELINE_COLORS[i % TIMELINE_COLORS.length];
+  const series = (rows) => rows.map(([label, value], i) => ({ label, color: color(i), values: buckets.map(value) }));
+  const intents = [...new Set(buckets.flatMap(bucket => Object.keys(bucket.stp.intents)))];
+
+  renderTimelineChart('timelineTopics', series(topics.map(topic => [topic, bucket => bucket.ltp.topics[topic] || 0])));
+  renderTimelineChart('timelineMetrics', series([
+    ['Focus (LTP)', bucket => bucket.ltp.focus],
+    ['Depth (LTP)', bucket => bucket.ltp.depth],
+    ['Topic entropy', bucket => bucket.stp.entropy],
+    ['Engagement', bucket => bucket.stp.engagement]
+  ]));
+  renderTimelineChart('timelineIntents', series(intents.map(intent => [intent, bucket => bucket.stp.intents[intent] || 0])), { stacked: true });
+
+  updateElement('timelineStatus',
+    `${sessionCount} session${sessionCount === 1 ? '' : 's'} over ${buckets.length} ${timeline.zoom}${buckets.length === 1 ? '' : 's'}${seeded ? '. Scores start from your onboarding prior.' : '.'}`);
+}
+
+/**
+ * Line chart (or stacked bars) of 0..1 values, one column per bucket. A
+ * transparent hit area over each column selects that bucket.
+ */
+function renderTimelineChart(containerId, series, { stacked = false } = {}) {
+  const { width, height, left, right, top, bottom } = TIMELINE_CHART;
+  const buckets = timeline.data.buckets;
+  const innerHeight = height - top - bottom;
+  const step = (width - left - right) / buckets.length;
+  const x = i => left + step * (i + 0.5);
+  const y = value => top + innerHeight * (1 - Math.max(0, Math.min(1, value || 0)));
+
+  const grid = [0, 0.5, 1].map(value => `
+    <line class="timeline-grid" x1="${left}" x2="${width - right}" y1="${y(value)}" y2="${y(value)}"></line>
+    <text class="timeline-axis" x="${left - 6}" y="${y(value) + 4}" text-anchor="end">${value * 100}%</text>
+  `).join('');
+
+  const labelEvery = Math.ceil(buckets.length / 8);
+  const labels = buckets.map((bucket, i) => i % labelEvery === 0
+    ? `<text class="timeline-axis" x="${x(i)}" y="${height - 6}" text-anchor="middle">${escapeHtml(formatTimelineBucket(bucket, true))}</text>`
+    : ''
+  ).join('');
+
+  let marks;
+  if (stacked) {
+    const barWidth = Math.max(2, step * 0.7);
+    marks = buckets.map((bucket, i) => {
+      let base = 0;
+      return series.map(({ color, values }) => {
+        const bar = `<rect x="${x(i) - barWidth / 2}" y="${y(base + values[i])}" width="${barWidth}" height="${y(base) - y(base + values[i])}" fill="${color}"></rect>`;
+        base += values[i];
+        return bar;
+      }).join('');
+    }).join('');
+  } else {
+    marks = series.map(({ color, values }) => `
+      <polyline class="timeline-line" stroke="${color}" points="${values.map((value, i) => `${x(i)},${y(value)}`).join(' ')}"></polyline>
+      ${buckets.length <= 60 ? values.map((value, i) => `<circle cx="${x(i)}" cy="${y(value)}" r="3" fill="${color}"></circle>`).join('') : ''}
+    `).join('');
+  }
+
+  const hits = buckets.map((bucket, i) => `
+    <rect class="timeline-hit ${i === timeline.selected ? 'selected' : ''}" data-bucket="${i}" x="${left + step * i}" y="${top}" width="${step}" height="${innerHeight}">
+      <title>${escapeHtml(formatTimelineBucket(bucket))}: ${bucket.sessions.length} session${bucket.sessions.length === 1 ? '' : 's'}</title>
+    </rect>
+  `).join('');
+
+  document.getElementById(containerId).innerHTML = `
+    <svg class="timeline-svg" viewBox="0 0 ${width} ${height}" role="img">${grid}${marks}${hits}${labels}</svg>
+  `;
+  document.getElementById(`${containerId}Legend`).innerHTML = series.map(({ label, color }) => `
+    <span class="timeline-legend-item"><i style="background: ${color}"></i>${escapeHtml(label)}</span>
+  `).join('');
+}
+
+function formatTimelineBucket(bucket, short = false) {
+  const start = new Date(bucket.start);
+  if (timeline.zoom === 'month') return start.toLocaleDateString(undefined, { month: 'short', year: 'numeric' });
+  const day = start.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+  return timeline.zoom === 'week' && !short ? `Week of ${day}` : day;
+}
+
+function setTimelineZoom(e) {
+  const button = e.target.closest('[data-zoom]');
+  if (!button || button.dataset.zoom === timeline.zoom) return;
+  timeline.zoom = button.dataset.zoom;
+  loadTimeline();
+}
+
+function selectTimelineBucket(e) {
+  const hit = e.target.closest('[data-bucket]');
+  if (!hit) return;
+  timeline.selected = Number(hit.dataset.bucket);
+  document.querySelectorAll('#timelineCharts .timeline-hit').forEach(rect => {
+    rect.classList.toggle('selected', Number(rect.dataset.bucket) === timeline.selected);
+  });
+  renderTimelineSessions();
+}
+
+// Narrow the range to the selected bucket and show it one level finer
+function zoomIntoTimelineBucket() {
+  const bucket = timeline.data?.buckets[timeline.selected];
+  if (!bucket || !TIMELINE_FINER_ZOOM[timeline.zoom]) return;
+  timeline.from = bucket.start;
+  timeline.to = new Date(new Date(bucket.end).getTime() - 1).toISOString();
+  timeline.zoom = TIMELINE_FINER_ZOOM[timeline.zoom];
+  loadTimeline();
+}
+
+function renderTimelineSessions() {
+  const bucket = timeline.data?.buckets[timeline.selected];
+  const list = document.getElementById('timelineSessions');
+  document.getElementById('timelineZoomIn').hidden = !bucket || !TIMELINE_FINER_ZOOM[timeline.zoom];
+  updateElement('timelineBucketLabel', bucket ? formatTimelineBucket(bucket) : '');
+
+  if (!bucket) {
+    list.innerHTML = '<p class="key">No period selected.</p>';
+    return;
+  }
+
+  // Each session lists the long-term topic shares it moved the most
+  list.innerHTML = [...bucket.sessions].reverse().map(session => `
+    <button type="button" class="timeline-session" data-session-id="${escapeHtml(session.sessionId)}">
+      <span class="timeline-session-time">${new Date(session.at).toLocaleString()}</span>
+      <span>${escapeHtml(session.dominantTopic || 'Mixed')} · ${Math.round(session.lengthMin)} min · ${Math.round(session.engagement * 100)}% engaged</span>
+      <span class="timeline-changes">
+        ${session.changes.map(change => `
+          <span class="${change.delta >= 0 ? 'up' : 'down'}">${change.delta >= 0 ? '+' : ''}${(change.delta * 100).toFixed(1)}% ${escapeHtml(change.topic)}</span>
+        `).join('') || '<span class="down">No visible change</span>'}
+      </span>
+    </button>
+  `).join('');
+}
+
+async function showTimelineSession(e) {
+  const item = e.target.closest('[data-session-id]');
+  if (!item) return;
+  document.querySelectorAll('.timeline-session').forEach(el => el.classList.toggle('active', el === item));
+
+  const container = document.getElementById('timelineSessionDetail');
+  container.innerHTML = '<p class="key">Loading session...</p>';
+  try {
+    renderSessionDetail(await sendMessage({ type: 'GET_SESSION_DETAIL', sessionId: item.dataset.sessionId }));
+  } catch (error) {
+    container.innerHTML = `<p class="key">${escapeHtml(error.message)}</p>`;
+  }
+}
+
+function renderSessionDetail(detail) {
+  const activeTime = seconds => seconds >= 60 ? `${Math.round(seconds / 60)} min` : `${Math.round(seconds)} s`;
+  const when = value => value ? new Date(value).toLocaleString() : '?';
+  const stp = detail.stp;
+
+  document.getElementById('timelineSessionDetail').innerHTML = `
+    <p class="key">${when(detail.startTime)} → ${when(detail.endTime)}${detail.endReason ? ` (${escapeHtml(detail.endReason)})` : ''}</p>
+    ${stp ? `
+      <div class="ltp-diff-heading">Session profile</div>
+      ${stp.topics.slice(0, 5).map(topic => `
+        <div class="ltp-diff-row">
+          <span>${escapeHtml(topic.topic)}</span>
+          <span class="ltp-diff-values">${Math.round(topic.weight * 100)}%</span>
+          <span></span>
+        </div>
+      `).join('')}
+      <p class="key">Intent: ${escapeHtml(stp.intent_focus || 'unknown')} · entropy ${Number(stp.diversity_entropy || 0).toFixed(2)}</p>
+    ` : ''}
+    <div class="ltp-diff-heading">Pages (${detail.pages.length})</div>
+    ${detail.pages.length ? detail.pages.map(page => `
+      <div class="ltp-diff-row">
+        <a class="timeline-page" href="${escapeHtml(page.url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(page.url)}</a>
+        <span class="ltp-diff-values">${activeTime(page.activeTime)}</span>
+        <span class="key">${escapeHtml(page.topics.join(', '))}</span>
+      </div>
+    `).join('') : '<p class="key">No page visits are stored for this session any more.</p>'}
+    <div class="ltp-diff-heading">Searches (${detail.searches.length})</div>
+    ${detail.searches.length ? detail.searches.map(search => `
+      <div class="ltp-diff-row">
+        <span>${escapeHtml(search.query)}</span>
+        <span class="ltp-diff-values">${new Date(search.timestamp).toLocaleTimeString()}</span>
+        <span class="key">${escapeHtml(search.topics.join(', '))}</span>
+      </div>
+    `).join('') : '<p class="key">No searches are stored for this session.</p>'}
+  `;
+}
+
+async function generateNewFacts() {
+  const btn = document.getElementById('generateNewFacts');
+  const original = btn.innerHTML;
+  btn.disabled = true;
+  btn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Evolving...';
+  try {
+    const facts = await sendMessage({ type: 'GENERATE_NEW_FACTS', view: currentView });
+    showNotification(`${(facts || []).length} insights generated`);
+    await loadFacts();
+  } catch (error) {
+    showError('Evolution failed');
+  } finally {
+    btn.disabled = false;
+    btn.innerHTML = original;
+  }
+}
+
+/**
+ * Zip of every snapshot matching the library filters, in the ticked formats.
+ */
+async function exportSnapshotBundle(e) {
+  e.preventDefault();
+  const formats = [...e.target.querySelectorAll('input[name="format"]:checked')].map(input => input.value);
+  if (formats.length === 0) {
+    updateElement('snapshotExportStatus', 'Pick at least one format.');
+    return;
+  }
+
+  const btn = document.getElementById('snapshotExport');
+  btn.disabled = true;
+  updateElement('snapshotExportStatus', 'Packing snapshots...');
+  try {
+    const { offset, limit, ...query } = readSnapshotQuery();
+    const bundle = await sendMessage({ type: 'EXPORT_SNAPSHOTS', query, formats, zip: true });
+    const blob = new Blob([Uint8Array.from(atob(bundle.base64), c => c.charCodeAt(0))], { type: bundle.mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = bundle.filename;
+    link.click();
+    URL.revokeObjectURL(url);
+    updateElement('snapshotExportStatus', `Exported ${bundle.count} snapshot${bundle.count === 1 ? '' : 's'} (${Math.ceil(blob.size / 1024)} KB).`);
+  } catch (error) {
+    updateElement('snapshotExportStatus', `Export failed: ${error.message}`);
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+/**
+ * Ask a question across snapshots and visited pages. [n] markers in the
+ * answer link to the page they cite.
+ */
+async function askArchive(e) {
+  e.preventDefault();
+  const input = document.getElementById('archiveQuestion');
+  const question = input.value.trim();
+  if (!question) return;
+
+  const btn = document.getElementById('archiveAsk');
+  btn.disabled = true;
+  updateElement('archiveAskStatus', 'Searching your archive...');
+  try {
+    const result = await sendMessage({ type: 'ASK_ARCHIVE', question });
+    document.getElementById('archiveAnswer').innerHTML = getArchiveAnswerHTML(result);
+    updateElement('archiveAskStatus', result.sources.length > 0
+      ? `Answered from ${result.sources.length} page${result.sources.length === 1 ? '' : 's'}${result.method === 'extractive' ? ' (quoted, model unavailable)' : ''}.`
+      : '');
+  } catch (error) {
+    updateElement('archiveAskStatus', `Could not answer: ${error.message}`);
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+function getArchiveAnswerHTML({ question, answer, citations, sources }) {
+  const cited = new Map(citations.map(citation => [citation.number, citation]));
+  const answerHTML = escapeHtml(answer).replace(/\[(\d+)\]/g, (marker, n) => {
+    const citation = cited.get(Number(n));
+    return citation
+      ? `<a class="archive-cite" href="${escapeHtml(citation.url)}" target="_blank" rel="noopener noreferrer" title="${escapeHtml(citation.title)}">[${n}]</a>`
+      : marker;
+  });
+
+  return `
+    <div class="archive-answer-card">
+      <div class="key">${escapeHtml(question)}</div>
+      <p>${answerHTML}</p>
+    </div>
+    ${sources.length ? `<div class="archive-sources">
+      ${sources.map(source => `
+        <a class="archive-source${cited.has(source.number) ? ' cited' : ''}" href="${escapeHtml(source.url)}" target="_blank" rel="noopener noreferrer">
+          <span class="archive-source-number">${source.number}</span>
+          <span class="archive-title">${escapeHtml(truncateText(source.title, 80))}</span>
+          <span class="archive-url">${escapeHtml(source.domain || source.url)} · ${formatDate(source.timestamp)}${source.sourceTypes.includes('snapshot') ? ' · <i class="fas fa-camera"></i>' : ''}</span>
+        </a>
+      `).join('')}
+    </div>` : ''}
+  `;
+}
+
+async function exportArchive() {
+  const btn = document.getElementById('exportData');
+  btn.disabled = true;
+  updateElement('backupStatus', 'Packing archive...');
+  try {
+    const archive = await sendMessage({ type: 'EXPORT_DATA' });
+    const blob = new Blob([archive], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `crucible-backup-${new Date().toISOString().slice(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+    updateElement('backupStatus', `Archive exported (${Math.ceil(blob.size / 1024)} KB).`);
+  } catch (error) {
+    updateElement('backupStatus', `Export failed: ${error.message}`);
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+async function importArchive(e) {
+  const file = e.target.files[0];
+  e.target.value = '';
+  if (!file) return;
+
+  const mode = document.getElementById('importMode').value;
+  if (mode === 'replace' && !confirm('Replace your current profile and history with this archive? This cannot be undone.')) return;
+
+  updateElement('backupStatus', `Restoring ${file.name}...`);
+  try {
+    const result = await sendMessage({ type: 'IMPORT_DATA', data: await file.text(), mode });
+    const added = Object.values(result.tables).reduce((sum, t) => sum + t.added, 0);
+    const skipped = Object.values(result.tables).reduce((sum, t) => sum + t.skipped, 0);
+    const migrated = result.migrated ? ` Upgraded from format v${result.formatVersion}.` : '';
+    updateElement('backupStatus', `Restored ${added} records${skipped ? `, skipped ${skipped} already present` : ''}.${migrated}`);
+    await Promise.all([updateDashboardForView(), loadTaxonomy()]);
+  } catch (error) {
+    updateElement('backupStatus', `Import failed: ${error.message}. Nothing was changed.`);
   }
 }
 
@@ -0,0 +1,203 @@
+// onboarding.js - First-run questions that seed the long-term profile
+document.addEventListener('DOMContentLoaded', async () => {
+  document.body.dataset.theme = localStorage.getItem('nexus-theme') || 'dark';
+  try {
+    await initializeOnboarding();
+  } catch (error) {
+    console.error('Onboarding init failed:', error);
+    updateElement('onboardingStatus', `Could not load onboarding: ${error.message}`);
+  }
+});
+
+const BOOTSTRAP_HISTORY_DAYS = 30;
+const BOOTSTRAP_MAX_HISTORY = 1000;
+const BOOTSTRAP_MAX_TOPICS = 12;
+
+let bootstrapResult = null; // Topic counts from BOOTSTRAP_TOPICS; titles and URLs are never kept
+
+async function initializeOnboarding() {
+  const [taxonomy, state] = await Promise.all([
+    sendMessage({ type: 'GET_TOPIC_TAXONOMY' }),
+    sendMessage({ type: 'GET_ONBOARDING_STATE' })
+  ]);
+
+  // Revisiting from the dashboard starts from the previous answers
+  renderInterests(taxonomy, state.prior?.interests || []);
+  if (state.prior) restoreAnswers(state.prior);
+
+  document.getElementById('onboardingForm').addEventListener('submit', saveOnboarding);
+  document.getElementById('skipOnboarding').addEventListener('click', skipOnboarding);
+  document.getElementById('bootstrapImport').addEventListener('click', importBrowserTopics);
+  document.getElementById('openDashboard').addEventListener('click', () => {
+    window.location.href = chrome.runtime.getURL('src/dashboard/dashboard.html');
+  });
+}
+
+/**
+ * Root topics with their direct subtopics as toggle chips.
+ */
+function renderInterests(rows, selected) {
+  const chip = (row, isRoot) => `
+    <label class="interest-chip ${isRoot ? 'root' : ''}">
+      <input type="checkbox" name="interest" value="${escapeHtml(row.name)}" ${selected.includes(row.name) ? 'checked' : ''}>
+      <span>${escapeHtml(row.name)}</span>
+    </label>
+  `;
+
+  document.getElementById('onboardingInterests').innerHTML = rows
+    .filter(row => !row.parentId)
+    .map(root => `
+      <div class="interest-group">
+        ${chip(root, true)}
+        ${rows.filter(row => row.parentId === root.topicId).map(row => chip(row, false)).join('')}
+      </div>
+    `).join('');
+}
+
+function restoreAnswers(prior) {
+  const depth = document.querySelector(`input[name="depth"][value="${prior.depthChoice}"]`);
+  if (depth) depth.checked = true;
+  document.querySelectorAll('input[name="intent"]').forEach(input => {
+    input.checked = prior.intents?.[input.value] !== undefined;
+  });
+
+  const topics = Object.entries(prior.bootstrapTopics || {}).map(([topic, count]) => ({ topic, count }));
+  if (topics.length > 0) renderBootstrapTopics({ topics, restored: true });
+}
+
+/**
+ * Ask for bookmarks/history access, send titles and URLs to the service
+ * worker for keyword classification, and drop the access afterwards.
+ */
+async function importBrowserTopics() {
+  const button = document.getElementById('bootstrapImport');
+  const permissions = { permissions: ['bookmarks', 'history'] };
+
+  let granted = false;
+  try {
+    granted = await chrome.permissions.request(permissions);
+  } catch (error) {
+    updateElement('bootstrapStatus', `Could not ask for access: ${error.message}`);
+    return;
+  }
+  if (!granted) {
+    updateElement('bootstrapStatus', 'Access declined. You can still pick interests by hand.');
+    return;
+  }
+
+  button.disabled = true;
+  updateElement('bootstrapStatus', 'Reading bookmarks and recent history...');
+  try {
+    const bookmarks = flattenBookmarks(await chrome.bookmarks.getTree());
+    const history = await chrome.history.search({
+      text: '',
+      startTime: Date.now() - BOOTSTRAP_HISTORY_DAYS * 86400000,
+      maxResults: BOOTSTRAP_MAX_HISTORY
+    });
+    const items = [...bookmarks, ...history.map(entry => ({ title: entry.title, url: entry.url }))];
+
+    renderBootstrapTopics(await sendMessage({ type: 'BOOTSTRAP_TOPICS', items }));
+  } catch (error) {
+    updateElement('bootstrapStatus', `Scan failed: ${error.message}`);
+  } finally {
+    button.disabled = false;
+    chrome.permissions.remove(permissions).catch(() => {});
+  }
+}
+
+function flattenBookmarks(nodes, items = []) {
+  (nodes || []).forEach(node => {
+    if (node.url) items.push({ title: node.title, url: node.url });
+    flattenBookmarks(node.children, items);
+  });
+  return items;
+}
+
+function renderBootstrapTopics(result) {
+  bootstrapResult = result;
+  const topics = result.topics.slice(0, BOOTSTRAP_MAX_TOPICS);
+
+  document.getElementById('bootstrapTopics').innerHTML = topics.map(({ topic, count }) => `
+    <label class="choice">
+      <input type="checkbox" name="bootstrapTopic" value="${escapeHtml(topic)}" checked>
+      ${escapeHtml(topic)}
+      <span class="key">${count} page${count === 1 ? '' : 's'}</span>
+    </label>
+  `).join('');
+
+  if (result.restored) {
+    updateElement('bootstrapStatus', 'Suggested from your last scan. Untick any that are wrong.');
+  } else if (topics.length === 0) {
+    updateElement('bootstrapStatus', `No topics recognised in ${result.considered} pages.`);
+  } else {
+    updateElement('bootstrapStatus',
+      `Matched ${result.matched} of ${result.considered} pages${result.excluded ? ` (${result.excluded} excluded by privacy rules)` : ''}. Untick any that are wrong.`);
+  }
+}
+
+function readAnswers() {
+  const checked = name => [...document.querySelectorAll(`input[name="${name}"]:checked`)].map(input => input.value);
+  const counts = Object.fromEntries((bootstrapResult?.topics || []).map(({ topic, count }) => [topic, count]));
+
+  return {
+    interests: checked('interest'),
+    depth: checked('depth')[0] || 'balanced',
+    intents: checked('intent'),
+    bootstrapTopics: Object.fromEntries(checked('bootstrapTopic').map(topic => [topic, counts[topic]]))
+  };
+}
+
+async function saveOnboarding(event) {
+  event.preventDefault();
+  updateElement('onboardingStatus', 'Seeding your profile...');
+  try {
+    const { prior } = await sendMessage({ type: 'SAVE_ONBOARDING', answers: readAnswers() });
+    const count = Object.keys(prior.topics).length;
+    showDone(`Your profile starts from ${count} topic${count === 1 ? '' : 's'}. The dashboard marks them as onboarding answers, and they fade as Crucible learns from your browsing.`);
+  } catch (error) {
+    updateElement('onboardingStatus', error.message);
+  }
+}
+
+async function skipOnboarding() {
+  try {
+    await sendMessage({ type: 'SKIP_ONBOARDING' });
+    showDone('Skipped. You can answer these questions any time from the Profile Matrix in the dashboard.');
+  } catch (error) {
+    updateElement('onboardingStatus', error.message);
+  }
+}
+
+function showDone(message) {
+  document.getElementById('onboardingForm').hidden = true;
+  document.getElementById('onboardingDone').hidden = false;
+  updateElement('onboardingDoneMessage', message);
+}
+
+function sendMessage(msg) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(msg, response => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else if (response && response.success) {
+        resolve(response.data);
+      } else {
+        reject(new Error(response?.error || 'Request failed'));
+      }
+    });
+  });
+}
+
+function updateElement(id, value) {
+  const el = document.getElementById(id);
+  if (el) el.textContent = value;
+}
+
+function escapeHtml(str) {
+  return String(str ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+}
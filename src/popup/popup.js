@@ -13,7 +13,9 @@ async function initializePopup() {
   await Promise.all([
     loadMetrics(),
     loadToggleStates(), // This now also triggers the status update
-    loadSessionTime()   // This replaces the old startSessionTimer
+    loadSessionTime(),  // This replaces the old startSessionTimer
+    loadTabPrivacy(),
+    loadProfiles()
   ]);
 }
 
@@ -22,7 +24,12 @@ function setupEventListeners() {
   // FIX: Changed 'toggleProfileSync' to 'toggleProfileForge' to match HTML
   document.getElementById('toggleProfileForge').addEventListener('change', toggleProfileSync);
   document.getElementById('toggleAI').addEventListener('change', toggleAI);
+  document.getElementById('togglePauseTab').addEventListener('change', toggleTabPause);
   document.getElementById('toggleOrb').addEventListener('click', toggleOrb);
+  document.getElementById('modelProvider').addEventListener('change', changeModelProvider);
+  document.getElementById('saveLocalModel').addEventListener('click', saveLocalModel);
+  document.getElementById('profileSelect').addEventListener('change', changeProfile);
+  document.getElementById('toggleWindowProfile').addEventListener('change', toggleWindowProfile);
 }
 
 /**
@@ -68,6 +75,14 @@ async function loadToggleStates() {
       document.getElementById('toggleAI').checked = aiEnabled;
       // FIX: Changed 'toggleProfileSync' to 'toggleProfileForge' to match HTML
       document.getElementById('toggleProfileForge').checked = profileEnabled;
+      document.getElementById('modelProvider').value = settings.modelProvider || 'gemini-nano';
+      const endpointInput = document.getElementById('localModelEndpoint');
+      const modelInput = document.getElementById('localModelName');
+      endpointInput.value = settings.localModelEndpoint || '';
+      endpointInput.placeholder = settings.localModelDefaults?.endpoint || '';
+      modelInput.value = settings.localModelName || '';
+      modelInput.placeholder = settings.localModelDefaults?.model || '';
+      showLocalModelSettings(settings.modelProvider);
       // Note: We don't need to set the orb toggle, it's just a button.
     }
   } catch (error) {
@@ -128,6 +143,149 @@ async function toggleAI(event) {
   }
 }
 
+// The server URL and model name only apply to the local server provider
+function showLocalModelSettings(provider) {
+  document.getElementById('localModelSettings').hidden = provider !== 'openai-compatible';
+}
+
+async function changeModelProvider(event) {
+  const select = event.target;
+  showLocalModelSettings(select.value);
+  await applyModelProvider({ type: 'SET_MODEL_PROVIDER', provider: select.value }, select);
+}
+
+async function saveLocalModel(event) {
+  await applyModelProvider({
+    type: 'SET_MODEL_PROVIDER',
+    provider: 'openai-compatible',
+    endpoint: document.getElementById('localModelEndpoint').value.trim(),
+    model: document.getElementById('localModelName').value.trim()
+  }, event.target);
+}
+
+async function applyModelProvider(message, control) {
+  const select = document.getElementById('modelProvider');
+  control.disabled = true;
+  try {
+    const response = await sendMessage(message);
+    if (response?.data?.ready) {
+      showNotification(`AI Model: ${select.options[select.selectedIndex].text}`);
+    } else {
+      showError('Model saved, but it is not available');
+    }
+  } catch (error) {
+    showError(error.message.includes('localhost') ? error.message : 'Failed to switch AI model');
+  } finally {
+    control.disabled = false;
+  }
+}
+
+async function getActiveTab() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  return tab || null;
+}
+
+/**
+ * Shows whether the current tab is paused or excluded by a privacy rule.
+ */
+async function loadTabPrivacy() {
+  const toggle = document.getElementById('togglePauseTab');
+  try {
+    const tab = await getActiveTab();
+    if (!tab || !/^https?:/.test(tab.url || '')) {
+      toggle.disabled = true;
+      return;
+    }
+    const response = await sendMessage({ type: 'GET_TRACKING_STATUS', tabId: tab.id, url: tab.url });
+    const status = response.data;
+    toggle.checked = status.paused;
+    const excludedBy = status.exclusion && status.exclusion.source !== 'paused' ? status.exclusion.label : '';
+    updateElement('privacyStatus', excludedBy ? `Not tracked here (${excludedBy})` : '');
+  } catch (error) {
+    console.error('Load tab privacy error:', error);
+    toggle.disabled = true;
+  }
+}
+
+async function toggleTabPause(event) {
+  const paused = event.target.checked;
+  try {
+    const tab = await getActiveTab();
+    await sendMessage({ type: 'SET_TAB_PAUSED', tabId: tab.id, paused });
+    showNotification(paused ? 'Tracking paused in this tab' : 'Tracking resumed in this tab');
+    await loadTabPrivacy();
+  } catch (error) {
+    event.target.checked = !paused; // Revert toggle on failure
+    showError('Failed to update tab pause');
+  }
+}
+
+/**
+ * Shows which named profile new browsing is recorded under, and whether the
+ * rules, the user or this window picked it.
+ */
+async function loadProfiles() {
+  try {
+    const tab = await getActiveTab();
+    const response = await sendMessage({ type: 'GET_PROFILES', windowId: tab?.windowId ?? null });
+    renderProfiles(response.data);
+  } catch (error) {
+    console.error('Load profiles error:', error);
+    document.getElementById('profileSelect').disabled = true;
+    document.getElementById('toggleWindowProfile').disabled = true;
+  }
+}
+
+function renderProfiles(state) {
+  const select = document.getElementById('profileSelect');
+  select.innerHTML = '<option value="">Automatic</option>' + state.profiles.map(profile => `
+    <option value="${escapeHtml(profile.profileId)}">${escapeHtml(profile.name)}</option>
+  `).join('');
+  select.value = state.manual ? state.activeProfileId : '';
+
+  const active = state.profiles.find(profile => profile.profileId === state.activeProfileId);
+  const windowProfile = state.profiles.find(profile => profile.profileId === state.windowProfileId);
+  document.getElementById('toggleWindowProfile').checked = Boolean(windowProfile);
+
+  let pickedBy = state.manual ? 'picked by you' : 'picked by rules';
+  if (!state.manual && windowProfile) pickedBy = 'kept for this window';
+  updateElement('profileStatus', active ? `Recording as ${active.name} (${pickedBy})` : '');
+}
+
+async function changeProfile(event) {
+  const profileId = event.target.value;
+  try {
+    await sendMessage(profileId
+      ? { type: 'SWITCH_PROFILE', profileId }
+      : { type: 'RESUME_PROFILE_RULES' });
+    showNotification(profileId ? 'Profile switched' : 'Profile follows your rules');
+  } catch (error) {
+    showError('Failed to switch profile');
+  } finally {
+    await loadProfiles();
+    await loadSessionTime(); // switching starts a new session
+  }
+}
+
+async function toggleWindowProfile(event) {
+  const keep = event.target.checked;
+  try {
+    const tab = await getActiveTab();
+    const { data: state } = await sendMessage({ type: 'GET_PROFILES' });
+    await sendMessage({
+      type: 'SET_WINDOW_PROFILE',
+      windowId: tab.windowId,
+      profileId: keep ? state.activeProfileId : null
+    });
+    showNotification(keep ? 'Profile kept for this window' : 'Window follows the profile rules');
+  } catch (error) {
+    event.target.checked = !keep; // Revert toggle on failure
+    showError('Failed to update window profile');
+  } finally {
+    await loadProfiles();
+  }
+}
+
 // This now toggles the theme
 async function toggleOrb() {
   try {
@@ -195,6 +353,15 @@ function updateElement(id, value) {
   if (el) el.textContent = value;
 }
 
+function escapeHtml(str) {
+  return String(str ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+}
+
 function showNotification(msg, type = 'success') {
   const existing = document.querySelector('.notification');
   if (existing) existing.remove();
@@ -0,0 +1,172 @@
+// src/storage/archiveIndex.js
+// Cross-page retrieval over the browsing archive. Snapshots (summaries,
+// insights, chunk summaries) and the content samples of visited pages are
+// split into passages with a term index. DatabaseService keeps the passages
+// in archivePassages (multi-entry index on terms) and ranks them with BM25
+// for the dashboard's Ask box. Pure helpers.
+
+const ARCHIVE_PASSAGE_CHARS = 700;
+const MAX_ARCHIVE_PASSAGES_PER_SOURCE = 12;
+// BM25 term saturation and length normalisation
+const ARCHIVE_BM25_K1 = 1.2;
+const ARCHIVE_BM25_B = 0.75;
+// What an answer is built from: the best pages, a few passages each
+const ARCHIVE_MAX_SOURCES = 5;
+const ARCHIVE_PASSAGES_PER_SOURCE = 2;
+// Snapshot passages are the user's own results, so they outrank raw samples
+const ARCHIVE_SOURCE_WEIGHTS = { snapshot: 1.2, page: 1 };
+
+/**
+ * 🔧 Pack sentences into passages of at most `maxChars`. A sentence longer
+ * than that becomes a passage of its own, cut at the limit.
+ */
+function splitArchivePassages(text, maxChars = ARCHIVE_PASSAGE_CHARS) {
+  const sentences = String(text || '')
+    .split(/(?<=[.!?])\s+|\n+/)
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+
+  const passages = [];
+  let current = '';
+  for (const sentence of sentences) {
+    if (current && current.length + sentence.length + 1 > maxChars) {
+      passages.push(current);
+      current = '';
+    }
+    current = current ? `${current} ${sentence}` : sentence.slice(0, maxChars);
+  }
+  if (current) passages.push(current);
+  return passages;
+}
+
+function buildArchivePassage(source, index, text) {
+  const words = tokenizeSnapshotText(text);
+  return {
+    passageId: `${source.sourceType}:${source.sourceId}:${index}`,
+    ...source,
+    text,
+    terms: [...new Set(words)],
+    length: words.length
+  };
+}
+
+/**
+ * Passages for a snapshot: its headline, summary and insights, then one per
+ * chunk summary.
+ */
+function buildSnapshotPassages(snapshot) {
+  const source = {
+    sourceType: 'snapshot',
+    sourceId: snapshot.snapshotId,
+    url: snapshot.url,
+    canonicalUrl: snapshot.canonicalUrl || canonicalizeSnapshotUrl(snapshot.url) || snapshot.url,
+    domain: snapshot.domain || getSnapshotDomain(snapshot.url),
+    title: snapshot.title || snapshot.headline || snapshot.url,
+    timestamp: snapshot.timestamp
+  };
+  const overview = [snapshot.headline, snapshot.subheading, snapshot.summary, ...(snapshot.insights || [])]
+    .filter(Boolean)
+    .join('\n');
+  const texts = [
+    ...splitArchivePassages(overview),
+    ...(snapshot.chunks || []).flatMap(chunk =>
+      splitArchivePassages([chunk.title, chunk.text].filter(Boolean).join(': ')))
+  ];
+  return texts
+    .slice(0, MAX_ARCHIVE_PASSAGES_PER_SOURCE)
+    .map((text, index) => buildArchivePassage(source, index, text));
+}
+
+/**
+ * Passages for a visited page, from the content sample the behavior
+ * monitor took (see urlBehaviors.contentSample).
+ */
+function buildPagePassages(behavior) {
+  const source = {
+    sourceType: 'page',
+    sourceId: behavior.url,
+    url: behavior.url,
+    canonicalUrl: canonicalizeSnapshotUrl(behavior.url) || behavior.url,
+    domain: behavior.domain || getSnapshotDomain(behavior.url),
+    title: behavior.title || behavior.domain || behavior.url,
+    timestamp: behavior.endTime || behavior.startTime
+  };
+  return splitArchivePassages(behavior.contentSample)
+    .slice(0, MAX_ARCHIVE_PASSAGES_PER_SOURCE)
+    .map((text, index) => buildArchivePassage(source, index, text));
+}
+
+/**
+ * 🔧 BM25 over candidate passages. Query words match term prefixes, as in
+ * the snapshot library. Document frequencies come from the candidates,
+ * which are every passage containing at least one query word.
+ * @param {object[]} passages - candidates, each with text and length
+ * @param {string[]} queryTerms
+ * @param {number} totalPassages - size of the whole index
+ * @returns {object[]} passages with a score, best first
+ */
+function scoreArchivePassages(passages, queryTerms, totalPassages) {
+  if (passages.length === 0 || queryTerms.length === 0) return [];
+  const matches = (word, term) => word.startsWith(term);
+  const frequencies = passages.map(passage => {
+    const words = tokenizeSnapshotText(passage.text);
+    return queryTerms.map(term => words.filter(word => matches(word, term)).length);
+  });
+  const documentFrequency = queryTerms.map((_, i) => frequencies.filter(tf => tf[i] > 0).length);
+  const averageLength = passages.reduce((sum, passage) => sum + (passage.length || 0), 0) / passages.length || 1;
+  const total = Math.max(totalPassages, passages.length);
+
+  return passages
+    .map((passage, p) => {
+      const score = queryTerms.reduce((sum, _, i) => {
+        const tf = frequencies[p][i];
+        if (tf === 0) return sum;
+        const idf = Math.log(1 + (total - documentFrequency[i] + 0.5) / (documentFrequency[i] + 0.5));
+        const norm = tf + ARCHIVE_BM25_K1 * (1 - ARCHIVE_BM25_B + ARCHIVE_BM25_B * (passage.length || 0) / averageLength);
+        return sum + idf * (tf * (ARCHIVE_BM25_K1 + 1)) / norm;
+      }, 0);
+      return { ...passage, score: score * (ARCHIVE_SOURCE_WEIGHTS[passage.sourceType] || 1) };
+    })
+    .filter(passage => passage.score > 0)
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Group ranked passages by page (canonical URL) and keep the best pages.
+ * A page read and also snapshotted counts once.
+ * @returns {Array<{ number, url, title, domain, timestamp, sourceTypes, score, passages: string[] }>}
+ */
+function selectArchiveSources(scored, { maxSources = ARCHIVE_MAX_SOURCES, perSource = ARCHIVE_PASSAGES_PER_SOURCE } = {}) {
+  const pages = new Map();
+  for (const passage of scored) {
+    const key = passage.canonicalUrl || passage.url;
+    if (!pages.has(key)) {
+      if (pages.size >= maxSources) continue;
+      pages.set(key, {
+        url: passage.url,
+        title: passage.title,
+        domain: passage.domain,
+        timestamp: passage.timestamp,
+        sourceTypes: [],
+        score: passage.score,
+        passages: []
+      });
+    }
+    const page = pages.get(key);
+    if (!page.sourceTypes.includes(passage.sourceType)) page.sourceTypes.push(passage.sourceType);
+    // Snapshot titles beat the domain names page samples fall back to
+    if (passage.sourceType === 'snapshot') page.title = passage.title;
+    if (page.passages.length < perSource) page.passages.push(passage.text);
+  }
+  return [...pages.values()].map((page, index) => ({ number: index + 1, ...page }));
+}
+
+// Make available globally
+if (typeof self !== 'undefined') {
+  self.ARCHIVE_MAX_SOURCES = ARCHIVE_MAX_SOURCES;
+  self.splitArchivePassages = splitArchivePassages;
+  self.buildSnapshotPassages = buildSnapshotPassages;
+  self.buildPagePassages = buildPagePassages;
+  self.scoreArchivePassages = scoreArchivePassages;
+  self.selectArchiveSources = selectArchiveSources;
+}
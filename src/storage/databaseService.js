@@ -6,6 +6,50 @@ class LTPBuilder {
         this.DECAY_CONSTANT = 1/30; // Decay over 30 days
         this.EWMA_ALPHA = 0.1; // Smoothing factor
         this.MAX_SESSIONS_FOR_CONFIDENCE = 8;
+        this.ENGAGEMENT_GATE = 0.5; // Minimum session quality to count
+        this.PRIOR_FADE = 0.7; // Share of the onboarding prior kept per session
+        this.PRIOR_MIN_SCORE = 0.001; // Below this a seeded topic score is dropped
+        this.corrections = NO_TOPIC_CORRECTIONS; // Muted and boosted topics (see topicCorrections.js)
+    }
+
+    /**
+     * Take the user's tunable parameters (see profileParameters.js).
+     */
+    applyParameters(params) {
+        this.DECAY_CONSTANT = 1 / params.decayDays;
+        this.EWMA_ALPHA = params.ewmaAlpha;
+        this.MAX_SESSIONS_FOR_CONFIDENCE = params.maxSessionsForConfidence;
+        this.ENGAGEMENT_GATE = params.engagementGate;
+        this.PRIOR_FADE = params.priorFade;
+    }
+
+    /**
+     * Take the user's compiled topic corrections (see topicCorrections.js).
+     */
+    applyCorrections(compiled) {
+        this.corrections = compiled || NO_TOPIC_CORRECTIONS;
+    }
+
+    /**
+     * An STP's topic rawScores as they enter the LTP: muted topics dropped,
+     * boosted ones multiplied.
+     */
+    getSTPTopicScores(stp) {
+        const scores = {};
+        if (stp.topic_cumulative && typeof stp.topic_cumulative === 'object') {
+            Object.keys(stp.topic_cumulative).forEach(topic => {
+                const topicData = stp.topic_cumulative[topic];
+                if (topicData && typeof topicData === 'object' && topicData.rawScore !== undefined &&
+                    !this.corrections.isMuted(topic)) {
+                    scores[topic] = topicData.rawScore * this.corrections.boostFor(topic);
+                }
+            });
+        }
+        return scores;
+    }
+
+    dropMutedTopics(topicScores) {
+        return Object.fromEntries(Object.entries(topicScores || {}).filter(([topic]) => !this.corrections.isMuted(topic)));
     }
 
     /**
@@ -15,17 +59,17 @@ class LTPBuilder {
 // Emergency repair should ONLY be in DatabaseService
 
 // Instead, handle errors gracefully:
-async buildLTP(stpData) {
+async buildLTP(stpData, profileId = this.dbService.activeProfileId) {
     try {
         console.log('🔨 LTPBuilder: Building/Updating LTP from STP:', stpData.session_id);
         
         // Get current profile and LTP
-        const profile = await this.dbService.getProfile();
+        const profile = await this.dbService.getProfile(profileId);
         const currentLTP = profile.ltp || this.getEmptyLTP();
         
         let updatedLTP;
         
-        if (currentLTP.sessions_seen === 0 || !currentLTP.last_updated) {
+        if (this.needsColdStart(currentLTP)) {
             console.log('❄️ LTPBuilder: Cold start - creating first LTP');
             updatedLTP = this.coldStartLTP(stpData);
         } else {
@@ -34,7 +78,7 @@ async buildLTP(stpData) {
         }
         
         // Save updated LTP to profile
-        await this.saveLTPToProfile(updatedLTP);
+        await this.saveLTPToProfile(updatedLTP, profileId);
         
         return updatedLTP;
         
@@ -51,26 +95,134 @@ async buildLTP(stpData) {
     }
 }
 
+    /**
+     * Fold STPs oldest-first into a fresh LTP, exactly as finalizeSession
+     * would have, using the builder's current parameters. Deterministic:
+     * decay is measured between stored calculated_at timestamps, never "now".
+     * @param {Array<object>} stpHistory - newest first (see getFullSTPHistory)
+     * @param {object|null} prior - onboarding prior to start from (see seedLTP)
+     * @param {Function} [onStep] - called with (stp, ltp) after each STP is folded in
+     * @returns {Promise<object>} the LTP (not saved)
+     */
+    async foldSTPs(stpHistory, prior = null, onStep = null) {
+        let ltp = prior ? this.seedLTP(prior) : this.getEmptyLTP();
+        // Skip entries that were not built by buildSTP (e.g. demo seed data)
+        const chronological = (stpHistory || [])
+            .filter(stp => stp?.session_id && stp.topic_cumulative)
+            .reverse();
+
+        for (const stp of chronological) {
+            if (this.needsColdStart(ltp)) {
+                ltp = this.coldStartLTP(stp);
+            } else {
+                ltp = await this.updateLTP(ltp, stp);
+            }
+            if (onStep) onStep(stp, ltp);
+        }
+        return ltp;
+    }
+
+    /**
+     * Replace the stored LTP with one folded from the given STPs. Used after
+     * data is forgotten, so the LTP only reflects sessions that remain.
+     */
+    async replayLTP(stpHistory, profileId = this.dbService.activeProfileId) {
+        const ltp = await this.foldSTPs(stpHistory, await this.dbService.getLTPPrior(profileId));
+        await this.saveLTPToProfile(ltp, profileId);
+        console.log('🔁 LTPBuilder: LTP replayed from', (stpHistory || []).length, 'STPs');
+        return ltp;
+    }
+
+    /**
+     * Starting LTP from onboarding answers. It carries the prior's topic
+     * scores, depth and intents but counts as zero sessions with zero
+     * confidence; `prior` records how much of each topic score is seeded
+     * rather than observed, so it can fade out and be shown as such.
+     */
+    seedLTP(prior) {
+        return {
+            ...this.getEmptyLTP(),
+            topic_cumulative: this.dropMutedTopics(prior.topics),
+            ewma_depth: prior.depth ?? 0.5,
+            intent_aggregate: { ...prior.intents },
+            last_updated: prior.seeded_at,
+            prior: { label: prior.label, seeded_at: prior.seeded_at, topics: this.dropMutedTopics(prior.topics) }
+        };
+    }
+
+    // A seeded LTP has no sessions yet, but a cold start would discard the prior
+    needsColdStart(ltp) {
+        return !ltp.last_updated || (ltp.sessions_seen === 0 && !ltp.prior);
+    }
+
+    /**
+     * Fade the seeded part of already time-decayed topic scores: it decays
+     * with time like everything else, and each qualifying session removes a
+     * further (1 - PRIOR_FADE) of it. Mutates topicScores.
+     * @returns {object|null} the remaining prior, or null once it is spent
+     */
+    fadePrior(prior, topicScores, timeDecayFactor, countedSession) {
+        const keep = countedSession ? this.PRIOR_FADE : 1;
+        const remaining = {};
+
+        Object.entries(prior.topics || {}).forEach(([topic, seeded]) => {
+            const decayed = seeded * timeDecayFactor;
+            const kept = decayed * keep >= this.PRIOR_MIN_SCORE ? decayed * keep : 0;
+            const score = (topicScores[topic] || 0) - (decayed - kept);
+            if (score > 1e-9) {
+                topicScores[topic] = score;
+            } else {
+                delete topicScores[topic];
+            }
+            if (kept > 0) remaining[topic] = kept;
+        });
+
+        return Object.keys(remaining).length > 0 ? { ...prior, topics: remaining } : null;
+    }
+
+    /**
+     * Compare two LTPs for review before one replaces the other.
+     * @returns {{metrics: Array, topics: Array, intents: Array}} rows of {key, before, after, delta}
+     */
+    diffLTP(before, after) {
+        const rows = (a = {}, b = {}) => [...new Set([...Object.keys(a), ...Object.keys(b)])]
+            .map(key => ({ key, before: a[key] ?? null, after: b[key] ?? null, delta: (b[key] || 0) - (a[key] || 0) }))
+            .filter(row => Math.abs(row.delta) > 1e-9 || row.before === null || row.after === null)
+            .sort((x, y) => Math.abs(y.delta) - Math.abs(x.delta));
+
+        const pick = ltp => ({
+            sessions_seen: ltp?.sessions_seen || 0,
+            confidence: ltp?.confidence || 0,
+            ewma_focus: ltp?.ewma_focus ?? 0.5,
+            ewma_depth: ltp?.ewma_depth ?? 0.5
+        });
+        const metricsBefore = pick(before);
+        const metricsAfter = pick(after);
+
+        return {
+            metrics: Object.keys(metricsBefore).map(key => ({
+                key,
+                before: metricsBefore[key],
+                after: metricsAfter[key],
+                delta: metricsAfter[key] - metricsBefore[key]
+            })),
+            topics: rows(before?.topic_cumulative, after?.topic_cumulative),
+            intents: rows(before?.intent_aggregate, after?.intent_aggregate)
+        };
+    }
+
     /**
      * Cold Start - Create first LTP from STP
      */
     coldStartLTP(stp) {
         // Only create LTP if session quality is good enough
-        if (stp.engagement_confidence < 0.5) {
+        if (stp.engagement_confidence < this.ENGAGEMENT_GATE) {
             console.log('⚠️ LTPBuilder: Session quality too low for cold start LTP');
             return this.getEmptyLTP();
         }
 
         // Convert STP topic cumulative to raw scores for LTP
-        const topicCumulative = {};
-        if (stp.topic_cumulative && typeof stp.topic_cumulative === 'object') {
-            Object.keys(stp.topic_cumulative).forEach(topic => {
-                const topicData = stp.topic_cumulative[topic];
-                if (topicData && typeof topicData === 'object' && topicData.rawScore !== undefined) {
-                    topicCumulative[topic] = topicData.rawScore;
-                }
-            });
-        }
+        const topicCumulative = this.getSTPTopicScores(stp);
 
         // Calculate depth preference from diversity entropy
         const depth_preference = 1 - (stp.diversity_entropy || 0.5);
@@ -108,8 +260,14 @@ async buildLTP(stpData) {
             decay_factor: timeDecayFactor
         });
 
-        // Step 1: Time-Decay the old LTP scores
-        const decayedTopicScores = this.applyTimeDecay(currentLTP.topic_cumulative, timeDecayFactor);
+        // Step 1: Time-Decay the old LTP scores (and drop topics muted since)
+        const decayedTopicScores = this.applyTimeDecay(this.dropMutedTopics(currentLTP.topic_cumulative), timeDecayFactor);
+        const shouldCountSession = newSTP.engagement_confidence >= this.ENGAGEMENT_GATE;
+
+        // Step 1b: Let real sessions take over from the onboarding prior
+        const prior = currentLTP.prior
+            ? this.fadePrior({ ...currentLTP.prior, topics: this.dropMutedTopics(currentLTP.prior.topics) }, decayedTopicScores, timeDecayFactor, shouldCountSession)
+            : null;
         
         // Step 2: Merge new STP scores (weighted by engagement confidence)
         const mergedTopicScores = this.mergeTopicScores(
@@ -140,7 +298,6 @@ async buildLTP(stpData) {
         );
 
         // Step 5: Update session count and confidence
-        const shouldCountSession = newSTP.engagement_confidence >= 0.5;
         const updatedSessionsSeen = shouldCountSession ? currentLTP.sessions_seen + 1 : currentLTP.sessions_seen;
         const updatedConfidence = Math.min(1, updatedSessionsSeen / this.MAX_SESSIONS_FOR_CONFIDENCE);
 
@@ -151,7 +308,8 @@ async buildLTP(stpData) {
             ewma_depth: updatedDepth,
             intent_aggregate: updatedIntentAggregate,
             last_updated: newSTP.calculated_at || new Date().toISOString(),
-            confidence: updatedConfidence
+            confidence: updatedConfidence,
+            ...(prior ? { prior } : {})
         };
 
         console.log('🔄 LTPBuilder: LTP updated', {
@@ -210,18 +368,12 @@ async buildLTP(stpData) {
     mergeTopicScores(decayedLTPScores, newSTP, stpWeight) {
         const mergedScores = { ...decayedLTPScores };
         
-        // Add new STP scores (weighted by engagement confidence)
-        if (newSTP.topic_cumulative && typeof newSTP.topic_cumulative === 'object') {
-            Object.keys(newSTP.topic_cumulative).forEach(topic => {
-                const topicData = newSTP.topic_cumulative[topic];
-                if (topicData && typeof topicData === 'object' && topicData.rawScore !== undefined) {
-                    const stpRawScore = topicData.rawScore;
-                    const weightedScore = stpRawScore * stpWeight;
-                    
-                    mergedScores[topic] = (mergedScores[topic] || 0) + weightedScore;
-                }
-            });
-        }
+        // Add new STP scores (weighted by engagement confidence; muted and
+        // boosted topics corrected first)
+        Object.entries(this.getSTPTopicScores(newSTP)).forEach(([topic, stpRawScore]) => {
+            const weightedScore = stpRawScore * stpWeight;
+            mergedScores[topic] = (mergedScores[topic] || 0) + weightedScore;
+        });
         
         return mergedScores;
     }
@@ -253,10 +405,11 @@ async buildLTP(stpData) {
 /**
  * Save LTP to user profile - FIXED VERSION
  */
-async saveLTPToProfile(ltpData) {
+async saveLTPToProfile(ltpData, profileId = this.dbService.activeProfileId) {
     try {
-        // ✅ FIX: Use dbService reference
-        let profile = await this.dbService.getProfile();
+        // Read the stored row: getProfile() stands in demo data while there is
+        // no STP yet, and a seeded LTP is saved before the first session
+        let profile = await this.dbService.db.profile.get(profileId) || this.dbService.getDefaultProfile(profileId);
         profile.ltp = ltpData;
         profile.lastUpdated = new Date().toISOString();
         
@@ -264,8 +417,8 @@ async saveLTPToProfile(ltpData) {
         this.validateProfileStructure(profile);
         
         // ✅ FIX: Use dbService.db reference
-        await this.dbService.db.profile.put(profile, 'default');
-        console.log('💾 LTP saved to profile');
+        await this.dbService.db.profile.put(profile);
+        console.log('💾 LTP saved to profile:', profileId);
         return { success: true };
     } catch (error) {
         console.error('❌ Profile validation failed:', error);
@@ -275,10 +428,10 @@ async saveLTPToProfile(ltpData) {
         
         // Retry once after repair
         try {
-            let profile = await this.dbService.getProfile();
+            let profile = await this.dbService.db.profile.get(profileId) || this.dbService.getDefaultProfile(profileId);
             profile.ltp = ltpData;
             profile.lastUpdated = new Date().toISOString();
-            await this.dbService.db.profile.put(profile, 'default');
+            await this.dbService.db.profile.put(profile);
             return { success: true };
         } catch (retryError) {
             console.error('❌ Failed to save LTP after repair:', retryError);
@@ -336,8 +489,8 @@ getTopTopics(ltp, latestStp, limit = 5) {
     /**
      * Get current LTP from profile
      */
-    async getCurrentLTP() {
-        const profile = await this.dbService.getProfile();
+    async getCurrentLTP(profileId = this.dbService.activeProfileId) {
+        const profile = await this.dbService.getProfile(profileId);
         return profile.ltp || this.getEmptyLTP();
     }
 
@@ -391,13 +544,80 @@ getTopTopics(ltp, latestStp, limit = 5) {
         };
     }
 }
+// Onboarding answers -> LTP prior (see saveOnboarding()). Picked interests
+// score like a solid session; topics inferred from bookmarks/history score
+// at most half that, scaled by how often they came up.
+const ONBOARDING_INTEREST_SCORE = 1;
+const ONBOARDING_BOOTSTRAP_SCORE = 0.5;
+const ONBOARDING_DEPTHS = { overview: 0.25, balanced: 0.5, deep: 0.8 };
+const ONBOARDING_INTENTS = ['informational', 'instructional', 'transactional', 'navigational'];
+
+// Profile timeline (see getProfileTimeline()).
+const TIMELINE_ZOOMS = ['day', 'week', 'month'];
+const TIMELINE_MAX_TOPICS = 6;
+const SESSION_DETAIL_LIMIT = 50;
+
+// Topic explanations (see explainTopic()).
+const EXPLAIN_TOPIC_ITEM_LIMIT = 50;
+
+// Backup archives. Each backed-up table maps to the natural key used to
+// de-duplicate rows when an archive is merged into an existing store.
+const BACKUP_FORMAT = 'crucible-backup';
+const BACKUP_FORMAT_VERSION = 2;
+const BACKUP_TABLES = {
+    profile: row => row.userId,
+    sessions: row => row.sessionId,
+    searches: row => row.searchId || `${row.query}|${row.timestamp}`,
+    urlBehaviors: row => `${row.sessionId}|${row.tabId}|${row.url}|${row.startTime}`,
+    domainBehaviors: row => `${row.sessionId}|${row.domain}`,
+    snapshots: row => row.canonicalUrl || canonicalizeSnapshotUrl(row.url) || row.snapshotId,
+    topicTaxonomy: row => row.topicId,
+    knowledgeGraph: row => row.entityId,
+    knowledgeEdges: row => `${row.entityId}|${row.targetType}|${row.targetId}`,
+    facts: row => row.factId,
+    stpArchive: row => row.session_id,
+    systemState: row => row.key
+};
+// aiQueue is left out on purpose: queued AI work belongs to this browser's
+// worker and is not restored (see the replace branch of importData()).
+// Auto-increment tables: ids are only meaningful inside one store.
+const BACKUP_AUTO_ID_TABLES = ['searches', 'urlBehaviors', 'domainBehaviors', 'knowledgeEdges'];
+// systemState keys that describe this browser rather than the user.
+// Per-profile copies (see getProfileStateKey()) are local as well.
+const BACKUP_LOCAL_STATE_KEYS = ['lastSessionId', 'ltpRebuild:pending'];
+const isBackupLocalStateKey = key => BACKUP_LOCAL_STATE_KEYS.some(local => key === local || String(key).startsWith(`${local}@`));
+
+// Upgrades an archive from version N to N + 1.
+const BACKUP_MIGRATIONS = {
+    // v1: the original exportData() output. Tables sat at the top level and
+    // there was no format marker or checksum.
+    1: archive => {
+        const tables = {};
+        Object.keys(BACKUP_TABLES).forEach(name => {
+            if (Array.isArray(archive[name])) tables[name] = archive[name];
+        });
+        return {
+            format: BACKUP_FORMAT,
+            formatVersion: 2,
+            schemaVersion: null,
+            exportedAt: archive.exportedAt || null,
+            checksum: null,
+            tables
+        };
+    }
+};
+
 class DatabaseService {
     constructor() {
         this.db = null;
         this.isInitialized = false;
         this.ltpBuilder = null;
+        this.factsEngine = null;
         this.generateSummary = false; // NEW: Summary generation flag
         this.summaryGenerationInProgress = false;
+        this.profileParameters = { ...DEFAULT_PROFILE_PARAMETERS };
+        this.topicCorrections = NO_TOPIC_CORRECTIONS;
+        this.activeProfileId = DEFAULT_PROFILE_ID;
     }
 
 async initialize() {
@@ -413,7 +633,7 @@ async initialize() {
         this.db = new Dexie('ChromeWorldAI');
 
         // ✅ UPDATED SCHEMA - Clean and optimized
-this.db.version(11).stores({
+this.db.version(12).stores({
     // Core tables
     profile: 'userId, lastUpdated',
     sessions: 'sessionId, startTime, isActive',
@@ -474,20 +694,154 @@ this.db.version(11).stores({
         createdAt,
         processed,
         processedAt,
-        data
+        data,
+        taskId,
+        origin,
+        status,
+        tabId,
+        leaseOwner,
+        leaseExpiresAt
     `,
     
     systemState: 'key, value, lastUpdated'
+}).upgrade(tx => {
+    // v12: aiQueue rows carry journal/lease state. Rows from older versions
+    // were all written by the background scheduler.
+    return tx.table('aiQueue').toCollection().modify(task => {
+        task.origin = task.origin || 'scheduler';
+        task.status = task.status || (task.processed ? 'done' : 'pending');
+        task.attempts = task.attempts || 0;
+        task.leaseOwner = task.leaseOwner || null;
+        task.leaseExpiresAt = task.leaseExpiresAt || null;
+    });
+});
+
+// v13: real session lifecycle. isActive is stored as 1/0 so it can be
+// indexed; sessions written before this were one-per-worker-boot and never
+// closed, so they are all ended here.
+this.db.version(13).stores({
+    sessions: 'sessionId, startTime, isActive, endTime, lastActivityAt'
+}).upgrade(tx => {
+    return tx.table('sessions').toCollection().modify(session => {
+        session.isActive = 0;
+        session.endTime = session.endTime || session.startTime;
+        session.endReason = session.endReason || 'legacy';
+        session.lastActivityAt = session.lastActivityAt || session.endTime;
+    });
+});
+
+// v14: user-editable topic hierarchy (see src/storage/topicTaxonomy.js).
+// Seeded on first open by initializeTopicTaxonomy().
+this.db.version(14).stores({
+    topicTaxonomy: 'topicId, name, parentId, level, *aliases'
+});
+
+// v15: knowledge graph. knowledgeGraph holds entities (it was referenced but
+// never declared before); knowledgeEdges links each entity to the URLs,
+// searches, snapshots and other entities it was seen with.
+this.db.version(15).stores({
+    knowledgeGraph: 'entityId, name, type, mentionCount, lastSeen, *aliases',
+    knowledgeEdges: '++id, entityId, targetType, targetId, relation, lastSeen, [entityId+targetType+targetId], [targetType+targetId]'
+});
+
+// v16: facts derived by FactsEngine (see src/storage/factsEngine.js).
+this.db.version(16).stores({
+    facts: 'factId, view, kind, pinned, dismissedAt, updatedAt'
+});
+
+// v17: every STP ever built. profile.stpHistory keeps only the latest 50 for
+// display; the LTP is replayed from this table (see rebuildLTP()).
+this.db.version(17).stores({
+    stpArchive: 'session_id, calculated_at'
+});
+
+// v18: named profiles (see src/storage/profileRules.js). Sessions and their
+// STPs record which profile they were recorded under; everything recorded
+// before belongs to the default profile.
+this.db.version(18).stores({
+    sessions: 'sessionId, startTime, isActive, endTime, lastActivityAt, profileId',
+    stpArchive: 'session_id, calculated_at, profile_id'
+}).upgrade(async tx => {
+    await tx.table('sessions').toCollection().modify(session => {
+        session.profileId = session.profileId || DEFAULT_PROFILE_ID;
+    });
+    await tx.table('stpArchive').toCollection().modify(stp => {
+        stp.profile_id = stp.profile_id || DEFAULT_PROFILE_ID;
+    });
+    await tx.table('profile').toCollection().modify(profile => {
+        profile.name = profile.name || DEFAULT_PROFILE_NAME;
+        profile.rules = profile.rules || { ...DEFAULT_PROFILE_RULES };
+    });
+});
+
+// v19: the snapshot library (see src/storage/snapshotLibrary.js). Snapshots
+// are indexed by domain, full-text terms, user tags, collections and topics.
+this.db.version(19).stores({
+    snapshots: 'snapshotId, sessionId, timestamp, url, domain, *terms, *tags, *collections, *topics'
+}).upgrade(async tx => {
+    await tx.table('snapshots').toCollection().modify(snapshot => {
+        Object.assign(snapshot, this.indexSnapshot(snapshot));
+    });
+});
+
+// v20: snapshots cache overlay results, one per canonical URL. Earlier
+// duplicates are merged into the newest, which keeps every tag and collection.
+this.db.version(20).stores({
+    snapshots: 'snapshotId, sessionId, timestamp, url, canonicalUrl, domain, *terms, *tags, *collections, *topics'
+}).upgrade(async tx => {
+    const snapshots = await tx.table('snapshots').toArray();
+    const byPage = new Map();
+    snapshots
+        .sort((a, b) => String(b.timestamp).localeCompare(String(a.timestamp)))
+        .forEach(snapshot => {
+            const key = canonicalizeSnapshotUrl(snapshot.url) || snapshot.url || snapshot.snapshotId;
+            byPage.set(key, [...(byPage.get(key) || []), snapshot]);
+        });
+
+    for (const [canonicalUrl, [newest, ...older]] of byPage) {
+        const merged = {
+            ...newest,
+            canonicalUrl,
+            firstSavedAt: (older[older.length - 1] || newest).timestamp,
+            tags: [newest, ...older].flatMap(snapshot => snapshot.tags || []),
+            collections: [newest, ...older].flatMap(snapshot => snapshot.collections || [])
+        };
+        await tx.table('snapshots').put({ ...merged, ...this.indexSnapshot(merged) });
+        for (const duplicate of older) {
+            await tx.table('snapshots').delete(duplicate.snapshotId);
+            await tx.table('knowledgeEdges').where('[targetType+targetId]').equals(['snapshot', duplicate.snapshotId]).delete();
+        }
+    }
+});
+
+// v21: passages for cross-page Q&A (see src/storage/archiveIndex.js), built
+// from snapshots and page content samples. Derived data: never backed up,
+// rebuilt after an import.
+this.db.version(21).stores({
+    archivePassages: 'passageId, [sourceType+sourceId], canonicalUrl, timestamp, *terms'
+}).upgrade(async tx => {
+    const passages = await this.buildArchivePassages(
+        await tx.table('snapshots').toArray(),
+        await tx.table('urlBehaviors').toArray()
+    );
+    await tx.table('archivePassages').bulkPut(passages);
 });
 
         await this.db.open();
         await this.initializeDefaultProfile();
+        await this.initializeTopicTaxonomy();
+        await this.initializeSTPArchive();
         
         // Initialize lastSession tracking
         await this.initializeLastSession();
 
         this.isInitialized = true;
          this.ltpBuilder = new LTPBuilder(this);
+        this.factsEngine = new FactsEngine(this);
+        await this.loadProfileParameters();
+        await this.loadTopicCorrections();
+        await this.loadActiveProfile();
+        await this.backfillSTPArchive();
         console.log('📦 DatabaseService: Database initialized successfully');
         return this.db;
     } catch (error) {
@@ -511,7 +865,7 @@ async initializeLastSession() {
 
 async initializeDefaultProfile() {
     try {
-        const existingProfile = await this.db.profile.get('default');
+        const existingProfile = await this.db.profile.get(DEFAULT_PROFILE_ID);
         if (!existingProfile) {
             await this.db.profile.add(this.getDefaultProfile());
             console.log('📦 DatabaseService: Default profile created');
@@ -522,124 +876,872 @@ async initializeDefaultProfile() {
     }
 }
 
+async initializeTopicTaxonomy() {
+    try {
+        const count = await this.db.topicTaxonomy.count();
+        if (count === 0) {
+            await this.db.topicTaxonomy.bulkPut(flattenTopicTaxonomy(DEFAULT_TOPIC_TAXONOMY));
+            console.log('📦 DatabaseService: Default topic taxonomy seeded');
+        }
+    } catch (error) {
+        console.error('📦 DatabaseService: Topic taxonomy initialization failed:', error);
+        throw error;
+    }
+}
+
+// STPs saved before the archive existed (or restored from an older backup)
+// only live in profile.stpHistory; copy any the archive is missing.
+async initializeSTPArchive() {
+    try {
+        const history = [];
+        await this.db.profile.each(profile => {
+            (profile.stpHistory || [])
+                .filter(stp => stp?.session_id && stp.topic_cumulative)
+                .forEach(stp => history.push({ ...stp, profile_id: stp.profile_id || profile.userId }));
+        });
+        if (history.length === 0) return;
+
+        const existing = new Set(await this.db.stpArchive.toCollection().primaryKeys());
+        const missing = history.filter(stp => !existing.has(stp.session_id));
+        if (missing.length > 0) {
+            await this.db.stpArchive.bulkPut(missing);
+            console.log(`📦 DatabaseService: ${missing.length} STPs copied into the archive`);
+        }
+    } catch (error) {
+        console.error('📦 DatabaseService: STP archive initialization failed:', error);
+        throw error;
+    }
+}
+
+/**
+ * Sessions finalized before the archive existed that had already dropped
+ * out of the 50-entry profile.stpHistory were never archived, so replaying
+ * the LTP (after a forget, or rebuildLTP) would leave them out. Rebuild each
+ * from its raw rows, dated when it was finalized. Runs once per install.
+ */
+async backfillSTPArchive({ force = false } = {}) {
+    if (!force && await this.db.systemState.get('stpArchive:backfilledAt')) return;
+    try {
+        const archived = new Set(await this.db.stpArchive.toCollection().primaryKeys());
+        const sessions = await this.db.sessions
+            .filter(session => !!session.stpBuiltAt && !archived.has(session.sessionId))
+            .toArray();
+
+        const restored = [];
+        for (const session of sessions) {
+            const stp = await this.rebuildStoredSTP({
+                session_id: session.sessionId,
+                profile_id: session.profileId,
+                calculated_at: session.stpBuiltAt,
+                saved_at: session.stpBuiltAt
+            });
+            if (stp) restored.push(stp); // empty sessions never had an STP
+        }
+        if (restored.length > 0) {
+            await this.db.stpArchive.bulkPut(restored);
+            console.log(`📦 DatabaseService: ${restored.length} STPs rebuilt into the archive from stored sessions`);
+        }
+        await this.setSystemState('stpArchive:backfilledAt', new Date().toISOString());
+    } catch (error) {
+        console.warn('📦 DatabaseService: STP archive backfill failed:', error);
+    }
+}
+
     // ---------------------------------
-    // 🔹 Session operations
+    // 🔹 Profile model parameters
     // ---------------------------------
-    async saveSession(sessionData) {
-        await this.ensureInitialized();
-        return await this.db.sessions.put(sessionData);
+    async loadProfileParameters() {
+        const stored = await this.db.systemState.get('settings:profileParameters');
+        this.profileParameters = normalizeProfileParameters(stored?.value);
+        this.ltpBuilder?.applyParameters(this.profileParameters);
+        return this.profileParameters;
     }
 
-    async getCurrentSession() {
+    /**
+     * Validate, store and start using new parameters. Sessions already in the
+     * LTP keep their old influence until the LTP is rebuilt (see rebuildLTP).
+     * @param {object} params - full or partial; omitted keys reset to defaults
+     */
+    async saveProfileParameters(params) {
         await this.ensureInitialized();
-        return await this.db.sessions.where('isActive').equals(1).first();
+        const values = normalizeProfileParameters(params, { strict: true });
+        await this.setSystemState('settings:profileParameters', values);
+        this.profileParameters = values;
+        this.ltpBuilder.applyParameters(values);
+        console.log('🎛️ Profile parameters updated:', values);
+        return values;
     }
 
-    
+    getProfileParameters() {
+        return {
+            values: { ...this.profileParameters },
+            definitions: PROFILE_PARAMETERS,
+            presets: PROFILE_PARAMETER_PRESETS
+        };
+    }
 
     // ---------------------------------
-    // 🔹 Search tracking
+    // 🔹 Named profiles
     // ---------------------------------
-    async saveSearch(searchData) {
-        await this.ensureInitialized();
-        
-        const record = {
-            searchId: searchData.searchId || `search-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`,
-            query: searchData.query,
-            source: searchData.source || 'unknown',
-            timestamp: searchData.timestamp || new Date().toISOString(),
-            sessionId: searchData.sessionId || 'default-session',
-            tabId: searchData.tabId || 'unknown',
-            url: searchData.url || window?.location?.href || 'unknown',
-            resultsClicked: [], // Initialize empty array for clicks
-            processed: false,
-            // AI fields (will be filled later)
-            intentType: null,
-            topicDomain: null,
-            confidence: null,
-            specificity: null,
-           
-            aiModelUsed: null
-        };
-        
-        const id = await this.db.searches.add(record);
-        
-          await this.addToAIQueue({
-        type: 'SEARCH_ENRICHMENT',
-        priority: 2, // MEDIUM priority
-        data: {
-            searchId: record.searchId,
-            query: record.query,
-            sessionId: record.sessionId,
-            tabId: record.tabId,
-            source: record.source,
-            url: record.url,
-            timestamp: record.timestamp
-        }
-    });
-    
-    console.log('✅ Search saved and queued for AI processing');
-        return { id, searchId: record.searchId };
+    // systemState keys that belong to one profile. The default profile keeps
+    // the plain keys it used before there were profiles.
+    getProfileStateKey(key, profileId = this.activeProfileId) {
+        return profileId === DEFAULT_PROFILE_ID ? key : `${key}@${profileId}`;
     }
-async saveSnapshot(snapshotData) {
-  try {
-    if (!this.db) {
-      throw new Error('Database not initialized');
+
+    async loadActiveProfile() {
+        const stored = await this.db.systemState.get('profiles:active');
+        const profileId = stored?.value?.profileId;
+        this.activeProfileId = profileId && await this.db.profile.get(profileId) ? profileId : DEFAULT_PROFILE_ID;
+        return this.activeProfileId;
     }
 
-    const snapshotRecord = {
-      snapshotId: snapshotData.snapshotId,
-      sessionId: snapshotData.sessionId,
-      timestamp: snapshotData.timestamp,
-      url: snapshotData.url,
-      summary: snapshotData.summary,
-      insights: snapshotData.insights,
-  
+    async getProfileIds() {
+        return await this.db.profile.toCollection().primaryKeys();
+    }
 
-     
-    };
+    async getProfileSessionIds(profileId = this.activeProfileId) {
+        return await this.db.sessions.where('profileId').equals(profileId).primaryKeys();
+    }
 
-    await this.db.snapshots.put(snapshotRecord);
-    await this.incrementSnapshotCounter(); 
-    console.log('📸 Snapshot saved to database:', {
-      snapshotId: snapshotRecord.snapshotId,
-      url: snapshotRecord.url,
-      summaryLength: snapshotRecord.summary?.length,
-      insightsCount: snapshotRecord.insights?.length || 0
-    });
+    /**
+     * Every profile with its rules, the default one first, and which one new
+     * sessions are recorded under. manual is true while a profile the user
+     * picked overrides the rules.
+     */
+    async listProfiles() {
+        await this.ensureInitialized();
+        const state = await this.getSystemState('profiles:active');
+        const profiles = (await this.db.profile.toArray())
+            .map(row => ({
+                profileId: row.userId,
+                name: row.name || DEFAULT_PROFILE_NAME,
+                rules: normalizeProfileRules(row.rules),
+                sessionsSeen: row.ltp?.sessions_seen || 0,
+                lastUpdated: row.lastUpdated || null,
+                createdAt: row.createdAt || null
+            }))
+            .sort((a, b) => (b.profileId === DEFAULT_PROFILE_ID) - (a.profileId === DEFAULT_PROFILE_ID) ||
+                a.name.localeCompare(b.name));
+        return { profiles, activeProfileId: this.activeProfileId, manual: state?.manual === true };
+    }
 
-    return { success: true, snapshotId: snapshotRecord.snapshotId };
-  } catch (error) {
-    console.error('❌ Failed to save snapshot to database:', error);
-    return { success: false, error: error.message };
-  }
-}
-// Add to your DatabaseService class
-/**
- * Enrich all unprocessed searches by query and remove matching AI queue tasks
- * @param {string} query - The search query to match
- * @param {object} enrichment - AI enrichment data
- * @param {string} [enrichedAt] - Optional timestamp
- */
-async enrichSearchesByQuery(query, enrichment, enrichedAt) {
-  await this.ensureInitialized();
+    /**
+     * Create a profile, or rename one and replace its rules. A domain or an
+     * hour can only pick one profile, so rules that overlap another
+     * profile's are refused.
+     * @param {{profileId?: string, name: string, rules?: object}} definition - no profileId creates one
+     */
+    async saveNamedProfile({ profileId = null, name, rules } = {}) {
+        await this.ensureInitialized();
+        const cleanName = normalizeProfileName(name);
+        const cleanRules = normalizeProfileRules(rules, { strict: true });
+        const hoursOf = (range) => range
+            ? Array.from({ length: 24 }, (_, hour) => hour).filter(hour => range.from < range.to
+                ? hour >= range.from && hour < range.to
+                : hour >= range.from || hour < range.to)
+            : [];
+
+        const others = (await this.db.profile.toArray()).filter(row => row.userId !== profileId);
+        for (const row of others) {
+            const otherName = row.name || DEFAULT_PROFILE_NAME;
+            if (otherName.toLowerCase() === cleanName.toLowerCase()) {
+                throw new Error(`A profile named ${otherName} already exists`);
+            }
+            const domain = cleanRules.domains.find(pattern => (row.rules?.domains || []).includes(pattern));
+            if (domain) throw new Error(`${domain} already picks the ${otherName} profile`);
+            const otherHours = hoursOf(row.rules?.hours);
+            if (hoursOf(cleanRules.hours).some(hour => otherHours.includes(hour))) {
+                throw new Error(`Those hours overlap the ${otherName} profile`);
+            }
+        }
 
-  try {
-    console.log('🔍 Enriching searches for query:', query);
+        let profile;
+        if (profileId) {
+            profile = await this.db.profile.get(profileId);
+            if (!profile) throw new Error(`Unknown profile: ${profileId}`);
+        } else {
+            profile = this.getDefaultProfile(`profile-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`, cleanName);
+        }
+        profile.name = cleanName;
+        profile.rules = cleanRules;
+        profile.lastUpdated = new Date().toISOString();
+        await this.db.profile.put(profile);
 
-    // Find all unprocessed searches with this query
-    const matchingSearches = await this.db.searches
-      .where('query')
-      .equals(query)
-      .filter(search => !search.processed)
-      .toArray();
+        console.log(`👤 Profile ${profileId ? 'updated' : 'created'}:`, profile.userId, cleanName);
+        return { profileId: profile.userId, ...await this.listProfiles() };
+    }
 
-    if (matchingSearches.length === 0) {
-      console.warn('⚠️ No unprocessed searches found for query:', query);
-      return { success: false, error: 'No unprocessed searches found', query };
+    /**
+     * Delete a profile. Its sessions and STPs are kept and move to the
+     * default profile, whose LTP is replayed to include them; use the forget
+     * tools to remove browsing data itself.
+     */
+    async deleteNamedProfile(profileId) {
+        await this.ensureInitialized();
+        if (profileId === DEFAULT_PROFILE_ID) throw new Error('The default profile cannot be deleted');
+        if (!await this.db.profile.get(profileId)) throw new Error(`Unknown profile: ${profileId}`);
+
+        await this.db.transaction('rw', this.db.profile, this.db.sessions, this.db.stpArchive, async () => {
+            await this.db.sessions.where('profileId').equals(profileId).modify({ profileId: DEFAULT_PROFILE_ID });
+            await this.db.stpArchive.where('profile_id').equals(profileId).modify({ profile_id: DEFAULT_PROFILE_ID });
+            await this.db.profile.delete(profileId);
+        });
+        await this.db.systemState.bulkDelete(['onboarding:prior', 'ltpRebuild:pending']
+            .map(key => this.getProfileStateKey(key, profileId)));
+
+        // Recent history is a window on the archive, which now holds more
+        const history = await this.getFullSTPHistory(DEFAULT_PROFILE_ID);
+        await this.db.profile.update(DEFAULT_PROFILE_ID, {
+            stpHistory: history.slice(0, 50),
+            lastSTP: history[0] || null
+        });
+
+        if (this.activeProfileId === profileId) {
+            await this.setActiveProfile(DEFAULT_PROFILE_ID, { manual: false });
+        }
+        await this.replayWithPrior(DEFAULT_PROFILE_ID);
+
+        console.log('👤 Profile deleted:', profileId);
+        return this.listProfiles();
     }
 
-    const updateData = {
+    /**
+     * Record new sessions under a profile. manual: true when the user picked
+     * it, which keeps the rules from switching away until resumed with
+     * manual: false. Sessions already open are BackgroundService's to rotate.
+     */
+    async setActiveProfile(profileId, { manual = true } = {}) {
+        await this.ensureInitialized();
+        if (!await this.db.profile.get(profileId)) throw new Error(`Unknown profile: ${profileId}`);
+
+        const changed = profileId !== this.activeProfileId;
+        this.activeProfileId = profileId;
+        await this.setSystemState('profiles:active', { profileId, manual });
+
+        if (changed) {
+            // Facts are stored per view, so they are rebuilt for this profile
+            try {
+                await this.generateFacts('stp');
+                await this.generateFacts('ltp');
+            } catch (error) {
+                console.warn('⚠️ Fact generation after profile switch failed:', error);
+            }
+            console.log('👤 Active profile:', profileId, manual ? '(manual)' : '(rules)');
+        }
+        return { profileId, manual, changed };
+    }
+
+    // ---------------------------------
+    // 🔹 Onboarding prior
+    // ---------------------------------
+    async getLTPPrior(profileId = this.activeProfileId) {
+        const stored = await this.db.systemState.get(this.getProfileStateKey('onboarding:prior', profileId));
+        return stored?.value || null;
+    }
+
+    /**
+     * What the user answered and how much of it the LTP still carries.
+     * remaining.share is the seeded fraction of all LTP topic score.
+     */
+    async getOnboardingState() {
+        await this.ensureInitialized();
+        const ltp = (await this.db.profile.get(this.activeProfileId))?.ltp;
+        const prior = await this.getLTPPrior();
+
+        let remaining = null;
+        if (ltp?.prior) {
+            const total = Object.values(ltp.topic_cumulative || {}).reduce((sum, score) => sum + score, 0);
+            const seeded = Object.values(ltp.prior.topics).reduce((sum, score) => sum + score, 0);
+            remaining = {
+                share: total > 0 ? seeded / total : 0,
+                topics: Object.entries(ltp.prior.topics)
+                    .map(([topic, score]) => ({
+                        topic,
+                        seeded: prior?.topics?.[topic] ?? null,
+                        remaining: score,
+                        share: ltp.topic_cumulative[topic] > 0 ? score / ltp.topic_cumulative[topic] : 0
+                    }))
+                    .sort((a, b) => b.remaining - a.remaining)
+            };
+        }
+
+        return {
+            completedAt: await this.getSystemState('onboarding:completedAt'),
+            prior,
+            remaining,
+            sessionsSeen: ltp?.sessions_seen || 0
+        };
+    }
+
+    /**
+     * Turn onboarding answers into the LTP prior and replay the STP archive
+     * on top of it, so sessions recorded before onboarding still outweigh it.
+     * @param {object} answers - { interests: string[], depth: 'overview'|'balanced'|'deep',
+     *   intents: string[], bootstrapTopics?: Object<string, number> } (topic -> count)
+     */
+    async saveOnboarding(answers) {
+        await this.ensureInitialized();
+        const index = await this.getTopicIndex();
+        const topics = {};
+
+        const interests = [...new Set((answers?.interests || []).map(label => {
+            const row = resolveTopic(index, label);
+            if (!row) throw new Error(`Unknown topic: ${label}`);
+            return row.name;
+        }))];
+        interests.forEach(name => { topics[name] = ONBOARDING_INTEREST_SCORE; });
+
+        const bootstrapTopics = {};
+        Object.entries(answers?.bootstrapTopics || {}).forEach(([label, count]) => {
+            const row = resolveTopic(index, label);
+            if (row && Number(count) > 0) bootstrapTopics[row.name] = (bootstrapTopics[row.name] || 0) + Number(count);
+        });
+        const maxCount = Math.max(0, ...Object.values(bootstrapTopics));
+        Object.entries(bootstrapTopics).forEach(([name, count]) => {
+            topics[name] = Math.max(topics[name] || 0, ONBOARDING_BOOTSTRAP_SCORE * count / maxCount);
+        });
+
+        if (Object.keys(topics).length === 0) {
+            throw new Error('Pick at least one interest, or skip onboarding');
+        }
+
+        const depthChoice = answers?.depth || 'balanced';
+        if (ONBOARDING_DEPTHS[depthChoice] === undefined) throw new Error(`Unknown depth preference: ${depthChoice}`);
+
+        const intentChoices = [...new Set(answers?.intents || [])];
+        intentChoices.forEach(intent => {
+            if (!ONBOARDING_INTENTS.includes(intent)) throw new Error(`Unknown intent: ${intent}`);
+        });
+
+        const now = new Date().toISOString();
+        const prior = {
+            label: 'Onboarding answers',
+            interests,
+            bootstrapTopics,
+            depthChoice,
+            depth: ONBOARDING_DEPTHS[depthChoice],
+            intents: Object.fromEntries(intentChoices.map(intent => [intent, 1 / intentChoices.length])),
+            topics,
+            seeded_at: now
+        };
+        await this.setSystemState(this.getProfileStateKey('onboarding:prior'), prior);
+        await this.setSystemState('onboarding:completedAt', now);
+
+        const ltp = await this.replayWithPrior();
+        console.log('🌱 Onboarding prior saved:', Object.keys(topics).length, 'topics');
+        return { prior, ltp };
+    }
+
+    async skipOnboarding() {
+        await this.ensureInitialized();
+        const completedAt = await this.getSystemState('onboarding:completedAt');
+        if (!completedAt) await this.setSystemState('onboarding:completedAt', new Date().toISOString());
+        return { skipped: true };
+    }
+
+    /**
+     * Drop the onboarding prior so the LTP reflects observed sessions only.
+     */
+    async removeLTPPrior() {
+        await this.ensureInitialized();
+        await this.db.systemState.delete(this.getProfileStateKey('onboarding:prior'));
+        const ltp = await this.replayWithPrior();
+        console.log('🌱 Onboarding prior removed');
+        return { ltp };
+    }
+
+    // The LTP changed under any pending rebuild, so that is dropped first
+    async replayWithPrior(profileId = this.activeProfileId) {
+        await this.discardLTPRebuild(profileId);
+        const ltp = await this.ltpBuilder.replayLTP(await this.getFullSTPHistory(profileId), profileId);
+        // Facts and the summary describe the profile on screen
+        if (profileId !== this.activeProfileId) return ltp;
+        try {
+            await this.generateFacts('ltp');
+        } catch (error) {
+            console.warn('⚠️ Fact generation after LTP replay failed:', error);
+        }
+        this.triggerSummaryGeneration();
+        return ltp;
+    }
+
+    // ---------------------------------
+    // 🔹 Topic corrections
+    // ---------------------------------
+    async loadTopicCorrections() {
+        const stored = await this.db.systemState.get('settings:topicCorrections');
+        const index = createTopicIndex(await this.db.topicTaxonomy.toArray());
+        this.topicCorrections = compileTopicCorrections(stored?.value || DEFAULT_TOPIC_CORRECTIONS, index);
+        this.ltpBuilder?.applyCorrections(this.topicCorrections);
+        return this.topicCorrections.corrections;
+    }
+
+    async getTopicCorrections() {
+        await this.ensureInitialized();
+        return { ...this.topicCorrections.corrections, boostLevels: TOPIC_BOOST_LEVELS };
+    }
+
+    /**
+     * Store corrections and replay the LTP under them. Sessions whose pages
+     * or searches were reclassified get their STPs rebuilt first.
+     * @param {object} corrections - see normalizeTopicCorrections
+     * @param {Array<string>} [sessionIds] - sessions to rebuild
+     */
+    async saveTopicCorrections(corrections, sessionIds = []) {
+        await this.setSystemState('settings:topicCorrections', normalizeTopicCorrections(corrections));
+        await this.loadTopicCorrections();
+        const recomputed = await this.recomputeSessionSTPs(sessionIds);
+        // Corrections apply to every profile
+        for (const profileId of await this.getProfileIds()) {
+            await this.replayWithPrior(profileId);
+        }
+        console.log('✏️ Topic corrections saved:', {
+            muted: this.topicCorrections.corrections.muted.length,
+            boosted: Object.keys(this.topicCorrections.corrections.boosted).length,
+            reclassified: this.topicCorrections.corrections.reclassified.length,
+            stpsRebuilt: recomputed.stpsRebuilt
+        });
+        return { ...await this.getTopicCorrections(), stpsRebuilt: recomputed.stpsRebuilt };
+    }
+
+    // Canonical taxonomy name; labels the taxonomy does not know (deleted
+    // topics still on old sessions) can only be muted or boosted as they are
+    async resolveCorrectionTopic(topic, { allowUnknown = false } = {}) {
+        const label = String(topic || '').trim();
+        if (!label) throw new Error('Topic is required');
+        const row = resolveTopic(await this.getTopicIndex(), label);
+        if (row) return row.name;
+        if (allowUnknown) return label;
+        throw new Error(`Unknown topic: ${label}`);
+    }
+
+    async muteTopic(topic, muted = true) {
+        await this.ensureInitialized();
+        const name = await this.resolveCorrectionTopic(topic, { allowUnknown: true });
+        const corrections = this.topicCorrections.corrections;
+        const others = corrections.muted.filter(existing => existing.toLowerCase() !== name.toLowerCase());
+        return await this.saveTopicCorrections({ ...corrections, muted: muted ? [...others, name] : others });
+    }
+
+    /**
+     * Multiply a topic's share of every session as it enters the LTP.
+     * @param {number|null} boost - one of TOPIC_BOOST_LEVELS; null or 1 removes the boost
+     */
+    async boostTopic(topic, boost = DEFAULT_TOPIC_BOOST) {
+        await this.ensureInitialized();
+        const name = await this.resolveCorrectionTopic(topic, { allowUnknown: true });
+        const factor = boost == null ? 1 : Number(boost);
+        if (factor !== 1 && !TOPIC_BOOST_LEVELS.includes(factor)) {
+            throw new Error(`Boost must be one of ${TOPIC_BOOST_LEVELS.join(', ')}`);
+        }
+
+        const boosted = { ...this.topicCorrections.corrections.boosted };
+        Object.keys(boosted)
+            .filter(existing => existing.toLowerCase() === name.toLowerCase())
+            .forEach(existing => delete boosted[existing]);
+        if (factor !== 1) boosted[name] = factor;
+        return await this.saveTopicCorrections({ ...this.topicCorrections.corrections, boosted });
+    }
+
+    /**
+     * Override the model's topics for one URL or search query wherever it
+     * was recorded. The model's last answer is kept to show what was fixed.
+     * @param {{targetType: 'url'|'search', target: string, topics: Array<string|{topic, weight}>}} correction
+     */
+    async reclassifyTarget({ targetType, target, topics }) {
+        await this.ensureInitialized();
+        if (!RECLASSIFY_TARGET_TYPES.includes(targetType)) throw new Error(`Unknown target type: ${targetType}`);
+        const key = getCorrectionKey(targetType, target);
+        if (!key) throw new Error(targetType === 'url' ? `Not a URL: ${target}` : 'Search query is required');
+
+        const picked = [];
+        for (const item of Array.isArray(topics) ? topics : []) {
+            const topic = typeof item === 'string' ? item : item?.topic;
+            picked.push({ topic: await this.resolveCorrectionTopic(topic), weight: typeof item === 'string' ? 1 : item.weight });
+        }
+        const topicDomains = normalizeCorrectionTopics(picked);
+        if (topicDomains.length === 0) throw new Error('Pick at least one topic');
+
+        const rows = await this.getCorrectionTargetRows(targetType, key);
+        const previous = rows.map(row => row.topicDomains).find(Array.isArray) || [];
+        const corrections = this.topicCorrections.corrections;
+        const reclassified = [
+            ...corrections.reclassified.filter(item => !(item.targetType === targetType && item.key === key)),
+            { targetType, target: String(target).trim(), key, topicDomains, previous, createdAt: new Date().toISOString() }
+        ];
+        return await this.saveTopicCorrections({ ...corrections, reclassified }, [...new Set(rows.map(row => row.sessionId))]);
+    }
+
+    async removeReclassification(targetType, target) {
+        await this.ensureInitialized();
+        const key = getCorrectionKey(targetType, target);
+        const corrections = this.topicCorrections.corrections;
+        const reclassified = corrections.reclassified.filter(item => !(item.targetType === targetType && item.key === key));
+        if (reclassified.length === corrections.reclassified.length) {
+            throw new Error(`No correction for ${target}`);
+        }
+        const rows = await this.getCorrectionTargetRows(targetType, key);
+        return await this.saveTopicCorrections({ ...corrections, reclassified }, [...new Set(rows.map(row => row.sessionId))]);
+    }
+
+    async setCorrectionExamples(enabled) {
+        await this.ensureInitialized();
+        return await this.saveTopicCorrections({ ...this.topicCorrections.corrections, fewShot: !!enabled });
+    }
+
+    /**
+     * Reclassifications to show the model as few-shot examples when it
+     * classifies pages ('url') or search queries ('search').
+     */
+    async getCorrectionExamples(targetType) {
+        await this.ensureInitialized();
+        return buildCorrectionExamples(this.topicCorrections.corrections, targetType);
+    }
+
+    async getCorrectionTargetRows(targetType, key) {
+        const table = targetType === 'url' ? this.db.urlBehaviors : this.db.searches;
+        const field = targetType === 'url' ? 'url' : 'query';
+        return await table.filter(row => getCorrectionKey(targetType, row[field]) === key).toArray();
+    }
+
+    // ---------------------------------
+    // 🔹 Topic taxonomy
+    // ---------------------------------
+    async getTopicTaxonomy() {
+        await this.ensureInitialized();
+        const rows = await this.db.topicTaxonomy.toArray();
+        return createTopicIndex(rows).rows;
+    }
+
+    async getTopicIndex() {
+        return createTopicIndex(await this.getTopicTaxonomy());
+    }
+
+    /**
+     * Create or update a topic. Renaming keeps the old name as an alias so
+     * scores already stored under it still roll up here.
+     * @param {object} topic - { topicId?, name, parentId?, aliases?, keywords? }
+     */
+    async saveTopic(topic) {
+        await this.ensureInitialized();
+        const cleanList = (list) => [...new Set((list || [])
+            .map(item => String(item).trim())
+            .filter(Boolean))];
+
+        const name = String(topic?.name || '').trim();
+        if (!name) throw new Error('Topic name is required');
+        if (name.toLowerCase() === UNKNOWN_TOPIC.toLowerCase()) {
+            throw new Error(`"${UNKNOWN_TOPIC}" is reserved`);
+        }
+
+        return await this.db.transaction('rw', this.db.topicTaxonomy, async () => {
+            const index = createTopicIndex(await this.db.topicTaxonomy.toArray());
+            const existing = topic.topicId ? index.byId.get(topic.topicId) : null;
+            if (topic.topicId && !existing) throw new Error(`Unknown topic: ${topic.topicId}`);
+
+            const parentId = topic.parentId || null;
+            const parent = parentId ? index.byId.get(parentId) : null;
+            if (parentId && !parent) throw new Error(`Unknown parent topic: ${parentId}`);
+
+            // A topic cannot move under itself or one of its descendants
+            for (let cursor = parent; existing && cursor; cursor = cursor.parentId ? index.byId.get(cursor.parentId) : null) {
+                if (cursor.topicId === existing.topicId) {
+                    throw new Error('A topic cannot be nested under itself');
+                }
+            }
+
+            const level = parent ? parent.level + 1 : 0;
+            const subtreeDepth = (row) => Math.max(0, ...index.childrenOf.get(row.topicId).map(child => 1 + subtreeDepth(child)));
+            if (level + (existing ? subtreeDepth(existing) : 0) >= MAX_TOPIC_DEPTH) {
+                throw new Error(`Topics can be nested at most ${MAX_TOPIC_DEPTH} levels deep`);
+            }
+
+            const aliases = cleanList(topic.aliases);
+            if (existing && existing.name !== name) aliases.push(existing.name);
+            for (const label of [name, ...aliases]) {
+                const owner = index.byLabel.get(label.toLowerCase());
+                if (owner && owner.topicId !== existing?.topicId && owner.name.toLowerCase() === label.toLowerCase()) {
+                    throw new Error(`"${label}" is already a topic`);
+                }
+            }
+
+            const now = new Date().toISOString();
+            const row = {
+                ...(existing || { builtIn: false, createdAt: now }),
+                topicId: existing?.topicId || slugifyTopicId(name, parentId),
+                name,
+                parentId,
+                level,
+                order: existing && existing.parentId === parentId
+                    ? existing.order
+                    : (parent ? index.childrenOf.get(parent.topicId) : index.roots).length,
+                aliases: cleanList(aliases).filter(alias => alias.toLowerCase() !== name.toLowerCase()),
+                keywords: cleanList(topic.keywords).map(keyword => keyword.toLowerCase()),
+                updatedAt: now
+            };
+            if (!existing && index.byId.has(row.topicId)) {
+                throw new Error(`Topic id already exists: ${row.topicId}`);
+            }
+            await this.db.topicTaxonomy.put(row);
+
+            // Keep descendant levels in sync when a subtree moves
+            if (existing && existing.level !== level) {
+                const relevel = async (children, childLevel) => {
+                    for (const child of children) {
+                        await this.db.topicTaxonomy.update(child.topicId, { level: childLevel });
+                        await relevel(index.childrenOf.get(child.topicId), childLevel + 1);
+                    }
+                };
+                await relevel(index.childrenOf.get(existing.topicId), level + 1);
+            }
+
+            console.log(`🗂️ Topic saved: ${row.topicId}`);
+            return row;
+        });
+    }
+
+    /**
+     * Delete a topic. Its children move up to its parent, and its name (plus
+     * aliases) become aliases of the parent so historical scores roll up there.
+     * A root has no parent, so its first subtopic takes its place and the
+     * other subtopics move under that one; a root without subtopics leaves
+     * its past scores as an unknown label.
+     */
+    async deleteTopic(topicId) {
+        await this.ensureInitialized();
+        return await this.db.transaction('rw', this.db.topicTaxonomy, async () => {
+            const index = createTopicIndex(await this.db.topicTaxonomy.toArray());
+            const row = index.byId.get(topicId);
+            if (!row) throw new Error(`Unknown topic: ${topicId}`);
+
+            const parent = row.parentId ? index.byId.get(row.parentId) : null;
+            const children = index.childrenOf.get(topicId);
+            const heir = parent || children[0] || null;
+            const shift = async (node, delta) => {
+                await this.db.topicTaxonomy.update(node.topicId, { level: node.level + delta });
+                for (const grandChild of index.childrenOf.get(node.topicId)) await shift(grandChild, delta);
+            };
+
+            if (parent) {
+                const siblings = index.childrenOf.get(parent.topicId);
+                for (const [offset, child] of children.entries()) {
+                    await this.db.topicTaxonomy.update(child.topicId, {
+                        parentId: parent.topicId,
+                        order: siblings.length + offset
+                    });
+                    await shift(child, -1);
+                }
+            } else if (heir) {
+                await this.db.topicTaxonomy.update(heir.topicId, { parentId: null, order: row.order });
+                await shift(heir, -1);
+                const heirChildren = index.childrenOf.get(heir.topicId);
+                for (const [offset, child] of children.slice(1).entries()) {
+                    await this.db.topicTaxonomy.update(child.topicId, {
+                        parentId: heir.topicId,
+                        order: heirChildren.length + offset
+                    });
+                }
+            }
+
+            if (heir) {
+                await this.db.topicTaxonomy.update(heir.topicId, {
+                    aliases: [...new Set([...(heir.aliases || []), row.name, ...(row.aliases || [])])],
+                    updatedAt: new Date().toISOString()
+                });
+            }
+
+            await this.db.topicTaxonomy.delete(topicId);
+            console.log(`🗂️ Topic deleted: ${topicId} (${children.length} subtopics re-parented)`);
+            return { deleted: topicId, reparented: children.map(child => child.topicId), heir: heir?.topicId || null };
+        });
+    }
+
+    async resetTopicTaxonomy() {
+        await this.ensureInitialized();
+        await this.db.transaction('rw', this.db.topicTaxonomy, async () => {
+            await this.db.topicTaxonomy.clear();
+            await this.db.topicTaxonomy.bulkPut(flattenTopicTaxonomy(DEFAULT_TOPIC_TAXONOMY));
+        });
+        console.log('🗂️ Topic taxonomy reset to defaults');
+        return await this.getTopicTaxonomy();
+    }
+
+    // ---------------------------------
+    // 🔹 Session operations
+    // ---------------------------------
+    async saveSession(sessionData) {
+        await this.ensureInitialized();
+        return await this.db.sessions.put(sessionData);
+    }
+
+    async getCurrentSession() {
+        await this.ensureInitialized();
+        return await this.db.sessions.where('isActive').equals(1).last();
+    }
+
+    /**
+     * Record user activity on a session (used to detect idle expiry)
+     */
+    async touchSession(sessionId, at = new Date().toISOString()) {
+        await this.ensureInitialized();
+        return await this.db.sessions.update(sessionId, { lastActivityAt: at });
+    }
+
+    /**
+     * Close a session. Returns false if it was already closed.
+     */
+    async closeSession(sessionId, { endTime, endReason }) {
+        await this.ensureInitialized();
+        return await this.db.transaction('rw', this.db.sessions, async () => {
+            const session = await this.db.sessions.get(sessionId);
+            if (!session || session.isActive !== 1) return false;
+
+            const start = new Date(session.startTime).getTime();
+            const end = Math.max(start, new Date(endTime || Date.now()).getTime());
+            await this.db.sessions.update(sessionId, {
+                isActive: 0,
+                endTime: new Date(end).toISOString(),
+                endReason: endReason || 'unknown',
+                duration: end - start
+            });
+            console.log('🔚 Session closed:', { sessionId, endReason, durationMin: Math.round((end - start) / 60000) });
+            return true;
+        });
+    }
+
+    
+
+    // ---------------------------------
+    // 🔹 Search tracking
+    // ---------------------------------
+    async saveSearch(searchData) {
+        await this.ensureInitialized();
+        
+        const record = {
+            searchId: searchData.searchId || `search-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`,
+            query: searchData.query,
+            source: searchData.source || 'unknown',
+            timestamp: searchData.timestamp || new Date().toISOString(),
+            sessionId: searchData.sessionId || 'default-session',
+            tabId: searchData.tabId || 'unknown',
+            url: searchData.url || window?.location?.href || 'unknown',
+            resultsClicked: [], // Initialize empty array for clicks
+            processed: false,
+            // AI fields (will be filled later)
+            intentType: null,
+            topicDomain: null,
+            confidence: null,
+            specificity: null,
+           
+            aiModelUsed: null
+        };
+        
+        const id = await this.db.searches.add(record);
+        
+          await this.addToAIQueue({
+        type: 'SEARCH_ENRICHMENT',
+        priority: 2, // MEDIUM priority
+        data: {
+            searchId: record.searchId,
+            query: record.query,
+            sessionId: record.sessionId,
+            tabId: record.tabId,
+            source: record.source,
+            url: record.url,
+            timestamp: record.timestamp
+        }
+    });
+    
+    console.log('✅ Search saved and queued for AI processing');
+        await this.linkSearchToKnownEntities(record);
+        return { id, searchId: record.searchId };
+    }
+async saveSnapshot(snapshotData) {
+  try {
+    if (!this.db) {
+      throw new Error('Database not initialized');
+    }
+
+    // A page already in the library is updated in place: same id, same
+    // labels, so tags and knowledge-graph links survive a re-run
+    const canonicalUrl = snapshotData.canonicalUrl || canonicalizeSnapshotUrl(snapshotData.url) || snapshotData.url;
+    const previous = await this.getSnapshotByCanonicalUrl(canonicalUrl);
+
+    // The full overlay result, so the library can show it without the page
+    const snapshotRecord = {
+      snapshotId: previous?.snapshotId || snapshotData.snapshotId,
+      sessionId: snapshotData.sessionId,
+      timestamp: snapshotData.timestamp,
+      url: snapshotData.url,
+      title: snapshotData.title || '',
+      summary: snapshotData.summary,
+      headline: snapshotData.headline || '',
+      subheading: snapshotData.subheading || '',
+      insights: snapshotData.insights,
+      insightAnchors: snapshotData.insightAnchors || [],
+      cta: snapshotData.cta || null,
+      chunks: snapshotData.chunks || [],
+      topics: snapshotData.topics || [],
+      tags: [...(previous?.tags || []), ...(snapshotData.tags || [])],
+      collections: [...(previous?.collections || []), ...(snapshotData.collections || [])],
+      canonicalUrl,
+      contentHash: snapshotData.contentHash || null,
+      profileVersion: snapshotData.profileVersion || null,
+      firstSavedAt: previous?.firstSavedAt || previous?.timestamp || snapshotData.timestamp
+    };
+    Object.assign(snapshotRecord, this.indexSnapshot(snapshotRecord));
+
+    await this.db.snapshots.put(snapshotRecord);
+    await this.indexArchiveSnapshot(snapshotRecord);
+    if (!previous) await this.incrementSnapshotCounter();
+    await this.queueEntityExtraction({
+        sourceType: 'snapshot',
+        sourceId: snapshotRecord.snapshotId,
+        url: snapshotRecord.url,
+        sessionId: snapshotRecord.sessionId,
+        label: snapshotData.title || snapshotRecord.url,
+        text: [snapshotRecord.summary, ...(snapshotRecord.insights || [])].filter(Boolean).join('\n')
+    });
+    console.log(`📸 Snapshot ${previous ? 'updated' : 'saved'} in database:`, {
+      snapshotId: snapshotRecord.snapshotId,
+      url: snapshotRecord.url,
+      summaryLength: snapshotRecord.summary?.length,
+      insightsCount: snapshotRecord.insights?.length || 0
+    });
+
+    return { success: true, snapshotId: snapshotRecord.snapshotId, replaced: !!previous };
+  } catch (error) {
+    console.error('❌ Failed to save snapshot to database:', error);
+    return { success: false, error: error.message };
+  }
+}
+// Add to your DatabaseService class
+/**
+ * Enrich all unprocessed searches by query and remove matching AI queue tasks
+ * @param {string} query - The search query to match
+ * @param {object} enrichment - AI enrichment data
+ * @param {string} [enrichedAt] - Optional timestamp
+ */
+async enrichSearchesByQuery(query, enrichment, enrichedAt) {
+  await this.ensureInitialized();
+
+  try {
+    console.log('🔍 Enriching searches for query:', query);
+
+    // Find all unprocessed searches with this query
+    const matchingSearches = await this.db.searches
+      .where('query')
+      .equals(query)
+      .filter(search => !search.processed)
+      .toArray();
+
+    if (matchingSearches.length === 0) {
+      console.warn('⚠️ No unprocessed searches found for query:', query);
+      return { success: false, error: 'No unprocessed searches found', query };
+    }
+
+    const updateData = {
       intentType: enrichment.intentType || null,
       topicDomains: enrichment.topicDomains || null, // Store weighted array
       confidence: enrichment.confidence || null,
@@ -706,10 +1808,12 @@ async getLTPDashboardStats() {
         totalActiveTime: '0m',
         snapshotCount: 0,
     };
+    // Only what was recorded under the active profile
+    const sessionIds = await this.getProfileSessionIds();
 
     // --- 1. Total Active Time ---
    try {
-    const allDomainRows = await this.db.domainBehaviors.toArray();
+    const allDomainRows = await this.db.domainBehaviors.where('sessionId').anyOf(sessionIds).toArray();
     const totalActiveSeconds = allDomainRows.reduce((acc, r) => {
         // totalActiveTime is stored in SECONDS, convert to minutes
         const v = Number(r.totalActiveTime) || 0; 
@@ -730,7 +1834,7 @@ async getLTPDashboardStats() {
 
     // --- 2. Snapshot Count ---
     try {
-        const snapshots = await this.db.snapshots.toArray();
+        const snapshots = await this.db.snapshots.where('sessionId').anyOf(sessionIds).toArray();
         // Count unique entries in the snapshots table
         result.snapshotCount = snapshots.length; 
         
@@ -742,7 +1846,7 @@ async getLTPDashboardStats() {
     
     // --- 3. Unique Searches Count ---
     try {
-        const searches = await this.db.searches.toArray();
+        const searches = await this.db.searches.where('sessionId').anyOf(sessionIds).toArray();
         // Count unique entries in the searches table
         result.uniqueSearchesCount = searches.length; 
     } catch (err) {
@@ -833,7 +1937,7 @@ async getDashboardStats(view = 'ltp') {
  * Gets domain/topic behaviors based on the view for the "Topic Lattice".
  * @param {string} view - 'ltp' or 'stp'
  * @param {number} limit - Number of topics to return
- * @returns {Promise<Array<object>>} - Array of topic objects { topic, weight, score }
+ * @returns {Promise<Array<object>>} - Root topic objects { topic, weight, score, children }
  */
 async getDomainBehaviors(view = 'ltp', limit = 10) {
     await this.ensureInitialized();
@@ -846,10 +1950,12 @@ async getDomainBehaviors(view = 'ltp', limit = 10) {
         
         // Extract normalized weights from your enhanced STP structure
         Object.entries(stpTopics).forEach(([topic, data]) => {
-            // data is { rawScore, normalizedWeight }
+            // data is { rawScore, normalizedWeight }; muted topics only leave the LTP on replay
+            if (this.topicCorrections.isMuted(topic)) return;
             topicMap[topic] = data.normalizedWeight || 0;
         });
-        isNormalized = true; // STP topics are already normalized
+        // Muting can leave the weights short of 1
+        isNormalized = Object.keys(topicMap).length === Object.keys(stpTopics).length;
 
     } else {
         // LTP stores cumulative raw scores, so they need normalization
@@ -868,16 +1974,22 @@ async getDomainBehaviors(view = 'ltp', limit = 10) {
         }
     }
     
-    // Sort, format, and return for the dashboard
-    return Object.entries(topicMap)
-        .map(([topic, weight]) => ({
-            topic: topic,
-            weight: weight,
-            // 'score' is for the engagement-style % display
-            score: Math.round(weight * 100) 
-        }))
+    // Roll subtopic weights up into their parents; children stay attached
+    // so the dashboard can drill down
+    const format = (node) => ({
+        topic: node.topic,
+        topicId: node.topicId,
+        path: node.path,
+        weight: node.score,
+        ownWeight: node.ownScore,
+        // 'score' is for the engagement-style % display
+        score: Math.round(node.score * 100),
+        children: node.children.map(format).filter(t => t.score > 0)
+    });
+
+    return rollUpTopicScores(topicMap, await this.getTopicIndex())
+        .map(format)
         .filter(t => t.score > 0)
-        .sort((a, b) => b.weight - a.weight)
         .slice(0, limit);
 }
 
@@ -931,20 +2043,112 @@ async getUserProfile(view = 'ltp') {
 }
 
 /**
- * Placeholder for fetching generated facts/insights.
+ * Fetch stored facts for a view: pinned first, then by confidence.
+ * Dismissed facts are hidden. Facts are generated on first read; a run that
+ * found nothing is remembered (see saveGeneratedFacts), so reading an empty
+ * profile does not regenerate every time. Everything that changes the
+ * underlying data regenerates facts itself.
  * @param {string} view - 'ltp' or 'stp'
  * @param {number} limit - Number of facts to return
  * @returns {Promise<Array<object>>}
  */
 async getFacts(view = 'ltp', limit = 12) {
     await this.ensureInitialized();
-    console.log(`Placeholder: getFacts(${view}, ${limit}) called`);
-    // In a real app, you'd fetch from a 'facts' table
-    // For the hackathon, returning a placeholder is fine.
-    return [
-        { statement: "Insight generation is an upcoming feature.", confidence: 0.9, createdAt: new Date().toISOString() },
-        { statement: `Your ${view.toUpperCase()} profile is being analyzed.`, confidence: 0.8, createdAt: new Date().toISOString() }
-    ];
+    let facts = await this.db.facts.where('view').equals(view).toArray();
+    const generated = await this.getSystemState(`facts:generated:${view}`);
+    if (facts.length === 0 && generated?.profileId !== this.activeProfileId) {
+        await this.generateFacts(view);
+        facts = await this.db.facts.where('view').equals(view).toArray();
+    }
+    return facts
+        .filter(fact => !fact.dismissedAt)
+        .sort((a, b) => (b.pinned - a.pinned) || (b.confidence - a.confidence))
+        .slice(0, limit);
+}
+
+/**
+ * Regenerate facts for a view from the current profile and behaviour data.
+ * @param {string} view - 'ltp' or 'stp'
+ * @returns {Promise<Array<object>>}
+ */
+async generateFacts(view = 'ltp') {
+    await this.ensureInitialized();
+    if (!this.factsEngine) {
+        console.warn('⚠️ FactsEngine not initialized');
+        return [];
+    }
+    return await this.factsEngine.generate(view);
+}
+
+/**
+ * Persist a generation run. Existing facts are updated in place so pins,
+ * dismissals and createdAt survive; facts that were not produced again are
+ * removed unless pinned, in which case they are kept and flagged stale.
+ */
+async saveGeneratedFacts(view, facts) {
+    const now = new Date().toISOString();
+    const saved = [];
+
+    await this.db.transaction('rw', this.db.facts, this.db.systemState, async () => {
+        const existing = await this.db.facts.where('view').equals(view).toArray();
+        const byId = new Map(existing.map(fact => [fact.factId, fact]));
+        const produced = new Set();
+
+        for (const fact of facts) {
+            produced.add(fact.factId);
+            const previous = byId.get(fact.factId);
+            if (previous?.dismissedAt) continue;
+
+            const row = {
+                ...fact,
+                pinned: previous?.pinned || 0,
+                dismissedAt: null,
+                stale: false,
+                createdAt: previous?.createdAt || now,
+                updatedAt: now
+            };
+            await this.db.facts.put(row);
+            saved.push(row);
+        }
+
+        for (const fact of existing) {
+            if (produced.has(fact.factId) || fact.dismissedAt) continue;
+            if (fact.pinned) {
+                await this.db.facts.update(fact.factId, { stale: true });
+            } else {
+                await this.db.facts.delete(fact.factId);
+            }
+        }
+
+        await this.db.systemState.put({
+            key: `facts:generated:${view}`,
+            value: { at: now, profileId: this.activeProfileId, count: saved.length },
+            lastUpdated: now
+        });
+    });
+
+    return saved;
+}
+
+async setFactPinned(factId, pinned) {
+    await this.ensureInitialized();
+    const updated = await this.db.facts.update(factId, { pinned: pinned ? 1 : 0 });
+    if (!updated) throw new Error(`Fact not found: ${factId}`);
+    return { factId, pinned: !!pinned };
+}
+
+/**
+ * Delete a fact on the user's behalf. The row is kept as a tombstone so the
+ * same statement is not regenerated on the next run.
+ */
+async deleteFact(factId) {
+    await this.ensureInitialized();
+    const updated = await this.db.facts.update(factId, {
+        dismissedAt: new Date().toISOString(),
+        pinned: 0
+    });
+    if (!updated) throw new Error(`Fact not found: ${factId}`);
+    return { factId, deleted: true };
 }
 
 
@@ -1344,6 +2548,10 @@ async saveBehaviorData(behaviorData) {
             });
         }
 
+        if (urlBehaviorData.contentSample && urlBehaviorData.contentSample !== existingRecord?.contentSample) {
+            await this.indexArchivePage(behaviorData.url);
+        }
+
         // ✅ NEW: Check if we should add topic inference task
         await this.maybeAddTopicInferenceTask(
             recordId,
@@ -1427,6 +2635,16 @@ async maybeAddTopicInferenceTask(recordId, sessionId, tabId, url, domain, conten
         // Add to AI queue
         const taskId = await this.addToAIQueue(taskData);
         
+        // Same content sample feeds the knowledge graph
+        await this.queueEntityExtraction({
+            sourceType: 'url',
+            sourceId: url,
+            url: url,
+            sessionId: sessionId,
+            label: domain,
+            text: contentSample
+        });
+
         // ✅ Update ONLY processing flag (sent flag remains false until topic arrives)
         await this.db.urlBehaviors.update(recordId, {
             topicInferenceProcessing: true, // 🔄 Processing started
@@ -1509,54 +2727,57 @@ async getSession(sessionId) {
     }
 }
 
-// Update the checkAndAggregateDomainBehavior method to include STP building
-// Update the checkAndAggregateDomainBehavior method
-// Update the checkAndAggregateDomainBehavior method
+// Safety net for sessions whose close alarm never fired: when behavior data
+// arrives for a new session, finalize the previous one if it wasn't already.
 async checkAndAggregateDomainBehavior(currentSessionId) {
     try {
         const lastSessionState = await this.db.systemState.get('lastSessionId');
         const lastSessionId = lastSessionState?.value;
 
-        // 🎯 CHECK FOR COLD START (no last session)
-        if (!lastSessionId) {
-        
-            
-            // Update last session to current session
-            await this.db.systemState.put({
-                key: 'lastSessionId',
-                value: currentSessionId,
-                lastUpdated: new Date().toISOString()
-            });
-            return; // Skip aggregation for first real session
+        if (lastSessionId && lastSessionId !== currentSessionId) {
+            await this.finalizeSession(lastSessionId);
         }
 
-        // If same session, just update and return
-        if (lastSessionId === currentSessionId) {
-            await this.db.systemState.put({
-                key: 'lastSessionId',
-                value: currentSessionId,
-                lastUpdated: new Date().toISOString()
-            });
-            return;
+        await this.db.systemState.put({
+            key: 'lastSessionId',
+            value: currentSessionId,
+            lastUpdated: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('❌ Domain behavior aggregation failed:', error);
+    }
+}
+
+/**
+ * Aggregate a closed session's domain behavior, build its STP and fold it
+ * into the LTP. Idempotent: a session is only finalized once (stpBuiltAt).
+ * Triggered by the session close alarm in BackgroundService.
+ */
+async finalizeSession(sessionId) {
+    await this.ensureInitialized();
+    try {
+        const session = await this.db.sessions.get(sessionId);
+        if (session?.isActive === 1) {
+            console.warn('⚠️ Refusing to finalize a session that is still active:', sessionId);
+            return { success: false, error: 'Session still active' };
+        }
+        if (session?.stpBuiltAt) {
+            return { success: true, skipped: true };
         }
 
-        console.log('🔄 Aggregating domain behavior for previous session:', lastSessionId);
+        console.log('🔄 Aggregating domain behavior for closed session:', sessionId);
 
-        // Get all URL behaviors for the previous session
         const urlBehaviors = await this.db.urlBehaviors
             .where('sessionId')
-            .equals(lastSessionId)
+            .equals(sessionId)
             .toArray();
 
         if (urlBehaviors.length === 0) {
-            console.log('📝 No URL behaviors found for previous session:', lastSessionId);
-            // Still update lastSessionId to current session
-            await this.db.systemState.put({
-                key: 'lastSessionId',
-                value: currentSessionId,
-                lastUpdated: new Date().toISOString()
-            });
-            return;
+            console.log('📝 No URL behaviors found for session:', sessionId);
+            if (session) {
+                await this.db.sessions.update(sessionId, { stpBuiltAt: new Date().toISOString() });
+            }
+            return { success: true, empty: true };
         }
 
         // Group by domain
@@ -1570,31 +2791,43 @@ async checkAndAggregateDomainBehavior(currentSessionId) {
 
         // Aggregate data for each domain
         for (const [domain, behaviors] of Object.entries(domainGroups)) {
-            await this.aggregateDomainData(lastSessionId, domain, behaviors);
+            await this.aggregateDomainData(sessionId, domain, behaviors);
         }
 
-        // ✅ Build and save STP for the completed session, then build LTP
-        const stp = await this.buildAndSaveSTP(lastSessionId);
+        // ✅ Build and save STP for the completed session, then build LTP of
+        // the profile it was recorded under (not necessarily the active one)
+        const profileId = session?.profileId && await this.db.profile.get(session.profileId)
+            ? session.profileId
+            : DEFAULT_PROFILE_ID;
+        const stp = await this.buildAndSaveSTP(sessionId, profileId);
         
         if (stp && this.ltpBuilder) {
             console.log('🔨 Building LTP from completed session STP');
-            await this.ltpBuilder.buildLTP(stp);
+            await this.ltpBuilder.buildLTP(stp, profileId);
+        }
+
+        if (stp && profileId === this.activeProfileId) {
+            try {
+                await this.generateFacts('stp');
+                await this.generateFacts('ltp');
+            } catch (error) {
+                console.warn('⚠️ Fact generation failed:', error);
+            }
+        }
+
+        if (session) {
+            await this.db.sessions.update(sessionId, { stpBuiltAt: new Date().toISOString() });
         }
 
         await this.triggerSummaryGeneration();
         await this.debugSummaryGeneration();
 
-        // Update last session to current session after aggregation
-        await this.db.systemState.put({
-            key: 'lastSessionId',
-            value: currentSessionId,
-            lastUpdated: new Date().toISOString()
-        });
-
-        console.log('✅ Domain behavior aggregation completed for session:', lastSessionId);
+        console.log('✅ Session finalized:', sessionId);
+        return { success: true, stp };
 
     } catch (error) {
-        console.error('❌ Domain behavior aggregation failed:', error);
+        console.error('❌ Session finalization failed:', error);
+        return { success: false, error: error.message };
     }
 }
 // Add to DatabaseService class
@@ -1695,7 +2928,7 @@ getEmptySTP(sessionId) {
 buildTemporaryTopicMap(searches, urlBehaviors) {
     const searchMap = this.buildSearchTopicMap(searches);
     const urlMap = this.buildUrlTopicMap(urlBehaviors);
-    return this.mergeTopicMaps(searchMap, urlMap, 0.4, 0.6);
+    return this.mergeTopicMaps(searchMap, urlMap, this.profileParameters.searchWeight, this.profileParameters.urlWeight);
 }
 /**
  * Get normalized weights only (for backward compatibility)
@@ -1888,8 +3121,8 @@ async buildSTP(sessionId) {
             urlTopics: Object.keys(urlTopicMap).length
         });
         
-        // Merge topic maps with 60% URL weight and 40% search weight - BUT DON'T NORMALIZE YET
-        const rawTopicMap = this.mergeTopicMapsRaw(searchTopicMap, urlTopicMap, 0.4, 0.6);
+        // Merge topic maps with the configured search/URL weights - BUT DON'T NORMALIZE YET
+        const rawTopicMap = this.mergeTopicMapsRaw(searchTopicMap, urlTopicMap, this.profileParameters.searchWeight, this.profileParameters.urlWeight);
         
         console.log('📈 Raw merged topic map (before normalization):', rawTopicMap);
         
@@ -1939,11 +3172,14 @@ buildSearchTopicMap(searches) {
     let processedSearches = 0;
     
     searches.forEach(search => {
+        // The user's reclassification replaces the model's topics
+        const topicDomains = this.topicCorrections.overrideFor('search', search.query) || search.topicDomains;
+
         // Skip unprocessed, invalid, or searches without topic domains
         if (!search.processed || 
-            !search.topicDomains || 
-            !Array.isArray(search.topicDomains) ||
-            search.topicDomains.length === 0) {
+            !topicDomains || 
+            !Array.isArray(topicDomains) ||
+            topicDomains.length === 0) {
             return;
         }
         
@@ -1960,7 +3196,7 @@ buildSearchTopicMap(searches) {
         
         // Distribute search quality score across topics
         let validTopics = 0;
-        search.topicDomains.forEach(topicDomain => {
+        topicDomains.forEach(topicDomain => {
             // Skip invalid topic domains
             if (!topicDomain || 
                 !topicDomain.topic || 
@@ -2069,14 +3305,17 @@ buildUrlTopicMap(urlBehaviors) {
     let skippedBehaviors = 0;
     
     urlBehaviors.forEach((behavior, index) => {
+        // The user's reclassification replaces the model's topics
+        const topicDomains = this.topicCorrections.overrideFor('url', behavior.url) || behavior.topicDomains;
+
         // Skip behaviors without topic domains
-        if (!behavior.topicDomains || 
-            !Array.isArray(behavior.topicDomains) ||
-            behavior.topicDomains.length === 0) {
+        if (!topicDomains || 
+            !Array.isArray(topicDomains) ||
+            topicDomains.length === 0) {
             console.log(`⚠️ URL behavior ${index} skipped - no topic domains:`, {
                 url: behavior.url,
-                hasTopicDomains: !!behavior.topicDomains,
-                topicDomainsLength: behavior.topicDomains?.length
+                hasTopicDomains: !!topicDomains,
+                topicDomainsLength: topicDomains?.length
             });
             skippedBehaviors++;
             return;
@@ -2106,12 +3345,12 @@ buildUrlTopicMap(urlBehaviors) {
             url: behavior.url,
             engagementScore: behavior.engagementScore,
             engagementNorm: engagementNorm,
-            topicDomains: behavior.topicDomains
+            topicDomains: topicDomains
         });
         
         // Distribute engagement score across topics
         let validTopics = 0;
-        behavior.topicDomains.forEach(topicDomain => {
+        topicDomains.forEach(topicDomain => {
             // Skip invalid topic domains
             if (!topicDomain || 
                 !topicDomain.topic || 
@@ -2269,7 +3508,7 @@ calculateSessionMetrics(searches, urlBehaviors) {
     // Build temporary topic map for entropy calculation (use raw scores)
     const searchTopicMap = this.buildSearchTopicMap(searches);
     const urlTopicMap = this.buildUrlTopicMap(urlBehaviors);
-    const rawTopicMap = this.mergeTopicMapsRaw(searchTopicMap, urlTopicMap, 0.4, 0.6);
+    const rawTopicMap = this.mergeTopicMapsRaw(searchTopicMap, urlTopicMap, this.profileParameters.searchWeight, this.profileParameters.urlWeight);
     
     // For entropy calculation, we need normalized weights
     const normalizedTopicMap = this.normalizeTopicMap(rawTopicMap);
@@ -2495,12 +3734,12 @@ calculateDiversityEntropy(topicCumulative) {
 /**
  * Build and save STP for a completed session
  */
-async buildAndSaveSTP(sessionId) {
+async buildAndSaveSTP(sessionId, profileId = this.activeProfileId) {
     try {
         console.log(`🔨 Building and saving STP for completed session: ${sessionId}`);
         
         const stp = await this.buildSTP(sessionId);
-        await this.saveSTPToProfile(stp);
+        await this.saveSTPToProfile(stp, profileId);
         
         console.log('✅ STP saved to profile for session:', sessionId);
         return stp;
@@ -2513,82 +3752,635 @@ async buildAndSaveSTP(sessionId) {
 /**
  * Save STP to user profile - FIXED VERSION
  */
-async saveSTPToProfile(stpData) {
+async saveSTPToProfile(stpData, profileId = this.activeProfileId) {
     await this.ensureInitialized();
     
     try {
         // Get profile with repair fallback
         let profile;
         try {
-            profile = await this.getProfile();
+            profile = await this.getProfile(profileId);
         } catch (error) {
             console.warn('⚠️ Profile corrupted, repairing...');
           
-            profile = await this.getProfile();
+            profile = await this.getProfile(profileId);
         }
 
-        // Ensure profile has required structure
+        // Ensure profile has required structure (getProfile() stands in demo
+        // data, without a key, until the first STP)
         if (!profile.userId) {
-            profile.userId = 'default';
+            profile = { ...(await this.db.profile.get(profileId) || this.getDefaultProfile(profileId)), ...profile };
         }
         
         if (!profile.stpHistory) {
             profile.stpHistory = [];
         }
 
-        // Initialize STP history if it doesn't exist
-        if (!profile.stpHistory) {
-            profile.stpHistory = [];
-        }
+        // Initialize STP history if it doesn't exist
+        if (!profile.stpHistory) {
+            profile.stpHistory = [];
+        }
+
+        // Add new STP to history (limit to last 50 sessions); the archive
+        // keeps every one so the LTP can be replayed later
+        const savedSTP = {
+            ...stpData,
+            profile_id: profileId,
+            saved_at: new Date().toISOString()
+        };
+        profile.stpHistory.unshift(savedSTP);
+        await this.db.stpArchive.put(savedSTP);
+
+        // Keep only last 50 STP records
+        if (profile.stpHistory.length > 50) {
+            profile.stpHistory = profile.stpHistory.slice(0, 50);
+        }
+
+        // Update last STP
+        profile.lastSTP = stpData;
+        profile.lastUpdated = new Date().toISOString();
+
+        await this.db.profile.put(profile);
+        
+        console.log('💾 STP saved to profile:', {
+            profileId,
+            sessionId: stpData.session_id,
+            topics: Object.keys(stpData.topic_cumulative).length,
+            dominantTopic: stpData.dominant_topic
+        });
+        
+        return { success: true };
+    } catch (error) {
+        console.error('❌ Failed to save STP to profile:', error);
+        
+        // Emergency repair and retry
+       
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Get STP history from profile
+ */
+async getSTPHistory(limit = 10) {
+    const profile = await this.getProfile();
+    return (profile.stpHistory || []).slice(0, limit);
+}
+
+/**
+ * Get last STP from profile
+ */
+async getLastSTP() {
+    const profile = await this.getProfile();
+    return profile.lastSTP || null;
+}
+
+/**
+ * Every archived STP of a profile, newest first (the order of profile.stpHistory).
+ */
+async getFullSTPHistory(profileId = this.activeProfileId) {
+    await this.ensureInitialized();
+    const stps = await this.db.stpArchive.where('profile_id').equals(profileId).toArray();
+    return stps.sort((a, b) => String(b.calculated_at).localeCompare(String(a.calculated_at)));
+}
+
+/**
+ * Rebuild one stored STP from the raw rows of its session, keeping its
+ * original timestamps so a replay decays it exactly as before.
+ * @returns {Promise<object|null>} null when the session has no raw data left
+ */
+async rebuildStoredSTP(stp) {
+    const searchesLeft = await this.db.searches.where('sessionId').equals(stp.session_id).count();
+    const visitsLeft = await this.db.urlBehaviors.where('sessionId').equals(stp.session_id).count();
+    if (searchesLeft === 0 && visitsLeft === 0) return null;
+
+    const rebuilt = await this.buildSTP(stp.session_id);
+    return {
+        ...rebuilt,
+        profile_id: stp.profile_id || DEFAULT_PROFILE_ID,
+        calculated_at: stp.calculated_at,
+        saved_at: stp.saved_at,
+        recomputed_at: new Date().toISOString()
+    };
+}
+
+/**
+ * Write rebuilt STPs to the archive and the recent history of whichever
+ * profiles hold them.
+ * @param {Map<string, object|null>} changes - session_id -> new STP, or null to remove it
+ */
+async applySTPChanges(changes) {
+    await this.db.transaction('rw', this.db.stpArchive, this.db.profile, async () => {
+        for (const [sessionId, stp] of changes) {
+            if (stp) await this.db.stpArchive.put(stp);
+            else await this.db.stpArchive.delete(sessionId);
+        }
+
+        const profiles = await this.db.profile.toArray();
+        for (const profile of profiles) {
+            if (!(profile.stpHistory || []).some(stp => changes.has(stp.session_id))) continue;
+            profile.stpHistory = profile.stpHistory
+                .map(stp => changes.has(stp.session_id) ? changes.get(stp.session_id) : stp)
+                .filter(Boolean);
+            profile.lastSTP = profile.stpHistory[0] || null;
+            profile.lastUpdated = new Date().toISOString();
+            await this.db.profile.put(profile);
+        }
+    });
+}
+
+/**
+ * Replay the whole STP archive through LTPBuilder with its current
+ * parameters. The result is only proposed: it is kept as a pending rebuild
+ * until acceptLTPRebuild() or discardLTPRebuild().
+ * @param {{recomputeSTPs?: boolean}} options - also rebuild each STP from
+ *   raw data where the session's rows still exist
+ */
+async rebuildLTP({ recomputeSTPs = false } = {}) {
+    await this.ensureInitialized();
+    const current = await this.ltpBuilder.getCurrentLTP();
+    let history = await this.getFullSTPHistory();
+
+    let recomputed = null;
+    if (recomputeSTPs) {
+        recomputed = [];
+        for (let i = 0; i < history.length; i++) {
+            const rebuilt = await this.rebuildStoredSTP(history[i]);
+            if (!rebuilt) continue; // raw rows already aged out
+            recomputed.push(rebuilt);
+            history[i] = rebuilt;
+        }
+    }
+
+    const pending = {
+        ltp: await this.ltpBuilder.foldSTPs(history, await this.getLTPPrior()),
+        stps: recomputed,
+        stpCount: history.length,
+        base: { last_updated: current.last_updated, sessions_seen: current.sessions_seen },
+        createdAt: new Date().toISOString()
+    };
+    await this.setSystemState(this.getProfileStateKey('ltpRebuild:pending'), pending);
+    console.log('🔁 LTP rebuild proposed from', history.length, 'STPs');
+    return this.describeLTPRebuild(pending, current);
+}
+
+async getPendingLTPRebuild() {
+    const pending = await this.getSystemState(this.getProfileStateKey('ltpRebuild:pending'));
+    if (!pending) return null;
+    return this.describeLTPRebuild(pending, await this.ltpBuilder.getCurrentLTP());
+}
+
+describeLTPRebuild(pending, current) {
+    return {
+        current,
+        rebuilt: pending.ltp,
+        diff: this.ltpBuilder.diffLTP(current, pending.ltp),
+        stpCount: pending.stpCount,
+        recomputedCount: pending.stps ? pending.stps.length : 0,
+        createdAt: pending.createdAt
+    };
+}
+
+/**
+ * Keep the pending rebuild. Refused if a session was folded into the LTP
+ * after the rebuild was computed, since the proposal would drop it.
+ */
+async acceptLTPRebuild() {
+    const pending = await this.getSystemState(this.getProfileStateKey('ltpRebuild:pending'));
+    if (!pending) throw new Error('There is no LTP rebuild to accept');
+
+    const current = await this.ltpBuilder.getCurrentLTP();
+    if (current.last_updated !== pending.base.last_updated || current.sessions_seen !== pending.base.sessions_seen) {
+        await this.discardLTPRebuild();
+        throw new Error('Your profile changed after this rebuild was computed. Rebuild it again.');
+    }
+
+    if (pending.stps?.length) {
+        await this.applySTPChanges(new Map(pending.stps.map(stp => [stp.session_id, stp])));
+    }
+    await this.ltpBuilder.saveLTPToProfile(pending.ltp);
+    await this.discardLTPRebuild();
+
+    try {
+        await this.generateFacts('ltp');
+    } catch (error) {
+        console.warn('⚠️ Fact generation after LTP rebuild failed:', error);
+    }
+    this.triggerSummaryGeneration();
+
+    console.log('✅ LTP rebuild accepted');
+    return { accepted: true, ltp: pending.ltp };
+}
+
+async discardLTPRebuild(profileId = this.activeProfileId) {
+    await this.ensureInitialized();
+    await this.db.systemState.delete(this.getProfileStateKey('ltpRebuild:pending', profileId));
+    return { discarded: true };
+}
+
+/**
+ * Profile evolution for the dashboard timeline. The STP archive is replayed
+ * (see foldSTPs) so every session also yields the LTP as it stood right
+ * after it; sessions are then grouped into day, week or month buckets.
+ * Topics are rolled up to taxonomy roots.
+ * @param {{zoom?: 'day'|'week'|'month', from?: string, to?: string}} options
+ */
+async getProfileTimeline({ zoom = 'day', from = null, to = null } = {}) {
+    await this.ensureInitialized();
+    if (!TIMELINE_ZOOMS.includes(zoom)) throw new Error(`Unknown timeline zoom: ${zoom}`);
+
+    const index = await this.getTopicIndex();
+    const rootOf = (label) => {
+        const row = resolveTopic(index, label);
+        return row ? getTopicPath(index, row.topicId)[0] : label;
+    };
+    const rollUp = (scores) => {
+        const rolled = {};
+        Object.entries(scores || {}).forEach(([label, score]) => {
+            if (label === UNKNOWN_TOPIC || !(score > 0)) return;
+            const root = rootOf(label);
+            rolled[root] = (rolled[root] || 0) + score;
+        });
+        return rolled;
+    };
+    const shares = (scores) => {
+        const rolled = rollUp(scores);
+        const total = Object.values(rolled).reduce((sum, score) => sum + score, 0);
+        Object.keys(rolled).forEach(topic => { rolled[topic] = total > 0 ? rolled[topic] / total : 0; });
+        return rolled;
+    };
+
+    // Replay from the start: the LTP at any point depends on everything before it
+    const prior = await this.getLTPPrior();
+    const points = [];
+    let previousShares = prior ? shares(prior.topics) : {};
+    await this.ltpBuilder.foldSTPs(await this.getFullSTPHistory(), prior, (stp, ltp) => {
+        const ltpShares = shares(ltp.topic_cumulative);
+        const changes = [...new Set([...Object.keys(ltpShares), ...Object.keys(previousShares)])]
+            .map(topic => ({ topic, delta: (ltpShares[topic] || 0) - (previousShares[topic] || 0) }))
+            .filter(change => Math.abs(change.delta) >= 0.005)
+            .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta))
+            .slice(0, 3);
+        previousShares = ltpShares;
+
+        points.push({
+            sessionId: stp.session_id,
+            at: stp.calculated_at,
+            dominantTopic: stp.dominant_topic || null,
+            lengthMin: stp.session_length_min || 0,
+            engagement: stp.engagement_confidence || 0,
+            entropy: stp.diversity_entropy || 0,
+            intents: stp.intent_scores || {},
+            stpTopics: rollUp(Object.fromEntries(
+                Object.entries(stp.topic_cumulative || {}).map(([topic, data]) => [topic, data?.normalizedWeight || 0])
+            )),
+            changes,
+            ltp: {
+                topics: ltpShares,
+                focus: ltp.ewma_focus,
+                depth: ltp.ewma_depth,
+                confidence: ltp.confidence,
+                sessionsSeen: ltp.sessions_seen
+            }
+        });
+    });
+
+    const fromTime = from ? new Date(from).getTime() : -Infinity;
+    const toTime = to ? new Date(to).getTime() : Infinity;
+    const buckets = new Map();
+    points
+        .filter(point => {
+            const time = new Date(point.at).getTime();
+            return time >= fromTime && time <= toTime;
+        })
+        .forEach(point => {
+            const start = this.getTimelineBucketStart(point.at, zoom);
+            const key = start.toISOString();
+            if (!buckets.has(key)) buckets.set(key, { start: key, end: this.getTimelineBucketEnd(start, zoom).toISOString(), points: [] });
+            buckets.get(key).points.push(point);
+        });
+
+    const average = (values) => values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+    const averageMaps = (maps) => {
+        const totals = {};
+        maps.forEach(map => Object.entries(map).forEach(([key, value]) => { totals[key] = (totals[key] || 0) + value; }));
+        Object.keys(totals).forEach(key => { totals[key] /= maps.length; });
+        return totals;
+    };
+
+    const result = [...buckets.values()].map(bucket => {
+        const last = bucket.points[bucket.points.length - 1];
+        return {
+            start: bucket.start,
+            end: bucket.end,
+            // The LTP as it stood at the end of the bucket
+            ltp: last.ltp,
+            stp: {
+                topics: averageMaps(bucket.points.map(point => point.stpTopics)),
+                intents: averageMaps(bucket.points.map(point => point.intents)),
+                entropy: average(bucket.points.map(point => point.entropy)),
+                engagement: average(bucket.points.map(point => point.engagement))
+            },
+            sessions: bucket.points.map(({ sessionId, at, dominantTopic, lengthMin, engagement, changes }) =>
+                ({ sessionId, at, dominantTopic, lengthMin, engagement, changes }))
+        };
+    });
+
+    const peak = {};
+    result.forEach(bucket => Object.entries(bucket.ltp.topics).forEach(([topic, share]) => {
+        peak[topic] = Math.max(peak[topic] || 0, share);
+    }));
+
+    return {
+        zoom,
+        topics: Object.entries(peak).sort((a, b) => b[1] - a[1]).slice(0, TIMELINE_MAX_TOPICS).map(([topic]) => topic),
+        buckets: result,
+        sessionCount: result.reduce((sum, bucket) => sum + bucket.sessions.length, 0),
+        seeded: !!prior
+    };
+}
+
+getTimelineBucketStart(at, zoom) {
+    const date = new Date(at);
+    const start = new Date(date.getFullYear(), date.getMonth(), zoom === 'month' ? 1 : date.getDate());
+    if (zoom === 'week') start.setDate(start.getDate() - (start.getDay() + 6) % 7); // Monday
+    return start;
+}
+
+getTimelineBucketEnd(start, zoom) {
+    const end = new Date(start);
+    if (zoom === 'month') end.setMonth(end.getMonth() + 1);
+    else end.setDate(end.getDate() + (zoom === 'week' ? 7 : 1));
+    return end;
+}
+
+/**
+ * One session's STP with the pages and searches it was built from, for
+ * click-through from the timeline. Raw rows may already be forgotten or
+ * cleared, in which case only the STP is left.
+ */
+async getSessionDetail(sessionId) {
+    await this.ensureInitialized();
+    const [session, stp, searches, behaviors] = await Promise.all([
+        this.db.sessions.get(sessionId),
+        this.db.stpArchive.get(sessionId),
+        this.db.searches.where('sessionId').equals(sessionId).toArray(),
+        this.db.urlBehaviors.where('sessionId').equals(sessionId).toArray()
+    ]);
+    if (!session && !stp) throw new Error(`Unknown session: ${sessionId}`);
+
+    const topicLabels = (topicDomains) => (Array.isArray(topicDomains) ? topicDomains : [])
+        .filter(td => td?.topic && td.topic !== UNKNOWN_TOPIC)
+        .sort((a, b) => (b.weight || 0) - (a.weight || 0))
+        .slice(0, 3)
+        .map(td => td.topic);
+
+    const pages = new Map();
+    behaviors.forEach(behavior => {
+        const page = pages.get(behavior.url) || { url: behavior.url, domain: behavior.domain, activeTime: 0, visits: 0, topics: [] };
+        page.activeTime += behavior.activeTime || 0;
+        page.visits += 1;
+        if (behavior.topicDomains) page.topics = topicLabels(behavior.topicDomains);
+        pages.set(behavior.url, page);
+    });
+
+    return {
+        sessionId,
+        startTime: session?.startTime || null,
+        endTime: session?.endTime || null,
+        endReason: session?.endReason || null,
+        stp: stp ? {
+            calculated_at: stp.calculated_at,
+            dominant_topic: stp.dominant_topic,
+            intent_focus: stp.intent_focus,
+            engagement_confidence: stp.engagement_confidence,
+            diversity_entropy: stp.diversity_entropy,
+            session_length_min: stp.session_length_min,
+            topics: Object.entries(stp.topic_cumulative || {})
+                .map(([topic, data]) => ({ topic, weight: data?.normalizedWeight || 0 }))
+                .sort((a, b) => b.weight - a.weight)
+        } : null,
+        pages: [...pages.values()].sort((a, b) => b.activeTime - a.activeTime).slice(0, SESSION_DETAIL_LIMIT),
+        searches: searches
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+            .slice(0, SESSION_DETAIL_LIMIT)
+            .map(search => ({
+                searchId: search.searchId,
+                query: search.query,
+                timestamp: search.timestamp,
+                topics: topicLabels(search.topicDomains)
+            }))
+    };
+}
+/**
+ * Why a topic scores what it does, for the dashboard's explain drawer. The
+ * topic includes its subtopics, like the lattice cards.
+ *
+ * For the LTP the STP archive is replayed (see foldSTPs) to find how much of
+ * the topic's score each session still holds: its STP rawScore, times the
+ * engagement weight it was merged with, times the time decay applied since.
+ * Each session's share is then split across its searches and pages with the
+ * buildSearchTopicMap/buildUrlTopicMap formulas, with topic corrections
+ * applied as the builders apply them. What remains of the onboarding prior, and any gap to the stored score (sessions from before
+ * the archive, parameters changed without a rebuild), are listed separately.
+ * @param {string} topic - topic name, alias or unresolved label
+ * @param {'ltp'|'stp'} view
+ */
+async explainTopic(topic, view = 'ltp') {
+    await this.ensureInitialized();
+    const label = String(topic || '').trim();
+    if (!label) throw new Error('Topic is required');
+
+    const index = await this.getTopicIndex();
+    const row = resolveTopic(index, label);
+    const subtree = new Set();
+    const collect = (topicRow) => {
+        subtree.add(topicRow.topicId);
+        index.childrenOf.get(topicRow.topicId).forEach(collect);
+    };
+    if (row) collect(row);
+    const matches = (name) => {
+        if (typeof name !== 'string') return false;
+        const resolved = resolveTopic(index, name);
+        return row ? !!resolved && subtree.has(resolved.topicId) : !resolved && name.trim().toLowerCase() === label.toLowerCase();
+    };
+    const sumMatching = (map, value) => Object.entries(map || {})
+        .reduce((sum, [name, data]) => matches(name) ? sum + (Number(value(data)) || 0) : sum, 0);
+
+    const sessions = new Map(); // session_id -> { stp, rawScore, weight, decay }
+    let priorScore = 0;
+    let storedScore;
+    let viewTotal;
+    let priorLabel = null;
 
-        // Add new STP to history (limit to last 50 sessions)
-        profile.stpHistory.unshift({
-            ...stpData,
-            saved_at: new Date().toISOString()
-        });
+    if (view === 'stp') {
+        const stp = await this.getLastSTP();
+        const rawScore = sumMatching(stp?.topic_cumulative, data => data?.rawScore);
+        if (rawScore > 0) sessions.set(stp.session_id, { stp, rawScore, weight: 1, decay: 1 });
+        storedScore = rawScore;
+        viewTotal = Object.values(stp?.topic_cumulative || {}).reduce((sum, data) => sum + (data?.rawScore || 0), 0);
+    } else {
+        const prior = await this.getLTPPrior();
+        let previous = prior ? this.ltpBuilder.seedLTP(prior) : this.ltpBuilder.getEmptyLTP();
+        const ltp = await this.ltpBuilder.foldSTPs(await this.getFullSTPHistory(), prior, (stp, next) => {
+            const coldStart = this.ltpBuilder.needsColdStart(previous);
+            if (coldStart) {
+                sessions.clear();
+            } else {
+                const decay = this.ltpBuilder.calculateTimeDecay(previous.last_updated, stp.calculated_at);
+                sessions.forEach(entry => { entry.decay *= decay; });
+            }
+            previous = next;
+            if (!next.last_updated) return; // Below the cold start engagement gate
 
-        // Keep only last 50 STP records
-        if (profile.stpHistory.length > 50) {
-            profile.stpHistory = profile.stpHistory.slice(0, 50);
-        }
+            const rawScore = sumMatching(this.ltpBuilder.getSTPTopicScores(stp), value => value);
+            if (rawScore > 0) {
+                // Same weights as coldStartLTP / updateLTP
+                sessions.set(stp.session_id, { stp, rawScore, weight: coldStart ? 1 : (stp.engagement_confidence || 0.5), decay: 1 });
+            }
+        });
 
-        // Update last STP
-        profile.lastSTP = stpData;
-        profile.lastUpdated = new Date().toISOString();
+        const stored = await this.ltpBuilder.getCurrentLTP();
+        priorScore = sumMatching(ltp.prior?.topics, value => value);
+        priorLabel = ltp.prior?.label || null;
+        storedScore = sumMatching(stored.topic_cumulative, value => value);
+        viewTotal = Object.values(stored.topic_cumulative || {}).reduce((sum, value) => sum + (value || 0), 0);
+    }
 
-        // Use put() with explicit key
-        await this.db.profile.put(profile, 'default');
-        
-        console.log('💾 STP saved to profile:', {
-            sessionId: stpData.session_id,
-            topics: Object.keys(stpData.topic_cumulative).length,
-            dominantTopic: stpData.dominant_topic
+    const entries = [...sessions.entries()].map(([sessionId, entry]) => ({
+        sessionId,
+        ...entry,
+        contribution: entry.rawScore * entry.weight * entry.decay
+    }));
+    const explained = entries.reduce((sum, entry) => sum + entry.contribution, 0) + priorScore;
+    const unexplained = Math.abs(storedScore - explained) > 1e-6 ? storedScore - explained : 0;
+    const basis = explained + Math.max(0, unexplained);
+    const percent = (score) => basis > 0 ? score / basis * 100 : 0;
+
+    const items = [];
+    for (const entry of entries) {
+        const [searches, behaviors] = await Promise.all([
+            this.db.searches.where('sessionId').equals(entry.sessionId).toArray(),
+            this.db.urlBehaviors.where('sessionId').equals(entry.sessionId).toArray()
+        ]);
+        const boostFor = view === 'stp' ? () => 1 : this.topicCorrections.boostFor;
+        const sessionItems = this.getTopicEvidence(searches, behaviors, matches, boostFor);
+        const rawTotal = sessionItems.reduce((sum, item) => sum + item.raw, 0);
+        entry.itemCount = sessionItems.length;
+
+        // Items share the session's stored contribution in proportion to
+        // their recomputed raw scores, so they add up even if rows changed
+        sessionItems.forEach(({ raw, ...item }) => {
+            const contribution = rawTotal > 0 ? entry.contribution * raw / rawTotal : 0;
+            items.push({ ...item, sessionId: entry.sessionId, decay: entry.decay, contribution, percent: percent(contribution) });
         });
-        
-        return { success: true };
-    } catch (error) {
-        console.error('❌ Failed to save STP to profile:', error);
-        
-        // Emergency repair and retry
-       
-        return { success: false, error: error.message };
     }
-}
 
-/**
- * Get STP history from profile
- */
-async getSTPHistory(limit = 10) {
-    const profile = await this.getProfile();
-    return (profile.stpHistory || []).slice(0, limit);
+    return {
+        topic: row ? row.name : label,
+        topicId: row ? row.topicId : null,
+        path: row ? getTopicPath(index, row.topicId) : [label],
+        includes: row ? [...subtree].map(topicId => index.byId.get(topicId).name) : [label],
+        view: view === 'stp' ? 'stp' : 'ltp',
+        muted: this.topicCorrections.isMuted(row ? row.name : label),
+        boost: this.topicCorrections.boostFor(row ? row.name : label),
+        score: storedScore,
+        share: viewTotal > 0 ? storedScore / viewTotal : 0,
+        decayDays: view === 'stp' ? null : 1 / this.ltpBuilder.DECAY_CONSTANT,
+        decayedAway: entries.reduce((sum, entry) => sum + entry.rawScore * entry.weight * (1 - entry.decay), 0),
+        prior: priorScore > 0 ? { label: priorLabel, score: priorScore, percent: percent(priorScore) } : null,
+        unexplained: unexplained !== 0 ? { score: unexplained, percent: percent(Math.max(0, unexplained)) } : null,
+        sessions: entries
+            .map(entry => ({
+                sessionId: entry.sessionId,
+                at: entry.stp.calculated_at,
+                dominantTopic: entry.stp.dominant_topic || null,
+                engagement: entry.stp.engagement_confidence || 0,
+                rawScore: entry.rawScore,
+                weight: entry.weight,
+                decay: entry.decay,
+                contribution: entry.contribution,
+                percent: percent(entry.contribution),
+                itemCount: entry.itemCount
+            }))
+            .sort((a, b) => b.contribution - a.contribution),
+        items: items.sort((a, b) => b.contribution - a.contribution).slice(0, EXPLAIN_TOPIC_ITEM_LIMIT),
+        itemCount: items.length
+    };
 }
 
 /**
- * Get last STP from profile
+ * A session's searches and pages that count toward the matching topics,
+ * each with its raw score as buildSTP computes it (search or URL topic map
+ * contribution times searchWeight/urlWeight). Visits to the same URL are
+ * combined.
+ * @param {Function} matches - topic label -> boolean
+ * @param {Function} [boostFor] - topic label -> LTP boost factor
  */
-async getLastSTP() {
-    const profile = await this.getProfile();
-    return profile.lastSTP || null;
+getTopicEvidence(searches, urlBehaviors, matches, boostFor = () => 1) {
+    const { searchWeight, urlWeight } = this.profileParameters;
+    const clamp = (value) => Math.max(0, Math.min(1, value));
+    const matchingWeight = (topicDomains) => (Array.isArray(topicDomains) ? topicDomains : [])
+        .filter(td => td?.topic && td.weight != null && td.weight > 0 && td.topic.trim() && matches(td.topic.trim()))
+        .reduce((sum, td) => sum + clamp(td.weight) * boostFor(td.topic.trim()), 0);
+    const corrected = (topicDomains, targetType, target) => this.topicCorrections.overrideFor(targetType, target) || topicDomains;
+    const topicNames = (topicDomains) => (Array.isArray(topicDomains) ? topicDomains : [])
+        .filter(td => td?.topic)
+        .map(td => td.topic);
+
+    const items = [];
+    searches.forEach(search => {
+        if (!search.processed || search.confidence == null || search.specificity == null) return;
+        const intentMultiplier = this.getIntentMultiplier(search.intentType);
+        const searchQuality = (search.specificity || 0) * (search.confidence || 0) * intentMultiplier;
+        const topicDomains = corrected(search.topicDomains, 'search', search.query);
+        const topicWeight = matchingWeight(topicDomains);
+        if (searchQuality <= 0 || topicWeight <= 0) return;
+
+        items.push({
+            type: 'search',
+            searchId: search.searchId,
+            query: search.query,
+            at: search.timestamp,
+            intentType: search.intentType || null,
+            confidence: search.confidence,
+            specificity: search.specificity,
+            intentMultiplier,
+            topicWeight,
+            topics: topicNames(topicDomains),
+            reclassified: topicDomains !== search.topicDomains,
+            raw: searchWeight * searchQuality * topicWeight
+        });
+    });
+
+    const pages = new Map();
+    urlBehaviors.forEach(behavior => {
+        if (behavior.engagementScore == null) return;
+        const engagementNorm = clamp((behavior.engagementScore || 0) / 100);
+        const topicDomains = corrected(behavior.topicDomains, 'url', behavior.url);
+        const topicWeight = matchingWeight(topicDomains);
+        if (engagementNorm <= 0 || topicWeight <= 0) return;
+
+        const page = pages.get(behavior.url) || {
+            type: 'url',
+            url: behavior.url,
+            domain: behavior.domain,
+            at: behavior.startTime,
+            visits: 0,
+            engagementScore: 0,
+            topicWeight: 0,
+            topics: topicNames(topicDomains),
+            reclassified: topicDomains !== behavior.topicDomains,
+            raw: 0
+        };
+        page.visits += 1;
+        page.engagementScore = Math.max(page.engagementScore, behavior.engagementScore);
+        page.topicWeight = Math.max(page.topicWeight, topicWeight);
+        page.raw += urlWeight * engagementNorm * topicWeight;
+        pages.set(behavior.url, page);
+    });
+
+    return [...items, ...pages.values()];
 }
 async aggregateDomainData(sessionId, domain, behaviors) {
     // Calculate aggregated metrics
@@ -2654,8 +4446,9 @@ calculateTopicDistribution(behaviors) {
   const topicWeights = {};
   
   behaviors.forEach(behavior => {
-    if (behavior.topicDomains && Array.isArray(behavior.topicDomains)) {
-      behavior.topicDomains.forEach(topicDomain => {
+    const topicDomains = this.topicCorrections.overrideFor('url', behavior.url) || behavior.topicDomains;
+    if (topicDomains && Array.isArray(topicDomains)) {
+      topicDomains.forEach(topicDomain => {
         if (topicDomain.topic && topicDomain.weight) {
           topicWeights[topicDomain.topic] = (topicWeights[topicDomain.topic] || 0) + topicDomain.weight;
         }
@@ -2714,14 +4507,25 @@ async addToAIQueue(taskData) {
         createdAt: new Date().toISOString(),
         processed: false,
         processedAt: null,
-        data: taskData.data // Complete payload
+        data: taskData.data, // Complete payload
+
+        // Journal / lease state (see AI Queue Leases below)
+        taskId: taskData.taskId || null,
+        origin: taskData.origin || 'scheduler', // 'scheduler' | 'orchestrator'
+        status: taskData.status || 'pending',   // 'pending' | 'queued' | 'running' | 'done' | 'failed'
+        tabId: taskData.tabId ?? null,
+        attempts: 0,
+        leaseOwner: taskData.leaseOwner || null,
+        leaseExpiresAt: taskData.leaseOwner ? this.getLeaseExpiry(taskData.leaseMs) : null,
+        heartbeatAt: taskData.leaseOwner ? new Date().toISOString() : null
     };
     
     const id = await this.db.aiQueue.add(aiTask);
     console.log('✅ Task queued for AI processing:', {
         id,
         type: taskData.type,
-        priority: aiTask.priority
+        priority: aiTask.priority,
+        origin: aiTask.origin
     });
     
     return id;
@@ -2735,7 +4539,7 @@ async getPendingAITasks(limit = 5) {
       
   try {
     const allPending = await this.db.aiQueue
-      .filter(task => task.processed === false)
+      .filter(task => this.isSchedulableAITask(task))
       .toArray();
 
     // Higher priority first (larger number = higher priority), then older createdAt first
@@ -2764,7 +4568,7 @@ async removeAITasksByQuery(query) {
   try {
     // read all pending tasks then filter by nested data.query
     const allPending = await this.db.aiQueue
-      .filter(task => task.processed === false)
+      .filter(task => task.processed === false && task.origin !== 'orchestrator')
       .toArray();
 
     const matchingTasks = allPending.filter(task =>
@@ -2790,7 +4594,7 @@ async getPendingAITasksCount() {
   await this.ensureInitialized();
   try {
     const pendingTasks = await this.db.aiQueue
-      .filter(task => task.processed === false)
+      .filter(task => this.isSchedulableAITask(task))
       .count();
     console.log(`Pending tasks: ${pendingTasks}`);
     return pendingTasks;
@@ -2800,6 +4604,222 @@ async getPendingAITasksCount() {
   }
 }
 
+// ---------------------------------
+// 🔹 AI Queue Leases (crash-safe orchestrator journal)
+// ---------------------------------
+// Every task the AIOrchestrator queues is journaled here. The owning worker
+// holds a lease it renews on a heartbeat; if the service worker dies, the
+// lease goes stale and the next worker reclaims the row and either resumes
+// or fails it.
+
+getLeaseExpiry(leaseMs = 30000) {
+  return new Date(Date.now() + leaseMs).toISOString();
+}
+
+/**
+ * Rows the background scheduler may pick up: unprocessed scheduler work
+ * that no live worker currently holds.
+ */
+isSchedulableAITask(task) {
+  if (task.processed !== false || task.origin === 'orchestrator') return false;
+  if (!task.leaseOwner) return true;
+  return !task.leaseExpiresAt || new Date(task.leaseExpiresAt) <= new Date();
+}
+
+/**
+ * Take (or refresh) a lease on an existing row so the orchestrator can run it
+ */
+async acquireAITaskLease(id, owner, leaseMs = 30000) {
+  await this.ensureInitialized();
+  try {
+    const now = new Date().toISOString();
+    const updated = await this.db.aiQueue.update(id, {
+      status: 'queued',
+      leaseOwner: owner,
+      leaseExpiresAt: this.getLeaseExpiry(leaseMs),
+      heartbeatAt: now
+    });
+    return updated > 0;
+  } catch (error) {
+    console.error('❌ Failed to acquire AI task lease:', error.message || error);
+    return false;
+  }
+}
+
+/**
+ * Mark a leased row as running and count the attempt
+ */
+async markAITaskRunning(id, owner, leaseMs = 30000) {
+  await this.ensureInitialized();
+  try {
+    return await this.db.transaction('rw', this.db.aiQueue, async () => {
+      const task = await this.db.aiQueue.get(id);
+      if (!task) return null;
+
+      const attempts = (task.attempts || 0) + 1;
+      await this.db.aiQueue.update(id, {
+        status: 'running',
+        attempts,
+        leaseOwner: owner,
+        leaseExpiresAt: this.getLeaseExpiry(leaseMs),
+        heartbeatAt: new Date().toISOString()
+      });
+      return attempts;
+    });
+  } catch (error) {
+    console.error('❌ Failed to mark AI task running:', error.message || error);
+    return null;
+  }
+}
+
+/**
+ * Heartbeat: extend every lease the given worker still holds
+ */
+async renewAITaskLeases(owner, leaseMs = 30000) {
+  await this.ensureInitialized();
+  try {
+    const now = new Date().toISOString();
+    const expiry = this.getLeaseExpiry(leaseMs);
+    return await this.db.aiQueue
+      .where('leaseOwner')
+      .equals(owner)
+      .modify(task => {
+        task.leaseExpiresAt = expiry;
+        task.heartbeatAt = now;
+      });
+  } catch (error) {
+    console.error('❌ Failed to renew AI task leases:', error.message || error);
+    return 0;
+  }
+}
+
+/**
+ * Finish a journaled task. Orchestrator rows are removed; scheduler rows
+ * just drop their lease (the task method itself marks them processed). A
+ * scheduler row that has failed maxAttempts times is marked failed instead
+ * of going back to pending.
+ */
+async settleAITask(id, outcome = {}, { maxAttempts = 2 } = {}) {
+  await this.ensureInitialized();
+  try {
+    const task = await this.db.aiQueue.get(id);
+    if (!task) return { success: true, removed: false };
+
+    if (task.origin === 'orchestrator') {
+      await this.db.aiQueue.delete(id);
+      return { success: true, removed: true };
+    }
+
+    const exhausted = !outcome.success && (task.attempts || 0) >= maxAttempts;
+    const finished = outcome.success || exhausted;
+    await this.db.aiQueue.update(id, {
+      status: outcome.success ? 'done' : (exhausted ? 'failed' : 'pending'),
+      processed: finished ? true : task.processed,
+      processedAt: finished ? new Date().toISOString() : task.processedAt,
+      leaseOwner: null,
+      leaseExpiresAt: null,
+      lastError: outcome.error || null
+    });
+    return { success: true, removed: false };
+  } catch (error) {
+    console.error('❌ Failed to settle AI task:', error.message || error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Give up on a journaled task for good
+ */
+async failAITask(id, errorMessage) {
+  await this.ensureInitialized();
+  try {
+    const task = await this.db.aiQueue.get(id);
+    if (!task) return { success: true };
+
+    if (task.origin === 'orchestrator') {
+      await this.db.aiQueue.delete(id);
+    } else {
+      await this.db.aiQueue.update(id, {
+        status: 'failed',
+        processed: true,
+        processedAt: new Date().toISOString(),
+        leaseOwner: null,
+        leaseExpiresAt: null,
+        lastError: errorMessage || null
+      });
+    }
+    console.warn('⚠️ AI task failed permanently:', { id, type: task.type, error: errorMessage });
+    return { success: true };
+  } catch (error) {
+    console.error('❌ Failed to fail AI task:', error.message || error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Reclaim rows whose lease holder is gone. With reclaimForeign every lease
+ * not held by `owner` counts as stale (only one service worker can be alive,
+ * so on startup anything held by someone else is orphaned); otherwise only
+ * expired leases are taken.
+ *
+ * Scheduler rows are handed back to the scheduler (or failed once they run
+ * out of attempts). Orchestrator rows are re-leased to `owner` and returned
+ * with their previous status so the caller can resume or fail them.
+ */
+async reclaimStaleAITasks(owner, { leaseMs = 30000, maxAttempts = 2, reclaimForeign = false } = {}) {
+  await this.ensureInitialized();
+  try {
+    return await this.db.transaction('rw', this.db.aiQueue, async () => {
+      const now = new Date();
+      const stale = await this.db.aiQueue
+        .filter(task =>
+          !!task.leaseOwner &&
+          task.leaseOwner !== owner &&
+          (task.status === 'queued' || task.status === 'running') &&
+          (reclaimForeign || !task.leaseExpiresAt || new Date(task.leaseExpiresAt) <= now)
+        )
+        .toArray();
+
+      const reclaimed = [];
+      for (const task of stale) {
+        const previousStatus = task.status;
+
+        if (task.origin !== 'orchestrator') {
+          const exhausted = previousStatus === 'running' && (task.attempts || 0) >= maxAttempts;
+          await this.db.aiQueue.update(task.id, {
+            status: exhausted ? 'failed' : 'pending',
+            processed: exhausted ? true : task.processed,
+            processedAt: exhausted ? now.toISOString() : task.processedAt,
+            leaseOwner: null,
+            leaseExpiresAt: null,
+            lastError: exhausted ? 'Worker terminated during processing' : null
+          });
+          continue;
+        }
+
+        await this.db.aiQueue.update(task.id, {
+          status: 'queued',
+          leaseOwner: owner,
+          leaseExpiresAt: this.getLeaseExpiry(leaseMs),
+          heartbeatAt: now.toISOString()
+        });
+        reclaimed.push({ ...task, previousStatus, status: 'queued', leaseOwner: owner });
+      }
+
+      if (stale.length > 0) {
+        console.log(`♻️ Reclaimed ${stale.length} stale AI queue tasks`, {
+          orchestrator: reclaimed.length,
+          scheduler: stale.length - reclaimed.length
+        });
+      }
+      return reclaimed;
+    });
+  } catch (error) {
+    console.error('❌ Failed to reclaim stale AI tasks:', error.message || error);
+    return [];
+  }
+}
+
 
 
 /**
@@ -2987,13 +5007,6 @@ async getDomainSummary(sessionId) {
     }));
 }
 
-/**
- * Get current active session
- */
-async getCurrentSession() {
-    await this.ensureInitialized();
-    return await this.db.sessions.where('isActive').equals(1).first();
-}
 
 
 
@@ -3031,14 +5044,16 @@ async getRecentSnapshots(limit = 20) {
     // ---------------------------------
     // 🔹 Profile management
     // ---------------------------------
-async getProfile() {
+async getProfile(profileId = this.activeProfileId) {
     await this.ensureInitialized();
-    const profile = await this.db.profile.get('default');
+    const profile = await this.db.profile.get(profileId);
     
-    const currentProfile = profile || this.getDefaultProfile();
+    const currentProfile = profile || this.getDefaultProfile(profileId);
     
-    // If lastSTP is null, return demo profile with populated data for UI
-    if (currentProfile.lastSTP === null) {
+    // If lastSTP is null, return demo profile with populated data for UI,
+    // unless onboarding already seeded a real LTP. Named profiles the user
+    // created start empty instead.
+    if (profileId === DEFAULT_PROFILE_ID && currentProfile.lastSTP === null && !currentProfile.ltp?.prior) {
         return {
             
             ...this.getDemoProfileData() // Add demo data for dashboard
@@ -3133,63 +5148,554 @@ getDemoProfileData() {
 }
 
 
-    async saveProfile(profile) {
+    async saveProfile(profile) {
+        await this.ensureInitialized();
+        profile.lastUpdated = new Date().toISOString();
+        return await this.db.profile.put(profile);
+    }
+
+    async updateProfileStats(type) {
+        await this.ensureInitialized();
+        const profile = await this.getProfile();
+
+        if (!profile.stats) {
+            profile.stats = this.getDefaultStats();
+        }
+
+        switch (type) {
+            case 'snapshot':
+                profile.stats.totalSnapshots++;
+                break;
+            case 'search':
+                profile.stats.totalSearches++;
+                break;
+            case 'browsing':
+                profile.stats.totalBrowsingTime++;
+                break;
+        }
+
+        return await this.saveProfile(profile);
+    }
+
+    // ---------------------------------
+    // 🔹 Snapshot management
+    // ---------------------------------
+  
+
+    async getRecentSnapshots(limit = 20) {
+        await this.ensureInitialized();
+        return await this.db.snapshots
+            .orderBy('timestamp')
+            .reverse()
+            .limit(limit)
+            .toArray();
+    }
+
+    async getSnapshot(snapshotId) {
+        await this.ensureInitialized();
+        return await this.db.snapshots.get(snapshotId) || null;
+    }
+
+    /**
+     * The library's snapshot of a page; there is at most one per canonical URL.
+     */
+    async getSnapshotByCanonicalUrl(canonicalUrl) {
+        await this.ensureInitialized();
+        if (!canonicalUrl) return null;
+        return await this.db.snapshots.where('canonicalUrl').equals(canonicalUrl).first() || null;
+    }
+
+    /**
+     * 🔧 Derived index fields of a snapshot row (see snapshotLibrary.js).
+     * Applied on save, on label edits, on import and by the v19 upgrade.
+     */
+    indexSnapshot(snapshot) {
+        const indexed = {
+            canonicalUrl: snapshot.canonicalUrl || canonicalizeSnapshotUrl(snapshot.url) || snapshot.url || '',
+            domain: snapshot.domain || getSnapshotDomain(snapshot.url),
+            tags: normalizeSnapshotLabels('tag', snapshot.tags),
+            collections: normalizeSnapshotLabels('collection', snapshot.collections),
+            topics: [...new Set((snapshot.topics || []).map(topic => String(topic).trim()).filter(Boolean))]
+        };
+        indexed.terms = buildSnapshotTerms({ ...snapshot, ...indexed });
+        return indexed;
+    }
+
+    /**
+     * Search the snapshot library. The most selective index narrows the
+     * candidates; the remaining filters run in memory.
+     * @param {object} options - { query, tag, collection, topic, domain, from, to, sort, offset, limit }
+     * @returns {{ snapshots, total, offset, limit, sort }}
+     */
+    async querySnapshots(options = {}) {
+        await this.ensureInitialized();
+        const query = normalizeSnapshotQuery(options);
+
+        let candidates;
+        if (query.terms.length > 0) {
+            const longest = [...query.terms].sort((a, b) => b.length - a.length)[0];
+            candidates = this.db.snapshots.where('terms').startsWith(longest).distinct();
+        } else if (query.collection) {
+            candidates = this.db.snapshots.where('collections').equalsIgnoreCase(query.collection);
+        } else if (query.tag) {
+            candidates = this.db.snapshots.where('tags').equals(query.tag);
+        } else if (query.topic) {
+            candidates = this.db.snapshots.where('topics').equals(query.topic);
+        } else {
+            candidates = this.db.snapshots.toCollection();
+        }
+
+        const sameLabel = (labels, label) => (labels || []).some(value => value.toLowerCase() === label.toLowerCase());
+        const matches = await candidates.filter(snapshot =>
+            (query.terms.length === 0 || matchesSnapshotQuery(snapshot, query.terms)) &&
+            (!query.collection || sameLabel(snapshot.collections, query.collection)) &&
+            (!query.tag || (snapshot.tags || []).includes(query.tag)) &&
+            (!query.topic || (snapshot.topics || []).includes(query.topic)) &&
+            (!query.domain || snapshot.domain === query.domain || String(snapshot.domain).endsWith(`.${query.domain}`)) &&
+            (!query.from || snapshot.timestamp >= query.from) &&
+            (!query.to || snapshot.timestamp <= query.to)
+        ).toArray();
+
+        const newest = (a, b) => String(b.timestamp).localeCompare(String(a.timestamp));
+        if (query.sort === 'relevance') {
+            const scores = new Map(matches.map(snapshot => [snapshot.snapshotId, scoreSnapshot(snapshot, query.terms)]));
+            matches.sort((a, b) => (scores.get(b.snapshotId) - scores.get(a.snapshotId)) || newest(a, b));
+        } else if (query.sort === 'oldest') {
+            matches.sort((a, b) => newest(b, a));
+        } else if (query.sort === 'domain') {
+            matches.sort((a, b) => String(a.domain).localeCompare(String(b.domain)) || newest(a, b));
+        } else {
+            matches.sort(newest);
+        }
+
+        return {
+            // Terms only serve the index; the dashboard never needs them
+            snapshots: matches.slice(query.offset, query.offset + query.limit).map(({ terms, ...snapshot }) => snapshot),
+            total: matches.length,
+            offset: query.offset,
+            limit: query.limit,
+            sort: query.sort
+        };
+    }
+
+    /**
+     * Snapshots to export: the given ids, or every match of a library query
+     * in its sort order.
+     */
+    async getSnapshotsForExport({ snapshotIds = null, query = {} } = {}) {
+        await this.ensureInitialized();
+        if (Array.isArray(snapshotIds)) {
+            return (await this.db.snapshots.bulkGet(snapshotIds)).filter(Boolean);
+        }
+        const snapshots = [];
+        for (let offset = 0; ; offset += 100) {
+            const page = await this.querySnapshots({ ...query, offset, limit: 100 });
+            snapshots.push(...page.snapshots);
+            if (offset + page.limit >= page.total) return snapshots;
+        }
+    }
+
+    /**
+     * Filter options for the library: every tag, collection, topic and
+     * domain in use, with how many snapshots carry it.
+     */
+    async getSnapshotFacets() {
+        await this.ensureInitialized();
+        const facet = async (index) => {
+            const keys = (await this.db.snapshots.orderBy(index).uniqueKeys()).filter(Boolean);
+            const counts = await Promise.all(keys.map(key => this.db.snapshots.where(index).equals(key).count()));
+            return keys
+                .map((value, i) => ({ value, count: counts[i] }))
+                .sort((a, b) => (b.count - a.count) || String(a.value).localeCompare(String(b.value)));
+        };
+        return {
+            tags: await facet('tags'),
+            collections: await facet('collections'),
+            topics: await facet('topics'),
+            domains: await facet('domain'),
+            total: await this.db.snapshots.count()
+        };
+    }
+
+    /**
+     * Replace the tags and/or collections of one snapshot.
+     */
+    async updateSnapshotLabels(snapshotId, { tags, collections } = {}) {
+        await this.ensureInitialized();
+        const snapshot = await this.db.snapshots.get(snapshotId);
+        if (!snapshot) throw new Error('Snapshot not found');
+
+        if (tags !== undefined) snapshot.tags = tags;
+        if (collections !== undefined) snapshot.collections = collections;
+        Object.assign(snapshot, this.indexSnapshot(snapshot));
+        await this.db.snapshots.put(snapshot);
+        console.log(`🏷️ Snapshot labels updated: ${snapshotId}`, { tags: snapshot.tags, collections: snapshot.collections });
+        return snapshot;
+    }
+
+    /**
+     * Rename a tag or collection on every snapshot, or remove it when `to`
+     * is empty. Renaming onto an existing label merges the two.
+     * @param {'tag'|'collection'} kind
+     */
+    async renameSnapshotLabel(kind, from, to = '') {
+        await this.ensureInitialized();
+        if (!SNAPSHOT_LABEL_KINDS.includes(kind)) throw new Error(`Unknown label kind: ${kind}`);
+        const field = kind === 'tag' ? 'tags' : 'collections';
+        const source = normalizeSnapshotLabel(kind, from);
+        const target = normalizeSnapshotLabel(kind, to);
+        if (!source) throw new Error(`No ${kind} given`);
+
+        let updated = 0;
+        await this.db.transaction('rw', this.db.snapshots, async () => {
+            const snapshots = await this.db.snapshots.where(field).equals(source).toArray();
+            for (const snapshot of snapshots) {
+                snapshot[field] = snapshot[field].map(label => (label === source ? target : label)).filter(Boolean);
+                Object.assign(snapshot, this.indexSnapshot(snapshot));
+                await this.db.snapshots.put(snapshot);
+                updated++;
+            }
+        });
+        console.log(`🏷️ Snapshot ${kind} ${target ? `renamed "${source}" -> "${target}"` : `"${source}" removed`} on ${updated} snapshot(s)`);
+        return { kind, from: source, to: target || null, updated };
+    }
+
+    // ---------------------------------
+    // 🔹 Archive Q&A index
+    // ---------------------------------
+    // archivePassages rows: { passageId, sourceType: 'snapshot'|'page',
+    // sourceId (snapshotId or URL), url, canonicalUrl, domain, title,
+    // timestamp, text, terms, length }. A page's passages come from its
+    // latest content sample.
+
+    /**
+     * 🔧 Passages for every snapshot and every visited URL with a content
+     * sample. Used by the v21 upgrade and by rebuildArchiveIndex().
+     */
+    buildArchivePassages(snapshots, behaviors) {
+        const latestSample = new Map();
+        behaviors
+            .filter(behavior => behavior.contentSample)
+            .forEach(behavior => {
+                const current = latestSample.get(behavior.url);
+                if (!current || String(behavior.lastUpdated) > String(current.lastUpdated)) {
+                    latestSample.set(behavior.url, behavior);
+                }
+            });
+        return [
+            ...snapshots.flatMap(snapshot => buildSnapshotPassages(snapshot)),
+            ...[...latestSample.values()].flatMap(behavior => buildPagePassages(behavior))
+        ];
+    }
+
+    async replaceArchiveSource(sourceType, sourceId, passages) {
+        await this.db.archivePassages.where('[sourceType+sourceId]').equals([sourceType, sourceId]).delete();
+        if (passages.length > 0) await this.db.archivePassages.bulkPut(passages);
+    }
+
+    async indexArchiveSnapshot(snapshot) {
+        await this.replaceArchiveSource('snapshot', snapshot.snapshotId, buildSnapshotPassages(snapshot));
+    }
+
+    /**
+     * Re-index a visited URL from the latest content sample still stored
+     * for it; with none left, its passages are removed.
+     */
+    async indexArchivePage(url) {
+        const behaviors = await this.db.urlBehaviors.where('url').equals(url).toArray();
+        const latest = behaviors
+            .filter(behavior => behavior.contentSample)
+            .sort((a, b) => String(b.lastUpdated).localeCompare(String(a.lastUpdated)))[0];
+        await this.replaceArchiveSource('page', url, latest ? buildPagePassages(latest) : []);
+    }
+
+    async rebuildArchiveIndex() {
         await this.ensureInitialized();
-        profile.lastUpdated = new Date().toISOString();
-        return await this.db.profile.put(profile);
+        const passages = this.buildArchivePassages(
+            await this.db.snapshots.toArray(),
+            await this.db.urlBehaviors.toArray()
+        );
+        await this.db.transaction('rw', this.db.archivePassages, async () => {
+            await this.db.archivePassages.clear();
+            await this.db.archivePassages.bulkPut(passages);
+        });
+        console.log(`🔎 Archive index rebuilt: ${passages.length} passages`);
+        return { passages: passages.length };
     }
 
-    async updateProfileStats(type) {
+    /**
+     * Pages from the archive that best answer a question, with their most
+     * relevant passages (see selectArchiveSources).
+     * @returns {{ terms: string[], sources: object[] }}
+     */
+    async searchArchive(question, { maxSources = ARCHIVE_MAX_SOURCES } = {}) {
         await this.ensureInitialized();
-        const profile = await this.getProfile();
+        const terms = [...new Set(tokenizeSnapshotText(question))];
+        if (terms.length === 0) return { terms, sources: [] };
 
-        if (!profile.stats) {
-            profile.stats = this.getDefaultStats();
+        const ids = new Set();
+        for (const term of terms) {
+            (await this.db.archivePassages.where('terms').startsWith(term).primaryKeys()).forEach(id => ids.add(id));
         }
+        const candidates = (await this.db.archivePassages.bulkGet([...ids])).filter(Boolean);
+        const scored = scoreArchivePassages(candidates, terms, await this.db.archivePassages.count());
+        return { terms, sources: selectArchiveSources(scored, { maxSources }) };
+    }
 
-        switch (type) {
-            case 'snapshot':
-                profile.stats.totalSnapshots++;
-                break;
-            case 'search':
-                profile.stats.totalSearches++;
-                break;
-            case 'browsing':
-                profile.stats.totalBrowsingTime++;
-                break;
+    // ---------------------------------
+    // 🔹 Knowledge graph
+    // ---------------------------------
+    // Entities live in knowledgeGraph keyed by "<type>:<normalized name>".
+    // knowledgeEdges rows: { entityId, targetType: 'url'|'search'|'snapshot'|'entity',
+    // targetId, relation: 'mentioned_in'|'co_occurs', weight, label, sessionId,
+    // firstSeen, lastSeen }. Entity-entity edges are stored in both directions.
+
+    getEntityId(type, name) {
+        const normalized = String(name || '').toLowerCase().replace(/\s+/g, ' ').trim();
+        return `${type || 'concept'}:${normalized}`;
+    }
+
+    /**
+     * Queue Gemini Nano entity extraction for a piece of content.
+     * @param {object} source - { sourceType, sourceId, url, sessionId, label, text }
+     */
+    async queueEntityExtraction(source) {
+        try {
+            if (!source?.text || source.text.length < 100) return null;
+            return await this.addToAIQueue({
+                type: 'ENTITY_EXTRACTION',
+                priority: 3, // LOW priority - background processing
+                data: {
+                    sourceType: source.sourceType,
+                    sourceId: source.sourceId,
+                    url: source.url || null,
+                    sessionId: source.sessionId || null,
+                    label: source.label || null,
+                    text: source.text.substring(0, 4000)
+                }
+            });
+        } catch (error) {
+            console.error('❌ Failed to queue entity extraction:', error);
+            return null;
         }
+    }
 
-        return await this.saveProfile(profile);
+    /**
+     * Upsert extracted entities and link them to where they were seen.
+     * @param {Array<{name, type, salience}>} entities
+     * @param {object} source - { targetType, targetId, label, url, sessionId, seenAt }
+     */
+    async recordEntityMentions(entities, source) {
+        await this.ensureInitialized();
+        const seenAt = source.seenAt || new Date().toISOString();
+
+        const unique = new Map();
+        (entities || []).forEach(entity => {
+            const name = String(entity?.name || '').trim();
+            if (name.length < 2) return;
+            const entityId = this.getEntityId(entity.type, name);
+            if (!unique.has(entityId)) {
+                unique.set(entityId, { ...entity, name, entityId });
+            }
+        });
+        if (unique.size === 0) return { recorded: 0 };
+
+        const targets = [{ targetType: source.targetType, targetId: source.targetId, label: source.label }];
+        if (source.url && source.targetType !== 'url') {
+            targets.push({ targetType: 'url', targetId: source.url, label: source.url });
+        }
+
+        await this.db.transaction('rw', this.db.knowledgeGraph, this.db.knowledgeEdges, async () => {
+            for (const entity of unique.values()) {
+                const existing = await this.db.knowledgeGraph.get(entity.entityId);
+                await this.db.knowledgeGraph.put({
+                    entityId: entity.entityId,
+                    name: existing?.name || entity.name,
+                    type: entity.type || 'concept',
+                    aliases: existing?.aliases || [],
+                    salience: Math.max(existing?.salience || 0, entity.salience || 0),
+                    mentionCount: (existing?.mentionCount || 0) + 1,
+                    firstSeen: existing?.firstSeen || seenAt,
+                    lastSeen: seenAt
+                });
+
+                for (const target of targets) {
+                    await this.addKnowledgeEdge(entity.entityId, { ...target, relation: 'mentioned_in', sessionId: source.sessionId, seenAt });
+                }
+                for (const other of unique.values()) {
+                    if (other.entityId === entity.entityId) continue;
+                    await this.addKnowledgeEdge(entity.entityId, {
+                        targetType: 'entity',
+                        targetId: other.entityId,
+                        label: other.name,
+                        relation: 'co_occurs',
+                        sessionId: source.sessionId,
+                        seenAt
+                    });
+                }
+            }
+        });
+
+        console.log(`🕸️ Knowledge graph: ${unique.size} entities recorded from ${source.targetType}`);
+        return { recorded: unique.size };
     }
 
-    // ---------------------------------
-    // 🔹 Snapshot management
-    // ---------------------------------
-  
+    async addKnowledgeEdge(entityId, { targetType, targetId, label, relation, sessionId, seenAt }) {
+        if (!targetId) return;
+        const existing = await this.db.knowledgeEdges
+            .where('[entityId+targetType+targetId]')
+            .equals([entityId, targetType, targetId])
+            .first();
+        if (existing) {
+            await this.db.knowledgeEdges.update(existing.id, {
+                weight: (existing.weight || 1) + 1,
+                label: label || existing.label,
+                lastSeen: seenAt
+            });
+        } else {
+            await this.db.knowledgeEdges.add({
+                entityId,
+                targetType,
+                targetId,
+                relation,
+                weight: 1,
+                label: label || null,
+                sessionId: sessionId || null,
+                firstSeen: seenAt,
+                lastSeen: seenAt
+            });
+        }
+    }
 
-    async getRecentSnapshots(limit = 20) {
+    /**
+     * Searches are too short to be worth a model call, so they are linked
+     * to entities already in the graph whose name or alias they contain.
+     */
+    async linkSearchToKnownEntities(search) {
+        try {
+            const query = ` ${String(search?.query || '').toLowerCase()} `;
+            if (!search?.searchId || query.trim().length < 2) return 0;
+
+            const entities = await this.db.knowledgeGraph.toArray();
+            const matches = entities.filter(entity =>
+                [entity.name, ...(entity.aliases || [])].some(label => {
+                    const needle = String(label).toLowerCase();
+                    return needle.length >= 3 && new RegExp(`[^a-z0-9]${needle.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}[^a-z0-9]`).test(query);
+                })
+            );
+            if (matches.length === 0) return 0;
+
+            const seenAt = search.timestamp || new Date().toISOString();
+            await this.db.transaction('rw', this.db.knowledgeGraph, this.db.knowledgeEdges, async () => {
+                for (const entity of matches) {
+                    await this.addKnowledgeEdge(entity.entityId, {
+                        targetType: 'search',
+                        targetId: search.searchId,
+                        label: search.query,
+                        relation: 'mentioned_in',
+                        sessionId: search.sessionId,
+                        seenAt
+                    });
+                    await this.db.knowledgeGraph.update(entity.entityId, {
+                        mentionCount: (entity.mentionCount || 0) + 1,
+                        lastSeen: seenAt
+                    });
+                }
+            });
+            return matches.length;
+        } catch (error) {
+            console.error('❌ Failed to link search to knowledge graph:', error);
+            return 0;
+        }
+    }
+
+    async updateKnowledgeGraph(entityData) {
         await this.ensureInitialized();
-        return await this.db.snapshots
-            .orderBy('timestamp')
-            .reverse()
-            .limit(limit)
+        const entityId = entityData.entityId || this.getEntityId(entityData.type, entityData.name);
+        const existing = await this.db.knowledgeGraph.get(entityId);
+        const now = new Date().toISOString();
+        return await this.db.knowledgeGraph.put({
+            mentionCount: 0,
+            aliases: [],
+            firstSeen: now,
+            ...existing,
+            ...entityData,
+            entityId,
+            lastSeen: entityData.lastSeen || now
+        });
+    }
+
+    /**
+     * Browse entities, most-mentioned first.
+     * @param {string|null} type - 'person' | 'organization' | 'concept' | 'product'
+     * @param {object} options - { query, limit, offset }
+     */
+    async getKnowledgeGraphEntities(type = null, { query = '', limit = 50, offset = 0 } = {}) {
+        await this.ensureInitialized();
+        const collection = type
+            ? this.db.knowledgeGraph.where('type').equals(type)
+            : this.db.knowledgeGraph.toCollection();
+        const needle = query.trim().toLowerCase();
+        const entities = await collection
+            .filter(entity => !needle || [entity.name, ...(entity.aliases || [])]
+                .some(label => String(label).toLowerCase().includes(needle)))
             .toArray();
+
+        return entities
+            .sort((a, b) => (b.mentionCount - a.mentionCount) || String(b.lastSeen).localeCompare(String(a.lastSeen)))
+            .slice(offset, offset + limit);
     }
 
-    // ---------------------------------
-    // 🔹 Knowledge graph
-    // ---------------------------------
-    async updateKnowledgeGraph(entityData) {
+    /**
+     * One entity with its neighbourhood, grouped by target type.
+     */
+    async getKnowledgeGraphEntity(entityId, limit = 20) {
         await this.ensureInitialized();
-        return await this.db.knowledgeGraph.put(entityData);
+        const entity = await this.db.knowledgeGraph.get(entityId);
+        if (!entity) return null;
+
+        const edges = await this.db.knowledgeEdges.where('entityId').equals(entityId).toArray();
+        const byType = (targetType) => edges
+            .filter(edge => edge.targetType === targetType)
+            .sort((a, b) => (b.weight - a.weight) || String(b.lastSeen).localeCompare(String(a.lastSeen)))
+            .slice(0, limit);
+
+        const relatedEdges = byType('entity');
+        const relatedEntities = await this.db.knowledgeGraph.bulkGet(relatedEdges.map(edge => edge.targetId));
+
+        return {
+            entity,
+            urls: byType('url').map(edge => ({ url: edge.targetId, label: edge.label, count: edge.weight, lastSeen: edge.lastSeen })),
+            searches: byType('search').map(edge => ({ searchId: edge.targetId, query: edge.label, lastSeen: edge.lastSeen })),
+            snapshots: byType('snapshot').map(edge => ({ snapshotId: edge.targetId, label: edge.label, lastSeen: edge.lastSeen })),
+            related: relatedEdges
+                .map((edge, i) => relatedEntities[i] ? { ...relatedEntities[i], weight: edge.weight } : null)
+                .filter(Boolean)
+        };
     }
 
-    async getKnowledgeGraphEntities(type = null) {
+    /**
+     * Entities seen on a given URL, search or snapshot.
+     */
+    async getEntitiesForTarget(targetType, targetId) {
         await this.ensureInitialized();
-        if (type) {
-            return await this.db.knowledgeGraph.where('type').equals(type).toArray();
-        }
-        return await this.db.knowledgeGraph.toArray();
+        const edges = await this.db.knowledgeEdges
+            .where('[targetType+targetId]')
+            .equals([targetType, targetId])
+            .toArray();
+        const entities = await this.db.knowledgeGraph.bulkGet(edges.map(edge => edge.entityId));
+        return entities.filter(Boolean).sort((a, b) => b.mentionCount - a.mentionCount);
+    }
+
+    async deleteKnowledgeGraphEntity(entityId) {
+        await this.ensureInitialized();
+        await this.db.transaction('rw', this.db.knowledgeGraph, this.db.knowledgeEdges, async () => {
+            await this.db.knowledgeEdges.where('entityId').equals(entityId).delete();
+            await this.db.knowledgeEdges.where('[targetType+targetId]').equals(['entity', entityId]).delete();
+            await this.db.knowledgeGraph.delete(entityId);
+        });
+        console.log(`🕸️ Knowledge graph entity deleted: ${entityId}`);
+        return { deleted: entityId };
     }
 
     // ---------------------------------
@@ -3227,10 +5733,9 @@ getDemoProfileData() {
                 .delete();
 
             // Clear old URL behaviors
-            await this.db.urlBehaviors
-                .where('lastUpdated')
-                .below(cutoffISO)
-                .delete();
+            const oldBehaviors = this.db.urlBehaviors.where('lastUpdated').below(cutoffISO);
+            const clearedUrls = new Set((await oldBehaviors.toArray()).map(behavior => behavior.url));
+            await oldBehaviors.delete();
 
             // Clear old domain behaviors
             await this.db.domainBehaviors
@@ -3239,10 +5744,18 @@ getDemoProfileData() {
                 .delete();
 
             // Clear old snapshots
-            await this.db.snapshots
-                .where('timestamp')
-                .below(cutoffISO)
-                .delete();
+            const oldSnapshots = this.db.snapshots.where('timestamp').below(cutoffISO);
+            const clearedSnapshotIds = await oldSnapshots.primaryKeys();
+            await oldSnapshots.delete();
+
+            // Keep Q&A passages in step with what was cleared: a page falls
+            // back to any newer sample of the same URL
+            for (const snapshotId of clearedSnapshotIds) {
+                await this.replaceArchiveSource('snapshot', snapshotId, []);
+            }
+            for (const url of clearedUrls) {
+                await this.indexArchivePage(url);
+            }
 
             // Clear processed AI tasks
             await this.db.aiQueue
@@ -3323,9 +5836,11 @@ getDemoProfileData() {
         }
     }
 
-getDefaultProfile() {
+getDefaultProfile(profileId = DEFAULT_PROFILE_ID, name = DEFAULT_PROFILE_NAME) {
     return {
-        userId: 'default',
+        userId: profileId,
+        name,
+        rules: { ...DEFAULT_PROFILE_RULES },
         ltp: {
             topic_cumulative: {},
             sessions_seen: 0,
@@ -3399,49 +5914,527 @@ async updateLTPFromSTP(stpData) {
     return await this.ltpBuilder.buildLTP(stpData);
 }
 
+    // ---------------------------------
+    // 🔹 Forgetting (selective deletion)
+    // ---------------------------------
+    // Deleting raw rows is not enough: their influence lives on in the STPs
+    // built from them and in the LTP's topic_cumulative. Every forget* call
+    // deletes the matching rows, rebuilds the STPs of the sessions they came
+    // from and then replays the LTP from the STP archive.
+
+    async forgetSearch(searchId) {
+        if (!searchId) throw new Error('searchId is required');
+        return await this.forgetMatching({
+            scope: { type: 'search', searchId },
+            search: search => search.searchId === searchId
+        });
+    }
+
+    async forgetUrl(url) {
+        const key = this.getForgetUrlKey(url);
+        if (!key) throw new Error(`Not a URL: ${url}`);
+        const matches = candidate => this.getForgetUrlKey(candidate) === key;
+        return await this.forgetMatching({
+            scope: { type: 'url', url },
+            urlBehavior: behavior => matches(behavior.url),
+            snapshot: snapshot => matches(snapshot.url),
+            click: matches
+        });
+    }
+
+    /**
+     * Forget a domain and its subdomains: pages visited there, snapshots of
+     * them, searches made on them and clicks that led to them.
+     */
+    async forgetDomain(domain) {
+        const host = String(domain || '').trim().toLowerCase()
+            .replace(/^[a-z]+:\/\//, '')
+            .replace(/^\*\./, '')
+            .split(/[/?#:]/)[0];
+        if (!host || !host.includes('.')) throw new Error(`Not a domain: ${domain}`);
+
+        const matchesHost = value => {
+            const candidate = String(value || '').toLowerCase();
+            return candidate === host || candidate.endsWith(`.${host}`);
+        };
+        const matchesUrl = url => matchesHost(this.getUrlHost(url));
+        return await this.forgetMatching({
+            scope: { type: 'domain', domain: host },
+            search: search => matchesUrl(search.url),
+            urlBehavior: behavior => matchesHost(behavior.domain) || matchesUrl(behavior.url),
+            domainBehavior: row => matchesHost(row.domain),
+            snapshot: snapshot => matchesUrl(snapshot.url),
+            click: matchesUrl
+        });
+    }
+
+    /**
+     * Forget everything recorded between two instants (inclusive).
+     * @param {string|number|Date} from
+     * @param {string|number|Date} to
+     */
+    async forgetDateRange(from, to) {
+        const start = new Date(from);
+        const end = new Date(to);
+        if (isNaN(start) || isNaN(end)) throw new Error('A valid from and to date are required');
+        if (start > end) throw new Error('The range starts after it ends');
+
+        const inRange = value => {
+            const at = new Date(value);
+            return !isNaN(at) && at >= start && at <= end;
+        };
+        return await this.forgetMatching({
+            scope: { type: 'range', from: start.toISOString(), to: end.toISOString() },
+            search: search => inRange(search.timestamp),
+            urlBehavior: behavior => inRange(behavior.startTime),
+            domainBehavior: row => inRange(row.startTime),
+            snapshot: snapshot => inRange(snapshot.timestamp)
+        });
+    }
+
+    /**
+     * Delete every row the matchers accept, then propagate the deletion
+     * through domain aggregates, STPs, the LTP, facts and the knowledge graph.
+     * @param {object} matchers - { scope, search?, urlBehavior?, domainBehavior?, snapshot?, click? }
+     */
+    async forgetMatching(matchers) {
+        await this.ensureInitialized();
+        const none = () => false;
+        const match = {
+            search: matchers.search || none,
+            urlBehavior: matchers.urlBehavior || none,
+            domainBehavior: matchers.domainBehavior || none,
+            snapshot: matchers.snapshot || none,
+            click: matchers.click || none
+        };
+
+        const forgotten = { searchIds: new Set(), behaviorIds: new Set(), urls: new Set(), snapshotIds: new Set() };
+        const touchedUrls = new Set();
+        const affectedSessions = new Set();
+        const forgottenQueries = new Set();
+        const deleted = { searches: 0, urlBehaviors: 0, domainBehaviors: 0, snapshots: 0, clicks: 0, aiTasks: 0, edges: 0, entities: 0, corrections: 0 };
+
+        const tables = ['searches', 'urlBehaviors', 'domainBehaviors', 'snapshots', 'archivePassages', 'aiQueue', 'knowledgeGraph', 'knowledgeEdges', 'facts', 'systemState'];
+        await this.db.transaction('rw', tables.map(name => this.db.table(name)), async () => {
+            const searches = await this.db.searches.toArray();
+            for (const search of searches) {
+                if (match.search(search)) {
+                    forgotten.searchIds.add(search.searchId);
+                    forgottenQueries.add(getCorrectionKey('search', search.query));
+                    affectedSessions.add(search.sessionId);
+                    await this.db.searches.delete(search.id);
+                    deleted.searches++;
+                    continue;
+                }
+                const clicks = search.resultsClicked || [];
+                const kept = clicks.filter(url => !match.click(url));
+                if (kept.length !== clicks.length) {
+                    clicks.filter(url => match.click(url)).forEach(url => touchedUrls.add(url));
+                    affectedSessions.add(search.sessionId);
+                    await this.db.searches.update(search.id, { resultsClicked: kept });
+                    deleted.clicks += clicks.length - kept.length;
+                }
+            }
+
+            const behaviors = await this.db.urlBehaviors.filter(match.urlBehavior).toArray();
+            behaviors.forEach(behavior => {
+                forgotten.behaviorIds.add(behavior.id);
+                touchedUrls.add(behavior.url);
+                affectedSessions.add(behavior.sessionId);
+            });
+            deleted.urlBehaviors = behaviors.length;
+            await this.db.urlBehaviors.bulkDelete(behaviors.map(behavior => behavior.id));
+
+            const domainRows = await this.db.domainBehaviors.filter(match.domainBehavior).toArray();
+            domainRows.forEach(row => affectedSessions.add(row.sessionId));
+            deleted.domainBehaviors = domainRows.length;
+            await this.db.domainBehaviors.bulkDelete(domainRows.map(row => row.id));
+
+            const snapshots = await this.db.snapshots.filter(match.snapshot).toArray();
+            snapshots.forEach(snapshot => {
+                forgotten.snapshotIds.add(snapshot.snapshotId);
+                if (snapshot.url) touchedUrls.add(snapshot.url);
+            });
+            deleted.snapshots = snapshots.length;
+            await this.db.snapshots.bulkDelete(snapshots.map(snapshot => snapshot.snapshotId));
+
+            // Q&A passages follow what is left: forgotten snapshots go, and
+            // pages fall back to an older sample or drop out
+            for (const snapshotId of forgotten.snapshotIds) {
+                await this.replaceArchiveSource('snapshot', snapshotId, []);
+            }
+            for (const url of new Set(behaviors.map(behavior => behavior.url))) {
+                await this.indexArchivePage(url);
+            }
+
+            // A URL is only forgotten once nothing recorded about it remains
+            // (a date range can remove one visit and keep another)
+            for (const url of touchedUrls) {
+                const visits = await this.db.urlBehaviors.where('url').equals(url).count();
+                const snapshotsLeft = await this.db.snapshots.where('url').equals(url).count();
+                if (visits === 0 && snapshotsLeft === 0) forgotten.urls.add(url);
+            }
+
+            // Unfinished AI work about forgotten rows would write them back
+            const tasks = await this.db.aiQueue
+                .filter(task => task.status !== 'done' && this.isForgottenTask(task, forgotten))
+                .toArray();
+            deleted.aiTasks = tasks.length;
+            await this.db.aiQueue.bulkDelete(tasks.map(task => task.id));
+
+            const removedEdges = await this.forgetKnowledgeEdges(forgotten);
+            deleted.edges = removedEdges.edges;
+            deleted.entities = removedEdges.entities;
+
+            await this.db.facts.toCollection().modify(fact => {
+                fact.evidence = (fact.evidence || []).filter(evidence =>
+                    !(evidence.type === 'search' && forgotten.searchIds.has(evidence.id)) &&
+                    !(evidence.type === 'url' && forgotten.urls.has(evidence.id)));
+            });
+
+            // A reclassification is kept as a few-shot example and in backups,
+            // so it goes once no visit or search it applies to remains
+            const corrections = this.topicCorrections.corrections;
+            const forgottenKeys = {
+                url: new Set([...touchedUrls].map(url => getCorrectionKey('url', url))),
+                search: forgottenQueries
+            };
+            const reclassified = [];
+            for (const item of corrections.reclassified) {
+                const forgottenTarget = forgottenKeys[item.targetType]?.has(item.key) &&
+                    (await this.getCorrectionTargetRows(item.targetType, item.key)).length === 0;
+                if (!forgottenTarget) reclassified.push(item);
+            }
+            deleted.corrections = corrections.reclassified.length - reclassified.length;
+            if (deleted.corrections > 0) {
+                await this.db.systemState.put({
+                    key: 'settings:topicCorrections',
+                    value: normalizeTopicCorrections({ ...corrections, reclassified }),
+                    lastUpdated: new Date().toISOString()
+                });
+            }
+        });
+
+        if (deleted.corrections > 0) await this.loadTopicCorrections();
+        affectedSessions.delete(undefined);
+        const recomputed = await this.recomputeSessionSTPs([...affectedSessions]);
+        // A proposed rebuild may still contain what was just forgotten
+        for (const profileId of await this.getProfileIds()) {
+            await this.discardLTPRebuild(profileId);
+        }
+
+        for (const profileId of recomputed.profileIds) {
+            await this.ltpBuilder.replayLTP(await this.getFullSTPHistory(profileId), profileId);
+        }
+
+        try {
+            await this.generateFacts('stp');
+            await this.generateFacts('ltp');
+        } catch (error) {
+            console.warn('⚠️ Fact generation after forget failed:', error);
+        }
+
+        // The written summary may still mention forgotten topics; regenerate
+        // it in the background rather than holding up the response.
+        if (recomputed.stpsChanged > 0) this.triggerSummaryGeneration();
+
+        const result = {
+            scope: matchers.scope,
+            deleted,
+            sessionsAffected: affectedSessions.size,
+            stpsRebuilt: recomputed.stpsRebuilt,
+            stpsRemoved: recomputed.stpsRemoved,
+            ltpReplayed: recomputed.stpsChanged > 0
+        };
+        console.log('🧽 Forgot data:', result);
+        return result;
+    }
+
+    /**
+     * Re-aggregate domain behavior and rebuild the stored STP of each session
+     * whose rows were forgotten or reclassified. Sessions left with no data drop out of the history.
+     * Active sessions are left alone: finalizeSession builds them later from
+     * whatever remains.
+     */
+    async recomputeSessionSTPs(sessionIds) {
+        const counts = { stpsRebuilt: 0, stpsRemoved: 0, stpsChanged: 0, profileIds: new Set() };
+        if (sessionIds.length === 0) return counts;
+
+        for (const sessionId of sessionIds) {
+            const session = await this.db.sessions.get(sessionId);
+            if (!session?.stpBuiltAt) continue;
+
+            await this.db.domainBehaviors.where('sessionId').equals(sessionId).delete();
+            const urlBehaviors = await this.db.urlBehaviors.where('sessionId').equals(sessionId).toArray();
+            const byDomain = {};
+            urlBehaviors.forEach(behavior => {
+                (byDomain[behavior.domain] = byDomain[behavior.domain] || []).push(behavior);
+            });
+            for (const [domain, behaviors] of Object.entries(byDomain)) {
+                await this.aggregateDomainData(sessionId, domain, behaviors);
+            }
+        }
+
+        const archived = (await this.db.stpArchive.bulkGet(sessionIds)).filter(Boolean);
+        const changes = new Map();
+        for (const stp of archived) {
+            const rebuilt = await this.rebuildStoredSTP(stp);
+            changes.set(stp.session_id, rebuilt);
+            counts.profileIds.add(stp.profile_id || DEFAULT_PROFILE_ID);
+            if (rebuilt) counts.stpsRebuilt++;
+            else counts.stpsRemoved++;
+        }
+
+        counts.stpsChanged = changes.size;
+        if (changes.size > 0) await this.applySTPChanges(changes);
+        return counts;
+    }
+
+    /**
+     * Remove graph edges that point at forgotten searches, URLs and
+     * snapshots. Entities left with no mentions anywhere are removed too.
+     */
+    async forgetKnowledgeEdges(forgotten) {
+        const targets = [
+            ...[...forgotten.searchIds].map(id => ['search', id]),
+            ...[...forgotten.urls].map(id => ['url', id]),
+            ...[...forgotten.snapshotIds].map(id => ['snapshot', id])
+        ];
+        if (targets.length === 0) return { edges: 0, entities: 0 };
+
+        const edges = await this.db.knowledgeEdges.where('[targetType+targetId]').anyOf(targets).toArray();
+        await this.db.knowledgeEdges.bulkDelete(edges.map(edge => edge.id));
+
+        let entities = 0;
+        for (const entityId of new Set(edges.map(edge => edge.entityId))) {
+            const mentions = await this.db.knowledgeEdges
+                .where('entityId').equals(entityId)
+                .filter(edge => edge.relation === 'mentioned_in')
+                .count();
+            if (mentions > 0) continue;
+            await this.db.knowledgeEdges.where('entityId').equals(entityId).delete();
+            await this.db.knowledgeEdges.where('[targetType+targetId]').equals(['entity', entityId]).delete();
+            await this.db.knowledgeGraph.delete(entityId);
+            entities++;
+        }
+        return { edges: edges.length, entities };
+    }
+
+    isForgottenTask(task, forgotten) {
+        const data = task.data || {};
+        return forgotten.searchIds.has(data.searchId) ||
+            forgotten.behaviorIds.has(data.recordId) ||
+            forgotten.urls.has(data.url) ||
+            (data.sourceType === 'snapshot' && forgotten.snapshotIds.has(data.sourceId)) ||
+            (data.sourceType === 'search' && forgotten.searchIds.has(data.sourceId));
+    }
+
+    // URLs are compared without their fragment or a trailing slash, so a URL
+    // pasted from the address bar matches the sanitized one we stored.
+    getForgetUrlKey(url) {
+        try {
+            const parsed = new URL(url);
+            parsed.hash = '';
+            return parsed.href.replace(/\/(\?|$)/, '$1');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    getUrlHost(url) {
+        try {
+            return new URL(url).hostname;
+        } catch (error) {
+            return '';
+        }
+    }
+
     // ---------------------------------
     // 🔹 Export/Import utilities
     // ---------------------------------
+    /**
+     * Serialize every user table into a versioned, checksummed archive.
+     * @returns {Promise<string>} archive JSON
+     */
     async exportData() {
         await this.ensureInitialized();
-        const data = {
-            profile: await this.db.profile.toArray(),
-            sessions: await this.db.sessions.toArray(),
-            searches: await this.db.searches.toArray(),
-            urlBehaviors: await this.db.urlBehaviors.toArray(),
-            domainBehaviors: await this.db.domainBehaviors.toArray(),
-            snapshots: await this.db.snapshots.toArray(),
-            knowledgeGraph: await this.db.knowledgeGraph.toArray(),
-            exportedAt: new Date().toISOString()
+        const tables = {};
+        for (const name of Object.keys(BACKUP_TABLES)) {
+            let rows = await this.db.table(name).toArray();
+            if (name === 'systemState') {
+                rows = rows.filter(row => !isBackupLocalStateKey(row.key));
+            }
+            tables[name] = rows;
+        }
+
+        const archive = {
+            format: BACKUP_FORMAT,
+            formatVersion: BACKUP_FORMAT_VERSION,
+            schemaVersion: this.db.verno,
+            exportedAt: new Date().toISOString(),
+            checksum: await this.computeBackupChecksum(tables),
+            tables
         };
-        return JSON.stringify(data, null, 2);
+        console.log('📤 Data export completed:', Object.entries(tables).map(([name, rows]) => `${name}=${rows.length}`).join(', '));
+        return JSON.stringify(archive, null, 2);
     }
 
-    async importData(jsonData) {
+    /**
+     * Restore an archive produced by exportData().
+     * 'replace' swaps each archived table for its archived contents; 'merge'
+     * only adds rows whose natural key is not already present, so local
+     * rows win. Either way the write happens in a single transaction and
+     * nothing is changed if any table fails.
+     * @param {string|object} jsonData - archive JSON or parsed archive
+     * @param {{mode?: 'replace'|'merge'}} options
+     */
+    async importData(jsonData, { mode = 'replace' } = {}) {
         await this.ensureInitialized();
-        const data = JSON.parse(jsonData);
-        
-        // Clear existing data
-        await this.db.profile.clear();
-        await this.db.sessions.clear();
-        await this.db.searches.clear();
-        await this.db.urlBehaviors.clear();
-        await this.db.domainBehaviors.clear();
-        await this.db.snapshots.clear();
-        await this.db.knowledgeGraph.clear();
-        await this.db.aiQueue.clear();
-        await this.db.systemState.clear();
-
-        // Import new data
-        if (data.profile) await this.db.profile.bulkAdd(data.profile);
-        if (data.sessions) await this.db.sessions.bulkAdd(data.sessions);
-        if (data.searches) await this.db.searches.bulkAdd(data.searches);
-        if (data.urlBehaviors) await this.db.urlBehaviors.bulkAdd(data.urlBehaviors);
-        if (data.domainBehaviors) await this.db.domainBehaviors.bulkAdd(data.domainBehaviors);
-        if (data.snapshots) await this.db.snapshots.bulkAdd(data.snapshots);
-        if (data.knowledgeGraph) await this.db.knowledgeGraph.bulkAdd(data.knowledgeGraph);
-
-        console.log('📥 Data import completed');
+        if (!['replace', 'merge'].includes(mode)) {
+            throw new Error(`Unknown import mode: ${mode}`);
+        }
+
+        let archive = typeof jsonData === 'string' ? JSON.parse(jsonData) : jsonData;
+        if (!archive || typeof archive !== 'object') {
+            throw new Error('Backup archive is not an object');
+        }
+
+        const originalVersion = archive.format === BACKUP_FORMAT ? archive.formatVersion : 1;
+        if (!Number.isInteger(originalVersion) || originalVersion < 1) {
+            throw new Error(`Invalid backup format version: ${archive.formatVersion}`);
+        }
+        if (originalVersion > BACKUP_FORMAT_VERSION) {
+            throw new Error(`Backup format v${originalVersion} is newer than this extension supports (v${BACKUP_FORMAT_VERSION})`);
+        }
+
+        if (archive.checksum) {
+            const checksum = await this.computeBackupChecksum(archive.tables);
+            if (checksum !== archive.checksum) {
+                throw new Error('Backup checksum mismatch: the archive is corrupted or was edited');
+            }
+        } else if (originalVersion >= 2) {
+            throw new Error('Backup archive is missing its checksum');
+        }
+
+        for (let version = originalVersion; version < BACKUP_FORMAT_VERSION; version++) {
+            archive = BACKUP_MIGRATIONS[version](archive);
+            console.log(`📥 Backup migrated from v${version} to v${version + 1}`);
+        }
+
+        const tables = this.validateBackupTables(archive.tables);
+        const names = Object.keys(tables);
+        const summary = {
+            mode,
+            formatVersion: originalVersion,
+            migrated: originalVersion !== BACKUP_FORMAT_VERSION,
+            tables: {}
+        };
+
+        // systemState is always read for the local keys, even when the archive
+        // has no such table (v1 archives never exported it)
+        const txTables = [...new Set([...names, 'sessions', 'aiQueue', 'systemState'])].map(name => this.db.table(name));
+        await this.db.transaction('rw', txTables, async () => {
+            // The live session belongs to this browser; imported sessions are
+            // history and must never become the active one.
+            const activeSession = await this.db.sessions.where('isActive').equals(1).first();
+            // Per-profile copies (key@profileId) included
+            const localState = await this.db.systemState.filter(row => isBackupLocalStateKey(row.key)).toArray();
+
+            for (const name of names) {
+                const rows = tables[name].map(row => this.prepareBackupRow(name, row, activeSession));
+
+                if (mode === 'replace') {
+                    await this.db.table(name).clear();
+                    await this.db.table(name).bulkAdd(rows);
+                    summary.tables[name] = { added: rows.length, skipped: 0 };
+                    continue;
+                }
+
+                const keyOf = BACKUP_TABLES[name];
+                const existing = new Set((await this.db.table(name).toArray()).map(keyOf));
+                const fresh = rows.filter(row => !existing.has(keyOf(row)) && existing.add(keyOf(row)));
+                if (BACKUP_AUTO_ID_TABLES.includes(name)) {
+                    fresh.forEach(row => delete row.id);
+                }
+                await this.db.table(name).bulkAdd(fresh);
+                summary.tables[name] = { added: fresh.length, skipped: rows.length - fresh.length };
+            }
+
+            if (mode === 'replace') {
+                if (activeSession) await this.db.sessions.put(activeSession);
+                if (names.includes('systemState')) {
+                    await this.db.systemState.bulkPut(localState);
+                }
+                // Queued scheduler tasks point at rows that no longer exist.
+                await this.db.aiQueue
+                    .where('status').equals('pending')
+                    .filter(task => task.origin === 'scheduler')
+                    .delete();
+            }
+        });
+
+        await this.initializeDefaultProfile();
+        await this.initializeTopicTaxonomy();
+        await this.initializeSTPArchive();
+        await this.loadProfileParameters();
+        await this.loadActiveProfile();
+        await this.backfillSTPArchive({ force: true });
+        if (names.includes('snapshots') || names.includes('urlBehaviors')) {
+            await this.rebuildArchiveIndex();
+        }
+
+        console.log('📥 Data import completed:', summary);
+        return summary;
+    }
+
+    validateBackupTables(tables) {
+        if (!tables || typeof tables !== 'object' || Array.isArray(tables)) {
+            throw new Error('Backup archive has no tables');
+        }
+
+        const valid = {};
+        for (let [name, rows] of Object.entries(tables)) {
+            if (!BACKUP_TABLES[name]) {
+                console.warn(`⚠️ Ignoring unknown backup table: ${name}`);
+                continue;
+            }
+            if (!Array.isArray(rows)) {
+                throw new Error(`Backup table ${name} is not an array`);
+            }
+            if (name === 'systemState') {
+                rows = rows.filter(row => !isBackupLocalStateKey(row?.key));
+            }
+            rows.forEach((row, i) => {
+                if (!row || typeof row !== 'object' || Array.isArray(row)) {
+                    throw new Error(`Backup table ${name} row ${i} is not an object`);
+                }
+                if (!BACKUP_AUTO_ID_TABLES.includes(name) && !BACKUP_TABLES[name](row)) {
+                    throw new Error(`Backup table ${name} row ${i} has no primary key`);
+                }
+            });
+            valid[name] = rows;
+        }
+        return valid;
+    }
+
+    prepareBackupRow(name, row, activeSession) {
+        const copy = { ...row };
+        if (name === 'sessions' && copy.sessionId !== activeSession?.sessionId) {
+            copy.isActive = 0;
+            copy.endTime = copy.endTime || copy.lastActivityAt || copy.startTime;
+        }
+        // Archives from before named profiles
+        if (name === 'sessions') copy.profileId = copy.profileId || DEFAULT_PROFILE_ID;
+        if (name === 'stpArchive') copy.profile_id = copy.profile_id || DEFAULT_PROFILE_ID;
+        // Archives from before the snapshot library, or edited by hand
+        if (name === 'snapshots') Object.assign(copy, this.indexSnapshot(copy));
+        return copy;
+    }
+
+    async computeBackupChecksum(tables) {
+        const bytes = new TextEncoder().encode(JSON.stringify(tables));
+        const digest = await crypto.subtle.digest('SHA-256', bytes);
+        return 'sha256:' + Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
     }
 }
 
@@ -0,0 +1,391 @@
+// src/storage/factsEngine.js
+// Facts Engine: derives plain-English statements about the user from STP
+// history, the LTP, searches and URL/domain behaviours. Every fact carries a
+// confidence, evidence links and timestamps and is stored in the facts table.
+// Fact ids are deterministic (kind + subject), so regenerating updates facts
+// in place and keeps the user's pins and deletions.
+
+const FACT_WINDOW_DAYS = 90;
+const FACT_MAX_EVIDENCE = 5;
+
+const DAYPARTS = [
+    { id: 'morning', label: 'morning', from: 5, to: 12 },
+    { id: 'afternoon', label: 'afternoon', from: 12, to: 17 },
+    { id: 'evening', label: 'evening', from: 17, to: 22 },
+    { id: 'night', label: 'late-night', from: 22, to: 29 } // wraps past midnight
+];
+
+const INTENT_PHRASES = {
+    instructional: 'you mostly look up how to do things',
+    informational: 'you mostly search to learn about things',
+    transactional: 'you often search with buying in mind',
+    navigational: 'you often search to get to a specific site'
+};
+
+class FactsEngine {
+    constructor(databaseService) {
+        this.dbService = databaseService;
+    }
+
+    /**
+     * Regenerate facts for a view and persist them.
+     * @param {string} view - 'ltp' (all recent history) or 'stp' (last session)
+     * @returns {Promise<Array<object>>} the facts produced by this run
+     */
+    async generate(view = 'ltp') {
+        const data = await this.collect(view);
+        const index = await this.dbService.getTopicIndex();
+        const rootOf = (label) => {
+            const row = resolveTopic(index, label);
+            if (!row) return null;
+            let root = row;
+            while (root.parentId && index.byId.get(root.parentId)) root = index.byId.get(root.parentId);
+            return root.name;
+        };
+
+        const miners = [
+            () => this.mineTopInterest(view, data, rootOf),
+            () => this.mineTopicTimePatterns(view, data, rootOf),
+            () => this.mineGoToDomains(view, data, rootOf),
+            () => this.mineReadingDepth(view, data, rootOf),
+            () => this.mineSearchIntent(view, data),
+            () => view === 'ltp' ? this.mineRisingTopics(data, rootOf) : [],
+            () => view === 'ltp' ? this.mineSessionRhythm(data) : []
+        ];
+
+        const facts = [];
+        for (const mine of miners) {
+            try {
+                facts.push(...mine());
+            } catch (error) {
+                console.warn('💡 FactsEngine: miner failed:', error);
+            }
+        }
+
+        const saved = await this.dbService.saveGeneratedFacts(view, facts);
+        console.log(`💡 FactsEngine: ${saved.length} ${view.toUpperCase()} facts generated`);
+        return saved;
+    }
+
+    async collect(view) {
+        const db = this.dbService.db;
+        const profile = await this.dbService.getProfile();
+
+        if (view === 'stp') {
+            const lastSTP = profile.lastSTP || null;
+            const sessionId = lastSTP?.session_id;
+            return {
+                ltp: null,
+                lastSTP,
+                stpHistory: lastSTP ? [lastSTP] : [],
+                searches: sessionId ? await db.searches.where('sessionId').equals(sessionId).toArray() : [],
+                urlBehaviors: sessionId ? await db.urlBehaviors.where('sessionId').equals(sessionId).toArray() : []
+            };
+        }
+
+        const since = new Date(Date.now() - FACT_WINDOW_DAYS * 86400000).toISOString();
+        // Only what was recorded under the active profile
+        const sessionIds = new Set(await this.dbService.getProfileSessionIds());
+        return {
+            ltp: profile.ltp || null,
+            lastSTP: profile.lastSTP || null,
+            stpHistory: profile.stpHistory || [],
+            searches: await db.searches.where('timestamp').above(since).filter(row => sessionIds.has(row.sessionId)).toArray(),
+            urlBehaviors: await db.urlBehaviors.where('startTime').above(since).filter(row => sessionIds.has(row.sessionId)).toArray()
+        };
+    }
+
+    // ---------------------------------
+    // 🔹 Miners
+    // ---------------------------------
+
+    mineTopInterest(view, data, rootOf) {
+        const scores = {};
+        if (view === 'stp') {
+            Object.entries(data.lastSTP?.topic_cumulative || {}).forEach(([topic, value]) => {
+                const root = rootOf(topic);
+                if (root) scores[root] = (scores[root] || 0) + (value?.normalizedWeight || 0);
+            });
+        } else {
+            // Facts are observations, so the seeded onboarding prior is left out
+            const seeded = data.ltp?.prior?.topics || {};
+            Object.entries(data.ltp?.topic_cumulative || {}).forEach(([topic, value]) => {
+                const root = rootOf(topic);
+                const observed = Math.max(0, (Number(value) || 0) - (seeded[topic] || 0));
+                if (root) scores[root] = (scores[root] || 0) + observed;
+            });
+        }
+
+        const total = Object.values(scores).reduce((sum, v) => sum + v, 0);
+        const [top] = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+        if (!top || total <= 0) return [];
+
+        const share = top[1] / total;
+        if (share < 0.25) return [];
+
+        const sessions = view === 'stp' ? 1 : (data.ltp?.sessions_seen || 0);
+        const statement = view === 'stp'
+            ? `This session centred on ${top[0]} (${this.percent(share)} of your attention).`
+            : `${top[0]} makes up ${this.percent(share)} of your long-term interests.`;
+
+        return [this.fact(view, 'top_interest', top[0], statement,
+            view === 'stp' ? Math.min(0.9, 0.4 + share / 2) : Math.min(0.95, (data.ltp?.confidence || 0) * 0.5 + Math.min(1, sessions / 8) * 0.5),
+            [{ type: 'topic', id: top[0], label: `${top[0]} across ${sessions} session${sessions === 1 ? '' : 's'}` }]
+        )];
+    }
+
+    /**
+     * "You research Finance mostly on weekday evenings."
+     */
+    mineTopicTimePatterns(view, data, rootOf) {
+        const byTopic = {};
+        const add = (topic, when, weight, evidence) => {
+            const date = new Date(when);
+            if (!topic || isNaN(date.getTime()) || weight <= 0) return;
+            const bucket = `${this.isWeekend(date) ? 'weekend' : 'weekday'}|${this.daypartOf(date).id}`;
+            byTopic[topic] = byTopic[topic] || { total: 0, events: 0, buckets: {}, evidence: {} };
+            const entry = byTopic[topic];
+            entry.total += weight;
+            entry.events += 1;
+            entry.buckets[bucket] = (entry.buckets[bucket] || 0) + weight;
+            (entry.evidence[bucket] = entry.evidence[bucket] || []).push({ ...evidence, weight });
+        };
+
+        data.urlBehaviors.forEach(behavior => {
+            const minutes = Math.max(0.5, (behavior.activeTime || 0) / 60);
+            this.topicWeights(behavior.topicDomains, rootOf).forEach(([topic, weight]) => {
+                add(topic, behavior.startTime, minutes * weight, this.urlEvidence(behavior));
+            });
+        });
+        data.searches.forEach(search => {
+            this.topicWeights(search.topicDomains, rootOf).forEach(([topic, weight]) => {
+                add(topic, search.timestamp, weight, this.searchEvidence(search));
+            });
+        });
+
+        const minEvents = view === 'stp' ? 3 : 6;
+        return Object.entries(byTopic)
+            .filter(([, entry]) => entry.events >= minEvents)
+            .map(([topic, entry]) => {
+                const [bucket, weight] = Object.entries(entry.buckets).sort((a, b) => b[1] - a[1])[0];
+                const share = weight / entry.total;
+                if (share < 0.35) return null;
+
+                const [dayType, daypartId] = bucket.split('|');
+                const daypart = DAYPARTS.find(d => d.id === daypartId);
+                const statement = view === 'stp'
+                    ? `This ${dayType} ${daypart.label} you focused on ${topic}.`
+                    : `You research ${topic} mostly on ${dayType} ${daypart.label}s.`;
+                const confidence = Math.min(0.95, share * (1 - 1 / Math.sqrt(entry.events + 1)) + 0.2);
+
+                return this.fact(view, 'topic_time', `${topic}:${bucket}`, statement, confidence,
+                    this.topEvidence(entry.evidence[bucket]));
+            })
+            .filter(Boolean);
+    }
+
+    /**
+     * "github.com is your go-to site for Technology."
+     */
+    mineGoToDomains(view, data, rootOf) {
+        const byTopic = {};
+        data.urlBehaviors.forEach(behavior => {
+            if (!behavior.domain) return;
+            const minutes = Math.max(0.5, (behavior.activeTime || 0) / 60);
+            this.topicWeights(behavior.topicDomains, rootOf).forEach(([topic, weight]) => {
+                byTopic[topic] = byTopic[topic] || { total: 0, domains: {} };
+                const domain = byTopic[topic].domains[behavior.domain] = byTopic[topic].domains[behavior.domain] || { minutes: 0, visits: 0, evidence: [] };
+                byTopic[topic].total += minutes * weight;
+                domain.minutes += minutes * weight;
+                domain.visits += 1;
+                domain.evidence.push({ ...this.urlEvidence(behavior), weight: minutes });
+            });
+        });
+
+        return Object.entries(byTopic)
+            .map(([topic, entry]) => {
+                const [domain, stats] = Object.entries(entry.domains).sort((a, b) => b[1].minutes - a[1].minutes)[0] || [];
+                if (!domain || stats.visits < 3 || entry.total <= 0) return null;
+                const share = stats.minutes / entry.total;
+                if (share < 0.4) return null;
+                return this.fact(view, 'go_to_domain', `${topic}:${domain}`,
+                    `${domain} is your go-to site for ${topic} (${this.percent(share)} of your time on it).`,
+                    Math.min(0.9, share * Math.min(1, stats.visits / 6) + 0.1),
+                    this.topEvidence(stats.evidence));
+            })
+            .filter(Boolean);
+    }
+
+    mineReadingDepth(view, data, rootOf) {
+        const byTopic = {};
+        data.urlBehaviors.forEach(behavior => {
+            if (typeof behavior.scrollDepth !== 'number') return;
+            this.topicWeights(behavior.topicDomains, rootOf).forEach(([topic]) => {
+                byTopic[topic] = byTopic[topic] || { depths: [], evidence: [] };
+                byTopic[topic].depths.push(behavior.scrollDepth);
+                byTopic[topic].evidence.push({ ...this.urlEvidence(behavior), weight: behavior.scrollDepth });
+            });
+        });
+
+        return Object.entries(byTopic)
+            .filter(([, entry]) => entry.depths.length >= 4)
+            .map(([topic, entry]) => {
+                const avg = entry.depths.reduce((sum, d) => sum + d, 0) / entry.depths.length;
+                const confidence = Math.min(0.85, 0.4 + entry.depths.length / 20);
+                if (avg >= 70) {
+                    return this.fact(view, 'reading_depth', `${topic}:deep`,
+                        `You read ${topic} pages thoroughly (${Math.round(avg)}% scrolled on average).`,
+                        confidence, this.topEvidence(entry.evidence));
+                }
+                if (avg <= 25) {
+                    return this.fact(view, 'reading_depth', `${topic}:skim`,
+                        `You tend to skim ${topic} pages (${Math.round(avg)}% scrolled on average).`,
+                        confidence, this.topEvidence(entry.evidence.map(e => ({ ...e, weight: 100 - e.weight }))));
+                }
+                return null;
+            })
+            .filter(Boolean);
+    }
+
+    mineSearchIntent(view, data) {
+        const withIntent = data.searches.filter(search => INTENT_PHRASES[search.intentType]);
+        if (withIntent.length < 5) return [];
+
+        const counts = {};
+        withIntent.forEach(search => { counts[search.intentType] = (counts[search.intentType] || 0) + 1; });
+        const [intent, count] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+        const share = count / withIntent.length;
+        if (share < 0.4) return [];
+
+        return [this.fact(view, 'search_intent', intent,
+            `${this.percent(share)} of your searches are ${intent}: ${INTENT_PHRASES[intent]}.`,
+            Math.min(0.9, share * Math.min(1, withIntent.length / 15) + 0.2),
+            this.topEvidence(withIntent
+                .filter(search => search.intentType === intent)
+                .map(search => ({ ...this.searchEvidence(search), weight: new Date(search.timestamp).getTime() || 0 }))))];
+    }
+
+    /**
+     * Topics whose share in the last few sessions clearly exceeds their LTP share.
+     */
+    mineRisingTopics(data, rootOf) {
+        const recent = data.stpHistory.slice(0, 3);
+        if (recent.length < 2 || !data.ltp?.topic_cumulative) return [];
+
+        const recentShares = {};
+        recent.forEach(stp => {
+            Object.entries(stp.topic_cumulative || {}).forEach(([topic, value]) => {
+                const root = rootOf(topic);
+                if (root) recentShares[root] = (recentShares[root] || 0) + (value?.normalizedWeight || 0) / recent.length;
+            });
+        });
+
+        const overall = {};
+        Object.entries(data.ltp.topic_cumulative).forEach(([topic, value]) => {
+            const root = rootOf(topic);
+            if (root) overall[root] = (overall[root] || 0) + (Number(value) || 0);
+        });
+        const overallTotal = Object.values(overall).reduce((sum, v) => sum + v, 0) || 1;
+
+        return Object.entries(recentShares)
+            .map(([topic, recentShare]) => {
+                const overallShare = (overall[topic] || 0) / overallTotal;
+                const delta = recentShare - overallShare;
+                if (recentShare < 0.15 || delta < 0.1) return null;
+                return this.fact('ltp', 'rising_topic', topic,
+                    `${topic} is gaining ground: ${this.percent(recentShare)} of your last ${recent.length} sessions vs ${this.percent(overallShare)} overall.`,
+                    Math.min(0.9, 0.4 + delta),
+                    recent.map(stp => ({
+                        type: 'session',
+                        id: stp.session_id,
+                        label: `Session ${formatFactDate(stp.calculated_at || stp.saved_at)}`,
+                        timestamp: stp.calculated_at || stp.saved_at
+                    })));
+            })
+            .filter(Boolean);
+    }
+
+    mineSessionRhythm(data) {
+        const lengths = data.stpHistory
+            .map(stp => stp.session_length_min)
+            .filter(length => typeof length === 'number' && length > 0)
+            .sort((a, b) => a - b);
+        if (lengths.length < 3) return [];
+
+        const median = lengths[Math.floor(lengths.length / 2)];
+        const rounded = median >= 60 ? `${Math.round(median / 6) / 10} hours` : `${Math.max(1, Math.round(median))} minutes`;
+        return [this.fact('ltp', 'session_rhythm', 'median', `Your browsing sessions typically last about ${rounded}.`,
+            Math.min(0.9, 0.3 + lengths.length / 15),
+            data.stpHistory.slice(0, FACT_MAX_EVIDENCE).map(stp => ({
+                type: 'session',
+                id: stp.session_id,
+                label: `${Math.round(stp.session_length_min || 0)} min session`,
+                timestamp: stp.calculated_at || stp.saved_at
+            })))];
+    }
+
+    // ---------------------------------
+    // 🔹 Helpers
+    // ---------------------------------
+
+    fact(view, kind, subject, statement, confidence, evidence) {
+        return {
+            factId: `${view}:${kind}:${String(subject).toLowerCase()}`,
+            view,
+            kind,
+            statement,
+            confidence: Math.round(Math.max(0, Math.min(1, confidence)) * 100) / 100,
+            evidence: (evidence || []).slice(0, FACT_MAX_EVIDENCE)
+        };
+    }
+
+    topicWeights(topicDomains, rootOf) {
+        if (!Array.isArray(topicDomains)) return [];
+        const merged = {};
+        topicDomains.forEach(td => {
+            const root = td?.topic && td.topic !== UNKNOWN_TOPIC ? rootOf(td.topic) : null;
+            if (root) merged[root] = (merged[root] || 0) + (Number(td.weight) || 0);
+        });
+        return Object.entries(merged);
+    }
+
+    topEvidence(items) {
+        const seen = new Set();
+        return (items || [])
+            .sort((a, b) => (b.weight || 0) - (a.weight || 0))
+            .filter(item => !seen.has(`${item.type}:${item.id}`) && seen.add(`${item.type}:${item.id}`))
+            .slice(0, FACT_MAX_EVIDENCE)
+            .map(({ weight, ...item }) => item);
+    }
+
+    urlEvidence(behavior) {
+        return { type: 'url', id: behavior.url, label: behavior.url, timestamp: behavior.startTime };
+    }
+
+    searchEvidence(search) {
+        return { type: 'search', id: search.searchId, label: search.query, timestamp: search.timestamp };
+    }
+
+    daypartOf(date) {
+        const hour = date.getHours() < 5 ? date.getHours() + 24 : date.getHours();
+        return DAYPARTS.find(d => hour >= d.from && hour < d.to);
+    }
+
+    isWeekend(date) {
+        return date.getDay() === 0 || date.getDay() === 6;
+    }
+
+    percent(share) {
+        return `${Math.round(share * 100)}%`;
+    }
+}
+
+function formatFactDate(iso) {
+    const date = new Date(iso);
+    return isNaN(date.getTime()) ? '' : date.toLocaleDateString();
+}
+
+// Make available globally
+if (typeof self !== 'undefined') {
+    self.FactsEngine = FactsEngine;
+}
@@ -0,0 +1,197 @@
+// src/storage/privacyRules.js
+// Tracking exclusions: user rules (domain, URL glob, regex) plus built-in
+// sensitive categories. Pure helpers; the service worker compiles the stored
+// settings once and checks every URL before anything about it is stored.
+
+const PRIVACY_RULE_TYPES = ['domain', 'glob', 'regex'];
+
+// Built-in categories match on registrable domains, host labels and TLDs.
+// A host keyword must be a whole label or a hyphen-separated part of one
+// ("netbanking.example.in", "mychart-east.org"), so "bankrate.com" and
+// "sussex.ac.uk" are not caught.
+const SENSITIVE_CATEGORIES = {
+  banking: {
+    label: 'Banking & payments',
+    domains: [
+      'paypal.com', 'venmo.com', 'wise.com', 'revolut.com', 'monzo.com', 'chase.com',
+      'bankofamerica.com', 'wellsfargo.com', 'citi.com', 'capitalone.com', 'usbank.com',
+      'americanexpress.com', 'discover.com', 'schwab.com', 'fidelity.com', 'vanguard.com',
+      'hsbc.com', 'barclays.co.uk', 'santander.co.uk', 'lloydsbank.com', 'natwest.com',
+      'onlinesbi.sbi', 'hdfcbank.com', 'icicibank.com', 'axisbank.com', 'paytm.com'
+    ],
+    hostKeywords: ['bank', 'netbanking', 'onlinebanking', 'ebanking', 'creditunion'],
+    tlds: ['bank']
+  },
+  medical: {
+    label: 'Health portals',
+    domains: [
+      'mychart.com', 'mychart.org', 'followmyhealth.com', 'myhealth.va.gov', 'kp.org',
+      'zocdoc.com', 'teladoc.com', 'goodrx.com', '23andme.com', 'patientaccess.com',
+      'nhsapp.service.nhs.uk', 'practo.com'
+    ],
+    hostKeywords: ['mychart', 'patient', 'patientportal', 'myhealth', 'telehealth'],
+    tlds: []
+  },
+  adult: {
+    label: 'Adult content',
+    domains: [
+      'pornhub.com', 'xvideos.com', 'xnxx.com', 'xhamster.com', 'redtube.com', 'youporn.com',
+      'onlyfans.com', 'chaturbate.com', 'stripchat.com', 'fansly.com'
+    ],
+    hostKeywords: ['porn', 'xxx'],
+    tlds: ['xxx', 'porn', 'adult', 'sex']
+  },
+  webmail: {
+    label: 'Webmail',
+    domains: [
+      'mail.google.com', 'outlook.live.com', 'outlook.office.com', 'outlook.office365.com',
+      'mail.yahoo.com', 'mail.proton.me', 'mail.zoho.com', 'app.tuta.com', 'mail.aol.com',
+      'app.fastmail.com', 'webmail.gmx.net'
+    ],
+    hostKeywords: ['webmail', 'roundcube'],
+    tlds: []
+  }
+};
+
+const DEFAULT_PRIVACY_SETTINGS = {
+  categories: Object.fromEntries(Object.keys(SENSITIVE_CATEGORIES).map(key => [key, true])),
+  rules: []
+};
+
+/**
+ * 🔧 Validate one user rule. Throws with a user-facing message when the
+ * pattern cannot be used, so bad rules never reach storage.
+ */
+function normalizePrivacyRule(rule) {
+  const type = String(rule?.type || '').toLowerCase();
+  if (!PRIVACY_RULE_TYPES.includes(type)) {
+    throw new Error(`Unknown rule type: ${rule?.type}`);
+  }
+
+  let pattern = String(rule.pattern || '').trim();
+  if (!pattern) throw new Error('Rule pattern is empty');
+
+  if (type === 'domain') {
+    // Accept pasted URLs and "*.example.com" as well as bare hosts
+    pattern = pattern.toLowerCase()
+      .replace(/^[a-z]+:\/\//, '')
+      .replace(/^\*\./, '')
+      .split(/[/?#:]/)[0];
+    if (!/^[a-z0-9.-]+$/.test(pattern) || (!pattern.includes('.') && pattern !== 'localhost')) {
+      throw new Error(`Not a domain: ${rule.pattern}`);
+    }
+  } else if (type === 'regex') {
+    new RegExp(pattern, 'i'); // throws "Invalid regular expression: ..."
+  }
+
+  return {
+    ruleId: rule.ruleId || `rule-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+    type,
+    pattern,
+    enabled: rule.enabled !== false,
+    createdAt: rule.createdAt || new Date().toISOString()
+  };
+}
+
+function normalizePrivacySettings(settings) {
+  const categories = { ...DEFAULT_PRIVACY_SETTINGS.categories };
+  Object.keys(categories).forEach(key => {
+    if (typeof settings?.categories?.[key] === 'boolean') categories[key] = settings.categories[key];
+  });
+
+  const rules = [];
+  (Array.isArray(settings?.rules) ? settings.rules : []).forEach(rule => {
+    try {
+      rules.push(normalizePrivacyRule(rule));
+    } catch (error) {
+      console.warn('⚠️ Dropping invalid privacy rule:', error.message);
+    }
+  });
+
+  return { categories, rules };
+}
+
+/**
+ * 🔧 Glob to anchored RegExp: `*` spans anything, `?` one character.
+ * Globs without a scheme match against host + path + query.
+ */
+function globToRegExp(glob) {
+  const source = glob
+    .split('*')
+    .map(part => part.split('?').map(piece => piece.replace(/[.+^${}()|[\]\\]/g, '\\$&')).join('.'))
+    .join('.*');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+function hostMatchesDomain(host, domain) {
+  return host === domain || host.endsWith(`.${domain}`);
+}
+
+/**
+ * Compile settings into a matcher; call once per settings change.
+ */
+function compilePrivacyRules(settings) {
+  const normalized = normalizePrivacySettings(settings);
+  const rules = normalized.rules
+    .filter(rule => rule.enabled)
+    .map(rule => {
+      if (rule.type === 'glob') {
+        return { ...rule, regex: globToRegExp(rule.pattern), withScheme: rule.pattern.includes('://') };
+      }
+      if (rule.type === 'regex') return { ...rule, regex: new RegExp(rule.pattern, 'i') };
+      return rule;
+    });
+  const categories = Object.entries(SENSITIVE_CATEGORIES)
+    .filter(([key]) => normalized.categories[key])
+    .map(([key, category]) => ({ key, ...category }));
+  return { rules, categories };
+}
+
+/**
+ * Why a URL must not be tracked, or null when it may be.
+ * @returns {{source: 'rule'|'category', ruleId?: string, category?: string, label: string} | null}
+ */
+function matchPrivacyExclusion(url, compiled) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return null;
+  }
+  const host = parsed.hostname.toLowerCase().replace(/\.$/, '');
+  const schemeless = `${host}${parsed.pathname}${parsed.search}`;
+
+  for (const rule of compiled.rules) {
+    const matched = rule.type === 'domain'
+      ? hostMatchesDomain(host, rule.pattern)
+      : rule.regex.test(rule.type === 'glob' && !rule.withScheme ? schemeless : parsed.href);
+    if (matched) {
+      return { source: 'rule', ruleId: rule.ruleId, label: `${rule.type}: ${rule.pattern}` };
+    }
+  }
+
+  const labels = host.split('.');
+  const tld = labels[labels.length - 1];
+  const words = new Set(labels.slice(0, -1).flatMap(label => [label, ...label.split('-')]));
+  for (const category of compiled.categories) {
+    const matched = category.domains.some(domain => hostMatchesDomain(host, domain)) ||
+      category.tlds.includes(tld) ||
+      category.hostKeywords.some(keyword => words.has(keyword));
+    if (matched) {
+      return { source: 'category', category: category.key, label: category.label };
+    }
+  }
+
+  return null;
+}
+
+// Make available globally
+if (typeof self !== 'undefined') {
+  self.PRIVACY_RULE_TYPES = PRIVACY_RULE_TYPES;
+  self.SENSITIVE_CATEGORIES = SENSITIVE_CATEGORIES;
+  self.DEFAULT_PRIVACY_SETTINGS = DEFAULT_PRIVACY_SETTINGS;
+  self.normalizePrivacyRule = normalizePrivacyRule;
+  self.normalizePrivacySettings = normalizePrivacySettings;
+  self.compilePrivacyRules = compilePrivacyRules;
+  self.matchPrivacyExclusion = matchPrivacyExclusion;
+}
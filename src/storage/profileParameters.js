@@ -0,0 +1,156 @@
+// src/storage/profileParameters.js
+// Tunable constants of the profile model: how STPs are built, how they fold
+// into the LTP, and how ContentHub ranks page chunks. Stored in systemState as
+// settings:profileParameters and validated here before anything uses them.
+
+const PROFILE_PARAMETERS = {
+    ewmaAlpha: {
+        group: 'ltp',
+        label: 'Adaptation rate (EWMA α)',
+        description: 'How much each new session moves the long-term focus, depth and intent averages. Higher adapts faster but forgets sooner.',
+        min: 0.01, max: 0.9, step: 0.01, default: 0.1
+    },
+    decayDays: {
+        group: 'ltp',
+        label: 'Interest decay (days)',
+        description: 'Topic scores shrink by a factor of e every this many days without a new session. Shorter lets old interests fade faster.',
+        min: 1, max: 365, step: 1, default: 30, integer: true
+    },
+    maxSessionsForConfidence: {
+        group: 'ltp',
+        label: 'Sessions to full confidence',
+        description: 'How many qualifying sessions the profile needs before it is treated as fully confident.',
+        min: 1, max: 100, step: 1, default: 8, integer: true
+    },
+    engagementGate: {
+        group: 'ltp',
+        label: 'Session quality gate',
+        description: 'Minimum engagement confidence for a session to start the profile or count toward confidence.',
+        min: 0, max: 1, step: 0.05, default: 0.5
+    },
+    priorFade: {
+        group: 'ltp',
+        label: 'Onboarding prior fade',
+        description: 'Share of the onboarding answers kept after each qualifying session. Lower lets real browsing take over sooner.',
+        min: 0, max: 0.95, step: 0.05, default: 0.7
+    },
+    searchWeight: {
+        group: 'stp',
+        label: 'Search weight',
+        description: 'Share of a session\'s topic scores that comes from searches. Must add up to 1 with the page weight.',
+        min: 0, max: 1, step: 0.05, default: 0.4
+    },
+    urlWeight: {
+        group: 'stp',
+        label: 'Page weight',
+        description: 'Share of a session\'s topic scores that comes from time spent on pages.',
+        min: 0, max: 1, step: 0.05, default: 0.6
+    },
+    chunkProfileWeight: {
+        group: 'ranking',
+        label: 'Chunk ranking: profile match',
+        description: 'How much a page chunk\'s similarity to your interests decides which chunks get summarized.',
+        min: 0, max: 1, step: 0.05, default: 0.7
+    },
+    chunkStructureWeight: {
+        group: 'ranking',
+        label: 'Chunk ranking: structure',
+        description: 'How much headings and clean section boundaries count.',
+        min: 0, max: 1, step: 0.05, default: 0.2
+    },
+    chunkPositionWeight: {
+        group: 'ranking',
+        label: 'Chunk ranking: position',
+        description: 'How much being near the top of the page counts.',
+        min: 0, max: 1, step: 0.05, default: 0.1
+    }
+};
+
+// Parameters that are shares of one whole
+const PROFILE_PARAMETER_SUMS = [
+    ['searchWeight', 'urlWeight'],
+    ['chunkProfileWeight', 'chunkStructureWeight', 'chunkPositionWeight']
+];
+
+const DEFAULT_PROFILE_PARAMETERS = Object.fromEntries(
+    Object.entries(PROFILE_PARAMETERS).map(([key, spec]) => [key, spec.default])
+);
+
+const PROFILE_PARAMETER_PRESETS = {
+    balanced: {
+        label: 'Balanced',
+        description: 'The defaults.',
+        values: { ...DEFAULT_PROFILE_PARAMETERS }
+    },
+    fastAdapting: {
+        label: 'Fast-adapting',
+        description: 'Follows what you are into this week. Recent sessions dominate and old interests fade within weeks.',
+        values: {
+            ...DEFAULT_PROFILE_PARAMETERS,
+            ewmaAlpha: 0.3,
+            decayDays: 10,
+            maxSessionsForConfidence: 4,
+            engagementGate: 0.4,
+            priorFade: 0.5,
+            searchWeight: 0.5,
+            urlWeight: 0.5
+        }
+    },
+    stable: {
+        label: 'Stable',
+        description: 'Tracks long-running interests. One unusual session barely moves the profile.',
+        values: {
+            ...DEFAULT_PROFILE_PARAMETERS,
+            ewmaAlpha: 0.05,
+            decayDays: 90,
+            maxSessionsForConfidence: 16,
+            engagementGate: 0.6,
+            priorFade: 0.85,
+            searchWeight: 0.3,
+            urlWeight: 0.7
+        }
+    }
+};
+
+/**
+ * 🔧 Validate a full or partial parameter set on top of the defaults.
+ * In strict mode a bad value throws with a user-facing message; otherwise it
+ * falls back to its default, so a stale stored value can't break the model.
+ */
+function normalizeProfileParameters(input, { strict = false } = {}) {
+    const values = { ...DEFAULT_PROFILE_PARAMETERS };
+    const reject = (message, keys) => {
+        if (strict) throw new Error(message);
+        console.warn('⚠️ Ignoring profile parameters:', message);
+        keys.forEach(key => { values[key] = DEFAULT_PROFILE_PARAMETERS[key]; });
+    };
+
+    Object.entries(PROFILE_PARAMETERS).forEach(([key, spec]) => {
+        if (input?.[key] === undefined || input[key] === null || input[key] === '') return;
+        const value = Number(input[key]);
+        if (!Number.isFinite(value) || value < spec.min || value > spec.max) {
+            reject(`${spec.label} must be between ${spec.min} and ${spec.max}`, [key]);
+        } else if (spec.integer && !Number.isInteger(value)) {
+            reject(`${spec.label} must be a whole number`, [key]);
+        } else {
+            values[key] = value;
+        }
+    });
+
+    PROFILE_PARAMETER_SUMS.forEach(keys => {
+        const sum = keys.reduce((total, key) => total + values[key], 0);
+        if (Math.abs(sum - 1) > 0.001) {
+            reject(`${keys.map(key => PROFILE_PARAMETERS[key].label).join(' + ')} must add up to 1 (got ${sum.toFixed(2)})`, keys);
+        }
+    });
+
+    return values;
+}
+
+// Make available globally
+if (typeof self !== 'undefined') {
+    self.PROFILE_PARAMETERS = PROFILE_PARAMETERS;
+    self.PROFILE_PARAMETER_PRESETS = PROFILE_PARAMETER_PRESETS;
+    self.DEFAULT_PROFILE_PARAMETERS = DEFAULT_PROFILE_PARAMETERS;
+    self.normalizeProfileParameters = normalizeProfileParameters;
+}
@@ -0,0 +1,119 @@
+// src/storage/profileRules.js
+// Named profiles (work, personal, research...) and the rules that pick one
+// automatically. Each profile is its own row in the profile table with its
+// own STPs, LTP and summaries; the row keyed 'default' always exists. Pure
+// helpers; DatabaseService stores the profiles and BackgroundService matches
+// pages against their rules.
+
+const DEFAULT_PROFILE_ID = 'default';
+const DEFAULT_PROFILE_NAME = 'Default';
+const PROFILE_NAME_MAX_LENGTH = 40;
+
+const DEFAULT_PROFILE_RULES = {
+  domains: [],
+  hours: null // { from, to } in local hours, to exclusive; may wrap midnight
+};
+
+/**
+ * 🔧 Validate the rules of one profile. Throws with a user-facing message
+ * when a rule cannot be used (strict), otherwise drops it.
+ */
+function normalizeProfileRules(rules, { strict = false } = {}) {
+  const reject = (message) => {
+    if (strict) throw new Error(message);
+    console.warn('⚠️ Dropping invalid profile rule:', message);
+  };
+
+  const domains = [];
+  (Array.isArray(rules?.domains) ? rules.domains : []).forEach(value => {
+    // Same forms as privacy domain rules: pasted URLs, "*.example.com", bare hosts
+    const domain = String(value || '').trim().toLowerCase()
+      .replace(/^[a-z]+:\/\//, '')
+      .replace(/^\*\./, '')
+      .split(/[/?#:]/)[0];
+    if (!domain) return;
+    if (!/^[a-z0-9.-]+$/.test(domain) || (!domain.includes('.') && domain !== 'localhost')) {
+      reject(`Not a domain: ${value}`);
+      return;
+    }
+    if (!domains.includes(domain)) domains.push(domain);
+  });
+
+  let hours = null;
+  if (rules?.hours) {
+    const from = Number(rules.hours.from);
+    const to = Number(rules.hours.to);
+    if (![from, to].every(hour => Number.isInteger(hour) && hour >= 0 && hour <= 23)) {
+      reject('Hours must be whole numbers from 0 to 23');
+    } else if (from === to) {
+      reject('Start and end hour must differ');
+    } else {
+      hours = { from, to };
+    }
+  }
+
+  return { domains, hours };
+}
+
+function normalizeProfileName(name) {
+  const value = String(name || '').trim().replace(/\s+/g, ' ');
+  if (!value) throw new Error('Profile name is required');
+  if (value.length > PROFILE_NAME_MAX_LENGTH) {
+    throw new Error(`Profile name must be at most ${PROFILE_NAME_MAX_LENGTH} characters`);
+  }
+  return value;
+}
+
+function hourInRange(hour, range) {
+  return range.from < range.to
+    ? hour >= range.from && hour < range.to
+    : hour >= range.from || hour < range.to;
+}
+
+/**
+ * Which profile a page should be recorded under, or null to keep the current
+ * one. A window the user assigned wins, then a domain rule, then the hours.
+ * @param {Array<{profileId, rules}>} profiles
+ * @param {{url?: string, windowId?: number, date?: Date}} context
+ * @param {Object<string, string>} windowProfiles - windowId -> profileId
+ * @returns {{profileId: string, reason: 'window'|'domain'|'hours', rule?: string} | null}
+ */
+function matchProfileRules(profiles, { url = null, windowId = null, date = new Date() } = {}, windowProfiles = {}) {
+  const known = new Set(profiles.map(profile => profile.profileId));
+  const assigned = windowId != null ? windowProfiles[windowId] : null;
+  if (assigned && known.has(assigned)) {
+    return { profileId: assigned, reason: 'window' };
+  }
+
+  let host = null;
+  try {
+    host = url ? new URL(url).hostname.toLowerCase().replace(/\.$/, '') : null;
+  } catch (error) {
+    host = null;
+  }
+  if (host) {
+    for (const profile of profiles) {
+      const domain = (profile.rules?.domains || []).find(pattern => hostMatchesDomain(host, pattern));
+      if (domain) return { profileId: profile.profileId, reason: 'domain', rule: domain };
+    }
+  }
+
+  const hour = date.getHours();
+  for (const profile of profiles) {
+    const range = profile.rules?.hours;
+    if (range && hourInRange(hour, range)) {
+      return { profileId: profile.profileId, reason: 'hours', rule: `${range.from}:00-${range.to}:00` };
+    }
+  }
+  return null;
+}
+
+// Make available globally
+if (typeof self !== 'undefined') {
+  self.DEFAULT_PROFILE_ID = DEFAULT_PROFILE_ID;
+  self.DEFAULT_PROFILE_NAME = DEFAULT_PROFILE_NAME;
+  self.DEFAULT_PROFILE_RULES = DEFAULT_PROFILE_RULES;
+  self.normalizeProfileRules = normalizeProfileRules;
+  self.normalizeProfileName = normalizeProfileName;
+  self.matchProfileRules = matchProfileRules;
+}
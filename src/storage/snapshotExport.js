@@ -0,0 +1,381 @@
+// src/storage/snapshotExport.js
+// Snapshot export: Markdown with front matter (for notes vaults), standalone
+// HTML and schema.org JSON-LD, one file per format or bundled as a zip. Pure
+// helpers; BackgroundService loads the snapshots and hands the files to the
+// dashboard or the overlay to download.
+
+const SNAPSHOT_EXPORT_FORMATS = {
+  markdown: { extension: 'md', mimeType: 'text/markdown' },
+  html: { extension: 'html', mimeType: 'text/html' },
+  jsonld: { extension: 'jsonld', mimeType: 'application/ld+json' }
+};
+const SNAPSHOT_EXPORT_SLUG_LENGTH = 60;
+
+function escapeExportHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+}
+
+function escapeMarkdownText(value) {
+  return String(value ?? '').replace(/([\\`*_[\]<>])/g, '\\$1');
+}
+
+/**
+ * 🔧 File name for a snapshot: save date plus title, e.g.
+ * "2026-09-01-kubernetes-operators". Callers de-duplicate within a bundle.
+ */
+function getSnapshotExportSlug(snapshot) {
+  const date = String(snapshot.timestamp || '').slice(0, 10) || 'undated';
+  const title = String(snapshot.title || snapshot.domain || snapshot.snapshotId || 'snapshot')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, SNAPSHOT_EXPORT_SLUG_LENGTH)
+    .replace(/-+$/, '');
+  return `${date}-${title || 'snapshot'}`;
+}
+
+/**
+ * 🔧 Text fragment link to an anchored passage: the browser scrolls to it
+ * and highlights it. Long passages are given by their first and last words,
+ * and up to three whole words of context on each side pick the right
+ * occurrence.
+ */
+function getTextAnchorUrl(url, anchor) {
+  if (!url || !anchor?.exact) return null;
+  // Dashes are fragment syntax; parentheses would end a Markdown link
+  const encode = text => encodeURIComponent(text).replace(/[-()]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  const words = anchor.exact.split(/\s+/);
+  // The stored context may start or end mid-word
+  const prefix = (anchor.prefix || '').trim().split(/\s+/).slice(1).slice(-3).join(' ');
+  const suffix = (anchor.suffix || '').trim().split(/\s+/).slice(0, -1).slice(0, 3).join(' ');
+  const range = words.length > 10
+    ? `${encode(words.slice(0, 5).join(' '))},${encode(words.slice(-5).join(' '))}`
+    : encode(anchor.exact);
+  return `${url.split('#')[0]}#:~:text=${prefix ? `${encode(prefix)}-,` : ''}${range}${suffix ? `,-${encode(suffix)}` : ''}`;
+}
+
+/**
+ * Link to where a chunk came from: its anchored passage, the opening quote
+ * snapshots recorded before anchors, or otherwise the page itself.
+ */
+function getChunkAnchorUrl(snapshot, chunk) {
+  if (!snapshot.url) return null;
+  if (chunk.anchor) return getTextAnchorUrl(snapshot.url, chunk.anchor);
+  if (!chunk.sourceQuote) return snapshot.url;
+  return `${snapshot.url.split('#')[0]}#:~:text=${encodeURIComponent(chunk.sourceQuote).replace(/-/g, '%2D')}`;
+}
+
+function getSnapshotExportFields(snapshot) {
+  return {
+    title: snapshot.title || snapshot.headline || snapshot.url || 'Untitled snapshot',
+    savedAt: snapshot.firstSavedAt || snapshot.timestamp || null,
+    updatedAt: snapshot.timestamp || null,
+    insights: Array.isArray(snapshot.insights) ? snapshot.insights : [],
+    // Links to the passage behind each insight, where one was found
+    insightUrls: (snapshot.insights || []).map((_, i) => getTextAnchorUrl(snapshot.url, snapshot.insightAnchors?.[i])),
+    chunks: (snapshot.chunks || []).map(chunk => ({ ...chunk, anchorUrl: getChunkAnchorUrl(snapshot, chunk) }))
+  };
+}
+
+/**
+ * Markdown note with YAML front matter. Strings are written as JSON, which
+ * YAML reads as double-quoted scalars.
+ */
+function renderSnapshotMarkdown(snapshot) {
+  const { title, savedAt, updatedAt, insights, insightUrls, chunks } = getSnapshotExportFields(snapshot);
+  const yaml = (key, value) => `${key}: ${JSON.stringify(value ?? null)}`;
+  const lines = [
+    '---',
+    yaml('title', title),
+    yaml('url', snapshot.url || null),
+    yaml('domain', snapshot.domain || null),
+    yaml('saved', savedAt),
+    yaml('updated', updatedAt),
+    yaml('topics', snapshot.topics || []),
+    yaml('tags', snapshot.tags || []),
+    yaml('collections', snapshot.collections || []),
+    yaml('source', 'crucible'),
+    '---',
+    '',
+    `# ${escapeMarkdownText(title)}`,
+    ''
+  ];
+  if (snapshot.url) lines.push(`<${snapshot.url}>`, '');
+
+  if (snapshot.headline || insights.length) {
+    lines.push('## Key insights', '');
+    if (snapshot.headline) lines.push(`**${escapeMarkdownText(snapshot.headline)}**`, '');
+    if (snapshot.subheading) lines.push(`*${escapeMarkdownText(snapshot.subheading)}*`, '');
+    insights.forEach((bullet, i) => lines.push(`- ${escapeMarkdownText(bullet)}${insightUrls[i] ? ` ([source](${insightUrls[i]}))` : ''}`));
+    if (insights.length) lines.push('');
+    if (snapshot.cta) lines.push(`Next: [${escapeMarkdownText(snapshot.cta)}](https://www.google.com/search?q=${encodeURIComponent(snapshot.cta)})`, '');
+  }
+
+  if (snapshot.summary) lines.push('## Summary', '', snapshot.summary.trim(), '');
+
+  if (chunks.length) {
+    lines.push('## Chunks', '');
+    chunks.forEach(chunk => {
+      const heading = escapeMarkdownText(chunk.title || `Chunk ${chunk.chunkId + 1}`);
+      lines.push(`### ${chunk.anchorUrl ? `[${heading}](${chunk.anchorUrl})` : heading}`, '', String(chunk.text || '').trim(), '');
+    });
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * 🔧 schema.org description of a snapshot: the page, what it is about, the
+ * overlay's summary, insights and chunks.
+ */
+function buildSnapshotJsonLd(snapshot) {
+  const { title, savedAt, updatedAt, insights, insightUrls, chunks } = getSnapshotExportFields(snapshot);
+  const node = {
+    '@type': 'WebPage',
+    '@id': snapshot.url || `urn:crucible:${snapshot.snapshotId}`,
+    url: snapshot.url || undefined,
+    name: title,
+    dateCreated: savedAt || undefined,
+    dateModified: updatedAt || undefined,
+    abstract: snapshot.summary || undefined,
+    description: [snapshot.headline, snapshot.subheading].filter(Boolean).join('. ') || undefined,
+    about: (snapshot.topics || []).map(topic => ({ '@type': 'Thing', name: topic })),
+    keywords: (snapshot.tags || []).join(', ') || undefined,
+    isPartOf: (snapshot.collections || []).map(name => ({ '@type': 'Collection', name })),
+    mainEntity: insights.length ? {
+      '@type': 'ItemList',
+      name: 'Key insights',
+      itemListElement: insights.map((bullet, i) => ({ '@type': 'ListItem', position: i + 1, name: bullet, url: insightUrls[i] || undefined }))
+    } : undefined,
+    hasPart: chunks.map(chunk => ({
+      '@type': 'WebPageElement',
+      name: chunk.title || undefined,
+      text: chunk.text || undefined,
+      url: chunk.anchorUrl || undefined
+    })),
+    potentialAction: snapshot.cta ? { '@type': 'SearchAction', query: snapshot.cta } : undefined
+  };
+  // Drop empty fields so the output stays readable
+  return JSON.parse(JSON.stringify(node, (key, value) => (Array.isArray(value) && value.length === 0 ? undefined : value)));
+}
+
+function renderSnapshotJsonLd(snapshots) {
+  const nodes = snapshots.map(buildSnapshotJsonLd);
+  const graph = nodes.length === 1
+    ? { '@context': 'https://schema.org', ...nodes[0] }
+    : { '@context': 'https://schema.org', '@graph': nodes };
+  return JSON.stringify(graph, null, 2);
+}
+
+function renderSnapshotHtml(snapshot) {
+  const { title, savedAt, insights, insightUrls, chunks } = getSnapshotExportFields(snapshot);
+  const chips = [...(snapshot.topics || []), ...(snapshot.tags || []).map(tag => `#${tag}`), ...(snapshot.collections || [])];
+  // "<" inside the JSON-LD must not close the script element
+  const jsonLd = JSON.stringify({ '@context': 'https://schema.org', ...buildSnapshotJsonLd(snapshot) }).replace(/</g, '\\u003c');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeExportHtml(title)}</title>
+  <script type="application/ld+json">${jsonLd}</script>
+  <style>
+    body { font: 16px/1.6 system-ui, sans-serif; max-width: 760px; margin: 40px auto; padding: 0 20px; color: #1f2430; }
+    a { color: #0b7fab; }
+    .meta { color: #6b7280; font-size: 14px; }
+    .chips span { display: inline-block; margin: 0 6px 6px 0; padding: 2px 8px; border-radius: 8px; background: #eef2f7; font-size: 12px; }
+    .insights { border-left: 4px solid #0b7fab; padding: 4px 16px; margin: 24px 0; }
+    .chunk { border: 1px solid #e5e7eb; border-radius: 12px; padding: 12px 16px; margin: 12px 0; }
+    .chunk h3 { margin: 0 0 6px; font-size: 16px; }
+  </style>
+</head>
+<body>
+  <h1>${escapeExportHtml(title)}</h1>
+  <p class="meta">
+    ${snapshot.url ? `<a href="${escapeExportHtml(snapshot.url)}">${escapeExportHtml(snapshot.url)}</a><br>` : ''}
+    ${savedAt ? `Saved ${escapeExportHtml(new Date(savedAt).toLocaleString())}` : ''}
+  </p>
+  ${chips.length ? `<p class="chips">${chips.map(chip => `<span>${escapeExportHtml(chip)}</span>`).join('')}</p>` : ''}
+  ${snapshot.headline || insights.length ? `
+  <section class="insights">
+    <h2>Key insights</h2>
+    ${snapshot.headline ? `<p><strong>${escapeExportHtml(snapshot.headline)}</strong></p>` : ''}
+    ${snapshot.subheading ? `<p><em>${escapeExportHtml(snapshot.subheading)}</em></p>` : ''}
+    ${insights.length ? `<ul>${insights.map((bullet, i) => `<li>${escapeExportHtml(bullet)}${insightUrls[i] ? ` <a href="${escapeExportHtml(insightUrls[i])}" title="Show on the page">↗</a>` : ''}</li>`).join('')}</ul>` : ''}
+    ${snapshot.cta ? `<p><a href="https://www.google.com/search?q=${encodeURIComponent(snapshot.cta)}">${escapeExportHtml(snapshot.cta)} ↗</a></p>` : ''}
+  </section>` : ''}
+  ${snapshot.summary ? `
+  <h2>Summary</h2>
+  ${snapshot.summary.trim().split(/\n{2,}/).map(paragraph => `<p>${escapeExportHtml(paragraph)}</p>`).join('\n  ')}` : ''}
+  ${chunks.length ? `
+  <h2>Chunks</h2>
+  ${chunks.map(chunk => `
+  <div class="chunk">
+    <h3>${chunk.anchorUrl ? `<a href="${escapeExportHtml(chunk.anchorUrl)}">${escapeExportHtml(chunk.title)}</a>` : escapeExportHtml(chunk.title)}</h3>
+    <p>${escapeExportHtml(chunk.text)}</p>
+  </div>`).join('')}` : ''}
+</body>
+</html>
+`;
+}
+
+/**
+ * Files for a bundle: one Markdown and one HTML file per snapshot, an HTML
+ * index, and a single JSON-LD graph.
+ * @param {Array} snapshots
+ * @param {string[]} formats - keys of SNAPSHOT_EXPORT_FORMATS
+ * @returns {Array<{name: string, content: string}>}
+ */
+function buildSnapshotExportFiles(snapshots, formats) {
+  const used = new Set();
+  const slugs = snapshots.map(snapshot => {
+    const base = getSnapshotExportSlug(snapshot);
+    let slug = base;
+    for (let n = 2; used.has(slug); n++) slug = `${base}-${n}`;
+    used.add(slug);
+    return slug;
+  });
+
+  const files = [];
+  if (formats.includes('markdown')) {
+    snapshots.forEach((snapshot, i) => files.push({ name: `markdown/${slugs[i]}.md`, content: renderSnapshotMarkdown(snapshot) }));
+  }
+  if (formats.includes('html')) {
+    snapshots.forEach((snapshot, i) => files.push({ name: `html/${slugs[i]}.html`, content: renderSnapshotHtml(snapshot) }));
+    files.push({
+      name: 'html/index.html',
+      content: `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="utf-8"><title>Crucible snapshots</title></head>
+<body>
+  <h1>Crucible snapshots</h1>
+  <ul>
+${snapshots.map((snapshot, i) => `    <li><a href="${slugs[i]}.html">${escapeExportHtml(getSnapshotExportFields(snapshot).title)}</a> (${escapeExportHtml(String(snapshot.timestamp || '').slice(0, 10))})</li>`).join('\n')}
+  </ul>
+</body>
+</html>
+`
+    });
+  }
+  if (formats.includes('jsonld')) {
+    files.push({ name: 'snapshots.jsonld', content: renderSnapshotJsonLd(snapshots) });
+  }
+  return files;
+}
+
+// ==================== ZIP ====================
+// Uncompressed ("stored") zip: text compresses well, but stored entries need
+// no deflate implementation and every unzip tool reads them.
+
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * @param {Array<{name: string, content: string|Uint8Array}>} files
+ * @returns {Uint8Array}
+ */
+function createZipArchive(files, date = new Date()) {
+  const encoder = new TextEncoder();
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+  const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  const UTF8_NAMES = 0x0800;
+
+  const parts = [];
+  const directory = [];
+  let offset = 0;
+  files.forEach(file => {
+    const name = encoder.encode(file.name);
+    const data = typeof file.content === 'string' ? encoder.encode(file.content) : file.content;
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, UTF8_NAMES, true);
+    local.setUint16(8, 0, true); // stored
+    local.setUint16(10, time, true);
+    local.setUint16(12, day, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    parts.push(new Uint8Array(local.buffer), name, data);
+
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, 0x02014b50, true);
+    entry.setUint16(4, 20, true);
+    entry.setUint16(6, 20, true);
+    entry.setUint16(8, UTF8_NAMES, true);
+    entry.setUint16(10, 0, true);
+    entry.setUint16(12, time, true);
+    entry.setUint16(14, day, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, data.length, true);
+    entry.setUint32(24, data.length, true);
+    entry.setUint16(28, name.length, true);
+    entry.setUint32(42, offset, true);
+    directory.push(new Uint8Array(entry.buffer), name);
+
+    offset += 30 + name.length + data.length;
+  });
+
+  const directorySize = directory.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, directorySize, true);
+  end.setUint32(16, offset, true);
+
+  const all = [...parts, ...directory, new Uint8Array(end.buffer)];
+  const zip = new Uint8Array(all.reduce((sum, part) => sum + part.length, 0));
+  let position = 0;
+  all.forEach(part => {
+    zip.set(part, position);
+    position += part.length;
+  });
+  return zip;
+}
+
+// Runtime messages carry JSON, so binary bundles travel as base64
+function encodeBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+// Make available globally
+if (typeof self !== 'undefined') {
+  self.SNAPSHOT_EXPORT_FORMATS = SNAPSHOT_EXPORT_FORMATS;
+  self.getSnapshotExportSlug = getSnapshotExportSlug;
+  self.getTextAnchorUrl = getTextAnchorUrl;
+  self.renderSnapshotMarkdown = renderSnapshotMarkdown;
+  self.renderSnapshotHtml = renderSnapshotHtml;
+  self.renderSnapshotJsonLd = renderSnapshotJsonLd;
+  self.buildSnapshotExportFiles = buildSnapshotExportFiles;
+  self.createZipArchive = createZipArchive;
+  self.encodeBase64 = encodeBase64;
+}
@@ -0,0 +1,269 @@
+// src/storage/snapshotLibrary.js
+// The snapshot library: every overlay result the user ran on a page, with
+// user tags, collections and a full-text term index. Pure helpers;
+// DatabaseService stores snapshots (multi-entry indexes on terms, tags,
+// collections and topics) and answers library queries with them.
+//
+// Snapshots double as the overlay's result cache. There is one per canonical
+// URL; it is served again while the page content and the profile it was
+// personalized for have not materially changed.
+
+const SNAPSHOT_PAGE_SIZE = 20;
+const SNAPSHOT_SORTS = ['newest', 'oldest', 'relevance', 'domain'];
+const SNAPSHOT_LABEL_KINDS = ['tag', 'collection'];
+const SNAPSHOT_TAG_MAX_LENGTH = 32;
+const SNAPSHOT_COLLECTION_MAX_LENGTH = 40;
+const MAX_SNAPSHOT_LABELS = 20;
+// Text-quote anchors saved with insights and chunks
+const SNAPSHOT_ANCHOR_EXACT_LENGTH = 600;
+const SNAPSHOT_ANCHOR_CONTEXT_LENGTH = 64;
+// Distinct terms kept per snapshot; chunk text is indexed last, so long
+// pages lose their rarest chunk words first
+const MAX_SNAPSHOT_TERMS = 600;
+
+// Field weights for relevance ranking
+const SNAPSHOT_FIELD_WEIGHTS = { title: 4, insights: 3, summary: 2, tags: 2, chunks: 1 };
+
+// Query parameters that never change what a page shows. A bare `ref` is
+// kept: sites use it for content too (a branch on a code host, for one).
+const SNAPSHOT_TRACKING_PARAMS = /^(utm_.+|fbclid|gclid|dclid|msclkid|mc_cid|mc_eid|igshid|ref_src|_hsenc|_hsmi)$/i;
+// Content fingerprints are 64-bit simhashes; pages whose fingerprints differ
+// in at most this many bits count as unchanged. Rewording a sentence or two
+// stays under it; changing a few percent of the words usually does not.
+const SNAPSHOT_CONTENT_TOLERANCE = 6;
+// Topics that define a profile version (see getSnapshotProfileVersion)
+const SNAPSHOT_PROFILE_TOPICS = 5;
+
+const SNAPSHOT_STOP_WORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'but', 'is', 'are', 'was', 'were', 'in', 'on', 'at',
+  'to', 'for', 'of', 'with', 'by', 'as', 'from', 'this', 'that', 'it', 'its', 'be',
+  'has', 'have', 'had', 'not', 'no', 'so', 'if', 'than', 'then', 'into', 'can', 'will'
+]);
+
+function tokenizeSnapshotText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(word => word.length > 1 && !SNAPSHOT_STOP_WORDS.has(word));
+}
+
+function getSnapshotDomain(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * 🔧 One URL per page: no fragment, no tracking parameters, sorted query,
+ * no "www." and no trailing slash. A rel=canonical link on the same site
+ * wins over the address bar.
+ * @returns {string} '' for URLs that are not http(s)
+ */
+function canonicalizeSnapshotUrl(url, canonicalHref = null) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return '';
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) return '';
+
+  if (canonicalHref) {
+    try {
+      const canonical = new URL(canonicalHref, parsed.href);
+      const site = host => host.toLowerCase().replace(/^www\./, '');
+      if (['http:', 'https:'].includes(canonical.protocol) && site(canonical.hostname) === site(parsed.hostname)) {
+        parsed = canonical;
+      }
+    } catch (error) {
+      // Malformed canonical link; keep the page URL
+    }
+  }
+
+  const params = [...parsed.searchParams]
+    .filter(([key]) => !SNAPSHOT_TRACKING_PARAMS.test(key))
+    .sort(([a], [b]) => a.localeCompare(b));
+  const query = new URLSearchParams(params).toString();
+  const host = parsed.host.toLowerCase().replace(/^www\./, '');
+  const path = parsed.pathname.replace(/\/+$/, '') || '/';
+  return `${parsed.protocol}//${host}${path === '/' ? '' : path}${query ? `?${query}` : ''}`;
+}
+
+function hashSnapshotString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * What an overlay result was personalized for: the profile, its top topics
+ * and focus style. Score shifts and summary rewrites keep the version; a new
+ * topic in the top five or a different focus style starts a new one.
+ * @param {{ profileId, topics: string[], focusStyle }} profile
+ */
+function getSnapshotProfileVersion({ profileId, topics = [], focusStyle = 'balanced' } = {}) {
+  const top = [...topics.slice(0, SNAPSHOT_PROFILE_TOPICS)].sort().join('|');
+  return `${profileId || DEFAULT_PROFILE_ID}:${hashSnapshotString(`${top}#${focusStyle}`)}`;
+}
+
+/**
+ * Bits that differ between two content fingerprints (16 hex digits each),
+ * or Infinity when either is missing.
+ */
+function getContentFingerprintDistance(a, b) {
+  if (!/^[0-9a-f]{16}$/.test(a || '') || !/^[0-9a-f]{16}$/.test(b || '')) return Infinity;
+  let distance = 0;
+  for (let i = 0; i < 16; i += 8) {
+    let diff = (parseInt(a.slice(i, i + 8), 16) ^ parseInt(b.slice(i, i + 8), 16)) >>> 0;
+    while (diff) {
+      distance += diff & 1;
+      diff >>>= 1;
+    }
+  }
+  return distance;
+}
+
+/**
+ * Whether a stored snapshot can stand in for a fresh overlay run.
+ * @returns {'fresh'|'content-changed'|'profile-changed'}
+ */
+function getSnapshotCacheState(snapshot, { contentHash, profileVersion }) {
+  if (getContentFingerprintDistance(snapshot?.contentHash, contentHash) > SNAPSHOT_CONTENT_TOLERANCE) return 'content-changed';
+  if (snapshot.profileVersion !== profileVersion) return 'profile-changed';
+  return 'fresh';
+}
+
+/**
+ * Searchable text of a snapshot by field. Snapshots saved before the library
+ * only have url, summary and insight bullets.
+ */
+function getSnapshotFields(snapshot) {
+  const insights = Array.isArray(snapshot?.insights) ? snapshot.insights : [];
+  return {
+    title: [snapshot?.title, snapshot?.domain || getSnapshotDomain(snapshot?.url)].filter(Boolean).join(' '),
+    insights: [snapshot?.headline, snapshot?.subheading, ...insights, snapshot?.cta].filter(Boolean).join(' '),
+    summary: snapshot?.summary || '',
+    tags: [...(snapshot?.tags || []), ...(snapshot?.collections || []), ...(snapshot?.topics || [])].join(' '),
+    chunks: (snapshot?.chunks || []).map(chunk => `${chunk.title || ''} ${chunk.text || ''}`).join(' ')
+  };
+}
+
+/**
+ * 🔧 Distinct terms for the snapshot's *terms index, most important fields first.
+ */
+function buildSnapshotTerms(snapshot) {
+  const terms = new Set();
+  const fields = getSnapshotFields(snapshot);
+  for (const field of ['title', 'insights', 'summary', 'tags', 'chunks']) {
+    for (const term of tokenizeSnapshotText(fields[field])) {
+      if (terms.size >= MAX_SNAPSHOT_TERMS) return [...terms];
+      terms.add(term);
+    }
+  }
+  return [...terms];
+}
+
+/**
+ * Every query word must start one of the snapshot's terms, so "kube" finds
+ * "kubernetes".
+ */
+function matchesSnapshotQuery(snapshot, queryTerms) {
+  const terms = snapshot?.terms || [];
+  return queryTerms.every(word => terms.some(term => term.startsWith(word)));
+}
+
+function scoreSnapshot(snapshot, queryTerms) {
+  const fields = getSnapshotFields(snapshot);
+  return Object.entries(SNAPSHOT_FIELD_WEIGHTS).reduce((score, [field, weight]) => {
+    const words = tokenizeSnapshotText(fields[field]);
+    const hits = words.filter(word => queryTerms.some(term => word.startsWith(term))).length;
+    return score + weight * hits;
+  }, 0);
+}
+
+/**
+ * 🔧 Clean a tag or collection name. Tags are lowercase single words
+ * ("to-read"); collections keep the user's spelling ("Trip to Japan").
+ */
+function normalizeSnapshotLabel(kind, value) {
+  const text = String(value || '').trim().replace(/\s+/g, ' ');
+  if (kind === 'tag') {
+    return text.toLowerCase().replace(/^#/, '').replace(/ /g, '-').slice(0, SNAPSHOT_TAG_MAX_LENGTH);
+  }
+  return text.slice(0, SNAPSHOT_COLLECTION_MAX_LENGTH);
+}
+
+function normalizeSnapshotLabels(kind, values) {
+  const labels = [];
+  const seen = new Set();
+  (Array.isArray(values) ? values : []).forEach(value => {
+    const label = normalizeSnapshotLabel(kind, value);
+    if (!label || seen.has(label.toLowerCase()) || labels.length >= MAX_SNAPSHOT_LABELS) return;
+    seen.add(label.toLowerCase());
+    labels.push(label);
+  });
+  return labels;
+}
+
+/**
+ * 🔧 Clean a text-quote anchor from the overlay (see src/utils/textAnchor.js):
+ * { exact, prefix, suffix } strings, capped. Null without exact text.
+ */
+function normalizeTextAnchor(anchor) {
+  const exact = typeof anchor?.exact === 'string' ? anchor.exact.trim().slice(0, SNAPSHOT_ANCHOR_EXACT_LENGTH) : '';
+  if (!exact) return null;
+  // Context nearest the passage is kept
+  return {
+    exact,
+    prefix: typeof anchor.prefix === 'string' ? anchor.prefix.slice(-SNAPSHOT_ANCHOR_CONTEXT_LENGTH) : '',
+    suffix: typeof anchor.suffix === 'string' ? anchor.suffix.slice(0, SNAPSHOT_ANCHOR_CONTEXT_LENGTH) : ''
+  };
+}
+
+/**
+ * 🔧 Validate a library query from the dashboard.
+ * @returns {{ terms: string[], tag, collection, topic, domain, from, to, sort, offset, limit }}
+ */
+function normalizeSnapshotQuery(query = {}) {
+  const terms = [...new Set(tokenizeSnapshotText(query.query))];
+  const sort = SNAPSHOT_SORTS.includes(query.sort) ? query.sort : (terms.length > 0 ? 'relevance' : 'newest');
+  const date = value => (value && !isNaN(new Date(value)) ? new Date(value).toISOString() : null);
+  return {
+    terms,
+    tag: query.tag ? normalizeSnapshotLabel('tag', query.tag) : null,
+    collection: query.collection ? normalizeSnapshotLabel('collection', query.collection) : null,
+    topic: query.topic ? String(query.topic).trim() : null,
+    domain: query.domain ? getSnapshotDomain(`https://${String(query.domain).trim().replace(/^[a-z]+:\/\//i, '')}`) : null,
+    from: date(query.from),
+    to: date(query.to),
+    // Relevance without search words falls back to newest first
+    sort: sort === 'relevance' && terms.length === 0 ? 'newest' : sort,
+    offset: Math.max(0, parseInt(query.offset, 10) || 0),
+    limit: Math.min(100, Math.max(1, parseInt(query.limit, 10) || SNAPSHOT_PAGE_SIZE))
+  };
+}
+
+// Make available globally
+if (typeof self !== 'undefined') {
+  self.SNAPSHOT_PAGE_SIZE = SNAPSHOT_PAGE_SIZE;
+  self.SNAPSHOT_SORTS = SNAPSHOT_SORTS;
+  self.SNAPSHOT_LABEL_KINDS = SNAPSHOT_LABEL_KINDS;
+  self.tokenizeSnapshotText = tokenizeSnapshotText;
+  self.getSnapshotDomain = getSnapshotDomain;
+  self.canonicalizeSnapshotUrl = canonicalizeSnapshotUrl;
+  self.getSnapshotProfileVersion = getSnapshotProfileVersion;
+  self.getContentFingerprintDistance = getContentFingerprintDistance;
+  self.getSnapshotCacheState = getSnapshotCacheState;
+  self.buildSnapshotTerms = buildSnapshotTerms;
+  self.matchesSnapshotQuery = matchesSnapshotQuery;
+  self.scoreSnapshot = scoreSnapshot;
+  self.normalizeSnapshotLabel = normalizeSnapshotLabel;
+  self.normalizeSnapshotLabels = normalizeSnapshotLabels;
+  self.normalizeTextAnchor = normalizeTextAnchor;
+  self.normalizeSnapshotQuery = normalizeSnapshotQuery;
+}
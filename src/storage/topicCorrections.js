@@ -0,0 +1,157 @@
+// src/storage/topicCorrections.js
+// User corrections to the profile: muted topics, boosted topics and URLs or
+// searches reclassified by hand. Stored in systemState as
+// settings:topicCorrections. Pure helpers; DatabaseService compiles the
+// stored corrections against the taxonomy. Reclassifications replace model
+// topics when STPs are built; mutes and boosts apply as STPs fold into the
+// LTP, so undoing them is a replay away.
+
+const TOPIC_BOOST_LEVELS = [1.25, 1.5, 2, 3];
+const DEFAULT_TOPIC_BOOST = 1.5;
+const RECLASSIFY_TARGET_TYPES = ['url', 'search'];
+// Most recent reclassifications shown to the model as examples
+const MAX_CORRECTION_EXAMPLES = 8;
+
+const DEFAULT_TOPIC_CORRECTIONS = {
+  muted: [],
+  boosted: {},
+  reclassified: [],
+  fewShot: true
+};
+
+/**
+ * 🔧 Key a reclassification by what identifies its target: the URL without
+ * its fragment, or the query as searches are enriched (see enrichSearchesByQuery).
+ */
+function getCorrectionKey(targetType, target) {
+  const value = String(target || '').trim();
+  if (targetType === 'search') return value.toLowerCase().replace(/\s+/g, ' ');
+  try {
+    const url = new URL(value);
+    url.hash = '';
+    return url.href;
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * 🔧 Validate a list of { topic, weight } the user picked. Weights are
+ * normalized to sum to 1, like model output (see validateAndNormalizeTopicWeights).
+ */
+function normalizeCorrectionTopics(topicDomains) {
+  const merged = new Map();
+  (Array.isArray(topicDomains) ? topicDomains : []).forEach(item => {
+    const topic = String(item?.topic || '').trim();
+    const weight = Number(item?.weight ?? 1);
+    if (!topic || !(weight > 0)) return;
+    merged.set(topic, (merged.get(topic) || 0) + weight);
+  });
+  const total = [...merged.values()].reduce((sum, weight) => sum + weight, 0);
+  return [...merged].map(([topic, weight]) => ({ topic, weight: parseFloat((weight / total).toFixed(3)) }));
+}
+
+function normalizeTopicCorrections(value) {
+  const muted = [...new Set((Array.isArray(value?.muted) ? value.muted : [])
+    .map(topic => String(topic).trim())
+    .filter(Boolean))];
+
+  const boosted = {};
+  Object.entries(value?.boosted || {}).forEach(([topic, boost]) => {
+    const factor = Number(boost);
+    if (topic.trim() && TOPIC_BOOST_LEVELS.includes(factor)) boosted[topic.trim()] = factor;
+  });
+
+  const reclassified = [];
+  const seen = new Set();
+  (Array.isArray(value?.reclassified) ? value.reclassified : []).forEach(item => {
+    if (!RECLASSIFY_TARGET_TYPES.includes(item?.targetType)) return;
+    const key = getCorrectionKey(item.targetType, item.target);
+    const topicDomains = normalizeCorrectionTopics(item.topicDomains);
+    if (!key || topicDomains.length === 0 || seen.has(`${item.targetType}:${key}`)) return;
+    seen.add(`${item.targetType}:${key}`);
+    reclassified.push({
+      targetType: item.targetType,
+      target: String(item.target).trim(),
+      key,
+      topicDomains,
+      previous: Array.isArray(item.previous) ? item.previous : [],
+      createdAt: item.createdAt || new Date().toISOString()
+    });
+  });
+
+  return { muted, boosted, reclassified, fewShot: value?.fewShot !== false };
+}
+
+/**
+ * Compile corrections against the taxonomy; call again whenever either
+ * changes. Muting or boosting a topic covers its subtopics; a boost set on a
+ * subtopic wins over one on its parent. Labels the taxonomy no longer knows
+ * are matched by name.
+ */
+function compileTopicCorrections(corrections, index) {
+  const normalized = normalizeTopicCorrections(corrections);
+  const keyOf = (label) => {
+    const row = resolveTopic(index, label);
+    return row ? row.topicId : `label:${String(label).trim().toLowerCase()}`;
+  };
+  const muted = new Set(normalized.muted.map(keyOf));
+  const boosted = new Map(Object.entries(normalized.boosted).map(([topic, boost]) => [keyOf(topic), boost]));
+  const overrides = new Map(normalized.reclassified.map(item => [`${item.targetType}:${item.key}`, item.topicDomains]));
+
+  // Own key first, then each ancestor's
+  const lineage = (label) => {
+    const row = typeof label === 'string' ? resolveTopic(index, label) : null;
+    if (!row) return [keyOf(label)];
+    const keys = [];
+    for (let node = row; node; node = node.parentId ? index.byId.get(node.parentId) : null) keys.push(node.topicId);
+    return keys;
+  };
+
+  return {
+    corrections: normalized,
+    isEmpty: muted.size === 0 && boosted.size === 0 && overrides.size === 0,
+    isMuted: (label) => muted.size > 0 && lineage(label).some(key => muted.has(key)),
+    boostFor: (label) => {
+      if (boosted.size === 0) return 1;
+      const key = lineage(label).find(candidate => boosted.has(candidate));
+      return key ? boosted.get(key) : 1;
+    },
+    overrideFor: (targetType, target) => overrides.get(`${targetType}:${getCorrectionKey(targetType, target)}`) || null
+  };
+}
+
+const NO_TOPIC_CORRECTIONS = {
+  corrections: normalizeTopicCorrections(DEFAULT_TOPIC_CORRECTIONS),
+  isEmpty: true,
+  isMuted: () => false,
+  boostFor: () => 1,
+  overrideFor: () => null
+};
+
+/**
+ * Few-shot lines for a classification prompt, newest first. Empty when the
+ * user turned examples off.
+ */
+function buildCorrectionExamples(corrections, targetType) {
+  if (corrections?.fewShot === false) return [];
+  return (corrections?.reclassified || [])
+    .filter(item => item.targetType === targetType)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+    .slice(0, MAX_CORRECTION_EXAMPLES)
+    .map(item => `"${item.target}" -> ${item.topicDomains.map(td => `${td.topic} (${td.weight})`).join(', ')}`);
+}
+
+// Make available globally
+if (typeof self !== 'undefined') {
+  self.TOPIC_BOOST_LEVELS = TOPIC_BOOST_LEVELS;
+  self.DEFAULT_TOPIC_BOOST = DEFAULT_TOPIC_BOOST;
+  self.RECLASSIFY_TARGET_TYPES = RECLASSIFY_TARGET_TYPES;
+  self.DEFAULT_TOPIC_CORRECTIONS = DEFAULT_TOPIC_CORRECTIONS;
+  self.NO_TOPIC_CORRECTIONS = NO_TOPIC_CORRECTIONS;
+  self.getCorrectionKey = getCorrectionKey;
+  self.normalizeCorrectionTopics = normalizeCorrectionTopics;
+  self.normalizeTopicCorrections = normalizeTopicCorrections;
+  self.compileTopicCorrections = compileTopicCorrections;
+  self.buildCorrectionExamples = buildCorrectionExamples;
+}
@@ -0,0 +1,262 @@
+// src/storage/topicTaxonomy.js
+// Hierarchical topic taxonomy: default tree plus pure helpers shared by the
+// database layer and the AI orchestrator. Rows are stored in the
+// topicTaxonomy table; profiles keep flat topic maps keyed by topic name and
+// roll them up through this tree at read time.
+
+const UNKNOWN_TOPIC = 'Unknown';
+const MAX_TOPIC_DEPTH = 3;
+
+// Default tree. Root names match the original 22-topic master bucket so
+// existing STP/LTP topic maps resolve without migration.
+const DEFAULT_TOPIC_TAXONOMY = [
+  {
+    name: 'Technology',
+    keywords: ['software', 'programming', 'code', 'computer', 'app', 'api', 'developer', 'tech', 'digital'],
+    children: [
+      { name: 'Programming Languages', aliases: ['Programming'], keywords: ['rust', 'python', 'javascript', 'typescript', 'golang', 'java', 'c++', 'compiler', 'syntax'] },
+      { name: 'Web Development', aliases: ['Frontend', 'Backend'], keywords: ['html', 'css', 'react', 'node.js', 'browser', 'frontend', 'backend', 'web app'] },
+      { name: 'Cloud & DevOps', aliases: ['DevOps', 'Cloud Computing'], keywords: ['kubernetes', 'k8s', 'docker', 'aws', 'azure', 'gcp', 'terraform', 'ci/cd', 'devops', 'serverless'] },
+      { name: 'AI & Machine Learning', aliases: ['Artificial Intelligence', 'Machine Learning'], keywords: ['ai', 'machine learning', 'neural', 'llm', 'model training', 'deep learning', 'gemini', 'gpt'] },
+      { name: 'Cybersecurity', aliases: ['Security', 'Infosec'], keywords: ['security', 'vulnerability', 'malware', 'encryption', 'exploit', 'phishing', 'cve'] },
+      { name: 'Data & Databases', aliases: ['Databases', 'Data Engineering'], keywords: ['database', 'sql', 'postgres', 'indexeddb', 'analytics', 'data pipeline', 'warehouse'] },
+      { name: 'Hardware', aliases: ['Gadgets'], keywords: ['chip', 'semiconductor', 'cpu', 'gpu', 'laptop', 'smartphone', 'gadget'] }
+    ]
+  },
+  {
+    name: 'Finance',
+    keywords: ['stock', 'invest', 'bank', 'loan', 'tax', 'budget', 'market', 'money'],
+    children: [
+      { name: 'Investing', aliases: ['Stocks'], keywords: ['stock', 'portfolio', 'etf', 'dividend', 'mutual fund', 'earnings'] },
+      { name: 'Cryptocurrency', aliases: ['Crypto'], keywords: ['crypto', 'bitcoin', 'ethereum', 'blockchain', 'token', 'wallet'] },
+      { name: 'Personal Finance', aliases: ['Budgeting'], keywords: ['budget', 'savings', 'credit card', 'tax', 'loan', 'retirement'] }
+    ]
+  },
+  { name: 'E-commerce', aliases: ['Shopping'], keywords: ['buy', 'price', 'deal', 'cart', 'shop', 'order', 'discount', 'amazon', 'flipkart'] },
+  {
+    name: 'Health',
+    keywords: ['health', 'symptom', 'doctor', 'medicine', 'disease', 'sleep'],
+    children: [
+      { name: 'Fitness', aliases: ['Exercise'], keywords: ['fitness', 'workout', 'exercise', 'gym', 'running', 'strength'] },
+      { name: 'Nutrition', aliases: ['Diet'], keywords: ['diet', 'nutrition', 'protein', 'calories', 'vitamin'] },
+      { name: 'Mental Health', aliases: ['Wellbeing'], keywords: ['anxiety', 'depression', 'stress', 'therapy', 'mindfulness'] }
+    ]
+  },
+  {
+    name: 'Science',
+    keywords: ['research', 'study', 'experiment', 'scientific'],
+    children: [
+      { name: 'Physics', keywords: ['physics', 'quantum', 'particle', 'relativity'] },
+      { name: 'Biology', keywords: ['biology', 'gene', 'cell', 'evolution', 'dna'] },
+      { name: 'Space', aliases: ['Astronomy'], keywords: ['space', 'astronomy', 'nasa', 'planet', 'galaxy', 'rocket'] }
+    ]
+  },
+  { name: 'Education', keywords: ['course', 'learn', 'tutorial', 'university', 'exam', 'lesson', 'school'] },
+  { name: 'Travel', keywords: ['flight', 'hotel', 'trip', 'visa', 'destination', 'booking', 'tourism'] },
+  { name: 'Arts', keywords: ['art', 'painting', 'design', 'museum', 'poetry', 'literature', 'photography'] },
+  {
+    name: 'Entertainment',
+    keywords: ['celebrity', 'show', 'trailer', 'netflix'],
+    children: [
+      { name: 'Movies & TV', aliases: ['Movies', 'TV'], keywords: ['movie', 'film', 'series', 'episode', 'netflix', 'trailer'] },
+      { name: 'Music', keywords: ['music', 'album', 'song', 'concert', 'spotify'] }
+    ]
+  },
+  { name: 'Sports', keywords: ['football', 'cricket', 'match', 'score', 'league', 'nba', 'tournament'] },
+  { name: 'News', keywords: ['breaking', 'headline', 'report', 'today', 'latest', 'update'] },
+  {
+    name: 'Business',
+    keywords: ['company', 'strategy', 'revenue', 'management', 'corporate'],
+    children: [
+      { name: 'Startups', aliases: ['Entrepreneurship'], keywords: ['startup', 'founder', 'venture capital', 'funding', 'seed round'] },
+      { name: 'Marketing', keywords: ['marketing', 'seo', 'advertising', 'brand', 'campaign'] }
+    ]
+  },
+  { name: 'Lifestyle', keywords: ['home', 'wellness', 'hobby', 'relationship', 'decor', 'minimalism'] },
+  { name: 'Food', keywords: ['recipe', 'cooking', 'restaurant', 'food', 'baking', 'cuisine'] },
+  { name: 'Automotive', keywords: ['car', 'vehicle', 'engine', 'ev', 'motorcycle', 'mileage'] },
+  { name: 'Real Estate', keywords: ['rent', 'apartment', 'property', 'mortgage', 'housing'] },
+  { name: 'Environment', keywords: ['climate', 'sustainability', 'pollution', 'renewable', 'carbon'] },
+  { name: 'Politics', keywords: ['election', 'government', 'policy', 'parliament', 'minister', 'senate'] },
+  { name: 'Career', keywords: ['job', 'resume', 'interview', 'salary', 'hiring', 'career'] },
+  { name: 'Parenting', keywords: ['baby', 'toddler', 'parenting', 'kids', 'pregnancy'] },
+  { name: 'Gaming', keywords: ['game', 'gaming', 'console', 'steam', 'playstation', 'xbox'] },
+  { name: 'Fashion', keywords: ['fashion', 'outfit', 'clothing', 'style', 'shoes', 'dress'] }
+];
+
+/**
+ * Stable id for a topic: the slugged path from its root.
+ */
+function slugifyTopicId(name, parentId = null) {
+  const slug = String(name || '')
+    .toLowerCase()
+    .replace(/&/g, 'and')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return parentId ? `${parentId}/${slug}` : slug;
+}
+
+/**
+ * Flatten a nested taxonomy (like DEFAULT_TOPIC_TAXONOMY) into table rows.
+ */
+function flattenTopicTaxonomy(tree, parentId = null, level = 0, now = new Date().toISOString()) {
+  const rows = [];
+  (tree || []).forEach((node, order) => {
+    const topicId = slugifyTopicId(node.name, parentId);
+    rows.push({
+      topicId,
+      name: node.name,
+      parentId,
+      level,
+      order,
+      aliases: node.aliases || [],
+      keywords: node.keywords || [],
+      builtIn: true,
+      createdAt: now,
+      updatedAt: now
+    });
+    rows.push(...flattenTopicTaxonomy(node.children, topicId, level + 1, now));
+  });
+  return rows;
+}
+
+/**
+ * Lookup structure over taxonomy rows. Names and aliases resolve
+ * case-insensitively to their row.
+ */
+function createTopicIndex(rows) {
+  const byId = new Map();
+  const byLabel = new Map();
+  const childrenOf = new Map();
+
+  const sorted = [...(rows || [])].sort((a, b) => (a.level - b.level) || (a.order - b.order));
+  sorted.forEach(row => {
+    byId.set(row.topicId, row);
+    childrenOf.set(row.topicId, []);
+  });
+  sorted.forEach(row => {
+    if (row.parentId && childrenOf.has(row.parentId)) {
+      childrenOf.get(row.parentId).push(row);
+    }
+    byLabel.set(row.name.toLowerCase(), row);
+  });
+  // Aliases never shadow a real topic name
+  sorted.forEach(row => {
+    (row.aliases || []).forEach(alias => {
+      const key = String(alias).toLowerCase();
+      if (!byLabel.has(key)) byLabel.set(key, row);
+    });
+  });
+
+  const roots = sorted.filter(row => !row.parentId || !byId.has(row.parentId));
+  return { rows: sorted, byId, byLabel, childrenOf, roots };
+}
+
+/**
+ * Map a model/legacy label onto its canonical topic row, or null.
+ */
+function resolveTopic(index, label) {
+  if (!index || typeof label !== 'string') return null;
+  return index.byLabel.get(label.trim().toLowerCase()) || null;
+}
+
+/**
+ * Names from root to the given topic, e.g. ['Technology', 'Cloud & DevOps'].
+ */
+function getTopicPath(index, topicId) {
+  const path = [];
+  let row = index.byId.get(topicId);
+  while (row) {
+    path.unshift(row.name);
+    row = row.parentId ? index.byId.get(row.parentId) : null;
+  }
+  return path;
+}
+
+/**
+ * Every assignable topic name (roots and subtopics) plus Unknown, for schema enums.
+ */
+function buildTopicEnum(index) {
+  return [...index.rows.map(row => row.name), UNKNOWN_TOPIC];
+}
+
+/**
+ * Name -> keyword seeds (name, aliases and keywords) for keyword matchers.
+ */
+function buildTopicKeywordMap(index) {
+  const map = {};
+  index.rows.forEach(row => {
+    map[row.name] = [...new Set([...(row.aliases || []), ...(row.keywords || [])])];
+  });
+  return map;
+}
+
+/**
+ * Roll a flat topic map ({ label: score }) up the tree. Each node carries its
+ * own score plus the total of its subtree, so parents summarise their
+ * children and the dashboard can drill down. Labels that no longer resolve
+ * (deleted topics, Unknown) are kept as childless roots.
+ * @returns {Array<{topicId, topic, path, ownScore, score, children}>} roots sorted by score
+ */
+function rollUpTopicScores(topicMap, index) {
+  const nodes = new Map();
+  const nodeFor = (row) => {
+    if (!nodes.has(row.topicId)) {
+      nodes.set(row.topicId, {
+        topicId: row.topicId,
+        topic: row.name,
+        path: getTopicPath(index, row.topicId),
+        ownScore: 0,
+        score: 0,
+        children: []
+      });
+    }
+    return nodes.get(row.topicId);
+  };
+  const orphans = new Map();
+
+  Object.entries(topicMap || {}).forEach(([label, score]) => {
+    const value = Number(score) || 0;
+    if (value <= 0) return;
+    const row = resolveTopic(index, label);
+    if (row) {
+      nodeFor(row).ownScore += value;
+    } else {
+      const orphan = orphans.get(label) || { topicId: null, topic: label, path: [label], ownScore: 0, score: 0, children: [] };
+      orphan.ownScore += value;
+      orphans.set(label, orphan);
+    }
+  });
+
+  const total = (row) => {
+    const node = nodeFor(row);
+    node.children = index.childrenOf.get(row.topicId)
+      .map(total)
+      .filter(child => child.score > 0)
+      .sort((a, b) => b.score - a.score);
+    node.score = node.ownScore + node.children.reduce((sum, child) => sum + child.score, 0);
+    return node;
+  };
+
+  const roots = index.roots.map(total).filter(node => node.score > 0);
+  orphans.forEach(orphan => {
+    orphan.score = orphan.ownScore;
+    roots.push(orphan);
+  });
+  return roots.sort((a, b) => b.score - a.score);
+}
+
+// Make available globally
+if (typeof self !== 'undefined') {
+  self.UNKNOWN_TOPIC = UNKNOWN_TOPIC;
+  self.MAX_TOPIC_DEPTH = MAX_TOPIC_DEPTH;
+  self.DEFAULT_TOPIC_TAXONOMY = DEFAULT_TOPIC_TAXONOMY;
+  self.slugifyTopicId = slugifyTopicId;
+  self.flattenTopicTaxonomy = flattenTopicTaxonomy;
+  self.createTopicIndex = createTopicIndex;
+  self.resolveTopic = resolveTopic;
+  self.getTopicPath = getTopicPath;
+  self.buildTopicEnum = buildTopicEnum;
+  self.buildTopicKeywordMap = buildTopicKeywordMap;
+  self.rollUpTopicScores = rollUpTopicScores;
+}
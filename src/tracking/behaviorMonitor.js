@@ -65,6 +65,7 @@ class BehaviorMonitor {
     if (!this.shouldTrack()) return;
 
     await this.obtainSessionAndTabIds();
+    if (!this.shouldTrack()) return; // paused while we waited
     this.url = this.sanitizeUrl(this.url);
     this.setupListeners();
     this.startHeartbeat();
@@ -75,6 +76,9 @@ class BehaviorMonitor {
   }
 
   shouldTrack() {
+    // Excluded site or paused tab (see environmentCheck.js)
+    if (window.chromeworldSettings?.trackingAllowed === false) return false;
+
     const url = window.location.href || '';
     const domain = window.location.hostname || '';
     if (!domain || domain === 'null' || url === 'about:blank') return false;
@@ -237,34 +241,16 @@ class BehaviorMonitor {
   }
 
   // Content Sample Extraction Methods
+  // Uses the same extractor as the overlay (src/utils/contentExtractor.js)
   extractContentSample() {
     if (this.contentSample) return this.contentSample;
 
     try {
-      const mainContent = this.findMainContent();
-      if (!mainContent) return this.getFallbackContent();
-
-      const clone = mainContent.cloneNode(true);
-      
-      // Remove unwanted elements
-      const unwantedSelectors = [
-        'script', 'style', 'nav', 'header', 'footer', 
-        '.ad', '[class*="ad"]', '.advertisement', '.banner-ad',
-        '.menu', '.navigation', '.sidebar', '.comments', 
-        '.social-share', '.share-buttons', '.newsletter', 
-        'iframe', 'noscript', '.hidden', '[aria-hidden="true"]',
-        'form', 'button', '.popup', '.modal', '.cookie-consent'
-      ];
-      
-      unwantedSelectors.forEach(selector => {
-        clone.querySelectorAll(selector).forEach(el => el.remove());
-      });
+      const extraction = new ContentExtractor().extract(document);
+      if (!extraction.text) return this.getFallbackContent();
 
-      // Extract clean text
-      let text = clone.textContent || '';
-      text = text.replace(/\s+/g, ' ').trim();
-      
       // Limit to reasonable size for topic inference
+      const text = extraction.text.replace(/\s+/g, ' ').trim();
       this.contentSample = text.substring(0, 5000); // Max 5000 chars
       return this.contentSample;
       
@@ -274,29 +260,6 @@ class BehaviorMonitor {
     }
   }
 
-  findMainContent() {
-    const selectors = [
-      'main', 'article', '[role="main"]', 
-      '.content', '.main-content', '.post-content',
-      '.article', '.blog-post', '.story-content',
-      '#content', '#main', '#article'
-    ];
-
-    for (const selector of selectors) {
-      const element = document.querySelector(selector);
-      if (element && this.isSubstantialContent(element)) {
-        return element;
-      }
-    }
-    return document.body;
-  }
-
-  isSubstantialContent(element) {
-    const text = element.textContent || '';
-    const cleanText = text.replace(/\s+/g, ' ').trim();
-    return cleanText.length > 200;
-  }
-
   getFallbackContent() {
     // Fallback: get text from body but clean it
     const clone = document.body.cloneNode(true);
@@ -412,7 +375,7 @@ async finalizeAndSave() {
   });
 }
 
-  destroy() {
+  destroy({ flush = true } = {}) {
     // stop intervals
     this.intervals.forEach(clearInterval);
     this.intervals = [];
@@ -423,8 +386,8 @@ async finalizeAndSave() {
     });
     this.listeners = [];
 
-    // final save
-    this.finalizeAndSave().catch(() => {});
+    // final save, skipped when tracking was just paused or excluded
+    if (flush) this.finalizeAndSave().catch(() => {});
 
     this.isInitialized = false;
     console.log('BehaviorMonitor destroyed', { 
@@ -455,4 +418,19 @@ function initializeBehaviorMonitor() {
 
 // Initialize
 initializeBehaviorMonitor();
+
+// Pausing the tab or adding a matching exclusion stops the monitor without a
+// final flush; lifting it starts a fresh one.
+let trackingStoodDown = window.chromeworldSettings?.trackingAllowed === false;
+window.addEventListener('chromeworldSettingsUpdated', () => {
+  const allowed = window.chromeworldSettings?.trackingAllowed !== false;
+  if (!allowed && !trackingStoodDown) {
+    trackingStoodDown = true;
+    behaviorMonitorInstance?.destroy({ flush: false });
+  } else if (allowed && trackingStoodDown) {
+    trackingStoodDown = false;
+    behaviorMonitorInstance = null;
+    initializeBehaviorMonitor();
+  }
+});
 }})();
\ No newline at end of file
@@ -71,6 +71,12 @@ async sendMessage(message, timeout = 3000) {
     });
   }
 
+  // Excluded site or paused tab (see environmentCheck.js); checked per event
+  // so pausing takes effect without a reload
+  isTrackingAllowed() {
+    return window.chromeworldSettings?.trackingAllowed !== false;
+  }
+
   async initialize() {
     if (this.isInitialized) return;
 
@@ -375,7 +381,7 @@ generateFallbackTabId() {
 async trackSearch(query, source) {
     const now = Date.now();
     // Debounce to avoid duplicates (input + URL + form)
-    if (!query) return;
+    if (!query || !this.isTrackingAllowed()) return;
     if (query === this.currentQuery && (now - this.lastTrackedAt) < 1200) return;
     if ((now - this.lastTrackedAt) < 800 && query === this.currentQuery) return;
 
@@ -420,7 +426,7 @@ setupResultTracking() {
     document.addEventListener('click', async (event) => {
         try {
             const link = event.target.closest('a');
-            if (!link || !link.href) return;
+            if (!link || !link.href || !this.isTrackingAllowed()) return;
 
             let resultUrl = link.href;
             
@@ -519,6 +525,7 @@ setupResultTracking() {
 }
   async trackResultClick(resultUrl) {
     // This method is kept for completeness if other code wants to call it directly
+    if (!this.isTrackingAllowed()) return;
     const payload = {
       query: this.currentQuery,
       resultUrl,
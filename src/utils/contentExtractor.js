@@ -0,0 +1,345 @@
+// src/utils/contentExtractor.js
+// Density-based main-content extraction, shared by ContentHub (overlay
+// summaries) and BehaviorMonitor (topic-inference samples).
+//
+// 1. A per-site rule picks the article root directly when one matches.
+// 2. Otherwise paragraphs are scored by text length and comma count, and
+//    each score is propagated to up to three ancestors. The best ancestor,
+//    discounted by its link density, becomes the root. Sibling nodes that
+//    score well are merged in, as Readability does.
+// 3. The root is walked in document order. Boilerplate subtrees are
+//    skipped, and headings, paragraphs, lists, tables, quotes and code come
+//    out as typed blocks that keep their structure.
+
+(function() {
+    'use strict';
+
+    // Per-site overrides. `content` selects the article root(s); `remove` lists
+    // boilerplate inside the root that the density pass would keep.
+    const CONTENT_SITE_RULES = [
+        {
+            host: /(^|\.)wikipedia\.org$/,
+            content: '#mw-content-text .mw-parser-output',
+            remove: [
+                '.infobox', '.navbox', '.vertical-navbox', '.sidebar', '.reflist', '.references',
+                '.mw-editsection', '#toc', '.toc', '.hatnote', '.metadata', '.ambox', 'sup.reference',
+                '.mw-empty-elt', '.thumb', 'figure', '.navigation-not-searchable'
+            ]
+        },
+        { host: /(^|\.)github\.com$/, content: '.markdown-body' },
+        {
+            host: /(^|\.)(stackoverflow|superuser|serverfault|askubuntu)\.com$|\.stackexchange\.com$/,
+            content: '#question-header h1, #question .s-prose, .answer .s-prose',
+            remove: ['.js-post-menu', '.comments']
+        },
+        { host: /(^|\.)medium\.com$/, content: 'article', remove: ['button', '[data-testid="storyReadTime"]'] },
+        { host: /(^|\.)developer\.mozilla\.org$/, content: '.main-page-content', remove: ['.bc-data', '.metadata'] },
+        { host: /(^|\.)news\.ycombinator\.com$/, content: '.fatitem, .comment-tree', remove: ['.reply', '.navs', '.togg'] }
+    ];
+
+    // Crucible's own UI is never page content.
+    const CONTENT_EXTRACTOR_EXCLUDE = '.cw-overlay-container, .cw-orb, #chromeworld-orb';
+
+    const SKIP_TAGS = new Set([
+        'script', 'style', 'noscript', 'template', 'iframe', 'svg', 'canvas', 'nav', 'footer',
+        'aside', 'form', 'button', 'select', 'input', 'textarea', 'dialog', 'object', 'embed'
+    ]);
+    const BOILERPLATE_ROLES = new Set([
+        'navigation', 'banner', 'contentinfo', 'complementary', 'search', 'menu', 'menubar', 'dialog', 'alert'
+    ]);
+    const UNLIKELY_CANDIDATE = /banner|breadcrumb|combx|comment|community|cookie|consent|disqus|footer|gdpr|header|legends|menu|modal|nav|newsletter|outbrain|pager|pagination|popup|promo|related|remark|replies|rss|share|shoutbox|sidebar|skyscraper|social|sponsor|subscribe|taboola|widget|\bads?\b|\bad-|advert/i;
+    const LIKELY_CANDIDATE = /article|body|content|entry|main|post|story|text|blog|prose/i;
+    const TABLE_PARTS = new Set(['thead', 'tbody', 'tfoot', 'tr', 'td', 'th']);
+    const BLOCK_TAGS = new Set([
+        'address', 'article', 'aside', 'blockquote', 'dd', 'div', 'dl', 'dt', 'figure', 'footer', 'form',
+        'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li', 'main', 'nav', 'ol', 'p', 'pre',
+        'section', 'table', 'ul'
+    ]);
+    const LOW_QUALITY_TEXT = [
+        /^©|copyright|all rights reserved/i, /^follow us|^subscribe|^sign up for (our|the) newsletter/i,
+        /^(click here|read more|learn more|continue reading)\.?$/i, /^(tags|category|posted in):/i,
+        /^share (on|this)|^tweet this/i, /^\d+\s*(comments?|shares?|likes?)$/i,
+        /^(cookie|privacy policy|terms of service)/i
+    ];
+
+    const MIN_PARAGRAPH_CHARS = 25;
+    const MIN_ARTICLE_CHARS = 250;
+    const MAX_BLOCK_LINK_DENSITY = 0.5;
+
+    class ContentExtractor {
+        /**
+         * @param {object} [options]
+         * @param {string} [options.exclude] - extra selector for subtrees to ignore
+         * @param {Array<object>} [options.siteRules] - rules checked before the built-in ones
+         */
+        constructor(options = {}) {
+            this.exclude = [CONTENT_EXTRACTOR_EXCLUDE, options.exclude].filter(Boolean).join(', ');
+            this.siteRules = [...(options.siteRules || []), ...CONTENT_SITE_RULES];
+            this.boilerplateCache = new WeakMap();
+            this.removeSelector = '';
+        }
+
+        /**
+         * Extract the main content of a document.
+         * @param {Document} [doc]
+         * @returns {{strategy: string, rule: string|null, title: string, blocks: Array<{type: string, tag: string, text: string, element: Element}>, text: string, wordCount: number}}
+         */
+        extract(doc = document) {
+            const body = doc.body;
+            if (!body) return this.buildResult(doc, 'empty', null, []);
+
+            const rule = this.findSiteRule(doc.location?.hostname || '');
+            if (rule) {
+                const roots = Array.from(doc.querySelectorAll(rule.content));
+                const blocks = this.collectBlocks(roots, (rule.remove || []).join(', '));
+                if (this.textLength(blocks) >= MIN_ARTICLE_CHARS) {
+                    return this.buildResult(doc, 'site-rule', String(rule.host), blocks);
+                }
+            }
+
+            const roots = this.findArticleRoots(body);
+            if (roots) {
+                const blocks = this.collectBlocks(roots);
+                if (this.textLength(blocks) >= MIN_ARTICLE_CHARS) {
+                    return this.buildResult(doc, 'density', null, blocks);
+                }
+            }
+
+            return this.buildResult(doc, 'fallback', null, this.collectBlocks([body]));
+        }
+
+        findSiteRule(hostname) {
+            return this.siteRules.find(rule => rule.host.test(hostname)) || null;
+        }
+
+        // ==================== Density scoring ====================
+
+        findArticleRoots(body) {
+            const scores = new Map();
+            const paragraphs = Array.from(body.querySelectorAll('p, pre, td, blockquote, dd, div'))
+                .filter(el => el.tagName !== 'DIV' || !this.hasBlockChildren(el));
+
+            for (const paragraph of paragraphs) {
+                if (this.isInsideBoilerplate(paragraph, body)) continue;
+                const text = this.normalize(paragraph.textContent);
+                if (text.length < MIN_PARAGRAPH_CHARS) continue;
+
+                const contentScore = 1 + (text.match(/[,，、]/g) || []).length + Math.min(3, Math.floor(text.length / 100));
+                let ancestor = paragraph.parentElement;
+                for (let level = 0; ancestor && level < 3; level++) {
+                    if (!scores.has(ancestor)) scores.set(ancestor, this.initialScore(ancestor));
+                    const divider = level === 0 ? 1 : level === 1 ? 2 : level * 3;
+                    scores.set(ancestor, scores.get(ancestor) + contentScore / divider);
+                    if (ancestor === body) break;
+                    ancestor = ancestor.parentElement;
+                }
+            }
+
+            let top = null;
+            let topScore = 0;
+            scores.forEach((score, el) => {
+                const adjusted = score * (1 - this.linkDensity(el));
+                scores.set(el, adjusted);
+                if (adjusted > topScore) {
+                    top = el;
+                    topScore = adjusted;
+                }
+            });
+            if (!top) return null;
+
+            // Pull in siblings that belong to the same article (split bodies,
+            // lead paragraphs outside the main wrapper, and so on).
+            const parent = top.parentElement;
+            if (!parent || top === body) return [top];
+            const threshold = Math.max(10, topScore * 0.2);
+            return Array.from(parent.children).filter(sibling => {
+                if (sibling === top) return true;
+                if (this.isBoilerplate(sibling)) return false;
+                if ((scores.get(sibling) || 0) >= threshold) return true;
+                if (sibling.tagName !== 'P') return false;
+                const text = this.normalize(sibling.textContent);
+                return text.length > 80 && this.linkDensity(sibling) < 0.25;
+            });
+        }
+
+        initialScore(el) {
+            const tag = el.tagName.toLowerCase();
+            let score = 0;
+            if (tag === 'article' || tag === 'main') score += 10;
+            else if (tag === 'div' || tag === 'section') score += 5;
+            else if (['pre', 'td', 'blockquote'].includes(tag)) score += 3;
+            else if (['form', 'ol', 'ul', 'dl', 'dd', 'dt', 'li', 'address'].includes(tag)) score -= 3;
+            else if (/^h[1-6]$/.test(tag) || tag === 'th') score -= 5;
+
+            const signature = this.signature(el);
+            if (LIKELY_CANDIDATE.test(signature)) score += 25;
+            if (UNLIKELY_CANDIDATE.test(signature)) score -= 25;
+            return score;
+        }
+
+        linkDensity(el) {
+            const textLength = this.normalize(el.textContent).length;
+            if (textLength === 0) return 0;
+            let linkLength = 0;
+            el.querySelectorAll('a').forEach(link => {
+                const weight = (link.getAttribute('href') || '').startsWith('#') ? 0.3 : 1;
+                linkLength += this.normalize(link.textContent).length * weight;
+            });
+            return Math.min(1, linkLength / textLength);
+        }
+
+        // ==================== Boilerplate classification ====================
+
+        isBoilerplate(el) {
+            if (this.boilerplateCache.has(el)) return this.boilerplateCache.get(el);
+
+            const tag = el.tagName.toLowerCase();
+            const role = el.getAttribute('role');
+            const signature = this.signature(el);
+            const result = SKIP_TAGS.has(tag)
+                || (tag === 'header' && !el.closest('article'))
+                || (role && BOILERPLATE_ROLES.has(role))
+                || el.hidden
+                || el.getAttribute('aria-hidden') === 'true'
+                || (this.exclude && el.matches(this.exclude))
+                || (!['body', 'main', 'article'].includes(tag) && UNLIKELY_CANDIDATE.test(signature) && !LIKELY_CANDIDATE.test(signature));
+
+            this.boilerplateCache.set(el, !!result);
+            return !!result;
+        }
+
+        isInsideBoilerplate(el, stopAt) {
+            for (let node = el; node && node !== stopAt; node = node.parentElement) {
+                if (this.isBoilerplate(node)) return true;
+            }
+            return false;
+        }
+
+        isHidden(el) {
+            const style = window.getComputedStyle(el);
+            return style.display === 'none' || style.visibility === 'hidden';
+        }
+
+        isLowQualityText(text) {
+            return LOW_QUALITY_TEXT.some(pattern => pattern.test(text));
+        }
+
+        // ==================== Block collection ====================
+
+        /**
+         * Walk the roots in document order and emit typed blocks.
+         * @param {Element[]} roots
+         * @param {string} [removeSelector] - subtrees to drop, including from block text
+         */
+        collectBlocks(roots, removeSelector = '') {
+            const blocks = [];
+            const rootSet = new Set(roots);
+            this.removeSelector = removeSelector;
+
+            const emit = (type, el, text) => {
+                if (!text) return;
+                if (type === 'paragraph' && (text.length < MIN_PARAGRAPH_CHARS || this.isLowQualityText(text))) return;
+                if (['paragraph', 'list'].includes(type) && this.linkDensity(el) > MAX_BLOCK_LINK_DENSITY) return;
+                blocks.push({ type, tag: el.tagName.toLowerCase(), text, element: el });
+            };
+
+            const visit = (el) => {
+                if (removeSelector && el.matches(removeSelector)) return;
+                if (!rootSet.has(el) && (this.isBoilerplate(el) || this.isHidden(el))) return;
+
+                const tag = el.tagName.toLowerCase();
+                if (/^h[1-6]$/.test(tag)) return emit('heading', el, this.textOf(el));
+                if (tag === 'pre') return emit('code', el, this.rawTextOf(el).replace(/^\n+|\s+$/g, ''));
+                if (tag === 'ul' || tag === 'ol') return emit('list', el, this.listText(el, tag === 'ol'));
+                if (tag === 'dl') return emit('list', el, this.definitionListText(el));
+                if (tag === 'blockquote') return emit('quote', el, this.textOf(el));
+                if (tag === 'table') {
+                    const table = this.tableText(el);
+                    if (table) return emit('table', el, table);
+                }
+                const isContainer = tag === 'table' || (TABLE_PARTS.has(tag) && !['td', 'th'].includes(tag));
+                if (tag === 'p' || (!isContainer && !this.hasBlockChildren(el))) {
+                    return emit('paragraph', el, this.textOf(el));
+                }
+
+                Array.from(el.children).forEach(visit);
+            };
+
+            roots.forEach(visit);
+            return blocks;
+        }
+
+        listText(list, ordered) {
+            return Array.from(list.children)
+                .filter(item => item.tagName === 'LI' && !item.hidden && item.getAttribute('aria-hidden') !== 'true')
+                .map((item, i) => `${ordered ? `${i + 1}.` : '-'} ${this.textOf(item)}`)
+                .filter(line => line.length > 2)
+                .join('\n');
+        }
+
+        definitionListText(list) {
+            return Array.from(list.children)
+                .map(item => item.tagName === 'DT'
+                    ? this.textOf(item)
+                    : `  ${this.textOf(item)}`)
+                .filter(line => line.trim())
+                .join('\n');
+        }
+
+        // Data tables become "cell | cell" rows. Layout tables (a single column,
+        // or nested tables) return null so their cells are walked as content.
+        tableText(table) {
+            if (table.querySelector('table')) return null;
+            const rows = Array.from(table.rows || []).map(row =>
+                Array.from(row.cells).map(cell => this.textOf(cell)));
+            const maxColumns = Math.max(0, ...rows.map(row => row.length));
+            if (rows.length < 2 || maxColumns < 2) return null;
+            const caption = table.caption ? this.textOf(table.caption) + '\n' : '';
+            return caption + rows.filter(row => row.some(Boolean)).map(row => row.join(' | ')).join('\n');
+        }
+
+        // ==================== Helpers ====================
+
+        hasBlockChildren(el) {
+            return Array.from(el.children).some(child => BLOCK_TAGS.has(child.tagName.toLowerCase()));
+        }
+
+        // Text of an element without the active rule's removed subtrees.
+        rawTextOf(el) {
+            if (!this.removeSelector || !el.querySelector(this.removeSelector)) return el.textContent || '';
+            const clone = el.cloneNode(true);
+            clone.querySelectorAll(this.removeSelector).forEach(node => node.remove());
+            return clone.textContent || '';
+        }
+
+        textOf(el) {
+            return this.normalize(this.rawTextOf(el));
+        }
+
+        signature(el) {
+            return `${el.getAttribute('class') || ''} ${el.id || ''}`;
+        }
+
+        normalize(text) {
+            return (text || '').replace(/[\s\u200B-\u200D\uFEFF]+/g, ' ').trim();
+        }
+
+        textLength(blocks) {
+            return blocks.reduce((sum, block) => sum + block.text.length, 0);
+        }
+
+        buildResult(doc, strategy, rule, blocks) {
+            const text = blocks.map(block => block.text).join('\n\n');
+            return {
+                strategy,
+                rule,
+                title: doc.title || '',
+                blocks,
+                text,
+                wordCount: text ? text.split(/\s+/).length : 0
+            };
+        }
+    }
+
+    window.ContentExtractor = ContentExtractor;
+})();
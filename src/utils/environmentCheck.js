@@ -12,7 +12,9 @@ window.chromeworldSettings = {
     isRestricted: true,
     profileSyncEnabled: false,
     aiEnabled: false,
-    orbTheme: false
+    orbTheme: false,
+    trackingAllowed: false, // false on excluded sites and paused tabs
+    trackingExclusion: null
 };
 
 // 3. Start the async work in an IIFE
@@ -35,6 +37,20 @@ window.chromeworldSettings = {
         
         return false;
     };
+
+    // Privacy exclusions and per-tab pause are decided by the background,
+    // which knows the user's rules and this tab's id.
+    const fetchTrackingStatus = async () => {
+        try {
+            const status = await chrome.runtime.sendMessage({ type: 'GET_TRACKING_STATUS' });
+            if (status && status.success) {
+                return { trackingAllowed: status.data.allowed, trackingExclusion: status.data.exclusion };
+            }
+        } catch (error) {
+            console.error('Chromeworld: Failed to fetch tracking status.', error.message);
+        }
+        return { trackingAllowed: false, trackingExclusion: null };
+    };
     
     if (isRestrictedPage()) {
         console.warn('Chromeworld: Skipping execution on restricted page.');
@@ -57,8 +73,13 @@ window.chromeworldSettings = {
                 isRestricted: false,
                 profileSyncEnabled: settings.data.profileSyncEnabled,
                 aiEnabled: settings.data.aiEnabled,
-                orbTheme: settings.data.orbTheme
+                orbTheme: settings.data.orbTheme,
+                chunkWeights: settings.data.chunkWeights,
+                ...await fetchTrackingStatus()
             };
+            if (!window.chromeworldSettings.trackingAllowed) {
+                console.log('Chromeworld: Tracking excluded on this page.', window.chromeworldSettings.trackingExclusion?.label);
+            }
             console.log('Chromeworld: Settings loaded.', window.chromeworldSettings);
         } else {
             throw new Error(settings?.error || 'Failed to fetch settings from background.');
@@ -91,7 +112,9 @@ window.chromeworldSettings = {
                                 isRestricted: false,
                                 profileSyncEnabled: settings.data.profileSyncEnabled,
                                 aiEnabled: settings.data.aiEnabled,
-                                orbTheme: settings.data.orbTheme
+                                orbTheme: settings.data.orbTheme,
+                                chunkWeights: settings.data.chunkWeights,
+                                ...await fetchTrackingStatus()
                             };
                             console.log('Chromeworld: Settings updated dynamically.', window.chromeworldSettings);
                             
@@ -0,0 +1,227 @@
+// src/utils/textAnchor.js
+// Text-quote anchors for page passages, in the shape of the W3C Web
+// Annotation TextQuoteSelector: the exact text plus a little context on
+// either side. ContentHub records one per sentence while extracting content,
+// saves them with snapshots, and resolves them against the live page to
+// scroll to and highlight the passage an insight came from.
+//
+// The index is the page's text with whitespace collapsed, as
+// ContentExtractor normalizes it, and a space between block elements. Every
+// character maps back to a text node and offset, so a match becomes a Range.
+
+(function() {
+    'use strict';
+
+    const ANCHOR_CONTEXT_CHARS = 32;
+    const MAX_ANCHOR_EXACT_CHARS = 600;
+    // Occurrences of the exact text compared by context before giving up
+    const MAX_ANCHOR_CANDIDATES = 50;
+
+    // Crucible's own UI is never page content (see contentExtractor.js).
+    const TEXT_ANCHOR_EXCLUDE = '.cw-overlay-container, .cw-orb, #chromeworld-orb';
+    const SKIP_TAGS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'TEXTAREA']);
+    const INLINE_DISPLAY = /^(inline|contents)/;
+
+    function isSpace(code) {
+        return code <= 32 || code === 0xA0 || code === 0x1680 || (code >= 0x2000 && code <= 0x200D) ||
+            code === 0x2028 || code === 0x2029 || code === 0x202F || code === 0x205F || code === 0x3000 || code === 0xFEFF;
+    }
+
+    class TextQuoteIndex {
+        /**
+         * @param {Element} [root]
+         * @param {object} [options]
+         * @param {string} [options.exclude] - extra selector for subtrees to ignore
+         */
+        constructor(root = document.body, options = {}) {
+            this.exclude = [TEXT_ANCHOR_EXCLUDE, options.exclude].filter(Boolean).join(', ');
+            this.text = '';
+            // { node, start, offsets }: offsets[i] is the raw offset of text[start + i]
+            this.segments = [];
+            this.segmentOf = new Map();
+            this.blockCache = new WeakMap();
+            if (root) this.build(root);
+        }
+
+        build(root) {
+            // Rejecting an element skips its whole subtree
+            const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT, {
+                acceptNode: node => {
+                    if (node.nodeType === Node.TEXT_NODE) return NodeFilter.FILTER_ACCEPT;
+                    return SKIP_TAGS.has(node.tagName) || node.matches(this.exclude) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_SKIP;
+                }
+            });
+            let lastBlock = null;
+            let lastSpace = true;
+            for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+                const block = this.blockOf(node.parentElement);
+                if (block !== lastBlock && !lastSpace) {
+                    this.text += ' ';
+                    lastSpace = true;
+                }
+                lastBlock = block;
+
+                const raw = node.data;
+                const offsets = [];
+                let chunk = '';
+                for (let i = 0; i < raw.length; i++) {
+                    if (isSpace(raw.charCodeAt(i))) {
+                        if (lastSpace) continue;
+                        chunk += ' ';
+                        lastSpace = true;
+                    } else {
+                        chunk += raw[i];
+                        lastSpace = false;
+                    }
+                    offsets.push(i);
+                }
+                if (offsets.length === 0) continue;
+                this.segmentOf.set(node, this.segments.length);
+                this.segments.push({ node, start: this.text.length, offsets });
+                this.text += chunk;
+            }
+        }
+
+        // Nearest ancestor that is not laid out inline
+        blockOf(element) {
+            let el = element;
+            while (el && el !== document.body) {
+                if (!this.blockCache.has(el)) {
+                    this.blockCache.set(el, !INLINE_DISPLAY.test(window.getComputedStyle(el).display));
+                }
+                if (this.blockCache.get(el)) return el;
+                el = el.parentElement;
+            }
+            return el;
+        }
+
+        /**
+         * Where an element's text sits in the index.
+         * @returns {{ start: number, end: number }|null}
+         */
+        rangeOf(element) {
+            const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+            let first = null;
+            let last = null;
+            for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+                if (!this.segmentOf.has(node)) continue;
+                const segment = this.segments[this.segmentOf.get(node)];
+                if (!first) first = segment;
+                last = segment;
+            }
+            if (!first) return null;
+            return { start: first.start, end: last.start + last.offsets.length };
+        }
+
+        /**
+         * 🔧 Selector for text[start, end): the exact text, trimmed and
+         * capped, with the text just before and after it.
+         * @returns {{ exact: string, prefix: string, suffix: string }}
+         */
+        describe(start, end) {
+            while (start < end && this.text[start] === ' ') start++;
+            while (end > start && this.text[end - 1] === ' ') end--;
+            end = Math.min(end, start + MAX_ANCHOR_EXACT_CHARS);
+            return {
+                exact: this.text.slice(start, end),
+                prefix: this.text.slice(Math.max(0, start - ANCHOR_CONTEXT_CHARS), start),
+                suffix: this.text.slice(end, end + ANCHOR_CONTEXT_CHARS)
+            };
+        }
+
+        /**
+         * The sentences of an element, each with its anchor.
+         * @returns {Array<{ text: string, anchor: { exact, prefix, suffix } }>}
+         */
+        passagesOf(element) {
+            const range = element && this.rangeOf(element);
+            if (!range) return [];
+            const text = this.text.slice(range.start, range.end);
+            const passages = [];
+            // A stop ends a sentence only before a space, so "3.5" stays whole
+            const sentence = /.+?(?:[.!?]+["')\]]*(?= |$)|$)/g;
+            let match;
+            while ((match = sentence.exec(text))) {
+                if (match[0].trim().length < 2) continue;
+                const anchor = this.describe(range.start + match.index, range.start + match.index + match[0].length);
+                passages.push({ text: anchor.exact, anchor });
+            }
+            return passages;
+        }
+
+        /**
+         * 🔧 Find a selector's text in the index. When it occurs more than
+         * once, the occurrence whose surroundings best match the prefix and
+         * suffix wins.
+         * @returns {{ start: number, end: number }|null}
+         */
+        locate(anchor) {
+            const exact = String(anchor?.exact || '').replace(/\s+/g, ' ').trim();
+            if (!exact) return null;
+
+            let best = null;
+            let candidates = 0;
+            for (let at = this.text.indexOf(exact); at !== -1 && candidates < MAX_ANCHOR_CANDIDATES; at = this.text.indexOf(exact, at + 1)) {
+                candidates++;
+                const score = this.contextScore(anchor.prefix || '', this.text.slice(Math.max(0, at - ANCHOR_CONTEXT_CHARS), at), true) +
+                    this.contextScore(anchor.suffix || '', this.text.slice(at + exact.length, at + exact.length + ANCHOR_CONTEXT_CHARS), false);
+                if (!best || score > best.score) best = { start: at, end: at + exact.length, score };
+            }
+            return best && { start: best.start, end: best.end };
+        }
+
+        // Characters that agree, counted outward from the match
+        contextScore(expected, actual, before) {
+            let score = 0;
+            const length = Math.min(expected.length, actual.length);
+            for (let i = 1; i <= length; i++) {
+                const a = before ? expected[expected.length - i] : expected[i - 1];
+                const b = before ? actual[actual.length - i] : actual[i - 1];
+                if (a !== b) break;
+                score++;
+            }
+            return score;
+        }
+
+        /**
+         * A DOM Range over text[start, end).
+         * @returns {Range|null}
+         */
+        toRange(start, end) {
+            const from = this.pointAt(start, false);
+            const to = this.pointAt(end - 1, true);
+            if (!from || !to) return null;
+            const range = document.createRange();
+            range.setStart(from.node, from.offset);
+            range.setEnd(to.node, to.offset);
+            return range;
+        }
+
+        // Text node and offset of the character at `position`; `after` puts
+        // the point just past it. Block separators map to the next character.
+        pointAt(position, after) {
+            let low = 0;
+            let high = this.segments.length - 1;
+            while (low < high) {
+                const mid = (low + high + 1) >> 1;
+                if (this.segments[mid].start <= position) low = mid;
+                else high = mid - 1;
+            }
+            let segment = this.segments[low];
+            if (!segment) return null;
+            let index = position - segment.start;
+            if (index >= segment.offsets.length) {
+                if (after) {
+                    index = segment.offsets.length - 1;
+                } else {
+                    segment = this.segments[low + 1];
+                    if (!segment) return null;
+                    index = 0;
+                }
+            }
+            return { node: segment.node, offset: segment.offsets[index] + (after ? 1 : 0) };
+        }
+    }
+
+    window.TextQuoteIndex = TextQuoteIndex;
+})();
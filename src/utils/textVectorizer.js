@@ -0,0 +1,156 @@
+// src/utils/textVectorizer.js
+// Lightweight on-device TF-IDF vectoriser used by ContentHub to rank page
+// chunks against the user's profile topics. Terms are stemmed unigrams plus
+// bigrams, so lexicon phrases like "machine learning" match prose. Chunk
+// vectors are cached per URL and reused while the page text is unchanged.
+
+(function() {
+    'use strict';
+
+    const VECTOR_STOP_WORDS = new Set([
+        'a', 'about', 'above', 'after', 'again', 'against', 'all', 'also', 'am', 'an', 'and', 'any',
+        'are', 'as', 'at', 'be', 'because', 'been', 'before', 'being', 'below', 'between', 'both',
+        'but', 'by', 'can', 'could', 'did', 'do', 'does', 'doing', 'down', 'during', 'each', 'few',
+        'for', 'from', 'further', 'had', 'has', 'have', 'having', 'he', 'her', 'here', 'hers', 'him',
+        'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'itself', 'just', 'like', 'may',
+        'me', 'might', 'more', 'most', 'much', 'must', 'my', 'no', 'nor', 'not', 'now', 'of', 'off',
+        'on', 'once', 'one', 'only', 'or', 'other', 'our', 'ours', 'out', 'over', 'own', 'same',
+        'she', 'should', 'so', 'some', 'such', 'than', 'that', 'the', 'their', 'them', 'then',
+        'there', 'these', 'they', 'this', 'those', 'through', 'to', 'too', 'under', 'until', 'up',
+        'us', 'very', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'while', 'who', 'whom',
+        'why', 'will', 'with', 'would', 'you', 'your', 'yours', 'new', 'get', 'use', 'used'
+    ]);
+
+    const MAX_CACHED_URLS = 20;
+
+    class TextVectorizer {
+        constructor() {
+            // url -> { hash, idf, vectors }
+            this.cache = new Map();
+        }
+
+        /**
+         * Tokenise into stemmed unigrams and adjacent-word bigrams.
+         * @param {string} text
+         * @returns {string[]}
+         */
+        tokenize(text) {
+            const words = (text || '')
+                .toLowerCase()
+                .split(/[^\p{L}\p{N}+#]+/u)
+                .filter(word => word.length > 1 && !VECTOR_STOP_WORDS.has(word) && !/^\d+$/.test(word))
+                .map(word => this.stem(word));
+
+            const terms = [...words];
+            for (let i = 1; i < words.length; i++) {
+                terms.push(`${words[i - 1]} ${words[i]}`);
+            }
+            return terms;
+        }
+
+        stem(word) {
+            if (word.length <= 4) return word;
+            if (word.endsWith('ies')) return word.slice(0, -3) + 'y';
+            if (word.endsWith('sses')) return word.slice(0, -2);
+            if (word.endsWith('ing') && word.length > 6) return word.slice(0, -3);
+            if (word.endsWith('ed') && word.length > 5) return word.slice(0, -2);
+            if (word.endsWith('s') && !/(ss|us|is)$/.test(word)) return word.slice(0, -1);
+            return word;
+        }
+
+        /**
+         * Build (or reuse) TF-IDF vectors for a set of documents.
+         * @param {string} cacheKey - usually the page URL
+         * @param {string[]} texts
+         * @returns {{idf: Map<string, number>, vectors: Array<Map<string, number>>, cached: boolean}}
+         */
+        indexDocuments(cacheKey, texts) {
+            const hash = this.hash(texts.join('\u0000'));
+            const cached = this.cache.get(cacheKey);
+            if (cached && cached.hash === hash) {
+                return { idf: cached.idf, vectors: cached.vectors, cached: true };
+            }
+
+            const frequencies = texts.map(text => this.termFrequencies(this.tokenize(text)));
+            const documentFrequency = new Map();
+            frequencies.forEach(tf => tf.forEach((count, term) => {
+                documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+            }));
+
+            const idf = new Map();
+            documentFrequency.forEach((df, term) => {
+                idf.set(term, Math.log((texts.length + 1) / (df + 1)) + 1);
+            });
+
+            const vectors = frequencies.map(tf => {
+                const vector = new Map();
+                tf.forEach((count, term) => vector.set(term, (1 + Math.log(count)) * idf.get(term)));
+                return this.normalize(vector);
+            });
+
+            this.cache.delete(cacheKey);
+            this.cache.set(cacheKey, { hash, idf, vectors });
+            if (this.cache.size > MAX_CACHED_URLS) {
+                this.cache.delete(this.cache.keys().next().value);
+            }
+            return { idf, vectors, cached: false };
+        }
+
+        /**
+         * Vectorise weighted lexicon terms in the space of an indexed corpus.
+         * Terms the corpus never uses cannot match, so they get the base idf
+         * of 1. They still count toward the norm, which keeps a topic with
+         * one stray keyword hit from looking like a perfect match.
+         * @param {Array<{text: string, weight: number}>} weightedTexts
+         * @param {Map<string, number>} idf
+         */
+        vectorizeTerms(weightedTexts, idf) {
+            const vector = new Map();
+            weightedTexts.forEach(({ text, weight }) => {
+                this.tokenize(text).forEach(term => {
+                    vector.set(term, (vector.get(term) || 0) + weight * (idf.get(term) || 1));
+                });
+            });
+            return this.normalize(vector);
+        }
+
+        /**
+         * Cosine similarity of two L2-normalised sparse vectors.
+         */
+        similarity(a, b) {
+            const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+            let dot = 0;
+            small.forEach((value, term) => {
+                const other = large.get(term);
+                if (other) dot += value * other;
+            });
+            return dot;
+        }
+
+        termFrequencies(tokens) {
+            const tf = new Map();
+            tokens.forEach(token => tf.set(token, (tf.get(token) || 0) + 1));
+            return tf;
+        }
+
+        normalize(vector) {
+            let norm = 0;
+            vector.forEach(value => { norm += value * value; });
+            norm = Math.sqrt(norm);
+            if (norm > 0) vector.forEach((value, term) => vector.set(term, value / norm));
+            return vector;
+        }
+
+        // FNV-1a, enough to notice that a page's text changed.
+        hash(text) {
+            let hash = 0x811c9dc5;
+            for (let i = 0; i < text.length; i++) {
+                hash ^= text.charCodeAt(i);
+                hash = Math.imul(hash, 0x01000193);
+            }
+            return (hash >>> 0).toString(16);
+        }
+    }
+
+    window.TextVectorizer = TextVectorizer;
+})();